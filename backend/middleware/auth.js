@@ -1,9 +1,59 @@
 const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { isAccessToken, authenticateAccessToken, getRequiredScope } = require('../services/accessToken.service');
 const { logger, securityLog } = require('../utils/logger');
 const { sanitizeForLog } = require('../utils/sanitization');
 
 /**
- * Middleware to authenticate JWT tokens
+ * Authenticate a personal access token and check it has the scope the
+ * request needs
+ * @param {string} token - Raw personal access token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticatePersonalAccessToken = async (token, req, res, next) => {
+  try {
+    const accessToken = await authenticateAccessToken(pool, token);
+    if (!accessToken) {
+      securityLog('AUTH_FAILURE', { reason: 'Invalid access token', path: req.path }, req);
+      return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+
+    const path = req.originalUrl.split('?')[0];
+    const requiredScope = getRequiredScope(req.method, path);
+    if (!requiredScope || !accessToken.scopes.includes(requiredScope)) {
+      securityLog('ACCESS_DENIED', {
+        reason: 'Access token scope',
+        userId: accessToken.userId,
+        tokenId: accessToken.id,
+        requiredScope,
+        path
+      }, req);
+      return res.status(403).json({
+        error: requiredScope
+          ? `This access token needs the ${requiredScope} scope`
+          : 'Access tokens cannot be used for this request',
+        insufficientScope: true
+      });
+    }
+
+    req.user = {
+      userId: accessToken.userId,
+      tokenId: accessToken.id,
+      scopes: accessToken.scopes,
+      authMethod: 'access_token'
+    };
+    next();
+  } catch (err) {
+    logger.error('Access token authentication error', { error: sanitizeForLog(err.message) });
+    res.status(500).json({ error: 'Failed to check access token' });
+  }
+};
+
+/**
+ * Middleware to authenticate JWT tokens, or personal access tokens, which are
+ * limited to their scopes
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -17,6 +67,10 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (isAccessToken(token)) {
+    return authenticatePersonalAccessToken(token, req, res, next);
+  }
+
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
     if (err) {
       logger.error('JWT verification error', { error: sanitizeForLog(err.message) });
@@ -0,0 +1,90 @@
+const { pool } = require('../config/database');
+const { getListRole, hasListRole } = require('../services/listRole.service');
+const { logger, securityLog } = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/sanitization');
+
+// How to find the task list a route parameter belongs to. A null query means
+// the parameter is the task list ID itself.
+const TASK_LIST_SOURCES = {
+  taskList: { query: null, notFound: 'Task list not found' },
+  // Tasks in the trash are left alone until they are restored
+  task: { query: 'SELECT task_list_id FROM tasks WHERE id = $1 AND deleted_at IS NULL', notFound: 'Task not found' },
+  // Includes tasks in the trash, for restoring them
+  trashedTask: { query: 'SELECT task_list_id FROM tasks WHERE id = $1', notFound: 'Task not found' },
+  // The history outlives the task, so fall back to the list it was recorded under
+  taskHistory: {
+    query: `SELECT task_list_id FROM tasks WHERE id = $1
+            UNION ALL
+            SELECT task_list_id FROM task_events WHERE task_id = $1
+            LIMIT 1`,
+    notFound: 'Task not found'
+  },
+  project: { query: 'SELECT task_list_id FROM projects WHERE id = $1', notFound: 'Project not found' },
+  requester: { query: 'SELECT task_list_id FROM requesters WHERE id = $1', notFound: 'Requester not found' },
+  label: { query: 'SELECT task_list_id FROM labels WHERE id = $1', notFound: 'Label not found' },
+  taskStatus: { query: 'SELECT task_list_id FROM task_statuses WHERE id = $1', notFound: 'Status not found' },
+  customField: { query: 'SELECT task_list_id FROM custom_fields WHERE id = $1', notFound: 'Custom field not found' }
+};
+
+/**
+ * Middleware factory requiring the user to hold at least a role in the task
+ * list a route works on. Sets req.taskListId and req.listRole for the handler.
+ * @param {string} minimumRole - Required role (see LIST_PERMISSIONS)
+ * @param {Object} [options]
+ * @param {string} [options.source='taskList'] - Record type of the route parameter (see TASK_LIST_SOURCES)
+ * @param {string} [options.param='id'] - Route parameter holding the record ID
+ * @returns {Function} Express middleware
+ */
+const requireListRole = (minimumRole, { source = 'taskList', param = 'id' } = {}) => async (req, res, next) => {
+  try {
+    const { query, notFound } = TASK_LIST_SOURCES[source];
+    const recordId = req.params[param];
+
+    if (!/^\d+$/.test(recordId)) {
+      return res.status(404).json({ error: notFound });
+    }
+
+    let taskListId = parseInt(recordId);
+    if (query) {
+      const result = await pool.query(query, [recordId]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      taskListId = result.rows[0].task_list_id;
+    }
+
+    const role = await getListRole(pool, taskListId, req.user.userId);
+
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!hasListRole(role, minimumRole)) {
+      securityLog('ACCESS_DENIED', {
+        reason: 'Insufficient task list role',
+        taskListId,
+        role,
+        requiredRole: minimumRole,
+        path: req.path
+      }, req);
+      // Flagged so the client doesn't mistake it for a rejected token
+      return res.status(403).json({
+        error: `This action requires the ${minimumRole} role or higher`,
+        insufficientRole: true
+      });
+    }
+
+    req.taskListId = taskListId;
+    req.listRole = role;
+    next();
+  } catch (error) {
+    logger.error('List role check error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+module.exports = {
+  requireListRole
+};
@@ -30,8 +30,18 @@ const queueLimiter = rateLimit({
   message: { error: 'Too many queue operations, please try again later' }
 });
 
+/**
+ * Rate limiter for file uploads
+ */
+const uploadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: isDevelopment ? 200 : 30,
+  message: { error: 'Too many uploads, please try again later' }
+});
+
 module.exports = {
   limiter,
   authLimiter,
-  queueLimiter
+  queueLimiter,
+  uploadLimiter
 };
@@ -0,0 +1,120 @@
+/**
+ * Initial schema: the tables previously created by initDatabase()
+ * Uses IF NOT EXISTS so databases created before migrations can be baselined
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      refresh_token VARCHAR(500),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS task_lists (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      invite_code VARCHAR(50) UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS task_list_members (
+      id SERIAL PRIMARY KEY,
+      task_list_id INTEGER REFERENCES task_lists(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      role VARCHAR(20) DEFAULT 'member',
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(task_list_id, user_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS projects (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      task_list_id INTEGER REFERENCES task_lists(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS requesters (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      task_list_id INTEGER REFERENCES task_lists(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS tasks (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      status BOOLEAN DEFAULT FALSE,
+      priority VARCHAR(20) DEFAULT 'medium',
+      due_date DATE,
+      estimated_hours DECIMAL(5,2),
+      task_list_id INTEGER REFERENCES task_lists(id) ON DELETE CASCADE,
+      project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+      requester_id INTEGER REFERENCES requesters(id) ON DELETE SET NULL,
+      assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+      task_list_id INTEGER REFERENCES task_lists(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      message TEXT NOT NULL,
+      read BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS user_task_queue (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+      queue_position INTEGER NOT NULL,
+      added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, task_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tasks_list_id ON tasks(task_list_id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+    CREATE INDEX IF NOT EXISTS idx_task_list_members_user ON task_list_members(user_id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_assigned_to ON tasks(assigned_to);
+    CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
+    CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(read);
+    CREATE INDEX IF NOT EXISTS idx_user_task_queue_user ON user_task_queue(user_id);
+    CREATE INDEX IF NOT EXISTS idx_user_task_queue_position ON user_task_queue(user_id, queue_position);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS user_task_queue;
+    DROP TABLE IF EXISTS notifications;
+    DROP TABLE IF EXISTS tasks;
+    DROP TABLE IF EXISTS requesters;
+    DROP TABLE IF EXISTS projects;
+    DROP TABLE IF EXISTS task_list_members;
+    DROP TABLE IF EXISTS task_lists;
+    DROP TABLE IF EXISTS users;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+/**
+ * Columns and tables the routes rely on that the initial schema never created
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url VARCHAR(500);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS dark_mode_preference BOOLEAN DEFAULT FALSE;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+    ALTER TABLE tasks ADD COLUMN IF NOT EXISTS day_assigned VARCHAR(20);
+    ALTER TABLE tasks ALTER COLUMN due_date TYPE TIMESTAMP USING due_date::timestamp;
+
+    CREATE TABLE IF NOT EXISTS task_reminders (
+      id SERIAL PRIMARY KEY,
+      task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      reminder_type VARCHAR(20) NOT NULL,
+      time_value INTEGER NOT NULL,
+      time_unit VARCHAR(20) NOT NULL,
+      reminder_datetime TIMESTAMP NOT NULL,
+      is_sent BOOLEAN DEFAULT FALSE,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_reminders_task ON task_reminders(task_id);
+    CREATE INDEX IF NOT EXISTS idx_task_reminders_pending ON task_reminders(is_sent, reminder_datetime);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS task_reminders;
+
+    ALTER TABLE tasks ALTER COLUMN due_date TYPE DATE USING due_date::date;
+    ALTER TABLE tasks DROP COLUMN IF EXISTS day_assigned;
+
+    ALTER TABLE users DROP COLUMN IF EXISTS updated_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS dark_mode_preference;
+    ALTER TABLE users DROP COLUMN IF EXISTS avatar_url;
+  `);
+};
+
+module.exports = { up, down };
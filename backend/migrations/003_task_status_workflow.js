@@ -0,0 +1,70 @@
+/**
+ * Replace the boolean tasks.status with per-list workflow states
+ * Existing lists get Backlog → In Progress → In Review → Done; completed tasks map to Done
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE task_statuses (
+      id SERIAL PRIMARY KEY,
+      task_list_id INTEGER NOT NULL REFERENCES task_lists(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      category VARCHAR(20) NOT NULL CHECK (category IN ('todo', 'active', 'done')),
+      color VARCHAR(7),
+      position INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(task_list_id, name)
+    );
+
+    CREATE INDEX idx_task_statuses_list ON task_statuses(task_list_id, position);
+
+    INSERT INTO task_statuses (task_list_id, name, category, color, position)
+    SELECT tl.id, s.name, s.category, s.color, s.position
+    FROM task_lists tl
+    CROSS JOIN (VALUES
+      ('Backlog', 'todo', '#6b7280', 1),
+      ('In Progress', 'active', '#3b82f6', 2),
+      ('In Review', 'active', '#8b5cf6', 3),
+      ('Done', 'done', '#22c55e', 4)
+    ) AS s(name, category, color, position);
+
+    ALTER TABLE tasks ADD COLUMN status_id INTEGER REFERENCES task_statuses(id) ON DELETE SET NULL;
+
+    UPDATE tasks t
+    SET status_id = ts.id
+    FROM task_statuses ts
+    WHERE ts.task_list_id = t.task_list_id
+      AND ts.name = CASE WHEN t.status THEN 'Done' ELSE 'Backlog' END;
+
+    DROP INDEX IF EXISTS idx_tasks_status;
+    ALTER TABLE tasks DROP COLUMN status;
+    CREATE INDEX idx_tasks_status_id ON tasks(status_id);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE tasks ADD COLUMN status BOOLEAN DEFAULT FALSE;
+
+    UPDATE tasks t
+    SET status = (ts.category = 'done')
+    FROM task_statuses ts
+    WHERE t.status_id = ts.id;
+
+    DROP INDEX IF EXISTS idx_tasks_status_id;
+    ALTER TABLE tasks DROP COLUMN status_id;
+    CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+
+    DROP TABLE task_statuses;
+  `);
+};
+
+module.exports = { up, down };
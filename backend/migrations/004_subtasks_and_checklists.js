@@ -0,0 +1,45 @@
+/**
+ * Add subtasks (tasks with a parent_task_id) and per-task checklist items
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE tasks ADD COLUMN parent_task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE;
+    CREATE INDEX idx_tasks_parent_task_id ON tasks(parent_task_id);
+
+    CREATE TABLE task_checklist_items (
+      id SERIAL PRIMARY KEY,
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      content VARCHAR(500) NOT NULL,
+      is_completed BOOLEAN DEFAULT FALSE,
+      position INTEGER NOT NULL,
+      completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      completed_at TIMESTAMP,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_task_checklist_items_task ON task_checklist_items(task_id, position);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE task_checklist_items;
+
+    DELETE FROM tasks WHERE parent_task_id IS NOT NULL;
+    DROP INDEX IF EXISTS idx_tasks_parent_task_id;
+    ALTER TABLE tasks DROP COLUMN parent_task_id;
+  `);
+};
+
+module.exports = { up, down };
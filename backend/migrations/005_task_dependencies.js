@@ -0,0 +1,34 @@
+/**
+ * Add task_dependencies: a task is blocked by the tasks it depends on
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE task_dependencies (
+      id SERIAL PRIMARY KEY,
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      depends_on_task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(task_id, depends_on_task_id),
+      CHECK (task_id <> depends_on_task_id)
+    );
+
+    CREATE INDEX idx_task_dependencies_task ON task_dependencies(task_id);
+    CREATE INDEX idx_task_dependencies_depends_on ON task_dependencies(depends_on_task_id);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query('DROP TABLE task_dependencies');
+};
+
+module.exports = { up, down };
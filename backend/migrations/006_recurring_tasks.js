@@ -0,0 +1,46 @@
+/**
+ * Add recurrence rules; each generated instance is a regular task linked to its rule
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE task_recurrence_rules (
+      id SERIAL PRIMARY KEY,
+      task_list_id INTEGER NOT NULL REFERENCES task_lists(id) ON DELETE CASCADE,
+      frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+      interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count >= 1),
+      weekdays INTEGER[] NOT NULL DEFAULT '{}',
+      anchor_date TIMESTAMP NOT NULL,
+      end_date TIMESTAMP,
+      max_occurrences INTEGER CHECK (max_occurrences >= 1),
+      occurrences_created INTEGER NOT NULL DEFAULT 1,
+      last_task_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_task_recurrence_rules_last_task ON task_recurrence_rules(last_task_id);
+
+    ALTER TABLE tasks ADD COLUMN recurrence_rule_id INTEGER REFERENCES task_recurrence_rules(id) ON DELETE SET NULL;
+    CREATE INDEX idx_tasks_recurrence_rule_id ON tasks(recurrence_rule_id);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_tasks_recurrence_rule_id;
+    ALTER TABLE tasks DROP COLUMN recurrence_rule_id;
+    DROP TABLE task_recurrence_rules;
+  `);
+};
+
+module.exports = { up, down };
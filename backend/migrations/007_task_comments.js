@@ -0,0 +1,35 @@
+/**
+ * Add task_comments; replies point at a top-level comment of the same task
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE task_comments (
+      id SERIAL PRIMARY KEY,
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      parent_comment_id INTEGER REFERENCES task_comments(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      content TEXT NOT NULL,
+      edited_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_task_comments_task ON task_comments(task_id, created_at);
+    CREATE INDEX idx_task_comments_parent ON task_comments(parent_comment_id);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query('DROP TABLE task_comments');
+};
+
+module.exports = { up, down };
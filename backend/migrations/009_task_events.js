@@ -0,0 +1,36 @@
+/**
+ * Add task_events, the per-task audit trail. Rows outlive their task so a
+ * deletion stays on record; they go with the task list.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE task_events (
+      id SERIAL PRIMARY KEY,
+      task_id INTEGER NOT NULL,
+      task_list_id INTEGER NOT NULL REFERENCES task_lists(id) ON DELETE CASCADE,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      event_type VARCHAR(30) NOT NULL,
+      field VARCHAR(50),
+      old_value TEXT,
+      new_value TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_task_events_task ON task_events(task_id, created_at);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query('DROP TABLE task_events');
+};
+
+module.exports = { up, down };
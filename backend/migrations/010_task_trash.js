@@ -0,0 +1,41 @@
+/**
+ * Soft-delete tasks into a per-list trash. Queue entries of trashed tasks
+ * are parked in task_trash_queue_entries so a restore can put them back.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE tasks ADD COLUMN deleted_at TIMESTAMP;
+    ALTER TABLE tasks ADD COLUMN deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+    CREATE INDEX idx_tasks_trash ON tasks(task_list_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+    CREATE TABLE task_trash_queue_entries (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      queue_position INTEGER NOT NULL,
+      added_at TIMESTAMP,
+      PRIMARY KEY (user_id, task_id)
+    );
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE task_trash_queue_entries;
+    DELETE FROM tasks WHERE deleted_at IS NOT NULL;
+    DROP INDEX idx_tasks_trash;
+    ALTER TABLE tasks DROP COLUMN deleted_by;
+    ALTER TABLE tasks DROP COLUMN deleted_at;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,85 @@
+/**
+ * Add full-text search over task names, descriptions and comments. The
+ * vectors live in their own table, kept up to date by triggers on tasks and
+ * task_comments, so they stay out of the task rows the API returns. Text is
+ * stored HTML-escaped, so it is unescaped before indexing.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE FUNCTION task_search_text(input TEXT) RETURNS TEXT AS $$
+      SELECT replace(replace(replace(replace(replace(replace(COALESCE(input, ''),
+        '&lt;', '<'), '&gt;', '>'), '&quot;', '"'), '&#x27;', ''''), '&#x2F;', '/'), '&amp;', '&')
+    $$ LANGUAGE SQL IMMUTABLE;
+
+    CREATE TABLE task_search_documents (
+      task_id INTEGER PRIMARY KEY REFERENCES tasks(id) ON DELETE CASCADE,
+      search_vector tsvector NOT NULL
+    );
+
+    CREATE INDEX idx_task_search_documents_vector ON task_search_documents USING GIN (search_vector);
+
+    CREATE FUNCTION refresh_task_search_document(changed_task_id INTEGER) RETURNS void AS $$
+    BEGIN
+      INSERT INTO task_search_documents (task_id, search_vector)
+      SELECT t.id,
+             setweight(to_tsvector('english', task_search_text(t.name)), 'A')
+          || setweight(to_tsvector('english', task_search_text(t.description)), 'B')
+          || setweight(to_tsvector('english', COALESCE(
+               (SELECT string_agg(task_search_text(c.content), ' ') FROM task_comments c WHERE c.task_id = t.id),
+               ''
+             )), 'C')
+      FROM tasks t
+      WHERE t.id = changed_task_id
+      ON CONFLICT (task_id) DO UPDATE SET search_vector = EXCLUDED.search_vector;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE FUNCTION tasks_search_document_trigger() RETURNS trigger AS $$
+    BEGIN
+      PERFORM refresh_task_search_document(NEW.id);
+      RETURN NULL;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER tasks_search_document_update
+      AFTER INSERT OR UPDATE OF name, description ON tasks
+      FOR EACH ROW EXECUTE FUNCTION tasks_search_document_trigger();
+
+    CREATE FUNCTION task_comments_search_document_trigger() RETURNS trigger AS $$
+    BEGIN
+      -- A comment deleted along with its task has nothing left to refresh
+      PERFORM refresh_task_search_document(CASE WHEN TG_OP = 'DELETE' THEN OLD.task_id ELSE NEW.task_id END);
+      RETURN NULL;
+    END
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER task_comments_search_document_update
+      AFTER INSERT OR UPDATE OF content OR DELETE ON task_comments
+      FOR EACH ROW EXECUTE FUNCTION task_comments_search_document_trigger();
+
+    SELECT refresh_task_search_document(id) FROM tasks;
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TRIGGER IF EXISTS task_comments_search_document_update ON task_comments;
+    DROP FUNCTION IF EXISTS task_comments_search_document_trigger();
+    DROP TRIGGER IF EXISTS tasks_search_document_update ON tasks;
+    DROP FUNCTION IF EXISTS tasks_search_document_trigger();
+    DROP FUNCTION IF EXISTS refresh_task_search_document(INTEGER);
+    DROP TABLE IF EXISTS task_search_documents;
+    DROP FUNCTION IF EXISTS task_search_text(TEXT);
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+/**
+ * Add saved_views, named task list filters owned by a user and optionally
+ * shared with the list, and each user's default view per list
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE saved_views (
+      id SERIAL PRIMARY KEY,
+      task_list_id INTEGER NOT NULL REFERENCES task_lists(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      filters JSONB NOT NULL DEFAULT '{}',
+      is_shared BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (task_list_id, user_id, name)
+    );
+
+    CREATE INDEX idx_saved_views_task_list ON saved_views(task_list_id);
+
+    CREATE TABLE saved_view_defaults (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      task_list_id INTEGER NOT NULL REFERENCES task_lists(id) ON DELETE CASCADE,
+      view_id INTEGER NOT NULL REFERENCES saved_views(id) ON DELETE CASCADE,
+      PRIMARY KEY (user_id, task_list_id)
+    );
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE saved_view_defaults;
+    DROP TABLE saved_views;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+/**
+ * Add labels, colored tags scoped to a task list, and task_labels linking
+ * them to tasks many-to-many
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE labels (
+      id SERIAL PRIMARY KEY,
+      task_list_id INTEGER NOT NULL REFERENCES task_lists(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      color VARCHAR(7) NOT NULL DEFAULT '#6b7280',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (task_list_id, name)
+    );
+
+    CREATE TABLE task_labels (
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      label_id INTEGER NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+      PRIMARY KEY (task_id, label_id)
+    );
+
+    CREATE INDEX idx_task_labels_label ON task_labels(label_id);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE task_labels;
+    DROP TABLE labels;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+/**
+ * Add custom_fields, typed fields defined per task list, and
+ * task_custom_field_values holding each task's value as JSON
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE custom_fields (
+      id SERIAL PRIMARY KEY,
+      task_list_id INTEGER NOT NULL REFERENCES task_lists(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      field_type VARCHAR(20) NOT NULL
+        CHECK (field_type IN ('text', 'number', 'date', 'single_select', 'multi_select', 'checkbox', 'url')),
+      options JSONB NOT NULL DEFAULT '[]',
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (task_list_id, name)
+    );
+
+    CREATE TABLE task_custom_field_values (
+      task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      field_id INTEGER NOT NULL REFERENCES custom_fields(id) ON DELETE CASCADE,
+      value JSONB NOT NULL,
+      PRIMARY KEY (task_id, field_id)
+    );
+
+    CREATE INDEX idx_task_custom_field_values_field ON task_custom_field_values(field_id);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE task_custom_field_values;
+    DROP TABLE custom_fields;
+  `);
+};
+
+module.exports = { up, down };
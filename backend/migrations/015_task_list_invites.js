@@ -0,0 +1,51 @@
+/**
+ * Add task_list_invites, extra invite codes per task list that can expire,
+ * run out of uses or be revoked, and task_list_invite_uses recording who
+ * joined with which code. A null invite_id means the list's primary code.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE task_list_invites (
+      id SERIAL PRIMARY KEY,
+      task_list_id INTEGER NOT NULL REFERENCES task_lists(id) ON DELETE CASCADE,
+      code VARCHAR(50) NOT NULL UNIQUE,
+      role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member', 'viewer')),
+      expires_at TIMESTAMP,
+      max_uses INTEGER CHECK (max_uses > 0),
+      use_count INTEGER NOT NULL DEFAULT 0,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP
+    );
+
+    CREATE INDEX idx_task_list_invites_list ON task_list_invites(task_list_id);
+
+    CREATE TABLE task_list_invite_uses (
+      id SERIAL PRIMARY KEY,
+      task_list_id INTEGER NOT NULL REFERENCES task_lists(id) ON DELETE CASCADE,
+      invite_id INTEGER REFERENCES task_list_invites(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_task_list_invite_uses_invite ON task_list_invite_uses(invite_id);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE task_list_invite_uses;
+    DROP TABLE task_list_invites;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+/**
+ * Let invites be sent to an email address. Such an invite can only be
+ * accepted by the user with that address.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE task_list_invites ADD COLUMN email VARCHAR(255);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE task_list_invites DROP COLUMN email;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+/**
+ * Replace the single users.refresh_token with one row per signed-in device,
+ * so signing in on one device no longer signs out the others. Each session
+ * stores hashes of its current and previous refresh token only; existing
+ * tokens are dropped, so everyone signs in again once.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) NOT NULL,
+      previous_token_hash VARCHAR(64),
+      rotated_at TIMESTAMP,
+      device_label VARCHAR(255),
+      ip_address VARCHAR(64),
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(50)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+
+    ALTER TABLE users DROP COLUMN IF EXISTS refresh_token;
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS refresh_token VARCHAR(500);
+
+    DROP TABLE IF EXISTS user_sessions;
+  `);
+};
+
+module.exports = { up, down };
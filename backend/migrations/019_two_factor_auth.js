@@ -0,0 +1,44 @@
+/**
+ * Optional TOTP two-factor authentication. A secret is stored on the user
+ * while enrolling and counts as enabled once totp_enabled_at is set;
+ * totp_last_step remembers the last accepted code so it can't be replayed.
+ * Recovery codes are stored hashed, one row each.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS user_recovery_codes;
+
+    ALTER TABLE users DROP COLUMN IF EXISTS totp_last_step;
+    ALTER TABLE users DROP COLUMN IF EXISTS totp_enabled_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS totp_secret;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+/**
+ * OpenID Connect single sign-on. user_identities links an account to a
+ * subject at an identity provider; oidc_login_requests holds the state,
+ * nonce and PKCE verifier of a sign-in in progress and, once the provider
+ * sends the user back, the hash of the one-time code the web app exchanges
+ * for tokens.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_identities (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      issuer VARCHAR(255) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_login_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (issuer, subject)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+
+    CREATE TABLE IF NOT EXISTS oidc_login_requests (
+      id SERIAL PRIMARY KEY,
+      state VARCHAR(64) UNIQUE NOT NULL,
+      nonce VARCHAR(64) NOT NULL,
+      code_verifier VARCHAR(128) NOT NULL,
+      invite_code VARCHAR(32),
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      handoff_hash VARCHAR(64) UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS oidc_login_requests;
+    DROP TABLE IF EXISTS user_identities;
+  `);
+};
+
+module.exports = { up, down };
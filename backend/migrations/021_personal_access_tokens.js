@@ -0,0 +1,40 @@
+/**
+ * Personal access tokens, which let scripts and integrations call the API as
+ * a user. Only a hash of each token is stored, with its first characters
+ * kept so the user can tell tokens apart; scopes limit what a token may do.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS personal_access_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      token_prefix VARCHAR(16) NOT NULL,
+      scopes TEXT[] NOT NULL,
+      expires_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user ON personal_access_tokens(user_id);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS personal_access_tokens;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+/**
+ * Single sign-on no longer carries an invite code through the identity
+ * provider; the web app keeps it and sends it when it redeems the sign-in.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE oidc_login_requests DROP COLUMN IF EXISTS invite_code;
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE oidc_login_requests ADD COLUMN IF NOT EXISTS invite_code VARCHAR(32);
+  `);
+};
+
+module.exports = { up, down };
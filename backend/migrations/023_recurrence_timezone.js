@@ -0,0 +1,26 @@
+/**
+ * Keep the timezone a recurrence was set up in, so its weekdays and day of
+ * month are stepped on the user's calendar rather than the server's
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE task_recurrence_rules ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE task_recurrence_rules DROP COLUMN IF EXISTS timezone;
+  `);
+};
+
+module.exports = { up, down };
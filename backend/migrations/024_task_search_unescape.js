@@ -0,0 +1,39 @@
+/**
+ * Unescape backslashes and backticks in search text as well. validator's
+ * escape writes them as &#x5C; and &#96;, which were left in the search
+ * vectors and highlighted snippets. The replacements follow the order of
+ * validator's unescape, with &amp; last.
+ */
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const up = async (client) => {
+  await client.query(`
+    CREATE OR REPLACE FUNCTION task_search_text(input TEXT) RETURNS TEXT AS $$
+      SELECT replace(replace(replace(replace(replace(replace(replace(replace(COALESCE(input, ''),
+        '&quot;', '"'), '&#x27;', ''''), '&lt;', '<'), '&gt;', '>'), '&#x2F;', '/'),
+        '&#x5C;', '\\'), '&#96;', '\`'), '&amp;', '&')
+    $$ LANGUAGE SQL IMMUTABLE;
+
+    SELECT refresh_task_search_document(id) FROM tasks;
+  `);
+};
+
+/**
+ * @param {Object} client - Database client
+ * @returns {Promise<void>}
+ */
+const down = async (client) => {
+  await client.query(`
+    CREATE OR REPLACE FUNCTION task_search_text(input TEXT) RETURNS TEXT AS $$
+      SELECT replace(replace(replace(replace(replace(replace(COALESCE(input, ''),
+        '&lt;', '<'), '&gt;', '>'), '&quot;', '"'), '&#x27;', ''''), '&#x2F;', '/'), '&amp;', '&')
+    $$ LANGUAGE SQL IMMUTABLE;
+
+    SELECT refresh_task_search_document(id) FROM tasks;
+  `);
+};
+
+module.exports = { up, down };
@@ -1,7 +1,124 @@
 const Joi = require('joi');
+const { ACCESS_TOKEN_SCOPES } = require('../services/accessToken.service');
+
+const recurrence = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required().messages({
+    'any.only': 'Frequency must be one of: daily, weekly, monthly',
+    'any.required': 'Frequency is required'
+  }),
+  interval: Joi.number().integer().min(1).max(365).default(1).messages({
+    'number.base': 'Interval must be a number',
+    'number.min': 'Interval must be at least 1',
+    'number.max': 'Interval cannot exceed 365'
+  }),
+  weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().default([]).messages({
+    'number.min': 'Weekdays must be between 0 (Sunday) and 6 (Saturday)',
+    'number.max': 'Weekdays must be between 0 (Sunday) and 6 (Saturday)'
+  }),
+  endDate: Joi.string().isoDate().allow(null).messages({
+    'date.format': 'Please enter a valid end date'
+  }),
+  count: Joi.number().integer().min(1).allow(null).messages({
+    'number.min': 'Occurrence count must be at least 1'
+  }),
+  // IANA name, e.g. "Australia/Sydney"
+  timezone: Joi.string().max(64).allow(null).custom((value, helpers) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+    } catch {
+      return helpers.message('Timezone must be a valid IANA timezone');
+    }
+    return value;
+  })
+}).custom((value, helpers) => {
+  if (value.endDate && value.count) {
+    return helpers.message('A recurrence can end on a date or after a number of occurrences, not both');
+  }
+  return value;
+});
+
+// Custom fields are sorted by "cf<field ID>"
+const taskSortBy = Joi.string()
+  .pattern(/^(id|name|priority|requester|project|assignedTo|dueDate|reminder|createdAt|cf\d+)$/)
+  .messages({
+    'string.pattern.base': 'sortBy must be one of: id, name, priority, requester, project, assignedTo, dueDate, reminder, createdAt, or a custom field'
+  });
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'single_select', 'multi_select', 'checkbox', 'url'];
+
+const customFieldDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+  'string.pattern.base': '{#label} must be a date like 2024-01-31'
+});
+
+/**
+ * Schema for the value of one custom field
+ * @param {Object} field - Custom field definition
+ * @returns {Object} Joi schema
+ */
+const customFieldValue = (field) => {
+  switch (field.field_type) {
+    case 'text':
+      return Joi.string().max(1000).allow('');
+    case 'number':
+      return Joi.number();
+    case 'date':
+      return customFieldDate;
+    case 'single_select':
+      return Joi.string().valid(...field.options);
+    case 'multi_select':
+      return Joi.array().items(Joi.string().valid(...field.options).label(`${field.name} option`)).unique();
+    case 'checkbox':
+      return Joi.boolean();
+    case 'url':
+      return Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).messages({
+        'string.uriCustomScheme': '{#label} must be an http or https URL'
+      });
+    default:
+      return Joi.forbidden();
+  }
+};
+
+/**
+ * Build the schema for a task's custom field values from its list's field
+ * definitions. Keys are field IDs; null clears a value.
+ * @param {Array} fields - Custom field definitions of the task list
+ * @returns {Object} Joi schema
+ */
+const buildCustomFieldValuesSchema = (fields) => Joi.object(
+  Object.fromEntries(fields.map(field => [field.id, customFieldValue(field).allow(null).label(field.name)]))
+).messages({
+  'object.unknown': 'Custom field {#label} does not belong to this task list'
+});
+
+/**
+ * Build the schema for custom field filters in a task query, keyed by
+ * "cf<field ID>". Text and URL fields match a substring, multi-selects one
+ * of their options, and the other types an exact value.
+ * @param {Array} fields - Custom field definitions of the task list
+ * @returns {Object} Joi schema
+ */
+const buildCustomFieldFilterSchema = (fields) => Joi.object(
+  Object.fromEntries(fields.map(field => {
+    let filter;
+    if (field.field_type === 'text' || field.field_type === 'url') {
+      filter = Joi.string().trim().max(200);
+    } else if (field.field_type === 'multi_select') {
+      filter = Joi.string().valid(...field.options);
+    } else {
+      filter = customFieldValue(field);
+    }
+    return [`cf${field.id}`, filter.label(field.name)];
+  }))
+).messages({
+  'object.unknown': 'Custom field filter {#label} does not belong to this task list'
+});
+
+const taskSortDirection = Joi.string().valid('asc', 'desc').messages({
+  'any.only': 'sortDirection must be asc or desc'
+});
 
 /**
- * Validation schemas for request bodies
+ * Validation schemas for request bodies and query strings
  */
 const schemas = {
   task: Joi.object({
@@ -31,7 +148,110 @@ const schemas = {
       'number.max': 'Estimated hours cannot exceed 999.99'
     }),
     dayAssigned: Joi.string().allow(null),
-    status: Joi.boolean()
+    statusId: Joi.number().integer().allow(null),
+    status_id: Joi.number().integer().allow(null),
+    force: Joi.boolean(),
+    recurrence: recurrence.allow(null),
+    labelIds: Joi.array().items(Joi.number().integer()).unique().max(20).messages({
+      'array.unique': 'A label can only be added to a task once',
+      'array.max': 'A task can have at most 20 labels'
+    }),
+    // Checked against the list's field definitions with buildCustomFieldValuesSchema
+    customFields: Joi.object()
+  }),
+
+  recurrence,
+
+  taskQuery: Joi.object({
+    search: Joi.string().trim().max(200).allow(''),
+    projectId: Joi.number().integer(),
+    requesterId: Joi.number().integer(),
+    assignedTo: Joi.number().integer(),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent').messages({
+      'any.only': 'Priority must be one of: low, medium, high, urgent'
+    }),
+    statusId: Joi.number().integer(),
+    labelIds: Joi.string().pattern(/^\d+(,\d+)*$/).messages({
+      'string.pattern.base': 'labelIds must be a comma-separated list of label IDs'
+    }),
+    labelMode: Joi.string().valid('any', 'all').default('any').messages({
+      'any.only': 'labelMode must be any or all'
+    }),
+    dueFrom: Joi.string().isoDate().messages({
+      'string.isoDate': 'dueFrom must be a valid date'
+    }),
+    dueTo: Joi.string().isoDate().messages({
+      'string.isoDate': 'dueTo must be a valid date'
+    }),
+    sortBy: taskSortBy.default('id'),
+    sortDirection: taskSortDirection.default('desc'),
+    cursor: Joi.string().max(1000),
+    limit: Joi.number().integer().min(1).max(100).default(50).messages({
+      'number.max': 'limit cannot exceed 100'
+    })
+  }).pattern(/^cf\d+$/, Joi.string().max(200)),
+
+  // Filters are stored by ID, so a view survives renamed members, projects and statuses
+  savedView: Joi.object({
+    name: Joi.string().trim().min(1).max(100).messages({
+      'string.empty': 'View name is required',
+      'string.max': 'View name must be less than 100 characters',
+      'any.required': 'View name is required'
+    }),
+    filters: Joi.object({
+      search: Joi.string().trim().max(200).allow(''),
+      projectId: Joi.number().integer().allow(null),
+      requesterId: Joi.number().integer().allow(null),
+      assignedTo: Joi.number().integer().allow(null),
+      priority: Joi.string().valid('low', 'medium', 'high', 'urgent').allow(null),
+      statusId: Joi.number().integer().allow(null),
+      labelIds: Joi.array().items(Joi.number().integer()).unique(),
+      labelMode: Joi.string().valid('any', 'all'),
+      customFields: Joi.object().pattern(/^\d+$/, Joi.alternatives().try(Joi.string().max(200), Joi.number(), Joi.boolean())),
+      dueFrom: Joi.string().isoDate().allow(null),
+      dueTo: Joi.string().isoDate().allow(null),
+      sortBy: taskSortBy,
+      sortDirection: taskSortDirection
+    }),
+    isShared: Joi.boolean()
+  }),
+
+  searchQuery: Joi.object({
+    q: Joi.string().trim().min(2).max(200).required().messages({
+      'string.empty': 'Search terms are required',
+      'string.min': 'Search terms must be at least 2 characters',
+      'string.max': 'Search terms must be less than 200 characters',
+      'any.required': 'Search terms are required'
+    }),
+    limit: Joi.number().integer().min(1).max(50).default(20).messages({
+      'number.max': 'limit cannot exceed 50'
+    })
+  }),
+
+  taskDependency: Joi.object({
+    dependsOnTaskId: Joi.number().integer().required().messages({
+      'number.base': 'dependsOnTaskId must be a task ID',
+      'any.required': 'dependsOnTaskId is required'
+    })
+  }),
+
+  checklistItem: Joi.object({
+    content: Joi.string().trim().min(1).max(500).messages({
+      'string.empty': 'Checklist item content is required',
+      'string.max': 'Checklist item must be less than 500 characters',
+      'any.required': 'Checklist item content is required'
+    }),
+    isCompleted: Joi.boolean(),
+    position: Joi.number().integer().min(1)
+  }),
+
+  comment: Joi.object({
+    content: Joi.string().trim().min(1).max(5000).required().messages({
+      'string.empty': 'Comment cannot be empty',
+      'string.max': 'Comment must be less than 5000 characters',
+      'any.required': 'Comment cannot be empty'
+    }),
+    parentCommentId: Joi.number().integer().allow(null)
   }),
 
   taskList: Joi.object({
@@ -45,6 +265,115 @@ const schemas = {
     })
   }),
 
+  // Owners are set by transferring ownership, never by a role change
+  memberRole: Joi.object({
+    role: Joi.string().valid('admin', 'member', 'viewer').required().messages({
+      'any.only': 'Role must be one of: admin, member, viewer',
+      'any.required': 'Role is required'
+    })
+  }),
+
+  // Left-out limits mean the invite never expires or runs out
+  taskListInvite: Joi.object({
+    role: Joi.string().valid('admin', 'member', 'viewer').default('member').messages({
+      'any.only': 'Role must be one of: admin, member, viewer'
+    }),
+    expiresInHours: Joi.number().integer().min(1).max(8760).allow(null).default(null).messages({
+      'number.min': 'Invites must last at least an hour',
+      'number.max': 'Invites can last at most a year'
+    }),
+    maxUses: Joi.number().integer().min(1).max(1000).allow(null).default(null).messages({
+      'number.min': 'Invites must allow at least one use',
+      'number.max': 'Invites can allow at most 1000 uses'
+    })
+  }),
+
+  emailInvite: Joi.object({
+    email: Joi.string().trim().lowercase().email().max(255).required().messages({
+      'string.email': 'Please enter a valid email address',
+      'string.empty': 'Email is required',
+      'any.required': 'Email is required'
+    }),
+    role: Joi.string().valid('admin', 'member', 'viewer').default('member').messages({
+      'any.only': 'Role must be one of: admin, member, viewer'
+    })
+  }),
+
+  ownershipTransfer: Joi.object({
+    userId: Joi.number().integer().positive().required().messages({
+      'number.base': 'New owner must be a user ID',
+      'any.required': 'New owner is required'
+    })
+  }),
+
+  accessToken: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      'string.empty': 'Token name is required',
+      'string.max': 'Token name must be less than 100 characters',
+      'any.required': 'Token name is required'
+    }),
+    scopes: Joi.array().items(Joi.string().valid(...Object.keys(ACCESS_TOKEN_SCOPES))).min(1).unique().required().messages({
+      'any.only': `Scopes must be among: ${Object.keys(ACCESS_TOKEN_SCOPES).join(', ')}`,
+      'array.min': 'Choose at least one scope',
+      'array.unique': 'Scopes must not repeat',
+      'any.required': 'Choose at least one scope'
+    }),
+    // Left out means the token never expires
+    expiresInDays: Joi.number().integer().min(1).max(365).allow(null).default(null).messages({
+      'number.min': 'Tokens must last at least a day',
+      'number.max': 'Tokens can last at most a year'
+    })
+  }),
+
+  taskStatus: Joi.object({
+    name: Joi.string().trim().min(1).max(100).messages({
+      'string.empty': 'Status name is required',
+      'string.max': 'Status name must be less than 100 characters',
+      'any.required': 'Status name is required'
+    }),
+    category: Joi.string().valid('todo', 'active', 'done').messages({
+      'any.only': 'Category must be one of: todo, active, done',
+      'any.required': 'Category is required'
+    }),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null).messages({
+      'string.pattern.base': 'Color must be a hex value like #3b82f6'
+    })
+  }),
+
+  customField: Joi.object({
+    name: Joi.string().trim().min(1).max(100).messages({
+      'string.empty': 'Field name is required',
+      'string.max': 'Field name must be less than 100 characters',
+      'any.required': 'Field name is required'
+    }),
+    fieldType: Joi.string().valid(...CUSTOM_FIELD_TYPES).messages({
+      'any.only': `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`,
+      'any.required': 'Field type is required'
+    }),
+    options: Joi.array().items(Joi.string().trim().min(1).max(100)).unique().max(50)
+      .when('fieldType', {
+        is: Joi.valid('single_select', 'multi_select'),
+        then: Joi.array().min(1).required()
+      })
+      .messages({
+        'array.unique': 'Options must be unique',
+        'array.min': 'A select field needs at least one option',
+        'array.max': 'A select field can have at most 50 options',
+        'any.required': 'A select field needs at least one option'
+      })
+  }),
+
+  label: Joi.object({
+    name: Joi.string().trim().min(1).max(50).messages({
+      'string.empty': 'Label name is required',
+      'string.max': 'Label name must be less than 50 characters',
+      'any.required': 'Label name is required'
+    }),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).messages({
+      'string.pattern.base': 'Color must be a hex value like #3b82f6'
+    })
+  }),
+
   reminder: Joi.object({
     reminderType: Joi.string().valid('predefined', 'custom').required().messages({
       'any.only': 'Reminder type must be either predefined or custom',
@@ -63,5 +392,8 @@ const schemas = {
 };
 
 module.exports = {
-  schemas
+  schemas,
+  CUSTOM_FIELD_TYPES,
+  buildCustomFieldValuesSchema,
+  buildCustomFieldFilterSchema
 };
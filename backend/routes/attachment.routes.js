@@ -0,0 +1,251 @@
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { getStorage } = require('../services/storage');
+const {
+  MAX_ATTACHMENT_BYTES,
+  ALLOWED_MIME_TYPES,
+  getTaskAttachments,
+  getTaskAttachment,
+  removeStoredFiles
+} = require('../services/attachment.service');
+const { LIST_PERMISSIONS, hasListRole } = require('../services/listRole.service');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+// Files are buffered in memory and handed to the storage driver afterwards
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+const parseUpload = (req, res) => new Promise((resolve, reject) => {
+  upload(req, res, (error) => (error ? reject(error) : resolve()));
+});
+
+// Get a task and the user's role in its task list, if the role is at least
+// minimumRole. Tasks in the trash are not found.
+const getAccessibleTask = async (taskId, userId, minimumRole = LIST_PERMISSIONS.view) => {
+  if (!/^\d+$/.test(taskId)) {
+    return { status: 404, error: 'Task not found' };
+  }
+
+  const taskResult = await pool.query('SELECT id, task_list_id FROM tasks WHERE id = $1 AND deleted_at IS NULL', [taskId]);
+
+  if (taskResult.rows.length === 0) {
+    return { status: 404, error: 'Task not found' };
+  }
+
+  const task = taskResult.rows[0];
+
+  const memberCheck = await pool.query(
+    'SELECT role FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
+    [task.task_list_id, userId]
+  );
+
+  if (memberCheck.rows.length === 0) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  const { role } = memberCheck.rows[0];
+
+  if (!hasListRole(role, minimumRole)) {
+    return { status: 403, error: `This action requires the ${minimumRole} role or higher`, insufficientRole: true };
+  }
+
+  return { task, role };
+};
+
+// Get attachments of a task
+router.get('/tasks/:id/attachments', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const access = await getAccessibleTask(id, req.user.userId);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    res.json(await getTaskAttachments(pool, id));
+  } catch (error) {
+    logger.error('Get attachments error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+// Upload an attachment to a task
+router.post('/tasks/:id/attachments', authenticateToken, uploadLimiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check access before reading the body, so viewers and non-members cannot push files into memory
+    const access = await getAccessibleTask(id, req.user.userId, LIST_PERMISSIONS.editTasks);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error, insufficientRole: access.insufficientRole });
+    }
+
+    try {
+      await parseUpload(req, res);
+    } catch (uploadError) {
+      if (uploadError.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: `File is too large; the limit is ${Math.floor(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB`
+        });
+      }
+      if (uploadError.code === 'UNSUPPORTED_FILE_TYPE' || uploadError instanceof multer.MulterError) {
+        return res.status(400).json({ error: uploadError.message });
+      }
+      throw uploadError;
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required' });
+    }
+
+    const fileName = sanitizeInput(req.file.originalname).slice(0, 255) || 'attachment';
+    const storageKey = `tasks/${id}/${crypto.randomUUID()}`;
+
+    await getStorage().put(storageKey, req.file.buffer, req.file.mimetype);
+
+    let attachmentId;
+    try {
+      const result = await pool.query(
+        `INSERT INTO task_attachments (task_id, file_name, mime_type, size_bytes, storage_key, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [id, fileName, req.file.mimetype, req.file.size, storageKey, req.user.userId]
+      );
+      attachmentId = result.rows[0].id;
+    } catch (dbError) {
+      // Don't leave an orphaned file behind
+      await removeStoredFiles([storageKey]);
+      throw dbError;
+    }
+
+    const attachment = await getTaskAttachment(pool, id, attachmentId);
+    delete attachment.storage_key;
+
+    logger.info('Attachment uploaded', {
+      attachmentId: sanitizeForLog(attachmentId),
+      taskId: sanitizeForLog(id),
+      sizeBytes: req.file.size
+    });
+
+    if (io) {
+      io.to(`taskList_${access.task.task_list_id}`).emit('attachmentCreated', attachment);
+    }
+
+    res.status(201).json(attachment);
+  } catch (error) {
+    logger.error('Upload attachment error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+});
+
+// Download an attachment
+router.get('/tasks/:id/attachments/:attachmentId/download', authenticateToken, async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    const access = await getAccessibleTask(id, req.user.userId);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const attachment = await getTaskAttachment(pool, id, attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const stream = await getStorage().getStream(attachment.storage_key);
+
+    // Only images are shown inline; everything else downloads
+    const disposition = attachment.mime_type.startsWith('image/') ? 'inline' : 'attachment';
+    const fileName = encodeURIComponent(attachment.file_name);
+
+    res.setHeader('Content-Type', attachment.mime_type);
+    res.setHeader('Content-Length', attachment.size_bytes);
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${fileName}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+
+    stream.on('error', (streamError) => {
+      logger.error('Attachment stream error', {
+        attachmentId: sanitizeForLog(attachmentId),
+        error: sanitizeForLog(streamError.message)
+      });
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+      return res.status(404).json({ error: 'Attachment file is missing' });
+    }
+    logger.error('Download attachment error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Delete an attachment (uploader or list owner)
+router.delete('/tasks/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    const access = await getAccessibleTask(id, req.user.userId, LIST_PERMISSIONS.editTasks);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error, insufficientRole: access.insufficientRole });
+    }
+
+    const attachment = await getTaskAttachment(pool, id, attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (attachment.uploaded_by !== req.user.userId && !hasListRole(access.role, LIST_PERMISSIONS.deleteAnyTask)) {
+      return res.status(403).json({
+        error: 'Only the uploader or a list admin can delete this attachment',
+        insufficientRole: true
+      });
+    }
+
+    await pool.query('DELETE FROM task_attachments WHERE id = $1', [attachmentId]);
+    await removeStoredFiles([attachment.storage_key]);
+
+    logger.info('Attachment deleted', { attachmentId: sanitizeForLog(attachmentId) });
+
+    if (io) {
+      io.to(`taskList_${access.task.task_list_id}`).emit('attachmentDeleted', {
+        id: attachment.id,
+        task_id: attachment.task_id
+      });
+    }
+
+    res.json({ message: 'Attachment deleted' });
+  } catch (error) {
+    logger.error('Delete attachment error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+module.exports = router;
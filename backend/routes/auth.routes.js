@@ -1,21 +1,99 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
 const { authLimiter } = require('../middleware/rateLimiter');
 const { authenticateToken } = require('../middleware/auth');
-const { validatePassword, generateTokens } = require('../services/auth.service');
+const {
+  validatePassword,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../services/auth.service');
+const { createUserSession, rotateUserSession, endSessionWithToken } = require('../services/userSession.service');
+const { joinTaskListWithCode } = require('../services/inviteCode.service');
+const { emitMembersUpdated } = require('../services/listMember.service');
+const { verifyTwoFactorCode } = require('../services/twoFactor.service');
+const {
+  LOGIN_REQUEST_TTL_MINUTES,
+  getOidcConfig,
+  beginOidcLogin,
+  isExpectedState,
+  handleOidcCallback,
+  completeOidcLogin
+} = require('../services/oidc.service');
+const {
+  PASSWORD_RESET_EXPIRY_MINUTES,
+  createPasswordResetToken,
+  resetPasswordWithToken
+} = require('../services/passwordReset.service');
+const { getAppUrl, sendMail } = require('../services/mail');
 const { sanitizeInput } = require('../utils/sanitization');
-const { isEmail: validateEmailFormat } = require('../utils/validation');
-const { logger, securityLog, trackFailedLogin, resetFailedLoginAttempts } = require('../utils/logger');
+const { isEmail: validateEmailFormat, unescape } = require('../utils/validation');
+const {
+  logger,
+  securityLog,
+  trackFailedLogin,
+  getLoginLockStatus,
+  resetFailedLoginAttempts
+} = require('../utils/logger');
 const { sanitizeForLog } = require('../utils/sanitization');
+const { disconnectSession, disconnectUserSessions } = require('../websocket/socketHandlers');
 
 const router = express.Router();
 
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+/**
+ * Join the task list of an invite link the user signed in or registered
+ * through. A bad invite doesn't fail the sign-in; it is reported alongside.
+ * @param {number} userId - User who signed in
+ * @param {string} [inviteCode] - Code from the invite link
+ * @returns {Promise<Object>} { joinedTaskList } or { inviteError }, empty without a code
+ */
+const acceptInviteOnSignIn = async (userId, inviteCode) => {
+  if (!inviteCode || typeof inviteCode !== 'string') {
+    return {};
+  }
+
+  try {
+    const { taskList, error } = await joinTaskListWithCode(pool, inviteCode, userId);
+    if (error) {
+      return { inviteError: error };
+    }
+
+    await emitMembersUpdated(pool, io, taskList.id);
+    return { joinedTaskList: taskList };
+  } catch (error) {
+    logger.error('Accept invite on sign-in error', { error: sanitizeForLog(error.message), userId: sanitizeForLog(userId) });
+    return { inviteError: 'Failed to join task list' };
+  }
+};
+
+/**
+ * Start a session for a user who passed every sign-in step
+ * @param {Object} user - User row
+ * @param {Object} req - Express request
+ * @param {string} [inviteCode] - Code from the invite link
+ * @returns {Promise<Object>} Login response: user, tokens and invite outcome
+ */
+const completeSignIn = async (user, req, inviteCode) => {
+  const { accessToken, refreshToken } = await createUserSession(pool, user.id, req);
+
+  return {
+    user: { id: user.id, email: user.email, name: user.name },
+    token: accessToken,
+    refreshToken,
+    ...await acceptInviteOnSignIn(user.id, inviteCode)
+  };
+};
+
 // Register
 router.post('/register', authLimiter, async (req, res) => {
   try {
-    const { email, password, name } = req.body;
+    const { email, password, name, inviteCode } = req.body;
 
     if (!email || typeof email !== 'string' || email.length === 0 ||
         !password || typeof password !== 'string' || password.length === 0 ||
@@ -49,13 +127,13 @@ router.post('/register', authLimiter, async (req, res) => {
     const user = result.rows[0];
     logger.info('User registered', { userId: sanitizeForLog(user.id), email: sanitizeForLog(user.email) });
 
-    const { accessToken, refreshToken } = generateTokens(user.id);
-    await pool.query('UPDATE users SET refresh_token = $1 WHERE id = $2', [refreshToken, user.id]);
+    const { accessToken, refreshToken } = await createUserSession(pool, user.id, req);
 
     res.status(201).json({
       user,
       token: accessToken,
-      refreshToken
+      refreshToken,
+      ...await acceptInviteOnSignIn(user.id, inviteCode)
     });
   } catch (error) {
     logger.error('Registration error', { error: sanitizeForLog(error.message) });
@@ -66,7 +144,7 @@ router.post('/register', authLimiter, async (req, res) => {
 // Login
 router.post('/login', authLimiter, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, inviteCode } = req.body;
 
     if (!email || typeof email !== 'string' || email.length === 0 ||
         !password || typeof password !== 'string' || password.length === 0) {
@@ -107,24 +185,88 @@ router.post('/login', authLimiter, async (req, res) => {
       });
     }
 
+    // Failed attempts are only forgiven once the second factor checks out
+    // too, so a known password doesn't buy unlimited code guesses
+    if (user.totp_enabled_at) {
+      securityLog('LOGIN_2FA_CHALLENGE', { userId: user.id, email: sanitizedEmail }, req);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user.id)
+      });
+    }
+
     resetFailedLoginAttempts(sanitizedEmail);
     logger.info('User Login Success', { userId: user.id, email: sanitizedEmail, requestId: req.id });
     securityLog('LOGIN_SUCCESS', { userId: user.id, email: sanitizedEmail }, req);
 
-    const { accessToken, refreshToken } = generateTokens(user.id);
-    await pool.query('UPDATE users SET refresh_token = $1 WHERE id = $2', [refreshToken, user.id]);
-
-    res.json({
-      user: { id: user.id, email: user.email, name: user.name },
-      token: accessToken,
-      refreshToken
-    });
+    res.json(await completeSignIn(user, req, inviteCode));
   } catch (error) {
     logger.error('Login Error', { error: error.message, stack: error.stack, requestId: req.id });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Login, second step: exchange the challenge token and a code from the
+// authenticator app, or a recovery code, for the real tokens
+router.post('/login/2fa', authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, inviteCode } = req.body;
+
+    if (!challengeToken || typeof challengeToken !== 'string' ||
+        !code || typeof code !== 'string' || code.length > 64) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const result = userId ? await pool.query('SELECT id, email, name FROM users WHERE id = $1', [userId]) : null;
+    const user = result?.rows[0];
+
+    if (!user) {
+      return res.status(400).json({ error: 'This sign-in attempt has expired, please sign in again', challengeExpired: true });
+    }
+
+    const lockStatus = getLoginLockStatus(user.email);
+    if (lockStatus.locked) {
+      securityLog('LOGIN_BLOCKED', {
+        email: user.email,
+        reason: 'Account temporarily locked',
+        remainingMinutes: lockStatus.remainingMinutes
+      }, req);
+      return res.status(429).json({ error: lockStatus.message });
+    }
+
+    const method = await verifyTwoFactorCode(pool, user.id, code);
+
+    if (!method) {
+      const failedStatus = trackFailedLogin(user.email);
+      securityLog('LOGIN_2FA_FAILURE', {
+        userId: user.id,
+        email: user.email,
+        attemptCount: failedStatus.attemptCount,
+        remainingAttempts: failedStatus.remainingAttempts
+      }, req);
+
+      if (failedStatus.locked) {
+        return res.status(429).json({ error: failedStatus.message });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid verification code',
+        remainingAttempts: failedStatus.remainingAttempts
+      });
+    }
+
+    resetFailedLoginAttempts(user.email);
+    logger.info('User Login Success', { userId: user.id, email: user.email, requestId: req.id });
+    securityLog('LOGIN_SUCCESS', { userId: user.id, email: user.email, secondFactor: method }, req);
+
+    res.json(await completeSignIn(user, req, inviteCode));
+  } catch (error) {
+    logger.error('Two-factor login error', { error: sanitizeForLog(error.message), requestId: req.id });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Refresh token
 router.post('/refresh', async (req, res) => {
   try {
@@ -134,23 +276,24 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: 'Refresh token required' });
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    logger.debug('Refresh token decoded', { userId: sanitizeForLog(decoded.userId) });
+    const { tokens, error, reuseDetected, userId, sessionId } = await rotateUserSession(pool, refreshToken, req);
 
-    const user = await pool.query('SELECT * FROM users WHERE id = $1 AND refresh_token = $2',
-      [decoded.userId, refreshToken]);
-
-    if (user.rows.length === 0) {
-      return res.status(403).json({ error: 'Invalid refresh token' });
+    if (reuseDetected) {
+      securityLog('REFRESH_TOKEN_REUSE', {
+        userId,
+        sessionId,
+        reason: 'Rotated refresh token presented again; session revoked'
+      }, req);
+      disconnectSession(io, sessionId);
     }
 
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(decoded.userId);
-    await pool.query('UPDATE users SET refresh_token = $1 WHERE id = $2',
-      [newRefreshToken, decoded.userId]);
+    if (error) {
+      return res.status(403).json({ error });
+    }
 
     res.json({
-      token: accessToken,
-      refreshToken: newRefreshToken
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
     });
   } catch (error) {
     logger.error('Token refresh error', { error: sanitizeForLog(error.message) });
@@ -158,6 +301,234 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+// Logout: end the session of the given refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      const session = await endSessionWithToken(pool, refreshToken);
+      if (session) {
+        logger.info('User logged out', { userId: sanitizeForLog(session.userId), sessionId: sanitizeForLog(session.sessionId) });
+        disconnectSession(io, session.sessionId);
+      }
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    logger.error('Logout error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Email a password reset link to a user
+ * @param {Object} user - User row with id, email and name
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user) => {
+  const { token } = await createPasswordResetToken(pool, user.id);
+
+  await sendMail(unescape(user.email), 'passwordReset', {
+    name: unescape(user.name),
+    resetUrl: `${getAppUrl()}/?resetToken=${token}`,
+    expiresInMinutes: PASSWORD_RESET_EXPIRY_MINUTES
+  });
+};
+
+// Request a password reset link
+router.post('/forgot-password', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string' || !validateEmailFormat(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const sanitizedEmail = sanitizeInput(email.toLowerCase());
+    const result = await pool.query('SELECT id, email, name FROM users WHERE email = $1', [sanitizedEmail]);
+    const user = result.rows[0];
+
+    securityLog('PASSWORD_RESET_REQUESTED', { email: sanitizedEmail, ...(user && { userId: user.id }) }, req);
+
+    // The email goes out in the background, so neither the response nor its
+    // timing tells whether the address has an account
+    if (user) {
+      sendPasswordResetEmail(user).catch(error => {
+        logger.error('Password reset email error', { error: sanitizeForLog(error.message), userId: sanitizeForLog(user.id) });
+      });
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    logger.error('Forgot password error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' ||
+        !password || typeof password !== 'string' || password.length === 0) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({ error: passwordValidation.error });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+    const user = await resetPasswordWithToken(pool, token, passwordHash);
+
+    if (!user) {
+      securityLog('PASSWORD_RESET_FAILURE', { reason: 'Invalid or expired token' }, req);
+      return res.status(400).json({ error: 'This password reset link is invalid or has expired' });
+    }
+
+    resetFailedLoginAttempts(user.email);
+    securityLog('PASSWORD_RESET_SUCCESS', { userId: user.id, email: user.email }, req);
+    // Resetting the password signed out every session
+    await disconnectUserSessions(io, user.id);
+
+    res.json({ message: 'Your password has been reset. You can now sign in.' });
+  } catch (error) {
+    logger.error('Reset password error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send the browser back to the web app after single sign-on
+const redirectToApp = (res, params) => {
+  res.redirect(`${getAppUrl()}/?${new URLSearchParams(params)}`);
+};
+
+// Holds the state of a sign-in in the browser that started it, so a callback
+// can't be replayed in someone else's browser to sign them in to another account
+const OIDC_STATE_COOKIE = 'oidc_state';
+
+const stateCookieOptions = (config) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: config.redirectUri.startsWith('https:'),
+  path: new URL(config.redirectUri).pathname
+});
+
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return cookie ? cookie.slice(name.length + 1) : null;
+};
+
+// Whether single sign-on is configured, for the login page
+router.get('/oidc/config', (req, res) => {
+  const config = getOidcConfig();
+  res.json({ enabled: Boolean(config), providerName: config?.providerName || null });
+});
+
+// Start single sign-on: redirects to the identity provider
+router.get('/oidc/login', async (req, res) => {
+  const config = getOidcConfig();
+  if (!config) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const { url, state } = await beginOidcLogin(pool, config);
+
+    res.cookie(OIDC_STATE_COOKIE, state, {
+      ...stateCookieOptions(config),
+      maxAge: LOGIN_REQUEST_TTL_MINUTES * 60 * 1000
+    });
+    res.redirect(url);
+  } catch (error) {
+    logger.error('SSO login error', { error: sanitizeForLog(error.message) });
+    redirectToApp(res, { ssoError: 'Single sign-on is unavailable right now' });
+  }
+});
+
+// The identity provider sends the browser back here with a code
+router.get('/oidc/callback', async (req, res) => {
+  const config = getOidcConfig();
+  if (!config) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+
+    // The cookie is only good for this one attempt, whatever its outcome
+    const expectedState = readCookie(req, OIDC_STATE_COOKIE);
+    res.clearCookie(OIDC_STATE_COOKIE, stateCookieOptions(config));
+
+    if (providerError) {
+      securityLog('SSO_LOGIN_FAILURE', { reason: 'Provider returned an error', providerError }, req);
+      const message = typeof providerErrorDescription === 'string' ? providerErrorDescription.slice(0, 200) : 'Sign-in was cancelled';
+      return redirectToApp(res, { ssoError: message });
+    }
+
+    if (typeof code !== 'string' || typeof state !== 'string') {
+      return redirectToApp(res, { ssoError: 'Sign-in failed, please try again' });
+    }
+
+    if (!isExpectedState(expectedState, state)) {
+      securityLog('SSO_LOGIN_FAILURE', {
+        reason: expectedState ? 'State does not match the browser' : 'No sign-in started in this browser'
+      }, req);
+      return redirectToApp(res, { ssoError: 'This sign-in attempt has expired, please try again' });
+    }
+
+    const { handoffCode, error } = await handleOidcCallback(pool, config, { code, state });
+
+    if (error) {
+      securityLog('SSO_LOGIN_FAILURE', { reason: error }, req);
+      return redirectToApp(res, { ssoError: error });
+    }
+
+    redirectToApp(res, { sso: handoffCode });
+  } catch (error) {
+    logger.error('SSO callback error', { error: sanitizeForLog(error.message) });
+    redirectToApp(res, { ssoError: 'Sign-in failed, please try again' });
+  }
+});
+
+// Exchange the one-time code from the SSO redirect for tokens
+router.post('/oidc/complete', authLimiter, async (req, res) => {
+  try {
+    const { code, inviteCode } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Sign-in code is required' });
+    }
+
+    const user = await completeOidcLogin(pool, code);
+    if (!user) {
+      return res.status(400).json({ error: 'This sign-in attempt has expired, please try again' });
+    }
+
+    if (user.totp_enabled_at) {
+      securityLog('LOGIN_2FA_CHALLENGE', { userId: user.id, email: user.email, method: 'sso' }, req);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user.id)
+      });
+    }
+
+    logger.info('User Login Success', { userId: user.id, email: user.email, method: 'sso', requestId: req.id });
+    securityLog('LOGIN_SUCCESS', { userId: user.id, email: user.email, method: 'sso' }, req);
+
+    res.json(await completeSignIn(user, req, inviteCode));
+  } catch (error) {
+    logger.error('SSO complete error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Debug auth endpoint
 router.get('/debug/auth', authenticateToken, (req, res) => {
   res.json({
@@ -0,0 +1,184 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
+const { broadcastTaskProgress } = require('../services/subtask.service');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { schemas } = require('../models/schemas');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+/**
+ * Notify task list members that a task's checklist changed
+ * @param {number} taskListId - Task list ID
+ * @param {number} taskId - Task ID
+ * @returns {Promise<void>}
+ */
+const emitChecklistUpdated = async (taskListId, taskId) => {
+  if (io) {
+    const items = await pool.query(
+      'SELECT * FROM task_checklist_items WHERE task_id = $1 ORDER BY position ASC, id ASC',
+      [taskId]
+    );
+    io.to(`taskList_${taskListId}`).emit('checklistUpdated', { taskId: parseInt(taskId), items: items.rows });
+  }
+  await broadcastTaskProgress(pool, io, taskId);
+};
+
+// Get checklist items of a task
+router.get('/tasks/:id/checklist', authenticateToken, requireListRole(LIST_PERMISSIONS.view, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'SELECT * FROM task_checklist_items WHERE task_id = $1 ORDER BY position ASC, id ASC',
+      [id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    logger.error('Get checklist error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch checklist' });
+  }
+});
+
+// Add checklist item
+router.post('/tasks/:id/checklist', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.checklistItem
+      .fork(['content'], (field) => field.required())
+      .validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const taskListId = req.taskListId;
+
+    const result = await pool.query(
+      `INSERT INTO task_checklist_items (task_id, content, position, created_by)
+       VALUES ($1, $2, (SELECT COALESCE(MAX(position), 0) + 1 FROM task_checklist_items WHERE task_id = $1), $3)
+       RETURNING *`,
+      [id, sanitizeInput(value.content), req.user.userId]
+    );
+
+    logger.info('Checklist item created', { itemId: sanitizeForLog(result.rows[0].id), taskId: sanitizeForLog(id) });
+    await emitChecklistUpdated(taskListId, id);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Create checklist item error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to add checklist item' });
+  }
+});
+
+// Update checklist item (content, completion or position)
+router.put('/tasks/:id/checklist/:itemId', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const { error, value } = schemas.checklistItem.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const itemResult = await pool.query(
+      `SELECT ci.*, t.task_list_id
+       FROM task_checklist_items ci
+       JOIN tasks t ON ci.task_id = t.id
+       WHERE ci.id = $1 AND ci.task_id = $2`,
+      [itemId, id]
+    );
+
+    if (itemResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    const item = itemResult.rows[0];
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (value.content !== undefined) {
+      updates.push(`content = $${paramIndex++}`);
+      values.push(sanitizeInput(value.content));
+    }
+
+    if (value.isCompleted !== undefined && value.isCompleted !== item.is_completed) {
+      updates.push(`is_completed = $${paramIndex++}`);
+      values.push(value.isCompleted);
+      updates.push(`completed_by = $${paramIndex++}`);
+      values.push(value.isCompleted ? req.user.userId : null);
+      updates.push(value.isCompleted ? 'completed_at = NOW()' : 'completed_at = NULL');
+    }
+
+    if (value.position !== undefined) {
+      updates.push(`position = $${paramIndex++}`);
+      values.push(value.position);
+    }
+
+    if (updates.length === 0) {
+      return res.json(item);
+    }
+
+    values.push(itemId);
+
+    const result = await pool.query(
+      `UPDATE task_checklist_items SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    await emitChecklistUpdated(item.task_list_id, id);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Update checklist item error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to update checklist item' });
+  }
+});
+
+// Delete checklist item
+router.delete('/tasks/:id/checklist/:itemId', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const itemResult = await pool.query(
+      `SELECT ci.id, t.task_list_id
+       FROM task_checklist_items ci
+       JOIN tasks t ON ci.task_id = t.id
+       WHERE ci.id = $1 AND ci.task_id = $2`,
+      [itemId, id]
+    );
+
+    if (itemResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    const taskListId = itemResult.rows[0].task_list_id;
+
+    await pool.query('DELETE FROM task_checklist_items WHERE id = $1', [itemId]);
+
+    logger.info('Checklist item deleted', { itemId: sanitizeForLog(itemId), taskId: sanitizeForLog(id) });
+    await emitChecklistUpdated(taskListId, id);
+
+    res.json({ message: 'Checklist item deleted successfully' });
+  } catch (error) {
+    logger.error('Delete checklist item error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to delete checklist item' });
+  }
+});
+
+module.exports = router;
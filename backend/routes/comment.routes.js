@@ -0,0 +1,211 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
+const {
+  getTaskComments,
+  getTaskComment,
+  notifyCommentRecipients
+} = require('../services/comment.service');
+const { notifyMentions } = require('../services/mention.service');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { schemas } = require('../models/schemas');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+// Get comments of a task
+router.get('/tasks/:id/comments', authenticateToken, requireListRole(LIST_PERMISSIONS.view, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    res.json(await getTaskComments(pool, id));
+  } catch (error) {
+    logger.error('Get comments error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// Add a comment or reply to a task
+router.post('/tasks/:id/comments', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.comment.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const taskResult = await pool.query(
+      'SELECT id, name, task_list_id, created_by, assigned_to FROM tasks WHERE id = $1',
+      [id]
+    );
+
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskResult.rows[0];
+
+    // Threads are one level deep: a reply to a reply joins its thread
+    let parentCommentId = null;
+    if (value.parentCommentId) {
+      const parentResult = await pool.query(
+        'SELECT id, parent_comment_id FROM task_comments WHERE id = $1 AND task_id = $2',
+        [value.parentCommentId, id]
+      );
+
+      if (parentResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Parent comment does not belong to this task' });
+      }
+
+      parentCommentId = parentResult.rows[0].parent_comment_id || parentResult.rows[0].id;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO task_comments (task_id, parent_comment_id, user_id, content)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [id, parentCommentId, req.user.userId, sanitizeInput(value.content)]
+    );
+
+    const comment = await getTaskComment(pool, id, result.rows[0].id);
+
+    logger.info('Comment created', { commentId: sanitizeForLog(comment.id), taskId: sanitizeForLog(id) });
+
+    if (io) {
+      io.to(`taskList_${task.task_list_id}`).emit('commentCreated', comment);
+    }
+    await notifyCommentRecipients(pool, io, task, comment);
+
+    try {
+      await notifyMentions(pool, io, {
+        task,
+        text: comment.content,
+        authorId: req.user.userId,
+        source: 'comment'
+      });
+    } catch (mentionError) {
+      logger.error('Error creating mention notifications', { error: sanitizeForLog(mentionError.message) });
+    }
+
+    res.status(201).json(comment);
+  } catch (error) {
+    logger.error('Create comment error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+// Edit a comment (author only)
+router.put('/tasks/:id/comments/:commentId', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const { error, value } = schemas.comment
+      .fork(['parentCommentId'], (field) => field.forbidden())
+      .validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const taskResult = await pool.query('SELECT id, name, task_list_id FROM tasks WHERE id = $1', [id]);
+
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskResult.rows[0];
+    const taskListId = task.task_list_id;
+
+    const existing = await getTaskComment(pool, id, commentId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (existing.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the author can edit this comment', insufficientRole: true });
+    }
+
+    await pool.query(
+      'UPDATE task_comments SET content = $1, edited_at = NOW(), updated_at = NOW() WHERE id = $2',
+      [sanitizeInput(value.content), commentId]
+    );
+
+    const comment = await getTaskComment(pool, id, commentId);
+
+    logger.info('Comment updated', { commentId: sanitizeForLog(commentId) });
+
+    if (io) {
+      io.to(`taskList_${taskListId}`).emit('commentUpdated', comment);
+    }
+
+    try {
+      await notifyMentions(pool, io, {
+        task,
+        text: comment.content,
+        previousText: existing.content,
+        authorId: req.user.userId,
+        source: 'comment'
+      });
+    } catch (mentionError) {
+      logger.error('Error creating mention notifications', { error: sanitizeForLog(mentionError.message) });
+    }
+
+    res.json(comment);
+  } catch (error) {
+    logger.error('Update comment error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+// Delete a comment and its replies (author only)
+router.delete('/tasks/:id/comments/:commentId', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const taskListId = req.taskListId;
+
+    const existing = await getTaskComment(pool, id, commentId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (existing.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the author can delete this comment', insufficientRole: true });
+    }
+
+    // Replies go with their parent through ON DELETE CASCADE
+    const result = await pool.query(
+      'SELECT COUNT(*)::int as count FROM task_comments WHERE id = $1 OR parent_comment_id = $1',
+      [commentId]
+    );
+    await pool.query('DELETE FROM task_comments WHERE id = $1', [commentId]);
+
+    logger.info('Comment deleted', { commentId: sanitizeForLog(commentId) });
+
+    if (io) {
+      io.to(`taskList_${taskListId}`).emit('commentDeleted', {
+        id: existing.id,
+        task_id: existing.task_id,
+        deleted_count: result.rows[0].count
+      });
+    }
+
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    logger.error('Delete comment error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
+const { getTaskListCustomFields, pruneCustomFieldOptions } = require('../services/customField.service');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { schemas } = require('../models/schemas');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+const SELECT_FIELD_TYPES = ['single_select', 'multi_select'];
+
+/**
+ * Notify task list members that its custom fields changed
+ * @param {number} taskListId - Task list ID
+ */
+const emitCustomFieldsUpdated = async (taskListId) => {
+  if (io) {
+    const customFields = await getTaskListCustomFields(pool, taskListId);
+    io.to(`taskList_${taskListId}`).emit('customFieldsUpdated', { taskListId: parseInt(taskListId), customFields });
+  }
+};
+
+// Get custom fields for a task list
+router.get('/task-lists/:id/custom-fields', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    res.json(await getTaskListCustomFields(pool, id));
+  } catch (error) {
+    logger.error('Get custom fields error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch custom fields' });
+  }
+});
+
+// Create custom field
+router.post('/task-lists/:id/custom-fields', authenticateToken, requireListRole(LIST_PERMISSIONS.manageCustomFields), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.customField
+      .fork(['name', 'fieldType'], (field) => field.required())
+      .validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const sanitizedName = sanitizeInput(value.name);
+
+    const duplicateCheck = await pool.query(
+      'SELECT id FROM custom_fields WHERE task_list_id = $1 AND LOWER(name) = LOWER($2)',
+      [id, sanitizedName]
+    );
+
+    if (duplicateCheck.rows.length > 0) {
+      return res.status(400).json({ error: 'A custom field with this name already exists' });
+    }
+
+    // Only select fields have options
+    const options = SELECT_FIELD_TYPES.includes(value.fieldType) ? value.options : [];
+
+    const result = await pool.query(
+      `INSERT INTO custom_fields (task_list_id, name, field_type, options, position)
+       VALUES ($1, $2, $3, $4::jsonb,
+               (SELECT COALESCE(MAX(position), -1) + 1 FROM custom_fields WHERE task_list_id = $1))
+       RETURNING *`,
+      [id, sanitizedName, value.fieldType, JSON.stringify(options)]
+    );
+
+    logger.info('Custom field created', { fieldId: sanitizeForLog(result.rows[0].id), taskListId: sanitizeForLog(id) });
+    await emitCustomFieldsUpdated(id);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Create custom field error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to create custom field' });
+  }
+});
+
+// Rename a custom field or change its options; the type is fixed once created
+router.put('/custom-fields/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.manageCustomFields, { source: 'customField' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.customField
+      .fork(['fieldType'], (field) => field.forbidden())
+      .validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const fieldResult = await pool.query('SELECT * FROM custom_fields WHERE id = $1', [id]);
+    const field = fieldResult.rows[0];
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (value.name !== undefined) {
+      const sanitizedName = sanitizeInput(value.name);
+      const duplicateCheck = await pool.query(
+        'SELECT id FROM custom_fields WHERE task_list_id = $1 AND LOWER(name) = LOWER($2) AND id != $3',
+        [field.task_list_id, sanitizedName, id]
+      );
+
+      if (duplicateCheck.rows.length > 0) {
+        return res.status(400).json({ error: 'A custom field with this name already exists' });
+      }
+
+      updates.push(`name = $${paramIndex++}`);
+      values.push(sanitizedName);
+    }
+
+    if (value.options !== undefined) {
+      if (!SELECT_FIELD_TYPES.includes(field.field_type)) {
+        return res.status(400).json({ error: 'Only select fields have options' });
+      }
+
+      if (value.options.length === 0) {
+        return res.status(400).json({ error: 'A select field needs at least one option' });
+      }
+
+      updates.push(`options = $${paramIndex++}::jsonb`);
+      values.push(JSON.stringify(value.options));
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    values.push(id);
+
+    const result = await pool.query(
+      `UPDATE custom_fields SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    if (value.options !== undefined) {
+      await pruneCustomFieldOptions(pool, result.rows[0]);
+    }
+
+    logger.info('Custom field updated', { fieldId: sanitizeForLog(id) });
+    await emitCustomFieldsUpdated(field.task_list_id);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Update custom field error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to update custom field' });
+  }
+});
+
+// Delete custom field along with every task's value for it
+router.delete('/custom-fields/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.manageCustomFields, { source: 'customField' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await pool.query('DELETE FROM custom_fields WHERE id = $1', [id]);
+    logger.info('Custom field deleted', { fieldId: sanitizeForLog(id) });
+    await emitCustomFieldsUpdated(req.taskListId);
+
+    res.json({ message: 'Custom field deleted successfully' });
+  } catch (error) {
+    logger.error('Delete custom field error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to delete custom field' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
+const {
+  wouldCreateCycle,
+  getTaskDependencies,
+  broadcastBlockerCounts
+} = require('../services/dependency.service');
+const { sanitizeForLog } = require('../utils/sanitization');
+const { schemas } = require('../models/schemas');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+// Get blockers and blocked tasks of a task
+router.get('/tasks/:id/dependencies', authenticateToken, requireListRole(LIST_PERMISSIONS.view, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const dependencies = await getTaskDependencies(pool, id);
+    res.json(dependencies);
+  } catch (error) {
+    logger.error('Get task dependencies error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch dependencies' });
+  }
+});
+
+// Mark a task as blocked by another task
+router.post('/tasks/:id/dependencies', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.taskDependency.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const { dependsOnTaskId } = value;
+
+    const tasksResult = await pool.query(
+      'SELECT id, task_list_id FROM tasks WHERE id = ANY($1::int[]) AND deleted_at IS NULL',
+      [[parseInt(id), dependsOnTaskId]]
+    );
+
+    const task = tasksResult.rows.find(row => row.id === parseInt(id));
+    const blocker = tasksResult.rows.find(row => row.id === dependsOnTaskId);
+
+    if (!task || !blocker) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (blocker.task_list_id !== task.task_list_id) {
+      return res.status(400).json({ error: 'Dependencies must be between tasks in the same task list' });
+    }
+
+    if (await wouldCreateCycle(pool, task.id, blocker.id)) {
+      return res.status(400).json({ error: 'This dependency would create a cycle' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO task_dependencies (task_id, depends_on_task_id, created_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (task_id, depends_on_task_id) DO NOTHING
+       RETURNING id`,
+      [task.id, blocker.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Dependency already exists' });
+    }
+
+    logger.info('Task dependency added', {
+      taskId: sanitizeForLog(task.id),
+      dependsOnTaskId: sanitizeForLog(blocker.id)
+    });
+    await broadcastBlockerCounts(pool, io, [task.id]);
+
+    res.status(201).json(await getTaskDependencies(pool, task.id));
+  } catch (error) {
+    logger.error('Add task dependency error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to add dependency' });
+  }
+});
+
+// Remove a blocker from a task
+router.delete('/tasks/:id/dependencies/:dependsOnTaskId', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id, dependsOnTaskId } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM task_dependencies WHERE task_id = $1 AND depends_on_task_id = $2 RETURNING id',
+      [id, dependsOnTaskId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Dependency not found' });
+    }
+
+    logger.info('Task dependency removed', {
+      taskId: sanitizeForLog(id),
+      dependsOnTaskId: sanitizeForLog(dependsOnTaskId)
+    });
+    await broadcastBlockerCounts(pool, io, [parseInt(id)]);
+
+    res.json(await getTaskDependencies(pool, id));
+  } catch (error) {
+    logger.error('Remove task dependency error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to remove dependency' });
+  }
+});
+
+module.exports = router;
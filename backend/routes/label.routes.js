@@ -0,0 +1,169 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
+const { getTaskListLabels } = require('../services/label.service');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { schemas } = require('../models/schemas');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+/**
+ * Notify task list members that its labels changed
+ * @param {number} taskListId - Task list ID
+ */
+const emitLabelsUpdated = async (taskListId) => {
+  if (io) {
+    const labels = await getTaskListLabels(pool, taskListId);
+    io.to(`taskList_${taskListId}`).emit('labelsUpdated', { taskListId: parseInt(taskListId), labels });
+  }
+};
+
+// Get labels for a task list
+router.get('/task-lists/:id/labels', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    res.json(await getTaskListLabels(pool, id));
+  } catch (error) {
+    logger.error('Get labels error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch labels' });
+  }
+});
+
+// Create label
+router.post('/task-lists/:id/labels', authenticateToken, requireListRole(LIST_PERMISSIONS.addReferenceData), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.label
+      .fork(['name'], (field) => field.required())
+      .validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const sanitizedName = sanitizeInput(value.name);
+
+    const duplicateCheck = await pool.query(
+      'SELECT id FROM labels WHERE task_list_id = $1 AND LOWER(name) = LOWER($2)',
+      [id, sanitizedName]
+    );
+
+    if (duplicateCheck.rows.length > 0) {
+      return res.status(400).json({ error: 'A label with this name already exists' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO labels (task_list_id, name, color) VALUES ($1, $2, COALESCE($3, \'#6b7280\')) RETURNING *',
+      [id, sanitizedName, value.color || null]
+    );
+
+    logger.info('Label created', { labelId: sanitizeForLog(result.rows[0].id), taskListId: sanitizeForLog(id) });
+    await emitLabelsUpdated(id);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Create label error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to create label' });
+  }
+});
+
+// Rename or recolor a label
+router.put('/labels/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.addReferenceData, { source: 'label' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.label.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const labelCheck = await pool.query('SELECT * FROM labels WHERE id = $1', [id]);
+
+    if (labelCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    const label = labelCheck.rows[0];
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (value.name !== undefined) {
+      const sanitizedName = sanitizeInput(value.name);
+      const duplicateCheck = await pool.query(
+        'SELECT id FROM labels WHERE task_list_id = $1 AND LOWER(name) = LOWER($2) AND id != $3',
+        [label.task_list_id, sanitizedName, id]
+      );
+
+      if (duplicateCheck.rows.length > 0) {
+        return res.status(400).json({ error: 'A label with this name already exists' });
+      }
+
+      updates.push(`name = $${paramIndex++}`);
+      values.push(sanitizedName);
+    }
+
+    if (value.color !== undefined) {
+      updates.push(`color = $${paramIndex++}`);
+      values.push(value.color);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    values.push(id);
+
+    const result = await pool.query(
+      `UPDATE labels SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    logger.info('Label updated', { labelId: sanitizeForLog(id) });
+    await emitLabelsUpdated(label.task_list_id);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Update label error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to update label' });
+  }
+});
+
+// Delete label; it is removed from every task that had it
+router.delete('/labels/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.deleteReferenceData, { source: 'label' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const labelCheck = await pool.query('SELECT * FROM labels WHERE id = $1', [id]);
+
+    if (labelCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    const label = labelCheck.rows[0];
+
+    await pool.query('DELETE FROM labels WHERE id = $1', [id]);
+    logger.info('Label deleted', { labelId: sanitizeForLog(id) });
+    await emitLabelsUpdated(label.task_list_id);
+
+    res.json({ message: 'Label deleted successfully' });
+  } catch (error) {
+    logger.error('Delete label error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to delete label' });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,15 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
 const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
 // Get projects for a task list
-router.get('/task-lists/:id/projects', authenticateToken, async (req, res) => {
+router.get('/task-lists/:id/projects', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
   try {
     const { id } = req.params;
     const result = await pool.query(
@@ -21,7 +23,7 @@ router.get('/task-lists/:id/projects', authenticateToken, async (req, res) => {
 });
 
 // Create project
-router.post('/task-lists/:id/projects', authenticateToken, async (req, res) => {
+router.post('/task-lists/:id/projects', authenticateToken, requireListRole(LIST_PERMISSIONS.addReferenceData), async (req, res) => {
   try {
     const { id } = req.params;
     const { name } = req.body;
@@ -44,32 +46,12 @@ router.post('/task-lists/:id/projects', authenticateToken, async (req, res) => {
 });
 
 // Delete project
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/projects/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.deleteReferenceData, { source: 'project' }), async (req, res) => {
   try {
     const { id } = req.params;
 
     logger.debug('Deleting project', { projectId: sanitizeForLog(id), userId: sanitizeForLog(req.user.userId) });
 
-    const projectCheck = await pool.query(
-      'SELECT p.*, tl.owner_id FROM projects p JOIN task_lists tl ON p.task_list_id = tl.id WHERE p.id = $1',
-      [id]
-    );
-
-    if (projectCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    const project = projectCheck.rows[0];
-
-    const memberCheck = await pool.query(
-      'SELECT id FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
-      [project.task_list_id, req.user.userId]
-    );
-
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     await pool.query('DELETE FROM projects WHERE id = $1', [id]);
     logger.info('Project deleted', { projectId: sanitizeForLog(id) });
 
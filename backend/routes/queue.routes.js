@@ -2,6 +2,11 @@ const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { queueLimiter } = require('../middleware/rateLimiter');
+const { TASK_PROGRESS_COLUMNS } = require('../services/subtask.service');
+const { TASK_BLOCKER_COLUMNS } = require('../services/dependency.service');
+const { TASK_COMMENT_COLUMNS } = require('../services/comment.service');
+const { TASK_LABEL_COLUMNS } = require('../services/label.service');
+const { TASK_CUSTOM_FIELD_COLUMNS } = require('../services/customField.service');
 const { logger, securityLog } = require('../utils/logger');
 const { sanitizeForLog } = require('../utils/sanitization');
 
@@ -42,16 +47,20 @@ router.get('/:userId/queue', authenticateToken, queueLimiter, async (req, res) =
     if (taskListId) {
       query = `
         SELECT t.*, p.name as project_name, r.name as requester_name,
+               ts.name as status_name, ts.category as status_category, ts.color as status_color,
                assigned_user.name as assigned_to_name, assigned_user.email as assigned_to_email,
                assigned_user.avatar_url as assigned_to_avatar_url,
                creator.name as created_by_name,
-               utq.queue_position, utq.added_at as queued_at
+               parent.name as parent_task_name, ${TASK_PROGRESS_COLUMNS}, ${TASK_BLOCKER_COLUMNS}, ${TASK_COMMENT_COLUMNS},
+               ${TASK_LABEL_COLUMNS}, ${TASK_CUSTOM_FIELD_COLUMNS}, utq.queue_position, utq.added_at as queued_at
         FROM user_task_queue utq
         JOIN tasks t ON utq.task_id = t.id
         LEFT JOIN projects p ON t.project_id = p.id
+        LEFT JOIN task_statuses ts ON t.status_id = ts.id
         LEFT JOIN requesters r ON t.requester_id = r.id
         LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
         LEFT JOIN users creator ON t.created_by = creator.id
+        LEFT JOIN tasks parent ON t.parent_task_id = parent.id
         WHERE utq.user_id = $1 AND t.task_list_id = $2
         ORDER BY utq.queue_position ASC
       `;
@@ -59,16 +68,20 @@ router.get('/:userId/queue', authenticateToken, queueLimiter, async (req, res) =
     } else {
       query = `
         SELECT t.*, p.name as project_name, r.name as requester_name,
+               ts.name as status_name, ts.category as status_category, ts.color as status_color,
                assigned_user.name as assigned_to_name, assigned_user.email as assigned_to_email,
                assigned_user.avatar_url as assigned_to_avatar_url,
                creator.name as created_by_name,
-               utq.queue_position, utq.added_at as queued_at
+               parent.name as parent_task_name, ${TASK_PROGRESS_COLUMNS}, ${TASK_BLOCKER_COLUMNS}, ${TASK_COMMENT_COLUMNS},
+               ${TASK_LABEL_COLUMNS}, ${TASK_CUSTOM_FIELD_COLUMNS}, utq.queue_position, utq.added_at as queued_at
         FROM user_task_queue utq
         JOIN tasks t ON utq.task_id = t.id
         LEFT JOIN projects p ON t.project_id = p.id
+        LEFT JOIN task_statuses ts ON t.status_id = ts.id
         LEFT JOIN requesters r ON t.requester_id = r.id
         LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
         LEFT JOIN users creator ON t.created_by = creator.id
+        LEFT JOIN tasks parent ON t.parent_task_id = parent.id
         WHERE utq.user_id = $1
         ORDER BY utq.queue_position ASC
       `;
@@ -94,7 +107,7 @@ router.post('/:userId/queue', authenticateToken, queueLimiter, async (req, res)
     }
 
     const taskResult = await pool.query(
-      'SELECT task_list_id FROM tasks WHERE id = $1',
+      'SELECT task_list_id FROM tasks WHERE id = $1 AND deleted_at IS NULL',
       [taskId]
     );
 
@@ -120,14 +133,18 @@ router.post('/:userId/queue', authenticateToken, queueLimiter, async (req, res)
 
     const result = await pool.query(`
       SELECT t.*, p.name as project_name, r.name as requester_name,
+             ts.name as status_name, ts.category as status_category, ts.color as status_color,
              assigned_user.name as assigned_to_name, creator.name as created_by_name,
-             utq.queue_position, utq.added_at as queued_at
+             parent.name as parent_task_name, ${TASK_PROGRESS_COLUMNS}, ${TASK_BLOCKER_COLUMNS}, ${TASK_COMMENT_COLUMNS},
+             ${TASK_LABEL_COLUMNS}, ${TASK_CUSTOM_FIELD_COLUMNS}, utq.queue_position, utq.added_at as queued_at
       FROM user_task_queue utq
       JOIN tasks t ON utq.task_id = t.id
       LEFT JOIN projects p ON t.project_id = p.id
+      LEFT JOIN task_statuses ts ON t.status_id = ts.id
       LEFT JOIN requesters r ON t.requester_id = r.id
       LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
       LEFT JOIN users creator ON t.created_by = creator.id
+      LEFT JOIN tasks parent ON t.parent_task_id = parent.id
       WHERE utq.user_id = $1 AND utq.task_id = $2
     `, [userId, taskId]);
 
@@ -0,0 +1,120 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
+const { getTaskRecurrenceRule, saveTaskRecurrenceRule } = require('../services/recurrence.service');
+const { getTaskDetails } = require('../services/task.service');
+const { sanitizeForLog } = require('../utils/sanitization');
+const { schemas } = require('../models/schemas');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+const emitTaskUpdated = async (taskId) => {
+  if (!io) return;
+
+  const task = await getTaskDetails(pool, taskId, null);
+  io.to(`taskList_${task.task_list_id}`).emit('taskUpdated', task);
+};
+
+// Get the recurrence rule of a task
+router.get('/tasks/:id/recurrence', authenticateToken, requireListRole(LIST_PERMISSIONS.view, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    res.json(await getTaskRecurrenceRule(pool, id));
+  } catch (error) {
+    logger.error('Get task recurrence error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch recurrence' });
+  }
+});
+
+// Make a task recurring, or change its schedule
+router.put('/tasks/:id/recurrence', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.recurrence.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const taskResult = await pool.query(
+      'SELECT id, task_list_id, parent_task_id, due_date, recurrence_rule_id FROM tasks WHERE id = $1',
+      [id]
+    );
+
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskResult.rows[0];
+
+    if (task.parent_task_id) {
+      return res.status(400).json({ error: 'Subtasks cannot repeat on their own' });
+    }
+
+    if (!task.due_date) {
+      return res.status(400).json({ error: 'A recurring task needs a due date' });
+    }
+
+    const rule = await saveTaskRecurrenceRule(pool, task, value, req.user.userId);
+
+    logger.info('Task recurrence saved', { taskId: sanitizeForLog(id), ruleId: sanitizeForLog(rule.id) });
+    await emitTaskUpdated(task.id);
+
+    res.json(rule);
+  } catch (error) {
+    logger.error('Save task recurrence error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to save recurrence' });
+  }
+});
+
+// Stop a task from repeating; instances already generated are kept
+router.delete('/tasks/:id/recurrence', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const taskResult = await pool.query(
+      'SELECT id, task_list_id, recurrence_rule_id FROM tasks WHERE id = $1',
+      [id]
+    );
+
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskResult.rows[0];
+
+    if (!task.recurrence_rule_id) {
+      return res.status(404).json({ error: 'Task does not repeat' });
+    }
+
+    // Instances lose their rule through ON DELETE SET NULL
+    const instancesResult = await pool.query(
+      'SELECT id FROM tasks WHERE recurrence_rule_id = $1',
+      [task.recurrence_rule_id]
+    );
+    await pool.query('DELETE FROM task_recurrence_rules WHERE id = $1', [task.recurrence_rule_id]);
+
+    logger.info('Task recurrence removed', { taskId: sanitizeForLog(id) });
+    for (const instance of instancesResult.rows) {
+      await emitTaskUpdated(instance.id);
+    }
+
+    res.json({ message: 'Recurrence removed' });
+  } catch (error) {
+    logger.error('Delete task recurrence error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to remove recurrence' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
 const {
   calculateReminderDatetime,
   createTaskReminder,
@@ -13,6 +14,8 @@ const {
   markReminderAsSent
 } = require('../services/reminder.service');
 const { createNotification } = require('../services/notification.service');
+const { describeReminder, recordTaskEvent } = require('../services/taskEvent.service');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
 const { schemas } = require('../models/schemas');
 const { logger } = require('../utils/logger');
 const { sanitizeForLog } = require('../utils/sanitization');
@@ -26,7 +29,7 @@ router.setIO = (ioInstance) => {
 };
 
 // Create reminder(s) for a task
-router.post('/tasks/:id/reminders', authenticateToken, async (req, res) => {
+router.post('/tasks/:id/reminders', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
   try {
     const { id } = req.params;
     const reminders = Array.isArray(req.body) ? req.body : [req.body];
@@ -118,6 +121,19 @@ router.post('/tasks/:id/reminders', authenticateToken, async (req, res) => {
       });
 
       createdReminders.push(reminder);
+
+      try {
+        await recordTaskEvent(pool, {
+          taskId: parseInt(id),
+          taskListId: task.task_list_id,
+          actorId: req.user.userId,
+          eventType: 'reminder_added',
+          field: 'reminder',
+          newValue: describeReminder(reminder)
+        });
+      } catch (eventError) {
+        logger.error('Error recording task event', { error: sanitizeForLog(eventError.message) });
+      }
     }
 
     logger.info('Reminders created', {
@@ -133,7 +149,7 @@ router.post('/tasks/:id/reminders', authenticateToken, async (req, res) => {
 });
 
 // Get reminders for a task
-router.get('/tasks/:id/reminders', authenticateToken, async (req, res) => {
+router.get('/tasks/:id/reminders', authenticateToken, requireListRole(LIST_PERMISSIONS.view, { source: 'task' }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -147,7 +163,7 @@ router.get('/tasks/:id/reminders', authenticateToken, async (req, res) => {
 });
 
 // Delete a reminder
-router.delete('/tasks/:taskId/reminders/:reminderId', authenticateToken, async (req, res) => {
+router.delete('/tasks/:taskId/reminders/:reminderId', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task', param: 'taskId' }), async (req, res) => {
   try {
     const { taskId, reminderId } = req.params;
 
@@ -160,6 +176,22 @@ router.delete('/tasks/:taskId/reminders/:reminderId', authenticateToken, async (
     // Cancel the scheduled job
     cancelReminderJob(reminderId);
 
+    try {
+      const taskResult = await pool.query('SELECT task_list_id FROM tasks WHERE id = $1', [deleted.task_id]);
+      if (taskResult.rows.length > 0) {
+        await recordTaskEvent(pool, {
+          taskId: deleted.task_id,
+          taskListId: taskResult.rows[0].task_list_id,
+          actorId: req.user.userId,
+          eventType: 'reminder_removed',
+          field: 'reminder',
+          oldValue: describeReminder(deleted)
+        });
+      }
+    } catch (eventError) {
+      logger.error('Error recording task event', { error: sanitizeForLog(eventError.message) });
+    }
+
     logger.info('Reminder deleted', {
       reminderId: sanitizeForLog(reminderId),
       taskId: sanitizeForLog(taskId)
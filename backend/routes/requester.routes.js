@@ -1,6 +1,8 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
 const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
 const { isEmail: validateEmailFormat } = require('../utils/validation');
 const { logger } = require('../utils/logger');
@@ -8,7 +10,7 @@ const { logger } = require('../utils/logger');
 const router = express.Router();
 
 // Get requesters for a task list
-router.get('/task-lists/:id/requesters', authenticateToken, async (req, res) => {
+router.get('/task-lists/:id/requesters', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
   try {
     const { id } = req.params;
     const result = await pool.query(
@@ -22,7 +24,7 @@ router.get('/task-lists/:id/requesters', authenticateToken, async (req, res) =>
 });
 
 // Create requester
-router.post('/task-lists/:id/requesters', authenticateToken, async (req, res) => {
+router.post('/task-lists/:id/requesters', authenticateToken, requireListRole(LIST_PERMISSIONS.addReferenceData), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, email } = req.body;
@@ -50,32 +52,12 @@ router.post('/task-lists/:id/requesters', authenticateToken, async (req, res) =>
 });
 
 // Delete requester
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/requesters/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.deleteReferenceData, { source: 'requester' }), async (req, res) => {
   try {
     const { id } = req.params;
 
     logger.debug('Deleting requester', { requesterId: sanitizeForLog(id), userId: sanitizeForLog(req.user.userId) });
 
-    const requesterCheck = await pool.query(
-      'SELECT r.*, tl.owner_id FROM requesters r JOIN task_lists tl ON r.task_list_id = tl.id WHERE r.id = $1',
-      [id]
-    );
-
-    if (requesterCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Requester not found' });
-    }
-
-    const requester = requesterCheck.rows[0];
-
-    const memberCheck = await pool.query(
-      'SELECT id FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
-      [requester.task_list_id, req.user.userId]
-    );
-
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     await pool.query('DELETE FROM requesters WHERE id = $1', [id]);
     logger.info('Requester deleted', { requesterId: sanitizeForLog(id) });
 
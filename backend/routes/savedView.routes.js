@@ -0,0 +1,219 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { getSavedViews, getSavedView, setDefaultView } = require('../services/savedView.service');
+const { LIST_PERMISSIONS, getListRole, hasListRole } = require('../services/listRole.service');
+const { schemas } = require('../models/schemas');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const isListMember = async (taskListId, userId) => {
+  return (await getListRole(pool, taskListId, userId)) !== null;
+};
+
+// Any member can keep personal views; sharing one with the list takes the member role
+const sharingDenied = (res) => res.status(403).json({
+  error: `Sharing views requires the ${LIST_PERMISSIONS.editTasks} role or higher`,
+  insufficientRole: true
+});
+
+// Get the saved views of a task list visible to the user
+router.get('/task-lists/:id/views', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    res.json(await getSavedViews(pool, id, req.user.userId));
+  } catch (error) {
+    logger.error('Get saved views error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch saved views' });
+  }
+});
+
+// Save the current filters as a view
+router.post('/task-lists/:id/views', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.savedView
+      .fork(['name', 'filters'], (field) => field.required())
+      .validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    if (value.isShared && !hasListRole(req.listRole, LIST_PERMISSIONS.editTasks)) {
+      return sharingDenied(res);
+    }
+
+    const result = await pool.query(`
+      INSERT INTO saved_views (task_list_id, user_id, name, filters, is_shared)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (task_list_id, user_id, name) DO NOTHING
+      RETURNING id
+    `, [id, req.user.userId, sanitizeInput(value.name), value.filters, value.isShared || false]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'You already have a view with this name' });
+    }
+
+    logger.info('Saved view created', { viewId: result.rows[0].id, taskListId: sanitizeForLog(id) });
+
+    res.status(201).json(await getSavedView(pool, result.rows[0].id, req.user.userId));
+  } catch (error) {
+    logger.error('Create saved view error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to save view' });
+  }
+});
+
+// Set or clear the user's default view for a task list
+router.put('/task-lists/:id/views/default', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const viewId = req.body.viewId ?? null;
+
+    if (viewId !== null && !Number.isInteger(viewId)) {
+      return res.status(400).json({ error: 'viewId must be a view ID or null' });
+    }
+
+    if (viewId !== null) {
+      const view = await getSavedView(pool, viewId, req.user.userId);
+      if (!view || view.task_list_id !== parseInt(id)) {
+        return res.status(404).json({ error: 'View not found' });
+      }
+    }
+
+    await setDefaultView(pool, id, req.user.userId, viewId);
+
+    res.json({ viewId });
+  } catch (error) {
+    logger.error('Set default view error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to set default view' });
+  }
+});
+
+// Get a single view, e.g. when opening a shared view link
+router.get('/views/:id', authenticateToken, async (req, res) => {
+  try {
+    const view = await getSavedView(pool, req.params.id, req.user.userId);
+
+    // Someone else's private view looks the same as a missing one
+    if (!view || !await isListMember(view.task_list_id, req.user.userId)) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    res.json(view);
+  } catch (error) {
+    logger.error('Get saved view error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch view' });
+  }
+});
+
+// Rename, re-share or overwrite the filters of a view; only its owner can
+router.put('/views/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.savedView.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const viewResult = await pool.query('SELECT * FROM saved_views WHERE id = $1', [id]);
+    if (viewResult.rows.length === 0 || viewResult.rows[0].user_id !== req.user.userId) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    const view = viewResult.rows[0];
+
+    const role = await getListRole(pool, view.task_list_id, req.user.userId);
+    if (!role) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    if (value.isShared && !hasListRole(role, LIST_PERMISSIONS.editTasks)) {
+      return sharingDenied(res);
+    }
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (value.name !== undefined) {
+      const sanitizedName = sanitizeInput(value.name);
+      const duplicateCheck = await pool.query(
+        'SELECT id FROM saved_views WHERE task_list_id = $1 AND user_id = $2 AND name = $3 AND id != $4',
+        [view.task_list_id, req.user.userId, sanitizedName, id]
+      );
+
+      if (duplicateCheck.rows.length > 0) {
+        return res.status(400).json({ error: 'You already have a view with this name' });
+      }
+
+      updates.push(`name = $${paramIndex++}`);
+      values.push(sanitizedName);
+    }
+
+    if (value.filters !== undefined) {
+      updates.push(`filters = $${paramIndex++}`);
+      values.push(value.filters);
+    }
+
+    if (value.isShared !== undefined) {
+      updates.push(`is_shared = $${paramIndex++}`);
+      values.push(value.isShared);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    values.push(id);
+    await pool.query(
+      `UPDATE saved_views SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${paramIndex}`,
+      values
+    );
+
+    // Members who made a shared view their default lose it once it is private
+    if (value.isShared === false) {
+      await pool.query(
+        'DELETE FROM saved_view_defaults WHERE view_id = $1 AND user_id != $2',
+        [id, req.user.userId]
+      );
+    }
+
+    res.json(await getSavedView(pool, id, req.user.userId));
+  } catch (error) {
+    logger.error('Update saved view error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to update view' });
+  }
+});
+
+// Delete a view; only its owner can
+router.delete('/views/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM saved_views WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    logger.info('Saved view deleted', { viewId: sanitizeForLog(id) });
+
+    res.json({ message: 'View deleted' });
+  } catch (error) {
+    logger.error('Delete saved view error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to delete view' });
+  }
+});
+
+module.exports = router;
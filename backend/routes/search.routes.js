@@ -0,0 +1,27 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { searchTasks } = require('../services/search.service');
+const { schemas } = require('../models/schemas');
+const { sanitizeForLog } = require('../utils/sanitization');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Search tasks in every list the user is a member of
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = schemas.searchQuery.validate(req.query, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    res.json(await searchTasks(pool, req.user.userId, value.q, value.limit));
+  } catch (error) {
+    logger.error('Search error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to search tasks' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
+const { createNotification } = require('../services/notification.service');
+const { getTaskListStatus, getInitialStatus } = require('../services/taskStatus.service');
+const { broadcastTaskProgress } = require('../services/subtask.service');
+const { getTaskDetails } = require('../services/task.service');
+const { notifyMentions } = require('../services/mention.service');
+const { recordTaskEvent } = require('../services/taskEvent.service');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { schemas } = require('../models/schemas');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+// Get subtasks of a task
+router.get('/tasks/:id/subtasks', authenticateToken, requireListRole(LIST_PERMISSIONS.view, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      SELECT t.*, ts.name as status_name, ts.category as status_category, ts.color as status_color,
+             assigned_user.name as assigned_to_name, assigned_user.email as assigned_to_email,
+             assigned_user.avatar_url as assigned_to_avatar_url
+      FROM tasks t
+      LEFT JOIN task_statuses ts ON t.status_id = ts.id
+      LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
+      WHERE t.parent_task_id = $1 AND t.deleted_at IS NULL
+      ORDER BY t.created_at ASC, t.id ASC
+    `, [id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    logger.error('Get subtasks error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch subtasks' });
+  }
+});
+
+// Create subtask
+router.post('/tasks/:id/subtasks', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, priority, assignedTo, dueDate, estimatedHours, statusId } = req.body;
+
+    const { error } = schemas.task
+      .fork(['name'], (field) => field.required())
+      .validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const parentResult = await pool.query(
+      'SELECT id, task_list_id, parent_task_id, project_id, requester_id FROM tasks WHERE id = $1 AND deleted_at IS NULL',
+      [id]
+    );
+
+    if (parentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const parentTask = parentResult.rows[0];
+
+    if (parentTask.parent_task_id) {
+      return res.status(400).json({ error: 'Subtasks cannot have their own subtasks' });
+    }
+
+    if (req.body.recurrence) {
+      return res.status(400).json({ error: 'Subtasks cannot repeat on their own' });
+    }
+
+    let processedAssignedTo = null;
+    if (assignedTo !== null && assignedTo !== undefined && assignedTo !== "") {
+      const assignedToId = parseInt(assignedTo);
+      if (!isNaN(assignedToId)) {
+        const assignedMemberCheck = await pool.query(
+          'SELECT id FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
+          [parentTask.task_list_id, assignedToId]
+        );
+
+        if (assignedMemberCheck.rows.length === 0) {
+          return res.status(400).json({ error: 'Assigned user is not a member of this task list' });
+        }
+        processedAssignedTo = assignedToId;
+      }
+    }
+
+    let initialStatus;
+    if (statusId !== null && statusId !== undefined) {
+      initialStatus = await getTaskListStatus(pool, parentTask.task_list_id, statusId);
+      if (!initialStatus) {
+        return res.status(400).json({ error: 'Status does not belong to this task list' });
+      }
+    } else {
+      initialStatus = await getInitialStatus(pool, parentTask.task_list_id);
+    }
+
+    const sanitizedName = sanitizeInput(name);
+    const sanitizedDescription = description ? sanitizeInput(description) : null;
+
+    // Subtasks inherit the parent's project and requester
+    const result = await pool.query(
+      `INSERT INTO tasks (name, description, task_list_id, parent_task_id, project_id, requester_id,
+       priority, assigned_to, due_date, estimated_hours, status_id, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW()) RETURNING *`,
+      [sanitizedName, sanitizedDescription, parentTask.task_list_id, parentTask.id,
+       parentTask.project_id, parentTask.requester_id, priority || 'medium', processedAssignedTo,
+       dueDate || null, estimatedHours || null, initialStatus ? initialStatus.id : null, req.user.userId]
+    );
+
+    const subtask = await getTaskDetails(pool, result.rows[0].id, req.user.userId);
+
+    logger.info('Subtask created', { taskId: sanitizeForLog(subtask.id), parentTaskId: sanitizeForLog(id) });
+
+    try {
+      await recordTaskEvent(pool, {
+        taskId: subtask.id,
+        taskListId: subtask.task_list_id,
+        actorId: req.user.userId,
+        eventType: 'created',
+        newValue: subtask.name
+      });
+    } catch (eventError) {
+      logger.error('Error recording task event', { error: sanitizeForLog(eventError.message) });
+    }
+
+    try {
+      await notifyMentions(pool, io, {
+        task: subtask,
+        text: subtask.description,
+        authorId: req.user.userId,
+        source: 'description'
+      });
+    } catch (mentionError) {
+      logger.error('Error creating mention notifications', { error: sanitizeForLog(mentionError.message) });
+    }
+
+    if (processedAssignedTo && processedAssignedTo !== req.user.userId) {
+      try {
+        await createNotification(
+          pool,
+          io,
+          processedAssignedTo,
+          subtask.id,
+          subtask.task_list_id,
+          'task_assigned',
+          'New Subtask Assigned',
+          `You have been assigned to "${subtask.name}" (subtask of "${subtask.parent_task_name}") in ${subtask.task_list_name}`
+        );
+      } catch (notifError) {
+        logger.error('Error creating assignment notification', { error: sanitizeForLog(notifError.message) });
+      }
+    }
+
+    if (io) {
+      io.to(`taskList_${subtask.task_list_id}`).emit('taskCreated', subtask);
+    }
+    await broadcastTaskProgress(pool, io, parentTask.id);
+
+    res.status(201).json(subtask);
+  } catch (error) {
+    logger.error('Create subtask error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to create subtask' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
 const { createNotification } = require('../services/notification.service');
 const {
   recalculateTaskReminders,
@@ -9,8 +10,20 @@ const {
   scheduleReminderJob,
   markReminderAsSent
 } = require('../services/reminder.service');
+const { getTaskListStatus, getInitialStatus, isDoneCategory } = require('../services/taskStatus.service');
+const { getOpenChildren, broadcastTaskProgress } = require('../services/subtask.service');
+const { getDependentTaskIds, broadcastBlockerCounts } = require('../services/dependency.service');
+const { applyCompletionChange } = require('../services/taskCompletion.service');
+const { notifyMentions } = require('../services/mention.service');
+const { getTaskDetails, getTaskListPage, resolveTaskSortField } = require('../services/task.service');
+const { saveTaskRecurrenceRule } = require('../services/recurrence.service');
+const { moveTaskToTrash } = require('../services/trash.service');
+const { labelsBelongToTaskList, setTaskLabels } = require('../services/label.service');
+const { getTaskListCustomFields, saveTaskCustomFieldValues } = require('../services/customField.service');
+const { recordTaskEvent, recordTaskChanges, getTaskHistory } = require('../services/taskEvent.service');
+const { LIST_PERMISSIONS, hasListRole } = require('../services/listRole.service');
 const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
-const { schemas } = require('../models/schemas');
+const { schemas, buildCustomFieldValuesSchema, buildCustomFieldFilterSchema } = require('../models/schemas');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -21,40 +34,42 @@ router.setIO = (ioInstance) => {
   io = ioInstance;
 };
 
-// Get tasks for a task list
-router.get('/task-lists/:id/tasks', authenticateToken, async (req, res) => {
+// Get a page of tasks for a task list, filtered and sorted
+router.get('/task-lists/:id/tasks', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const memberCheck = await pool.query(
-      'SELECT id FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
-      [id, req.user.userId]
+    const { error, value } = schemas.taskQuery.validate(req.query, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    // Custom field filters and sort keys depend on the list's field definitions
+    const customFields = await getTaskListCustomFields(pool, id);
+    const customFieldFilters = Object.fromEntries(
+      Object.entries(value).filter(([key]) => /^cf\d+$/.test(key))
     );
 
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const result = await pool.query(`
-      SELECT t.*, p.name as project_name, r.name as requester_name,
-             assigned_user.name as assigned_to_name, assigned_user.email as assigned_to_email,
-             assigned_user.avatar_url as assigned_to_avatar_url,
-             creator.name as created_by_name,
-             utq.queue_position,
-             (SELECT MIN(tr.reminder_datetime)
-              FROM task_reminders tr
-              WHERE tr.task_id = t.id AND tr.is_sent = false) as next_reminder_datetime
-      FROM tasks t
-      LEFT JOIN projects p ON t.project_id = p.id
-      LEFT JOIN requesters r ON t.requester_id = r.id
-      LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
-      LEFT JOIN users creator ON t.created_by = creator.id
-      LEFT JOIN user_task_queue utq ON t.id = utq.task_id AND utq.user_id = $2
-      WHERE t.task_list_id = $1
-      ORDER BY t.created_at DESC
-    `, [id, req.user.userId]);
-
-    res.json(result.rows);
+    const filterValidation = buildCustomFieldFilterSchema(customFields)
+      .validate(customFieldFilters, { abortEarly: false });
+    if (filterValidation.error) {
+      const errorMessage = filterValidation.error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    if (!resolveTaskSortField(value.sortBy, customFields)) {
+      return res.status(400).json({ error: 'Tasks cannot be sorted by this field' });
+    }
+
+    const page = await getTaskListPage(
+      pool, id, req.user.userId, { ...value, ...filterValidation.value }, customFields
+    );
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    res.json(page);
   } catch (error) {
     logger.error('Get tasks error', { error: sanitizeForLog(error.message) });
     res.status(500).json({ error: 'Failed to fetch tasks' });
@@ -62,24 +77,19 @@ router.get('/task-lists/:id/tasks', authenticateToken, async (req, res) => {
 });
 
 // Create task
-router.post('/task-lists/:id/tasks', authenticateToken, async (req, res) => {
+router.post('/task-lists/:id/tasks', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, projectId, requesterId, priority, assignedTo, dueDate, estimatedHours } = req.body;
+    const { name, description, projectId, requesterId, priority, assignedTo, dueDate, estimatedHours, statusId } = req.body;
 
-    const { error } = schemas.task.validate(req.body, { abortEarly: false });
+    const { error, value } = schemas.task.validate(req.body, { abortEarly: false });
     if (error) {
       const errorMessage = error.details.map(detail => detail.message).join('; ');
       return res.status(400).json({ error: errorMessage });
     }
 
-    const memberCheck = await pool.query(
-      'SELECT id FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
-      [id, req.user.userId]
-    );
-
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (value.recurrence && !dueDate) {
+      return res.status(400).json({ error: 'A recurring task needs a due date' });
     }
 
     let processedAssignedTo = null;
@@ -105,42 +115,85 @@ router.post('/task-lists/:id/tasks', authenticateToken, async (req, res) => {
       }
     }
 
+    let initialStatus;
+    if (statusId !== null && statusId !== undefined) {
+      initialStatus = await getTaskListStatus(pool, id, statusId);
+      if (!initialStatus) {
+        return res.status(400).json({ error: 'Status does not belong to this task list' });
+      }
+    } else {
+      initialStatus = await getInitialStatus(pool, id);
+    }
+
+    if (value.labelIds && !await labelsBelongToTaskList(pool, id, value.labelIds)) {
+      return res.status(400).json({ error: 'Labels must belong to this task list' });
+    }
+
+    let customFields = [];
+    let customFieldValues = null;
+    if (value.customFields) {
+      customFields = await getTaskListCustomFields(pool, id);
+      const customFieldValidation = buildCustomFieldValuesSchema(customFields)
+        .validate(value.customFields, { abortEarly: false });
+      if (customFieldValidation.error) {
+        const errorMessage = customFieldValidation.error.details.map(detail => detail.message).join('; ');
+        return res.status(400).json({ error: errorMessage });
+      }
+      customFieldValues = customFieldValidation.value;
+    }
+
     const sanitizedName = sanitizeInput(name);
     const sanitizedDescription = description ? sanitizeInput(description) : null;
     logger.debug('Creating task', { assignedTo: processedAssignedTo });
 
     const result = await pool.query(
       `INSERT INTO tasks (name, description, task_list_id, project_id, requester_id,
-       priority, assigned_to, due_date, estimated_hours, created_by, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW()) RETURNING *`,
+       priority, assigned_to, due_date, estimated_hours, status_id, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW()) RETURNING *`,
       [sanitizedName, sanitizedDescription, id, projectId || null, requesterId || null,
        priority || 'medium', processedAssignedTo, dueDate || null,
-       estimatedHours || null, req.user.userId]
+       estimatedHours || null, initialStatus ? initialStatus.id : null, req.user.userId]
     );
 
-    const taskResult = await pool.query(`
-      SELECT t.*, p.name as project_name, r.name as requester_name,
-             assigned_user.name as assigned_to_name, assigned_user.email as assigned_to_email,
-             assigned_user.avatar_url as assigned_to_avatar_url,
-             creator.name as created_by_name,
-             tl.name as task_list_name, utq.queue_position,
-             (SELECT MIN(tr.reminder_datetime)
-              FROM task_reminders tr
-              WHERE tr.task_id = t.id AND tr.is_sent = false) as next_reminder_datetime
-      FROM tasks t
-      LEFT JOIN projects p ON t.project_id = p.id
-      LEFT JOIN requesters r ON t.requester_id = r.id
-      LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
-      LEFT JOIN users creator ON t.created_by = creator.id
-      LEFT JOIN task_lists tl ON t.task_list_id = tl.id
-      LEFT JOIN user_task_queue utq ON t.id = utq.task_id AND utq.user_id = $2
-      WHERE t.id = $1
-    `, [result.rows[0].id, req.user.userId]);
-
-    const newTask = taskResult.rows[0];
+    if (value.recurrence) {
+      await saveTaskRecurrenceRule(pool, result.rows[0], value.recurrence, req.user.userId);
+    }
+
+    if (value.labelIds && value.labelIds.length > 0) {
+      await setTaskLabels(pool, result.rows[0].id, value.labelIds);
+    }
+
+    if (customFieldValues) {
+      await saveTaskCustomFieldValues(pool, result.rows[0].id, customFields, customFieldValues);
+    }
+
+    const newTask = await getTaskDetails(pool, result.rows[0].id, req.user.userId);
 
     logger.info('Task created', { taskId: sanitizeForLog(newTask.id), taskListId: sanitizeForLog(id) });
 
+    try {
+      await recordTaskEvent(pool, {
+        taskId: newTask.id,
+        taskListId: newTask.task_list_id,
+        actorId: req.user.userId,
+        eventType: 'created',
+        newValue: newTask.name
+      });
+    } catch (eventError) {
+      logger.error('Error recording task event', { error: sanitizeForLog(eventError.message) });
+    }
+
+    try {
+      await notifyMentions(pool, io, {
+        task: newTask,
+        text: newTask.description,
+        authorId: req.user.userId,
+        source: 'description'
+      });
+    } catch (mentionError) {
+      logger.error('Error creating mention notifications', { error: sanitizeForLog(mentionError.message) });
+    }
+
     if (processedAssignedTo && processedAssignedTo !== req.user.userId) {
       try {
         await createNotification(
@@ -170,7 +223,7 @@ router.post('/task-lists/:id/tasks', authenticateToken, async (req, res) => {
 });
 
 // Update task
-router.put('/tasks/:id', authenticateToken, async (req, res) => {
+router.put('/tasks/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -185,20 +238,16 @@ router.put('/tasks/:id', authenticateToken, async (req, res) => {
     }
     logger.debug('Task validation passed');
 
-    const originalTaskResult = await pool.query(
-      'SELECT assigned_to, task_list_id, due_date, status FROM tasks WHERE id = $1',
-      [id]
-    );
+    // The full row is kept so the history can record what each field was
+    const originalTask = await getTaskDetails(pool, id, req.user.userId);
 
-    if (originalTaskResult.rows.length === 0) {
+    if (!originalTask || originalTask.deleted_at) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    const originalTask = originalTaskResult.rows[0];
-
     const validUpdates = {};
     const allowedFields = [
-      'name', 'description', 'status', 'priority',
+      'name', 'description', 'status_id', 'statusId', 'priority',
       'due_date', 'estimated_hours', 'estimatedHours', 'project_id', 'projectId',
       'requester_id', 'requesterId', 'assigned_to', 'assignedTo', 'day_assigned', 'dayAssigned'
     ];
@@ -218,21 +267,69 @@ router.put('/tasks/:id', authenticateToken, async (req, res) => {
       }
     });
 
-    if (Object.keys(validUpdates).length === 0) {
+    // Labels and custom field values live in their own tables rather than in columns
+    const labelIds = updates.labelIds;
+
+    if (Object.keys(validUpdates).length === 0 && labelIds === undefined && updates.customFields === undefined) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
 
+    if (labelIds !== undefined && !await labelsBelongToTaskList(pool, originalTask.task_list_id, labelIds)) {
+      return res.status(400).json({ error: 'Labels must belong to this task list' });
+    }
+
+    let customFields = [];
+    let customFieldValues = null;
+    if (updates.customFields !== undefined) {
+      customFields = await getTaskListCustomFields(pool, originalTask.task_list_id);
+      const customFieldValidation = buildCustomFieldValuesSchema(customFields)
+        .validate(updates.customFields, { abortEarly: false });
+      if (customFieldValidation.error) {
+        const errorMessage = customFieldValidation.error.details.map(detail => detail.message).join('; ');
+        return res.status(400).json({ error: errorMessage });
+      }
+      customFieldValues = customFieldValidation.value;
+    }
+
+    let newStatus = null;
+    if (validUpdates.status_id !== undefined) {
+      if (validUpdates.status_id === null) {
+        return res.status(400).json({ error: 'Status cannot be cleared' });
+      }
+
+      newStatus = await getTaskListStatus(pool, originalTask.task_list_id, validUpdates.status_id);
+      if (!newStatus) {
+        return res.status(400).json({ error: 'Status does not belong to this task list' });
+      }
+    }
+
+    const isBeingCompleted = newStatus && isDoneCategory(newStatus.category) &&
+      !isDoneCategory(originalTask.status_category);
+
+    // A parent with open subtasks or checklist items can only be completed when forced
+    if (isBeingCompleted && updates.force !== true) {
+      const { openSubtasks, openChecklistItems } = await getOpenChildren(pool, id);
+      if (openSubtasks > 0 || openChecklistItems > 0) {
+        return res.status(409).json({
+          error: 'Task has open subtasks or checklist items',
+          openSubtasks,
+          openChecklistItems
+        });
+      }
+    }
+
     logger.debug('Valid updates prepared', { fields: Object.keys(validUpdates) });
 
     const setClause = Object.keys(validUpdates)
       .map((key, index) => `${key} = $${index + 2}`)
+      .concat('updated_at = NOW()')
       .join(', ');
 
     const values = [id, ...Object.values(validUpdates)];
     logger.debug('SQL SET clause generated');
     logger.debug('SQL values prepared', { valueCount: values.length });
 
-    const query = `UPDATE tasks SET ${setClause}, updated_at = NOW() WHERE id = $1 RETURNING *`;
+    const query = `UPDATE tasks SET ${setClause} WHERE id = $1 RETURNING *`;
     logger.debug('Final query prepared');
 
     const result = await pool.query(query, values);
@@ -243,28 +340,38 @@ router.put('/tasks/:id', authenticateToken, async (req, res) => {
 
     logger.debug('Task updated in database', { taskId: sanitizeForLog(result.rows[0].id) });
 
-    const taskResult = await pool.query(`
-      SELECT t.*, p.name as project_name, r.name as requester_name,
-             assigned_user.name as assigned_to_name, assigned_user.email as assigned_to_email,
-             assigned_user.avatar_url as assigned_to_avatar_url,
-             creator.name as created_by_name,
-             utq.queue_position,
-             (SELECT MIN(tr.reminder_datetime)
-              FROM task_reminders tr
-              WHERE tr.task_id = t.id AND tr.is_sent = false) as next_reminder_datetime
-      FROM tasks t
-      LEFT JOIN projects p ON t.project_id = p.id
-      LEFT JOIN requesters r ON t.requester_id = r.id
-      LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
-      LEFT JOIN users creator ON t.created_by = creator.id
-      LEFT JOIN user_task_queue utq ON t.id = utq.task_id AND utq.user_id = $2
-      WHERE t.id = $1
-    `, [id, req.user.userId]);
-
-    const updatedTask = taskResult.rows[0];
+    if (labelIds !== undefined) {
+      await setTaskLabels(pool, id, labelIds);
+    }
+
+    if (customFieldValues) {
+      await saveTaskCustomFieldValues(pool, id, customFields, customFieldValues);
+    }
+
+    const updatedTask = await getTaskDetails(pool, id, req.user.userId);
 
     logger.info('Task update complete', { taskId: sanitizeForLog(updatedTask.id) });
 
+    try {
+      await recordTaskChanges(pool, originalTask, updatedTask, req.user.userId);
+    } catch (eventError) {
+      logger.error('Error recording task events', { error: sanitizeForLog(eventError.message) });
+    }
+
+    if (validUpdates.description !== undefined) {
+      try {
+        await notifyMentions(pool, io, {
+          task: updatedTask,
+          text: updatedTask.description,
+          previousText: originalTask.description,
+          authorId: req.user.userId,
+          source: 'description'
+        });
+      } catch (mentionError) {
+        logger.error('Error creating mention notifications', { error: sanitizeForLog(mentionError.message) });
+      }
+    }
+
     if (validUpdates.assigned_to !== undefined &&
         validUpdates.assigned_to !== originalTask.assigned_to &&
         validUpdates.assigned_to !== req.user.userId) {
@@ -358,21 +465,9 @@ router.put('/tasks/:id', authenticateToken, async (req, res) => {
       }
     }
 
-    // Delete unsent reminders if task is marked as completed
-    if (validUpdates.status === true && originalTask.status === false) {
-      try {
-        // Get reminders before deleting to cancel jobs
-        const reminders = await getTaskReminders(pool, id);
-
-        // Cancel all scheduled jobs
-        cancelAllTaskReminderJobs(reminders);
-
-        // Delete unsent reminders from database
-        await pool.query('DELETE FROM task_reminders WHERE task_id = $1 AND is_sent = false', [id]);
-        logger.debug('Deleted unsent reminders for completed task', { taskId: sanitizeForLog(id) });
-      } catch (reminderError) {
-        logger.error('Error deleting reminders for completed task', { error: sanitizeForLog(reminderError.message) });
-      }
+    // Completing or reopening a task: the next recurring instance, its reminders and the tasks it blocks
+    if (newStatus && isDoneCategory(newStatus.category) !== isDoneCategory(originalTask.status_category)) {
+      await applyCompletionChange(pool, io, originalTask, isBeingCompleted);
     }
 
     const taskListId = updatedTask.task_list_id;
@@ -380,6 +475,14 @@ router.put('/tasks/:id', authenticateToken, async (req, res) => {
       io.to(`taskList_${taskListId}`).emit('taskUpdated', updatedTask);
     }
 
+    if (newStatus && originalTask.parent_task_id) {
+      try {
+        await broadcastTaskProgress(pool, io, originalTask.parent_task_id);
+      } catch (progressError) {
+        logger.error('Error broadcasting parent task progress', { error: sanitizeForLog(progressError.message) });
+      }
+    }
+
     res.json(updatedTask);
   } catch (error) {
     logger.error('Update task error', { error: sanitizeForLog(error.message) });
@@ -387,45 +490,95 @@ router.put('/tasks/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete task
-router.delete('/tasks/:id', authenticateToken, async (req, res) => {
+// Get a single task
+router.get('/tasks/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.view, { source: 'task' }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await pool.query('DELETE FROM tasks WHERE id = $1 RETURNING task_list_id', [id]);
+    const task = await getTaskDetails(pool, id, req.user.userId);
+    if (!task || task.deleted_at) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
 
-    if (result.rows.length === 0) {
+    res.json(task);
+  } catch (error) {
+    logger.error('Get task error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch task' });
+  }
+});
+
+// Get the change history of a task
+router.get('/tasks/:id/history', authenticateToken, requireListRole(LIST_PERMISSIONS.view, { source: 'taskHistory' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    res.json(await getTaskHistory(pool, id));
+  } catch (error) {
+    logger.error('Get task history error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch task history' });
+  }
+});
+
+// Move a task and its subtasks to the trash
+router.delete('/tasks/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'task' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Members may only delete their own tasks
+    if (!hasListRole(req.listRole, LIST_PERMISSIONS.deleteAnyTask)) {
+      const ownerResult = await pool.query('SELECT created_by FROM tasks WHERE id = $1', [id]);
+
+      if (ownerResult.rows[0].created_by !== req.user.userId) {
+        return res.status(403).json({
+          error: 'Only admins can delete tasks created by someone else',
+          insufficientRole: true
+        });
+      }
+    }
+
+    const dependentIds = await getDependentTaskIds(pool, id);
+
+    const trashed = await moveTaskToTrash(pool, id, req.user.userId);
+
+    if (!trashed) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    const taskListId = result.rows[0].task_list_id;
-
-    const renumberResult = await pool.query(`
-      UPDATE user_task_queue utq
-      SET queue_position = subquery.new_position
-      FROM (
-        SELECT
-          utq2.user_id,
-          utq2.task_id,
-          ROW_NUMBER() OVER (PARTITION BY utq2.user_id ORDER BY utq2.queue_position) as new_position
-        FROM user_task_queue utq2
-        JOIN tasks t ON utq2.task_id = t.id
-        WHERE t.task_list_id = $1
-      ) AS subquery
-      WHERE utq.user_id = subquery.user_id AND utq.task_id = subquery.task_id
-      RETURNING utq.user_id, utq.task_id, utq.queue_position
-    `, [taskListId]);
-
-    logger.info('Renumbered queue positions for all users after task deletion', {
-      taskListId,
-      totalUpdates: renumberResult.rowCount
+    const task = trashed.find(row => row.id === parseInt(id));
+    const taskListId = task.task_list_id;
+
+    logger.info('Task moved to trash', {
+      taskId: sanitizeForLog(id),
+      taskListId: sanitizeForLog(taskListId),
+      subtaskCount: trashed.length - 1
     });
 
+    try {
+      for (const trashedTask of trashed) {
+        await recordTaskEvent(pool, {
+          taskId: trashedTask.id,
+          taskListId,
+          actorId: req.user.userId,
+          eventType: 'deleted',
+          oldValue: trashedTask.name
+        });
+      }
+    } catch (eventError) {
+      logger.error('Error recording task event', { error: sanitizeForLog(eventError.message) });
+    }
+
     if (io) {
-      io.to(`taskList_${taskListId}`).emit('taskDeleted', { id: parseInt(id) });
+      trashed.forEach(trashedTask => {
+        io.to(`taskList_${taskListId}`).emit('taskDeleted', { id: trashedTask.id });
+      });
+    }
+
+    if (task.parent_task_id) {
+      await broadcastTaskProgress(pool, io, task.parent_task_id);
     }
+    await broadcastBlockerCounts(pool, io, dependentIds);
 
-    res.json({ message: 'Task deleted successfully' });
+    res.json({ message: 'Task moved to trash' });
   } catch (error) {
     logger.error('Delete task error', { error: sanitizeForLog(error.message) });
     res.status(500).json({ error: 'Failed to delete task' });
@@ -1,13 +1,61 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { generateInviteCode } = require('../services/inviteCode.service');
+const { requireListRole } = require('../middleware/listRole');
+const {
+  generateInviteCode,
+  getTaskListInvites,
+  createTaskListInvite,
+  revokeTaskListInvite,
+  rotateInviteCode,
+  hideInviteCode,
+  joinTaskListWithCode
+} = require('../services/inviteCode.service');
+const { createDefaultStatuses } = require('../services/taskStatus.service');
+const { removeStoredFiles } = require('../services/attachment.service');
+const { LIST_PERMISSIONS, hasListRole, getListRole, canAssignListRole, canRemoveListMember } = require('../services/listRole.service');
+const {
+  getTaskListMembers,
+  emitMembersUpdated,
+  removeListMember,
+  transferListOwnership
+} = require('../services/listMember.service');
+const { getTaskDetails } = require('../services/task.service');
+const { evictFromTaskList, closeTaskListRoom } = require('../websocket/socketHandlers');
+const { sendMail, getAppUrl } = require('../services/mail');
 const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { unescape } = require('../utils/validation');
 const { schemas } = require('../models/schemas');
 const { logger, securityLog } = require('../utils/logger');
 
 const router = express.Router();
 
+// Emailed invites are single-use and last a week
+const EMAIL_INVITE_EXPIRY_HOURS = 168;
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+/**
+ * Tell clients about tasks whose assignee changed when a member left
+ * @param {number} taskListId - Task list ID
+ * @param {Array<number>} taskIds - Reassigned task IDs
+ * @param {number} userId - User the task details are read for
+ */
+const emitTasksReassigned = async (taskListId, taskIds, userId) => {
+  if (!io) return;
+
+  for (const taskId of taskIds) {
+    const task = await getTaskDetails(pool, taskId, userId);
+    if (task) {
+      io.to(`taskList_${taskListId}`).emit('taskUpdated', task);
+    }
+  }
+};
+
 // Get all task lists for user
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -15,12 +63,13 @@ router.get('/', authenticateToken, async (req, res) => {
 
     const result = await pool.query(`
       SELECT tl.*, u.name as owner_name,
+             (SELECT role FROM task_list_members WHERE task_list_id = tl.id AND user_id = $1) as user_role,
              COUNT(DISTINCT CASE WHEN tlm.user_id IS NOT NULL THEN tlm.user_id END) as member_count,
              COUNT(DISTINCT CASE WHEN t.id IS NOT NULL THEN t.id END) as task_count
       FROM task_lists tl
       LEFT JOIN users u ON tl.owner_id = u.id
       LEFT JOIN task_list_members tlm ON tl.id = tlm.task_list_id
-      LEFT JOIN tasks t ON tl.id = t.task_list_id
+      LEFT JOIN tasks t ON tl.id = t.task_list_id AND t.deleted_at IS NULL
       WHERE tl.owner_id = $1 OR tl.id IN (
         SELECT task_list_id FROM task_list_members WHERE user_id = $1
       )
@@ -30,7 +79,9 @@ router.get('/', authenticateToken, async (req, res) => {
 
     logger.debug('Found task lists', { count: result.rows.length, userId: sanitizeForLog(req.user.userId) });
 
-    res.json(result.rows);
+    res.json(result.rows.map(taskList =>
+      hasListRole(taskList.user_role, LIST_PERMISSIONS.manageMembers) ? taskList : hideInviteCode(taskList)
+    ));
   } catch (error) {
     logger.error('Get task lists error', { error: sanitizeForLog(error.message), userId: sanitizeForLog(req.user.userId) });
     res.status(500).json({ error: 'Failed to fetch task lists' });
@@ -69,17 +120,20 @@ router.post('/', authenticateToken, async (req, res) => {
 
     logger.debug('Member added to task list', { taskListId: sanitizeForLog(taskListId), userId: sanitizeForLog(req.user.userId) });
 
+    await createDefaultStatuses(pool, taskListId);
+
     const enrichedResult = await pool.query(`
       SELECT tl.*, u.name as owner_name,
+             (SELECT role FROM task_list_members WHERE task_list_id = tl.id AND user_id = $2) as user_role,
              COUNT(DISTINCT CASE WHEN tlm.user_id IS NOT NULL THEN tlm.user_id END) as member_count,
              COUNT(DISTINCT CASE WHEN t.id IS NOT NULL THEN t.id END) as task_count
       FROM task_lists tl
       LEFT JOIN users u ON tl.owner_id = u.id
       LEFT JOIN task_list_members tlm ON tl.id = tlm.task_list_id
-      LEFT JOIN tasks t ON tl.id = t.task_list_id
+      LEFT JOIN tasks t ON tl.id = t.task_list_id AND t.deleted_at IS NULL
       WHERE tl.id = $1
       GROUP BY tl.id, u.name
-    `, [taskListId]);
+    `, [taskListId, req.user.userId]);
 
     logger.debug('Task list enriched with owner data', { taskListId: sanitizeForLog(taskListId) });
 
@@ -117,10 +171,20 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Only the owner can delete this task list' });
     }
 
+    // Attachment rows go with the cascade, so collect their files first
+    const attachmentResult = await pool.query(`
+      SELECT a.storage_key
+      FROM task_attachments a
+      JOIN tasks t ON a.task_id = t.id
+      WHERE t.task_list_id = $1
+    `, [id]);
+
     await pool.query('DELETE FROM task_lists WHERE id = $1', [id]);
+    await removeStoredFiles(attachmentResult.rows.map(row => row.storage_key));
 
     logger.info('Task list deleted', { taskListId: sanitizeForLog(id), userId: sanitizeForLog(req.user.userId) });
     securityLog('TASK_LIST_DELETED', { taskListId: id }, req);
+    closeTaskListRoom(io, id);
 
     res.json({ message: 'Task list deleted successfully' });
   } catch (error) {
@@ -134,74 +198,393 @@ router.post('/join', authenticateToken, async (req, res) => {
   try {
     const { inviteCode } = req.body;
 
-    if (!inviteCode) {
+    if (!inviteCode || typeof inviteCode !== 'string') {
       return res.status(400).json({ error: 'Invite code is required' });
     }
 
     logger.debug('User joining task list', { userId: sanitizeForLog(req.user.userId), inviteCode: sanitizeForLog(inviteCode) });
 
-    const sanitizedCode = sanitizeInput(inviteCode.toUpperCase());
+    const { taskList, status, error } = await joinTaskListWithCode(pool, inviteCode, req.user.userId);
 
-    const taskListResult = await pool.query(
-      'SELECT * FROM task_lists WHERE invite_code = $1',
-      [sanitizedCode]
-    );
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await emitMembersUpdated(pool, io, taskList.id);
 
-    if (taskListResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Invalid invite code' });
+    res.json({ message: 'Successfully joined task list', taskList });
+  } catch (error) {
+    logger.error('Join task list error', { error: sanitizeForLog(error.message), userId: sanitizeForLog(req.user.userId) });
+    res.status(500).json({ error: 'Failed to join task list' });
+  }
+});
+
+// Get the invites of a task list
+router.get('/:id/invites', authenticateToken, requireListRole(LIST_PERMISSIONS.manageMembers), async (req, res) => {
+  try {
+    res.json(await getTaskListInvites(pool, req.taskListId));
+  } catch (error) {
+    logger.error('Get invites error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// Create an invite
+router.post('/:id/invites', authenticateToken, requireListRole(LIST_PERMISSIONS.manageMembers), async (req, res) => {
+  try {
+    const { error, value } = schemas.taskListInvite.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    if (value.role === 'admin' && !hasListRole(req.listRole, LIST_PERMISSIONS.manageAdmins)) {
+      securityLog('ACCESS_DENIED', {
+        reason: 'Admin invite not allowed',
+        taskListId: req.taskListId,
+        role: req.listRole
+      }, req);
+      return res.status(403).json({ error: 'Only the owner can invite admins', insufficientRole: true });
     }
 
-    const taskList = taskListResult.rows[0];
+    const invite = await createTaskListInvite(pool, req.taskListId, value, req.user.userId);
 
-    const memberCheck = await pool.query(
-      'SELECT id FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
-      [taskList.id, req.user.userId]
-    );
+    logger.info('Invite created', {
+      taskListId: sanitizeForLog(req.taskListId),
+      inviteId: sanitizeForLog(invite.id),
+      role: sanitizeForLog(invite.role),
+      userId: sanitizeForLog(req.user.userId)
+    });
+
+    res.status(201).json(invite);
+  } catch (error) {
+    logger.error('Create invite error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// Invite someone by email; the invite only works for that address
+router.post('/:id/invites/email', authenticateToken, requireListRole(LIST_PERMISSIONS.manageMembers), async (req, res) => {
+  try {
+    const { error, value } = schemas.emailInvite.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    if (value.role === 'admin' && !hasListRole(req.listRole, LIST_PERMISSIONS.manageAdmins)) {
+      securityLog('ACCESS_DENIED', {
+        reason: 'Admin invite not allowed',
+        taskListId: req.taskListId,
+        role: req.listRole
+      }, req);
+      return res.status(403).json({ error: 'Only the owner can invite admins', insufficientRole: true });
+    }
+
+    // Stored the way registration stores addresses, so it compares with users.email
+    const email = sanitizeInput(value.email);
+
+    const memberCheck = await pool.query(`
+      SELECT tlm.id
+      FROM task_list_members tlm
+      JOIN users u ON tlm.user_id = u.id
+      WHERE tlm.task_list_id = $1 AND u.email = $2
+    `, [req.taskListId, email]);
 
     if (memberCheck.rows.length > 0) {
-      return res.status(400).json({ error: 'Already a member of this task list' });
+      return res.status(400).json({ error: 'This person is already a member of the task list' });
+    }
+
+    const invite = await createTaskListInvite(pool, req.taskListId, {
+      role: value.role,
+      expiresInHours: EMAIL_INVITE_EXPIRY_HOURS,
+      maxUses: 1,
+      email
+    }, req.user.userId);
+
+    const detailsResult = await pool.query(`
+      SELECT tl.name as task_list_name, u.name as inviter_name
+      FROM task_lists tl, users u
+      WHERE tl.id = $1 AND u.id = $2
+    `, [req.taskListId, req.user.userId]);
+    const { task_list_name: taskListName, inviter_name: inviterName } = detailsResult.rows[0];
+
+    try {
+      await sendMail(value.email, 'taskListInvitation', {
+        inviterName: unescape(inviterName),
+        taskListName: unescape(taskListName),
+        role: invite.role,
+        acceptUrl: `${getAppUrl()}/?invite=${invite.code}&email=${encodeURIComponent(value.email)}`,
+        expiresAt: new Date(invite.expires_at)
+      });
+    } catch (mailError) {
+      // An invite nobody received is only clutter
+      await pool.query('DELETE FROM task_list_invites WHERE id = $1', [invite.id]);
+      logger.error('Invitation email failed', { error: sanitizeForLog(mailError.message), taskListId: sanitizeForLog(req.taskListId) });
+      return res.status(502).json({ error: 'Failed to send the invitation email' });
+    }
+
+    logger.info('Email invite sent', {
+      taskListId: sanitizeForLog(req.taskListId),
+      inviteId: sanitizeForLog(invite.id),
+      userId: sanitizeForLog(req.user.userId)
+    });
+
+    res.status(201).json(invite);
+  } catch (error) {
+    logger.error('Email invite error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to send invite' });
+  }
+});
+
+// Revoke an invite
+router.delete('/:id/invites/:inviteId', authenticateToken, requireListRole(LIST_PERMISSIONS.manageMembers), async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+
+    if (!/^\d+$/.test(inviteId) || !(await revokeTaskListInvite(pool, req.taskListId, inviteId))) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    logger.info('Invite revoked', {
+      taskListId: sanitizeForLog(req.taskListId),
+      inviteId: sanitizeForLog(inviteId),
+      userId: sanitizeForLog(req.user.userId)
+    });
+    securityLog('INVITE_REVOKED', { taskListId: req.taskListId, inviteId }, req);
+
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    logger.error('Revoke invite error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Replace the primary invite code
+router.post('/:id/invite-code/rotate', authenticateToken, requireListRole(LIST_PERMISSIONS.manageMembers), async (req, res) => {
+  try {
+    const inviteCode = await rotateInviteCode(pool, req.taskListId);
+
+    logger.info('Invite code rotated', {
+      taskListId: sanitizeForLog(req.taskListId),
+      userId: sanitizeForLog(req.user.userId)
+    });
+    securityLog('INVITE_CODE_ROTATED', { taskListId: req.taskListId }, req);
+
+    res.json({ inviteCode });
+  } catch (error) {
+    logger.error('Rotate invite code error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to rotate invite code' });
+  }
+});
+
+// Get members of a task list
+router.get('/:id/members', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
+  try {
+    res.json(await getTaskListMembers(pool, req.params.id));
+  } catch (error) {
+    logger.error('Get members error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// Change a member's role
+router.put('/:id/members/:userId', authenticateToken, requireListRole(LIST_PERMISSIONS.manageMembers), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    if (!/^\d+$/.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const { error, value } = schemas.memberRole.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    if (parseInt(userId) === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const targetResult = await pool.query(
+      'SELECT role FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (targetResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const currentRole = targetResult.rows[0].role;
+
+    if (!canAssignListRole(req.listRole, currentRole, value.role)) {
+      securityLog('ACCESS_DENIED', {
+        reason: 'Role change not allowed',
+        taskListId: id,
+        targetUserId: userId,
+        role: req.listRole,
+        currentRole,
+        newRole: value.role
+      }, req);
+      return res.status(403).json({
+        error: currentRole === 'owner'
+          ? "The owner's role can only change by transferring ownership"
+          : 'Only the owner can appoint or demote admins',
+        insufficientRole: true
+      });
     }
 
     await pool.query(
-      'INSERT INTO task_list_members (task_list_id, user_id) VALUES ($1, $2)',
-      [taskList.id, req.user.userId]
+      'UPDATE task_list_members SET role = $1 WHERE task_list_id = $2 AND user_id = $3',
+      [value.role, id, userId]
     );
 
-    logger.info('User joined task list', { userId: sanitizeForLog(req.user.userId), taskListId: sanitizeForLog(taskList.id) });
+    logger.info('Member role changed', {
+      taskListId: sanitizeForLog(id),
+      userId: sanitizeForLog(userId),
+      role: sanitizeForLog(value.role),
+      changedBy: sanitizeForLog(req.user.userId)
+    });
+    await emitMembersUpdated(pool, io, id);
 
-    res.json({ message: 'Successfully joined task list', taskList });
+    res.json({ message: 'Role updated successfully' });
   } catch (error) {
-    logger.error('Join task list error', { error: sanitizeForLog(error.message), userId: sanitizeForLog(req.user.userId) });
-    res.status(500).json({ error: 'Failed to join task list' });
+    logger.error('Update member role error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to update role' });
   }
 });
 
-// Get members of a task list
-router.get('/:id/members', authenticateToken, async (req, res) => {
+// Remove a member; their tasks go to ?reassignTo or are left unassigned
+router.delete('/:id/members/:userId', authenticateToken, requireListRole(LIST_PERMISSIONS.manageMembers), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { reassignTo } = req.query;
+
+    if (!/^\d+$/.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    if (parseInt(userId) === req.user.userId) {
+      return res.status(400).json({ error: 'Leave the list instead of removing yourself' });
+    }
+
+    const targetRole = await getListRole(pool, id, userId);
+
+    if (!targetRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!canRemoveListMember(req.listRole, targetRole)) {
+      securityLog('ACCESS_DENIED', {
+        reason: 'Member removal not allowed',
+        taskListId: id,
+        targetUserId: userId,
+        role: req.listRole,
+        targetRole
+      }, req);
+      return res.status(403).json({
+        error: targetRole === 'owner'
+          ? 'The owner cannot be removed; transfer ownership first'
+          : 'Only the owner can remove admins',
+        insufficientRole: true
+      });
+    }
+
+    if (reassignTo && (!/^\d+$/.test(reassignTo) || reassignTo === userId || !(await getListRole(pool, id, reassignTo)))) {
+      return res.status(400).json({ error: 'Tasks can only be reassigned to another member of this list' });
+    }
+
+    const reassignedTaskIds = await removeListMember(pool, {
+      taskListId: parseInt(id),
+      userId: parseInt(userId),
+      reassignTo: reassignTo ? parseInt(reassignTo) : null,
+      actorId: req.user.userId
+    });
+
+    logger.info('Member removed from task list', {
+      taskListId: sanitizeForLog(id),
+      userId: sanitizeForLog(userId),
+      reassignTo: sanitizeForLog(reassignTo || null),
+      reassignedTasks: reassignedTaskIds.length,
+      removedBy: sanitizeForLog(req.user.userId)
+    });
+    securityLog('TASK_LIST_MEMBER_REMOVED', { taskListId: id, targetUserId: userId }, req);
+    await emitMembersUpdated(pool, io, id);
+    evictFromTaskList(io, id, userId);
+    await emitTasksReassigned(id, reassignedTaskIds, req.user.userId);
+
+    res.json({ message: 'Member removed successfully', reassignedTaskIds });
+  } catch (error) {
+    logger.error('Remove member error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Leave a task list; the user's tasks are left unassigned
+router.post('/:id/leave', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const memberCheck = await pool.query(
-      'SELECT id FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
-      [id, req.user.userId]
-    );
+    if (req.listRole === 'owner') {
+      return res.status(400).json({ error: 'Transfer ownership to another member before leaving this list' });
+    }
 
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Access denied' });
+    const reassignedTaskIds = await removeListMember(pool, {
+      taskListId: req.taskListId,
+      userId: req.user.userId,
+      actorId: req.user.userId
+    });
+
+    logger.info('User left task list', {
+      taskListId: sanitizeForLog(id),
+      userId: sanitizeForLog(req.user.userId),
+      unassignedTasks: reassignedTaskIds.length
+    });
+    await emitMembersUpdated(pool, io, id);
+    evictFromTaskList(io, id, req.user.userId);
+    await emitTasksReassigned(id, reassignedTaskIds, req.user.userId);
+
+    res.json({ message: 'Left task list successfully' });
+  } catch (error) {
+    logger.error('Leave task list error', { error: sanitizeForLog(error.message), userId: sanitizeForLog(req.user.userId) });
+    res.status(500).json({ error: 'Failed to leave task list' });
+  }
+});
+
+// Hand the task list to another member; the previous owner becomes an admin
+router.post('/:id/transfer-ownership', authenticateToken, requireListRole(LIST_PERMISSIONS.transferOwnership), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.ownershipTransfer.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
     }
 
-    const result = await pool.query(`
-      SELECT u.id, u.name, u.email, u.avatar_url, tlm.role, tlm.joined_at
-      FROM task_list_members tlm
-      JOIN users u ON tlm.user_id = u.id
-      WHERE tlm.task_list_id = $1
-      ORDER BY tlm.joined_at ASC
-    `, [id]);
+    if (value.userId === req.user.userId) {
+      return res.status(400).json({ error: 'You already own this list' });
+    }
+
+    if (!(await getListRole(pool, id, value.userId))) {
+      return res.status(400).json({ error: 'Ownership can only be transferred to a member of this list' });
+    }
 
-    res.json(result.rows);
+    await transferListOwnership(pool, req.taskListId, req.user.userId, value.userId);
+
+    logger.info('Task list ownership transferred', {
+      taskListId: sanitizeForLog(id),
+      from: sanitizeForLog(req.user.userId),
+      to: sanitizeForLog(value.userId)
+    });
+    securityLog('TASK_LIST_OWNERSHIP_TRANSFERRED', { taskListId: id, newOwnerId: value.userId }, req);
+    await emitMembersUpdated(pool, io, id);
+
+    res.json({ message: 'Ownership transferred successfully' });
   } catch (error) {
-    logger.error('Get members error', { error: sanitizeForLog(error.message) });
-    res.status(500).json({ error: 'Failed to fetch members' });
+    logger.error('Transfer ownership error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to transfer ownership' });
   }
 });
 
@@ -0,0 +1,342 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
+const { getTaskListStatuses, getTaskListStatus, isDoneCategory } = require('../services/taskStatus.service');
+const { recordStatusChanges } = require('../services/taskEvent.service');
+const { applyCompletionChanges } = require('../services/taskCompletion.service');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { schemas } = require('../models/schemas');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+// History names a status with its category, so a category change reads as a move
+const describeStatus = (status) => `${status.name} (${status.category})`;
+
+/**
+ * Notify task list members that the workflow changed
+ * @param {number} taskListId - Task list ID
+ */
+const emitStatusesUpdated = async (taskListId) => {
+  if (io) {
+    const statuses = await getTaskListStatuses(pool, taskListId);
+    io.to(`taskList_${taskListId}`).emit('taskStatusesUpdated', { taskListId: parseInt(taskListId), statuses });
+  }
+};
+
+// Get statuses for a task list
+router.get('/task-lists/:id/statuses', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const statuses = await getTaskListStatuses(pool, id);
+    res.json(statuses);
+  } catch (error) {
+    logger.error('Get task statuses error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch statuses' });
+  }
+});
+
+// Create status
+router.post('/task-lists/:id/statuses', authenticateToken, requireListRole(LIST_PERMISSIONS.addReferenceData), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.taskStatus
+      .fork(['name', 'category'], (field) => field.required())
+      .validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const sanitizedName = sanitizeInput(value.name);
+
+    const duplicateCheck = await pool.query(
+      'SELECT id FROM task_statuses WHERE task_list_id = $1 AND LOWER(name) = LOWER($2)',
+      [id, sanitizedName]
+    );
+
+    if (duplicateCheck.rows.length > 0) {
+      return res.status(400).json({ error: 'A status with this name already exists' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO task_statuses (task_list_id, name, category, color, position)
+       VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(position), 0) + 1 FROM task_statuses WHERE task_list_id = $1))
+       RETURNING *`,
+      [id, sanitizedName, value.category, value.color || null]
+    );
+
+    logger.info('Task status created', { statusId: sanitizeForLog(result.rows[0].id), taskListId: sanitizeForLog(id) });
+    await emitStatusesUpdated(id);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Create task status error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to create status' });
+  }
+});
+
+// Reorder statuses
+router.put('/task-lists/:id/statuses/reorder', authenticateToken, requireListRole(LIST_PERMISSIONS.addReferenceData), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { statusIds } = req.body;
+
+    if (!Array.isArray(statusIds) || statusIds.some(statusId => !Number.isInteger(statusId))) {
+      return res.status(400).json({ error: 'statusIds must be an array of status IDs' });
+    }
+
+    const existing = await getTaskListStatuses(pool, id);
+    const existingIds = existing.map(status => status.id).sort((a, b) => a - b);
+    const requestedIds = [...statusIds].sort((a, b) => a - b);
+
+    if (existingIds.length !== requestedIds.length || existingIds.some((statusId, i) => statusId !== requestedIds[i])) {
+      return res.status(400).json({ error: 'statusIds must contain every status of this task list exactly once' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const [index, statusId] of statusIds.entries()) {
+        await client.query(
+          'UPDATE task_statuses SET position = $1 WHERE id = $2 AND task_list_id = $3',
+          [index + 1, statusId, id]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await emitStatusesUpdated(id);
+
+    res.json(await getTaskListStatuses(pool, id));
+  } catch (error) {
+    logger.error('Reorder task statuses error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to reorder statuses' });
+  }
+});
+
+// Update status
+router.put('/task-statuses/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.addReferenceData, { source: 'taskStatus' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = schemas.taskStatus.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const statusCheck = await pool.query('SELECT * FROM task_statuses WHERE id = $1', [id]);
+
+    if (statusCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Status not found' });
+    }
+
+    const status = statusCheck.rows[0];
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (value.name !== undefined) {
+      const sanitizedName = sanitizeInput(value.name);
+      const duplicateCheck = await pool.query(
+        'SELECT id FROM task_statuses WHERE task_list_id = $1 AND LOWER(name) = LOWER($2) AND id != $3',
+        [status.task_list_id, sanitizedName, id]
+      );
+
+      if (duplicateCheck.rows.length > 0) {
+        return res.status(400).json({ error: 'A status with this name already exists' });
+      }
+
+      updates.push(`name = $${paramIndex++}`);
+      values.push(sanitizedName);
+    }
+
+    if (value.category !== undefined && value.category !== status.category) {
+      if (status.category === 'done') {
+        const doneCount = await pool.query(
+          "SELECT COUNT(*) as count FROM task_statuses WHERE task_list_id = $1 AND category = 'done'",
+          [status.task_list_id]
+        );
+
+        if (parseInt(doneCount.rows[0].count) <= 1) {
+          return res.status(400).json({ error: 'A workflow needs at least one done status' });
+        }
+      }
+
+      if (value.category === 'done') {
+        const openCount = await pool.query(
+          "SELECT COUNT(*) as count FROM task_statuses WHERE task_list_id = $1 AND category != 'done'",
+          [status.task_list_id]
+        );
+
+        if (parseInt(openCount.rows[0].count) <= 1) {
+          return res.status(400).json({ error: 'A workflow needs at least one open status' });
+        }
+      }
+
+      updates.push(`category = $${paramIndex++}`);
+      values.push(value.category);
+    }
+
+    if (value.color !== undefined) {
+      updates.push(`color = $${paramIndex++}`);
+      values.push(value.color);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    values.push(id);
+
+    const categoryChanged = value.category !== undefined && value.category !== status.category;
+
+    const client = await pool.connect();
+    let result;
+    let statusTaskIds = [];
+    try {
+      await client.query('BEGIN');
+
+      result = await client.query(
+        `UPDATE task_statuses SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+        values
+      );
+
+      if (categoryChanged) {
+        const statusTasks = await client.query('SELECT id FROM tasks WHERE status_id = $1', [id]);
+        statusTaskIds = statusTasks.rows.map(row => row.id);
+        await recordStatusChanges(client, statusTaskIds, {
+          taskListId: status.task_list_id,
+          actorId: req.user.userId,
+          oldValue: describeStatus(status),
+          newValue: describeStatus(result.rows[0])
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    logger.info('Task status updated', { statusId: sanitizeForLog(id) });
+    await emitStatusesUpdated(status.task_list_id);
+
+    // The tasks of the status were completed or reopened along with it
+    if (categoryChanged && isDoneCategory(value.category) !== isDoneCategory(status.category)) {
+      await applyCompletionChanges(pool, io, statusTaskIds, isDoneCategory(value.category));
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Update task status error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to update status' });
+  }
+});
+
+// Delete status, moving its tasks to a replacement status
+router.delete('/task-statuses/:id', authenticateToken, requireListRole(LIST_PERMISSIONS.deleteReferenceData, { source: 'taskStatus' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { replacementId } = req.query;
+
+    const statusCheck = await pool.query('SELECT * FROM task_statuses WHERE id = $1', [id]);
+
+    if (statusCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Status not found' });
+    }
+
+    const status = statusCheck.rows[0];
+
+    const remaining = (await getTaskListStatuses(pool, status.task_list_id))
+      .filter(s => s.id !== status.id);
+
+    if (status.category === 'done' && !remaining.some(s => s.category === 'done')) {
+      return res.status(400).json({ error: 'A workflow needs at least one done status' });
+    }
+
+    if (!remaining.some(s => s.category !== 'done')) {
+      return res.status(400).json({ error: 'A workflow needs at least one open status' });
+    }
+
+    let replacement;
+    if (replacementId) {
+      replacement = await getTaskListStatus(pool, status.task_list_id, replacementId);
+      if (!replacement || replacement.id === status.id) {
+        return res.status(400).json({ error: 'Replacement status must be another status of this task list' });
+      }
+    } else {
+      replacement = remaining.find(s => s.category === status.category) || remaining[0];
+    }
+
+    const client = await pool.connect();
+    let movedTasks;
+    try {
+      await client.query('BEGIN');
+
+      movedTasks = await client.query(
+        'UPDATE tasks SET status_id = $1, updated_at = NOW() WHERE status_id = $2 RETURNING id',
+        [replacement.id, status.id]
+      );
+
+      await recordStatusChanges(client, movedTasks.rows.map(row => row.id), {
+        taskListId: status.task_list_id,
+        actorId: req.user.userId,
+        oldValue: status.name,
+        newValue: replacement.name
+      });
+
+      await client.query('DELETE FROM task_statuses WHERE id = $1', [status.id]);
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    logger.info('Task status deleted', {
+      statusId: sanitizeForLog(id),
+      replacementId: sanitizeForLog(replacement.id),
+      movedTasks: movedTasks.rowCount
+    });
+    await emitStatusesUpdated(status.task_list_id);
+
+    if (isDoneCategory(replacement.category) !== isDoneCategory(status.category)) {
+      await applyCompletionChanges(pool, io, movedTasks.rows.map(row => row.id), isDoneCategory(replacement.category));
+    }
+
+    res.json({
+      message: 'Status deleted successfully',
+      replacementId: replacement.id,
+      movedTaskIds: movedTasks.rows.map(row => row.id)
+    });
+  } catch (error) {
+    logger.error('Delete task status error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to delete status' });
+  }
+});
+
+module.exports = router;
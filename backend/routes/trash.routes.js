@@ -0,0 +1,110 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireListRole } = require('../middleware/listRole');
+const { LIST_PERMISSIONS } = require('../services/listRole.service');
+const { getTrashedTasks, restoreTaskFromTrash } = require('../services/trash.service');
+const { getTaskDetails } = require('../services/task.service');
+const { broadcastTaskProgress } = require('../services/subtask.service');
+const { getDependentTaskIds, broadcastBlockerCounts } = require('../services/dependency.service');
+const { recordTaskEvent } = require('../services/taskEvent.service');
+const { sanitizeForLog } = require('../utils/sanitization');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Inject io instance for real-time updates
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
+// Get the trash of a task list
+router.get('/task-lists/:id/trash', authenticateToken, requireListRole(LIST_PERMISSIONS.view), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    res.json(await getTrashedTasks(pool, id));
+  } catch (error) {
+    logger.error('Get trash error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Restore a task (and the subtasks trashed with it) from the trash
+router.post('/tasks/:id/restore', authenticateToken, requireListRole(LIST_PERMISSIONS.editTasks, { source: 'trashedTask' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const taskResult = await pool.query(`
+      SELECT t.id, t.name, t.task_list_id, t.parent_task_id, t.deleted_at,
+             parent.deleted_at as parent_deleted_at
+      FROM tasks t
+      LEFT JOIN tasks parent ON t.parent_task_id = parent.id
+      WHERE t.id = $1
+    `, [id]);
+
+    if (taskResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = taskResult.rows[0];
+
+    if (!task.deleted_at) {
+      return res.status(400).json({ error: 'Task is not in the trash' });
+    }
+
+    if (task.parent_deleted_at) {
+      return res.status(409).json({ error: 'Restore the parent task first' });
+    }
+
+    const restoredIds = await restoreTaskFromTrash(pool, io, task);
+
+    logger.info('Task restored from trash', {
+      taskId: sanitizeForLog(id),
+      restoredCount: restoredIds.length
+    });
+
+    const restoredTasks = [];
+    for (const restoredId of restoredIds) {
+      restoredTasks.push(await getTaskDetails(pool, restoredId, req.user.userId));
+    }
+
+    try {
+      for (const restoredTask of restoredTasks) {
+        await recordTaskEvent(pool, {
+          taskId: restoredTask.id,
+          taskListId: restoredTask.task_list_id,
+          actorId: req.user.userId,
+          eventType: 'restored',
+          newValue: restoredTask.name
+        });
+      }
+    } catch (eventError) {
+      logger.error('Error recording task event', { error: sanitizeForLog(eventError.message) });
+    }
+
+    if (io) {
+      restoredTasks.forEach(restoredTask => {
+        // Queue positions are per user, so the broadcast copy leaves them out
+        io.to(`taskList_${task.task_list_id}`).emit('taskRestored', { ...restoredTask, queue_position: null });
+      });
+    }
+
+    try {
+      if (task.parent_task_id) {
+        await broadcastTaskProgress(pool, io, task.parent_task_id);
+      }
+      await broadcastBlockerCounts(pool, io, await getDependentTaskIds(pool, id));
+    } catch (broadcastError) {
+      logger.error('Error broadcasting restored task changes', { error: sanitizeForLog(broadcastError.message) });
+    }
+
+    res.json(restoredTasks.find(restoredTask => restoredTask.id === parseInt(id)));
+  } catch (error) {
+    logger.error('Restore task error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to restore task' });
+  }
+});
+
+module.exports = router;
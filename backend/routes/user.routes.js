@@ -2,12 +2,43 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
 const { validatePassword } = require('../services/auth.service');
+const { getUserSessions, revokeUserSession } = require('../services/userSession.service');
+const {
+  ACCESS_TOKEN_SCOPES,
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken
+} = require('../services/accessToken.service');
+const {
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactor.service');
+const { schemas } = require('../models/schemas');
 const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
-const { logger } = require('../utils/logger');
+const { unescape } = require('../utils/validation');
+const { disconnectSession, disconnectAccessToken } = require('../websocket/socketHandlers');
+const {
+  logger,
+  securityLog,
+  trackFailedLogin,
+  getLoginLockStatus,
+  resetFailedLoginAttempts
+} = require('../utils/logger');
 
 const router = express.Router();
 
+// Inject io instance for disconnecting revoked sessions
+let io;
+router.setIO = (ioInstance) => {
+  io = ioInstance;
+};
+
 // Get user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -121,4 +152,288 @@ router.put('/password', authenticateToken, async (req, res) => {
   }
 });
 
+// List the devices the user is signed in on
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await getUserSessions(pool, req.user.userId);
+
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.user.sessionId
+    })));
+  } catch (error) {
+    logger.error('Get sessions error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out a device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const revoked = await revokeUserSession(pool, req.user.userId, sessionId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    logger.info('Session revoked', { userId: sanitizeForLog(req.user.userId), sessionId: sanitizeForLog(sessionId) });
+    disconnectSession(io, sessionId);
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    logger.error('Revoke session error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to sign out session' });
+  }
+});
+
+const isCode = (code) => typeof code === 'string' && code.length > 0 && code.length <= 64;
+
+/**
+ * Refuse a two-factor change while the account is locked. Failed checks here
+ * share the counter of signing in with two-factor authentication, so a stolen
+ * session can't be used to guess codes or the password.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} email - Account email, the lockout key
+ * @returns {boolean} True if a response was sent
+ */
+const rejectIfLocked = (req, res, email) => {
+  const lockStatus = getLoginLockStatus(email);
+  if (!lockStatus.locked) {
+    return false;
+  }
+
+  securityLog('2FA_CHANGE_BLOCKED', {
+    userId: req.user.userId,
+    path: req.path,
+    reason: 'Account temporarily locked',
+    remainingMinutes: lockStatus.remainingMinutes
+  }, req);
+  res.status(429).json({ error: lockStatus.message });
+  return true;
+};
+
+/**
+ * Count a failed password or code check and answer it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} email - Account email, the lockout key
+ * @param {string} error - Message for the failed check
+ */
+const rejectFailedCheck = (req, res, email, error) => {
+  const failedStatus = trackFailedLogin(email);
+  securityLog('2FA_CHANGE_FAILURE', {
+    userId: req.user.userId,
+    path: req.path,
+    reason: error,
+    attemptCount: failedStatus.attemptCount,
+    remainingAttempts: failedStatus.remainingAttempts
+  }, req);
+
+  if (failedStatus.locked) {
+    return res.status(429).json({ error: failedStatus.message });
+  }
+
+  res.status(400).json({ error, remainingAttempts: failedStatus.remainingAttempts });
+};
+
+// Two-factor authentication status
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getTwoFactorStatus(pool, req.user.userId));
+  } catch (error) {
+    logger.error('Get 2FA status error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch two-factor authentication status' });
+  }
+});
+
+// Start enrolling: returns the secret and otpauth:// URI for the authenticator app
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [req.user.userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const setup = await beginTwoFactorSetup(pool, req.user.userId, unescape(userResult.rows[0].email));
+    if (!setup) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json(setup);
+  } catch (error) {
+    logger.error('2FA setup error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to start two-factor authentication setup' });
+  }
+});
+
+// Finish enrolling with a code from the app; returns the recovery codes
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!isCode(code)) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+
+    const recoveryCodes = await enableTwoFactor(pool, req.user.userId, code.replace(/\s/g, ''));
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    securityLog('2FA_ENABLED', { userId: req.user.userId }, req);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    logger.error('2FA enable error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes; needs a current code
+router.post('/2fa/recovery-codes', authLimiter, authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!isCode(code)) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+
+    const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [req.user.userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { email } = userResult.rows[0];
+    if (rejectIfLocked(req, res, email)) {
+      return;
+    }
+
+    if (!(await verifyTwoFactorCode(pool, req.user.userId, code))) {
+      return rejectFailedCheck(req, res, email, 'Invalid verification code');
+    }
+
+    resetFailedLoginAttempts(email);
+    const recoveryCodes = await regenerateRecoveryCodes(pool, req.user.userId);
+
+    securityLog('2FA_RECOVERY_CODES_REGENERATED', { userId: req.user.userId }, req);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    logger.error('2FA recovery codes error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Turn two-factor authentication off; needs the password and a current code
+router.post('/2fa/disable', authLimiter, authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || typeof password !== 'string' || !isCode(code)) {
+      return res.status(400).json({ error: 'Password and verification code are required' });
+    }
+
+    const userResult = await pool.query('SELECT email, password_hash FROM users WHERE id = $1', [req.user.userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { email, password_hash: passwordHash } = userResult.rows[0];
+    if (rejectIfLocked(req, res, email)) {
+      return;
+    }
+
+    if (!await bcrypt.compare(password, passwordHash)) {
+      return rejectFailedCheck(req, res, email, 'Password is incorrect');
+    }
+
+    if (!(await verifyTwoFactorCode(pool, req.user.userId, code))) {
+      return rejectFailedCheck(req, res, email, 'Invalid verification code');
+    }
+
+    resetFailedLoginAttempts(email);
+    await disableTwoFactor(pool, req.user.userId);
+
+    securityLog('2FA_DISABLED', { userId: req.user.userId }, req);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    logger.error('2FA disable error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// List the user's personal access tokens and the scopes they can have
+router.get('/tokens', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await getAccessTokens(pool, req.user.userId);
+
+    res.json({
+      tokens: tokens.map(token => ({ ...token, name: unescape(token.name) })),
+      scopes: ACCESS_TOKEN_SCOPES
+    });
+  } catch (error) {
+    logger.error('Get access tokens error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to fetch access tokens' });
+  }
+});
+
+// Create a personal access token; its value is only ever returned here
+router.post('/tokens', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = schemas.accessToken.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join('; ');
+      return res.status(400).json({ error: errorMessage });
+    }
+
+    const result = await createAccessToken(pool, req.user.userId, {
+      ...value,
+      name: sanitizeInput(value.name)
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    securityLog('ACCESS_TOKEN_CREATED', {
+      userId: req.user.userId,
+      tokenId: result.accessToken.id,
+      scopes: result.accessToken.scopes
+    }, req);
+    res.status(201).json({
+      ...result.accessToken,
+      name: unescape(result.accessToken.name),
+      token: result.token
+    });
+  } catch (error) {
+    logger.error('Create access token error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to create access token' });
+  }
+});
+
+// Revoke a personal access token
+router.delete('/tokens/:id', authenticateToken, async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.id);
+
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Invalid token ID' });
+    }
+
+    const revoked = await revokeAccessToken(pool, req.user.userId, tokenId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    securityLog('ACCESS_TOKEN_REVOKED', { userId: req.user.userId, tokenId }, req);
+    disconnectAccessToken(io, tokenId);
+    res.json({ message: 'Access token revoked' });
+  } catch (error) {
+    logger.error('Revoke access token error', { error: sanitizeForLog(error.message) });
+    res.status(500).json({ error: 'Failed to revoke access token' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,55 @@
+require('dotenv').config();
+
+const { pool } = require('../config/database');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../utils/migrator');
+const { logger } = require('../utils/logger');
+
+const USAGE = 'Usage: pnpm migrate <up|down [steps]|status>';
+
+/**
+ * Run a migration command from the command line
+ * @param {Array} args - Command line arguments after the script name
+ * @returns {Promise<void>}
+ */
+const run = async ([command, stepsArg]) => {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp(pool);
+      logger.info(applied.length > 0
+        ? `Applied ${applied.length} migration(s)`
+        : 'No pending migrations');
+      break;
+    }
+    case 'down': {
+      const steps = stepsArg === undefined ? 1 : parseInt(stepsArg);
+      if (isNaN(steps) || steps < 1) {
+        throw new Error('Steps must be a positive integer');
+      }
+      const reverted = await migrateDown(pool, steps);
+      logger.info(reverted.length > 0
+        ? `Reverted ${reverted.length} migration(s)`
+        : 'No applied migrations to revert');
+      break;
+    }
+    case 'status': {
+      const status = await getMigrationStatus(pool);
+      for (const migration of status) {
+        logger.info(`${migration.applied ? '[applied]' : '[pending]'} ${migration.version}_${migration.name}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+};
+
+run(process.argv.slice(2))
+  .then(async () => {
+    await pool.end();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    logger.error('Migration command failed', { error: error.message });
+    await pool.end();
+    process.exit(1);
+  });
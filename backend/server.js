@@ -5,7 +5,7 @@ const cors = require('cors');
 const http = require('http');
 const { Server } = require('socket.io');
 const { logger, requestIdMiddleware, httpLoggerMiddleware } = require('./utils/logger');
-const { pool, initDatabase } = require('./config/database');
+const { pool, verifyMigrations } = require('./config/database');
 const { applySecurityMiddleware } = require('./middleware/security');
 const { limiter } = require('./middleware/rateLimiter');
 const { initializeSocketHandlers } = require('./websocket/socketHandlers');
@@ -64,21 +64,58 @@ const reminderRoutes = require('./routes/reminder.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const projectRoutes = require('./routes/project.routes');
 const requesterRoutes = require('./routes/requester.routes');
+const labelRoutes = require('./routes/label.routes');
+const customFieldRoutes = require('./routes/customField.routes');
 const queueRoutes = require('./routes/queue.routes');
+const taskStatusRoutes = require('./routes/taskStatus.routes');
+const subtaskRoutes = require('./routes/subtask.routes');
+const checklistRoutes = require('./routes/checklist.routes');
+const dependencyRoutes = require('./routes/dependency.routes');
+const recurrenceRoutes = require('./routes/recurrence.routes');
+const commentRoutes = require('./routes/comment.routes');
+const attachmentRoutes = require('./routes/attachment.routes');
+const trashRoutes = require('./routes/trash.routes');
+const searchRoutes = require('./routes/search.routes');
+const savedViewRoutes = require('./routes/savedView.routes');
 
 // Pass io instance to routes for real-time updates
+authRoutes.setIO(io);
+taskListRoutes.setIO(io);
 taskRoutes.setIO(io);
 reminderRoutes.setIO(io);
+taskStatusRoutes.setIO(io);
+subtaskRoutes.setIO(io);
+checklistRoutes.setIO(io);
+dependencyRoutes.setIO(io);
+recurrenceRoutes.setIO(io);
+commentRoutes.setIO(io);
+attachmentRoutes.setIO(io);
+trashRoutes.setIO(io);
+labelRoutes.setIO(io);
+customFieldRoutes.setIO(io);
+userRoutes.setIO(io);
 
 // Mount routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/task-lists', taskListRoutes);
 app.use('/api', taskRoutes);
+app.use('/api', taskStatusRoutes);
+app.use('/api', subtaskRoutes);
+app.use('/api', checklistRoutes);
+app.use('/api', dependencyRoutes);
+app.use('/api', recurrenceRoutes);
+app.use('/api', commentRoutes);
+app.use('/api', attachmentRoutes);
+app.use('/api', trashRoutes);
+app.use('/api', searchRoutes);
+app.use('/api', savedViewRoutes);
 app.use('/api', reminderRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api', projectRoutes);
 app.use('/api', requesterRoutes);
+app.use('/api', labelRoutes);
+app.use('/api', customFieldRoutes);
 app.use('/api/users', queueRoutes);
 
 // Mount test routes only in development
@@ -95,8 +132,8 @@ initializeSocketHandlers(io);
 // Start server
 const startServer = async () => {
   try {
-    // Initialize database
-    await initDatabase();
+    // Refuse to start until all migrations have been applied
+    await verifyMigrations();
 
     // Initialize scheduled jobs
     await initializeScheduledJobs(
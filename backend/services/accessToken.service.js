@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+
+// Tokens start with this so they can be told apart from JWTs, and found by secret scanners
+const ACCESS_TOKEN_PREFIX = 'tsp_';
+
+// Characters kept in plain text so users can tell their tokens apart
+const TOKEN_PREFIX_LENGTH = 12;
+
+const MAX_ACCESS_TOKENS_PER_USER = 50;
+
+// last_used_at is only written this often, so busy scripts don't update the row on every request
+const LAST_USED_UPDATE_SECONDS = 60;
+
+const ACCESS_TOKEN_SCOPES = {
+  read: 'Read task lists, tasks, notifications and your profile',
+  'tasks:write': 'Create, edit and delete tasks, with their comments, checklists, attachments and reminders, and manage queues',
+  'lists:write': 'Create and change task lists and their members, invites, labels, statuses, fields, projects, requesters and views',
+  'notifications:write': 'Mark notifications as read and clear them'
+};
+
+const TOKEN_COLUMNS = 'id, name, token_prefix, scopes, expires_at, last_used_at, created_at';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const hashAccessToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Find the scope a personal access token needs for a request. Signing in and
+ * account settings, such as passwords, sessions and tokens themselves, are
+ * out of reach of tokens, apart from reading the profile.
+ * @param {string} method - HTTP method
+ * @param {string} path - Full request path, without the query string
+ * @returns {string|null} Required scope, or null if tokens can't be used
+ */
+const getRequiredScope = (method, path) => {
+  const isRead = READ_METHODS.includes(method);
+
+  if (path.startsWith('/api/auth/') || path.startsWith('/api/user/')) {
+    return isRead && path === '/api/user/profile' ? 'read' : null;
+  }
+  if (isRead) {
+    return 'read';
+  }
+  if (path.startsWith('/api/notifications/')) {
+    return 'notifications:write';
+  }
+  if (path.startsWith('/api/tasks/') || path.startsWith('/api/users/') || /^\/api\/task-lists\/[^/]+\/tasks$/.test(path)) {
+    return 'tasks:write';
+  }
+  return 'lists:write';
+};
+
+/**
+ * Create a personal access token
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - Owner of the token
+ * @param {Object} options - { name, scopes, expiresInDays }; a null
+ *   expiresInDays means the token never expires
+ * @returns {Promise<Object>} { token, accessToken } where token is the raw
+ *   value, only available now, or { error } if the user has too many tokens
+ */
+const createAccessToken = async (pool, userId, { name, scopes, expiresInDays }) => {
+  const countResult = await pool.query(`
+    SELECT COUNT(*)::int as count
+    FROM personal_access_tokens
+    WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+  `, [userId]);
+
+  if (countResult.rows[0].count >= MAX_ACCESS_TOKENS_PER_USER) {
+    return { error: `You can have at most ${MAX_ACCESS_TOKENS_PER_USER} access tokens` };
+  }
+
+  const token = `${ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const result = await pool.query(`
+    INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+    VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+    RETURNING ${TOKEN_COLUMNS}
+  `, [userId, name, hashAccessToken(token), token.slice(0, TOKEN_PREFIX_LENGTH), scopes, expiresInDays]);
+
+  return { token, accessToken: result.rows[0] };
+};
+
+/**
+ * Get the usable personal access tokens of a user, newest first
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Tokens, without their values
+ */
+const getAccessTokens = async (pool, userId) => {
+  const result = await pool.query(`
+    SELECT ${TOKEN_COLUMNS}
+    FROM personal_access_tokens
+    WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+    ORDER BY created_at DESC, id DESC
+  `, [userId]);
+
+  return result.rows;
+};
+
+/**
+ * Revoke a personal access token so it stops working at once
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - Owner of the token
+ * @param {number} tokenId - Token ID
+ * @returns {Promise<Object|null>} The revoked token, or null if the user has
+ *   no such active token
+ */
+const revokeAccessToken = async (pool, userId, tokenId) => {
+  const result = await pool.query(`
+    UPDATE personal_access_tokens
+    SET revoked_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    RETURNING id, name
+  `, [tokenId, userId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Check whether a bearer token looks like a personal access token
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+const isAccessToken = (token) => token.startsWith(ACCESS_TOKEN_PREFIX);
+
+/**
+ * Look up the personal access token presented with a request
+ * @param {Object} pool - Database connection pool
+ * @param {string} token - Raw token
+ * @returns {Promise<Object|null>} { id, userId, scopes }, or null if the token
+ *   is unknown, revoked or expired
+ */
+const authenticateAccessToken = async (pool, token) => {
+  const result = await pool.query(`
+    SELECT id, user_id, scopes,
+           last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $2) as stale
+    FROM personal_access_tokens
+    WHERE token_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+  `, [hashAccessToken(token), LAST_USED_UPDATE_SECONDS]);
+  const row = result.rows[0];
+
+  if (!row) {
+    return null;
+  }
+
+  if (row.stale) {
+    await pool.query('UPDATE personal_access_tokens SET last_used_at = NOW() WHERE id = $1', [row.id]);
+  }
+
+  return { id: row.id, userId: row.user_id, scopes: row.scopes };
+};
+
+module.exports = {
+  ACCESS_TOKEN_SCOPES,
+  getRequiredScope,
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken,
+  isAccessToken,
+  authenticateAccessToken
+};
@@ -0,0 +1,106 @@
+const { getStorage } = require('./storage');
+const { logger } = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/sanitization');
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// SVG and HTML are left out on purpose: both can carry scripts
+const ALLOWED_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const ATTACHMENT_COLUMNS = `a.id, a.task_id, a.file_name, a.mime_type, a.size_bytes, a.uploaded_by,
+  a.created_at, uploader.name as uploaded_by_name`;
+
+/**
+ * Get all attachments of a task, newest first
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Array>} Array of attachments
+ */
+const getTaskAttachments = async (pool, taskId) => {
+  const result = await pool.query(`
+    SELECT ${ATTACHMENT_COLUMNS}
+    FROM task_attachments a
+    LEFT JOIN users uploader ON a.uploaded_by = uploader.id
+    WHERE a.task_id = $1
+    ORDER BY a.created_at DESC, a.id DESC
+  `, [taskId]);
+
+  return result.rows;
+};
+
+/**
+ * Get an attachment of a task, including its storage key
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @param {number} attachmentId - Attachment ID
+ * @returns {Promise<Object|null>} Attachment or null
+ */
+const getTaskAttachment = async (pool, taskId, attachmentId) => {
+  const result = await pool.query(`
+    SELECT ${ATTACHMENT_COLUMNS}, a.storage_key
+    FROM task_attachments a
+    LEFT JOIN users uploader ON a.uploaded_by = uploader.id
+    WHERE a.id = $1 AND a.task_id = $2
+  `, [attachmentId, taskId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Get the storage keys of every attachment on the given tasks, so their files
+ * can be removed once the rows are gone
+ * @param {Object} pool - Database connection pool
+ * @param {Array<number>} taskIds - Task IDs
+ * @returns {Promise<Array<string>>} Storage keys
+ */
+const getAttachmentKeys = async (pool, taskIds) => {
+  const result = await pool.query(
+    'SELECT storage_key FROM task_attachments WHERE task_id = ANY($1::int[])',
+    [taskIds]
+  );
+
+  return result.rows.map(row => row.storage_key);
+};
+
+/**
+ * Remove stored files. Failures are logged rather than thrown, since the
+ * database rows are already gone by the time this runs.
+ * @param {Array<string>} keys - Storage keys
+ * @returns {Promise<void>}
+ */
+const removeStoredFiles = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getStorage().delete(key);
+    } catch (error) {
+      logger.error('Error removing stored attachment', {
+        key: sanitizeForLog(key),
+        error: sanitizeForLog(error.message)
+      });
+    }
+  }
+};
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  ALLOWED_MIME_TYPES,
+  getTaskAttachments,
+  getTaskAttachment,
+  getAttachmentKeys,
+  removeStoredFiles
+};
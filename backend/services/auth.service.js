@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { logger } = require('../utils/logger');
 const { sanitizeForLog } = require('../utils/sanitization');
@@ -27,18 +28,55 @@ const validatePassword = (password) => {
 };
 
 /**
- * Generate access and refresh tokens for a user
+ * Generate access and refresh tokens for a user session. Every refresh token
+ * gets a unique ID, so rotating never reissues an identical token.
  * @param {number} userId - User ID
+ * @param {number} sessionId - Session (user_sessions row) the tokens belong to
  * @returns {Object} Object containing accessToken and refreshToken
  */
-const generateTokens = (userId) => {
-  logger.debug('Generating tokens', { userId: sanitizeForLog(userId) });
-  const accessToken = jwt.sign({ userId: userId }, process.env.JWT_SECRET, { expiresIn: '15m' });
-  const refreshToken = jwt.sign({ userId: userId }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+const generateTokens = (userId, sessionId) => {
+  logger.debug('Generating tokens', { userId: sanitizeForLog(userId), sessionId: sanitizeForLog(sessionId) });
+  const accessToken = jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: '15m' });
+  const refreshToken = jwt.sign({ userId, sessionId }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: '7d',
+    jwtid: crypto.randomUUID()
+  });
   return { accessToken, refreshToken };
 };
 
+// Challenge tokens are signed with a key of their own, so they can never
+// pass for access or refresh tokens
+const getTwoFactorChallengeSecret = () => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('two-factor-challenge').digest('hex');
+};
+
+/**
+ * Generate the token a user with two-factor authentication gets after their
+ * password checks out, to exchange for real tokens with a second-factor code
+ * @param {number} userId - User ID
+ * @returns {string} Challenge token, valid for 5 minutes
+ */
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: 'two_factor' }, getTwoFactorChallengeSecret(), { expiresIn: '5m' });
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Challenge token
+ * @returns {number|null} User ID, or null if the token is invalid or expired
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, getTwoFactorChallengeSecret());
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+};
+
 module.exports = {
   validatePassword,
-  generateTokens
+  generateTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
 };
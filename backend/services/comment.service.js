@@ -0,0 +1,88 @@
+const { createNotification } = require('./notification.service');
+const { logger } = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/sanitization');
+
+// Comment count for task SELECTs that alias tasks as "t"
+const TASK_COMMENT_COLUMNS = `
+  (SELECT COUNT(*)::int FROM task_comments tc WHERE tc.task_id = t.id) as comment_count`;
+
+const COMMENT_COLUMNS = `c.*, author.name as author_name, author.email as author_email,
+  author.avatar_url as author_avatar_url`;
+
+/**
+ * Get all comments of a task, oldest first. Replies carry parent_comment_id.
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Array>} Array of comments
+ */
+const getTaskComments = async (pool, taskId) => {
+  const result = await pool.query(`
+    SELECT ${COMMENT_COLUMNS}
+    FROM task_comments c
+    LEFT JOIN users author ON c.user_id = author.id
+    WHERE c.task_id = $1
+    ORDER BY c.created_at ASC, c.id ASC
+  `, [taskId]);
+
+  return result.rows;
+};
+
+/**
+ * Get a comment of a task
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @param {number} commentId - Comment ID
+ * @returns {Promise<Object|null>} Comment or null
+ */
+const getTaskComment = async (pool, taskId, commentId) => {
+  const result = await pool.query(`
+    SELECT ${COMMENT_COLUMNS}
+    FROM task_comments c
+    LEFT JOIN users author ON c.user_id = author.id
+    WHERE c.id = $1 AND c.task_id = $2
+  `, [commentId, taskId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Notify the creator and assignee of a task about a new comment
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {Object} task - Task row (id, name, task_list_id, created_by, assigned_to)
+ * @param {Object} comment - Created comment with author_name
+ * @returns {Promise<void>}
+ */
+const notifyCommentRecipients = async (pool, io, task, comment) => {
+  const recipients = new Set([task.created_by, task.assigned_to]);
+  recipients.delete(null);
+  recipients.delete(undefined);
+  recipients.delete(comment.user_id);
+
+  for (const userId of recipients) {
+    try {
+      await createNotification(
+        pool,
+        io,
+        userId,
+        task.id,
+        task.task_list_id,
+        'task_comment',
+        'New Comment',
+        `${comment.author_name} commented on "${task.name}"`
+      );
+    } catch (error) {
+      logger.error('Error creating comment notification', {
+        userId: sanitizeForLog(userId),
+        error: sanitizeForLog(error.message)
+      });
+    }
+  }
+};
+
+module.exports = {
+  TASK_COMMENT_COLUMNS,
+  getTaskComments,
+  getTaskComment,
+  notifyCommentRecipients
+};
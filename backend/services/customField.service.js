@@ -0,0 +1,151 @@
+const { sanitizeInput } = require('../utils/sanitization');
+
+// Custom field values of a task as a JSON object keyed by field ID
+const TASK_CUSTOM_FIELD_COLUMNS = `
+  COALESCE((SELECT json_object_agg(cfv.field_id, cfv.value)
+            FROM task_custom_field_values cfv
+            WHERE cfv.task_id = t.id), '{}'::json) as custom_fields`;
+
+/**
+ * SQL for the JSON value a task has for a field, NULL if unset
+ * @param {number} fieldId - Custom field ID (an integer, never user text)
+ * @returns {string} SQL subquery
+ */
+const customFieldValueSql = (fieldId) =>
+  `(SELECT cfv.value FROM task_custom_field_values cfv WHERE cfv.task_id = t.id AND cfv.field_id = ${parseInt(fieldId)})`;
+
+/**
+ * Get all custom fields of a task list in display order
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<Array>} Array of field definitions
+ */
+const getTaskListCustomFields = async (pool, taskListId) => {
+  const result = await pool.query(
+    'SELECT * FROM custom_fields WHERE task_list_id = $1 ORDER BY position ASC, id ASC',
+    [taskListId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Save validated custom field values of a task. Empty values (null, '' or
+ * an empty multi-select) clear the field.
+ * @param {Object} db - Database pool or client
+ * @param {number} taskId - Task ID
+ * @param {Array} fields - Custom field definitions of the task's list
+ * @param {Object} values - Values keyed by field ID (see buildCustomFieldValuesSchema)
+ * @returns {Promise<void>}
+ */
+const saveTaskCustomFieldValues = async (db, taskId, fields, values) => {
+  for (const [fieldId, value] of Object.entries(values)) {
+    const field = fields.find(f => f.id === parseInt(fieldId));
+
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      await db.query(
+        'DELETE FROM task_custom_field_values WHERE task_id = $1 AND field_id = $2',
+        [taskId, fieldId]
+      );
+      continue;
+    }
+
+    // Free text is stored escaped like task names and descriptions
+    const storedValue = field.field_type === 'text' ? sanitizeInput(value) : value;
+
+    await db.query(
+      `INSERT INTO task_custom_field_values (task_id, field_id, value)
+       VALUES ($1, $2, $3::jsonb)
+       ON CONFLICT (task_id, field_id) DO UPDATE SET value = EXCLUDED.value`,
+      [taskId, fieldId, JSON.stringify(storedValue)]
+    );
+  }
+};
+
+/**
+ * Drop values that use options a select field no longer has
+ * @param {Object} db - Database pool or client
+ * @param {Object} field - Updated custom field definition
+ * @returns {Promise<void>}
+ */
+const pruneCustomFieldOptions = async (db, field) => {
+  if (field.field_type === 'single_select') {
+    await db.query(
+      `DELETE FROM task_custom_field_values
+       WHERE field_id = $1 AND NOT ($2::jsonb ? (value #>> '{}'))`,
+      [field.id, JSON.stringify(field.options)]
+    );
+  } else if (field.field_type === 'multi_select') {
+    await db.query(
+      `UPDATE task_custom_field_values
+       SET value = (SELECT COALESCE(jsonb_agg(option), '[]'::jsonb)
+                    FROM jsonb_array_elements(value) option
+                    WHERE $2::jsonb @> jsonb_build_array(option))
+       WHERE field_id = $1`,
+      [field.id, JSON.stringify(field.options)]
+    );
+    await db.query(
+      "DELETE FROM task_custom_field_values WHERE field_id = $1 AND value = '[]'::jsonb",
+      [field.id]
+    );
+  }
+};
+
+/**
+ * Sort order for a custom field, with unset values sorting like empty ones.
+ * Multi-selects have no natural order and cannot be sorted by.
+ * @param {Object} field - Custom field definition
+ * @returns {{expression: string, type: string}|null} Sort field, or null if not sortable
+ */
+const getCustomFieldSortField = (field) => {
+  const value = customFieldValueSql(field.id);
+
+  switch (field.field_type) {
+    case 'number':
+      return { expression: `COALESCE((${value} #>> '{}')::float8, '-infinity'::float8)`, type: 'float8' };
+    case 'date':
+      return { expression: `COALESCE((${value} #>> '{}')::date, '-infinity'::date)`, type: 'date' };
+    case 'checkbox':
+      return { expression: `COALESCE((${value} #>> '{}')::boolean, false)::int`, type: 'integer' };
+    case 'multi_select':
+      return null;
+    default:
+      return { expression: `COALESCE(${value} #>> '{}', '')`, type: 'text' };
+  }
+};
+
+/**
+ * SQL condition for a custom field filter, with "?" marking its parameter
+ * @param {Object} field - Custom field definition
+ * @param {*} filter - Validated filter value (see buildCustomFieldFilterSchema)
+ * @returns {{sql: string, param: *}} Condition and its parameter
+ */
+const getCustomFieldCondition = (field, filter) => {
+  const value = customFieldValueSql(field.id);
+
+  switch (field.field_type) {
+    case 'text':
+    case 'url': {
+      const term = field.field_type === 'text' ? sanitizeInput(filter) : filter;
+      return { sql: `${value} #>> '{}' ILIKE ?`, param: `%${term.replace(/[\\%_]/g, '\\$&')}%` };
+    }
+    case 'number':
+      return { sql: `(${value} #>> '{}')::float8 = ?`, param: filter };
+    case 'multi_select':
+      return { sql: `${value} @> ?::jsonb`, param: JSON.stringify([filter]) };
+    case 'checkbox':
+      // An unset checkbox counts as unchecked
+      return { sql: `COALESCE(${value}, 'false'::jsonb) = ?::jsonb`, param: JSON.stringify(filter) };
+    default:
+      return { sql: `${value} #>> '{}' = ?`, param: filter };
+  }
+};
+
+module.exports = {
+  TASK_CUSTOM_FIELD_COLUMNS,
+  getTaskListCustomFields,
+  saveTaskCustomFieldValues,
+  pruneCustomFieldOptions,
+  getCustomFieldSortField,
+  getCustomFieldCondition
+};
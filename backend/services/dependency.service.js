@@ -0,0 +1,168 @@
+const { createNotification } = require('./notification.service');
+const { logger } = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/sanitization');
+
+// Open blocker count for task SELECTs that alias tasks as "t"
+const TASK_BLOCKER_COLUMNS = `
+  (SELECT COUNT(*)::int FROM task_dependencies td
+   JOIN tasks bt ON td.depends_on_task_id = bt.id
+   LEFT JOIN task_statuses bts ON bt.status_id = bts.id
+   WHERE td.task_id = t.id AND bt.deleted_at IS NULL
+     AND bts.category IS DISTINCT FROM 'done') as open_blocker_count`;
+
+/**
+ * Check whether making taskId depend on dependsOnTaskId would close a cycle,
+ * i.e. whether dependsOnTaskId already depends on taskId, directly or transitively
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task that would become blocked
+ * @param {number} dependsOnTaskId - Task that would block it
+ * @returns {Promise<boolean>}
+ */
+const wouldCreateCycle = async (pool, taskId, dependsOnTaskId) => {
+  if (parseInt(taskId) === parseInt(dependsOnTaskId)) {
+    return true;
+  }
+
+  const result = await pool.query(`
+    WITH RECURSIVE upstream(id) AS (
+      SELECT depends_on_task_id FROM task_dependencies WHERE task_id = $1
+      UNION
+      SELECT td.depends_on_task_id
+      FROM task_dependencies td
+      JOIN upstream u ON td.task_id = u.id
+    )
+    SELECT 1 FROM upstream WHERE id = $2 LIMIT 1
+  `, [dependsOnTaskId, taskId]);
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Get the tasks a task is blocked by and the tasks it blocks
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Object>} Object with blockedBy and blocks arrays
+ */
+const getTaskDependencies = async (pool, taskId) => {
+  const columns = `t.id, t.name, t.assigned_to, t.status_id,
+    ts.name as status_name, ts.category as status_category, ts.color as status_color`;
+
+  const [blockedBy, blocks] = await Promise.all([
+    pool.query(`
+      SELECT ${columns}
+      FROM task_dependencies td
+      JOIN tasks t ON td.depends_on_task_id = t.id
+      LEFT JOIN task_statuses ts ON t.status_id = ts.id
+      WHERE td.task_id = $1 AND t.deleted_at IS NULL
+      ORDER BY td.created_at ASC
+    `, [taskId]),
+    pool.query(`
+      SELECT ${columns}
+      FROM task_dependencies td
+      JOIN tasks t ON td.task_id = t.id
+      LEFT JOIN task_statuses ts ON t.status_id = ts.id
+      WHERE td.depends_on_task_id = $1 AND t.deleted_at IS NULL
+      ORDER BY td.created_at ASC
+    `, [taskId])
+  ]);
+
+  return { blockedBy: blockedBy.rows, blocks: blocks.rows };
+};
+
+/**
+ * Broadcast the open blocker count of each given task to its task list
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {Array<number>} taskIds - Task IDs
+ * @returns {Promise<void>}
+ */
+const broadcastBlockerCounts = async (pool, io, taskIds) => {
+  if (!io || taskIds.length === 0) {
+    return;
+  }
+
+  const result = await pool.query(
+    `SELECT t.id as task_id, t.task_list_id, ${TASK_BLOCKER_COLUMNS}
+     FROM tasks t
+     WHERE t.id = ANY($1::int[])`,
+    [taskIds]
+  );
+
+  result.rows.forEach(row => {
+    io.to(`taskList_${row.task_list_id}`).emit('taskBlockersUpdated', {
+      task_id: row.task_id,
+      open_blocker_count: row.open_blocker_count
+    });
+  });
+};
+
+/**
+ * Get IDs of tasks blocked by a task
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Blocking task ID
+ * @returns {Promise<Array<number>>}
+ */
+const getDependentTaskIds = async (pool, taskId) => {
+  const result = await pool.query(
+    'SELECT task_id FROM task_dependencies WHERE depends_on_task_id = $1',
+    [taskId]
+  );
+
+  return result.rows.map(row => row.task_id);
+};
+
+/**
+ * Notify assignees of tasks whose last open blocker was just completed
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {number} completedTaskId - ID of the task that was completed
+ * @returns {Promise<void>}
+ */
+const notifyUnblockedTasks = async (pool, io, completedTaskId) => {
+  const result = await pool.query(`
+    SELECT t.id, t.name, t.assigned_to, t.task_list_id, blocker.name as blocker_name
+    FROM task_dependencies d
+    JOIN tasks t ON d.task_id = t.id
+    JOIN tasks blocker ON d.depends_on_task_id = blocker.id
+    LEFT JOIN task_statuses ts ON t.status_id = ts.id
+    WHERE d.depends_on_task_id = $1
+      AND t.assigned_to IS NOT NULL
+      AND t.deleted_at IS NULL
+      AND ts.category IS DISTINCT FROM 'done'
+      AND NOT EXISTS (
+        SELECT 1 FROM task_dependencies other
+        JOIN tasks ot ON other.depends_on_task_id = ot.id
+        LEFT JOIN task_statuses ots ON ot.status_id = ots.id
+        WHERE other.task_id = t.id AND ot.deleted_at IS NULL AND ots.category IS DISTINCT FROM 'done'
+      )
+  `, [completedTaskId]);
+
+  for (const task of result.rows) {
+    try {
+      await createNotification(
+        pool,
+        io,
+        task.assigned_to,
+        task.id,
+        task.task_list_id,
+        'task_unblocked',
+        'Task Unblocked',
+        `"${task.name}" is ready to start now that "${task.blocker_name}" is done`
+      );
+    } catch (error) {
+      logger.error('Error creating unblocked notification', {
+        taskId: sanitizeForLog(task.id),
+        error: sanitizeForLog(error.message)
+      });
+    }
+  }
+};
+
+module.exports = {
+  TASK_BLOCKER_COLUMNS,
+  wouldCreateCycle,
+  getTaskDependencies,
+  getDependentTaskIds,
+  broadcastBlockerCounts,
+  notifyUnblockedTasks
+};
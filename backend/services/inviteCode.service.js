@@ -1,11 +1,261 @@
+const crypto = require('crypto');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { logger } = require('../utils/logger');
+
+const INVITE_CODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// Extra invites are shared as links, so they can afford to be harder to guess
+const INVITE_LINK_CODE_LENGTH = 12;
+
+// Whether an invite can still be used: active, revoked, expired or used_up
+const INVITE_STATUS_EXPRESSION = `
+  CASE
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at IS NOT NULL AND i.expires_at <= NOW() THEN 'expired'
+    WHEN i.max_uses IS NOT NULL AND i.use_count >= i.max_uses THEN 'used_up'
+    ELSE 'active'
+  END`;
+
+const INVITE_UNUSABLE_MESSAGES = {
+  revoked: 'This invite has been revoked',
+  expired: 'This invite has expired',
+  used_up: 'This invite has reached its maximum number of uses'
+};
+
 /**
- * Generate a random 8-character invite code
+ * Generate a random invite code
+ * @param {number} [length=8] - Code length
  * @returns {string} Uppercase invite code
  */
-const generateInviteCode = () => {
-  return Math.random().toString(36).substring(2, 10).toUpperCase();
+const generateInviteCode = (length = 8) => {
+  return Array.from({ length }, () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]).join('');
+};
+
+/**
+ * Get the invites of a task list, newest first, with who used each
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<Array>} Invites with status, created_by_name and uses
+ */
+const getTaskListInvites = async (pool, taskListId) => {
+  const result = await pool.query(`
+    SELECT i.*, ${INVITE_STATUS_EXPRESSION} as status,
+           creator.name as created_by_name,
+           COALESCE(
+             (SELECT json_agg(json_build_object('user_id', u.id, 'name', u.name, 'used_at', iu.used_at) ORDER BY iu.used_at)
+              FROM task_list_invite_uses iu
+              LEFT JOIN users u ON iu.user_id = u.id
+              WHERE iu.invite_id = i.id),
+             '[]'::json
+           ) as uses
+    FROM task_list_invites i
+    LEFT JOIN users creator ON i.created_by = creator.id
+    WHERE i.task_list_id = $1
+    ORDER BY i.created_at DESC, i.id DESC
+  `, [taskListId]);
+
+  return result.rows;
+};
+
+/**
+ * Create an invite for a task list
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @param {Object} invite - Validated invite (role, expiresInHours, maxUses and
+ *   optionally the email address it is sent to)
+ * @param {number} userId - User creating the invite
+ * @returns {Promise<Object>} Created invite as returned by getTaskListInvites
+ */
+const createTaskListInvite = async (pool, taskListId, { role, expiresInHours, maxUses, email = null }, userId) => {
+  const result = await pool.query(`
+    INSERT INTO task_list_invites (task_list_id, code, role, expires_at, max_uses, created_by, email)
+    VALUES ($1, $2, $3, CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + make_interval(hours => $4::int) END, $5, $6, $7)
+    RETURNING id
+  `, [taskListId, generateInviteCode(INVITE_LINK_CODE_LENGTH), role, expiresInHours, maxUses, userId, email]);
+
+  const invites = await getTaskListInvites(pool, taskListId);
+  return invites.find(invite => invite.id === result.rows[0].id);
+};
+
+/**
+ * Revoke an invite so it can no longer be used
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @param {number} inviteId - Invite ID
+ * @returns {Promise<boolean>} False if the list has no such invite
+ */
+const revokeTaskListInvite = async (pool, taskListId, inviteId) => {
+  const result = await pool.query(
+    'UPDATE task_list_invites SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id = $1 AND task_list_id = $2',
+    [inviteId, taskListId]
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Replace the primary invite code of a task list, so the old one stops working
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<string>} New invite code
+ */
+const rotateInviteCode = async (pool, taskListId) => {
+  const result = await pool.query(
+    'UPDATE task_lists SET invite_code = $2 WHERE id = $1 RETURNING invite_code',
+    [taskListId, generateInviteCode()]
+  );
+
+  return result.rows[0].invite_code;
+};
+
+/**
+ * Look up a task list by its primary code or one of its invites
+ * @param {Object} pool - Database connection pool
+ * @param {string} code - Sanitized, uppercase code
+ * @returns {Promise<Object|null>} { taskList, invite }, invite being null for
+ *   the primary code, or null if no list uses the code
+ */
+const findInviteByCode = async (pool, code) => {
+  const taskListResult = await pool.query('SELECT * FROM task_lists WHERE invite_code = $1', [code]);
+
+  if (taskListResult.rows.length > 0) {
+    return { taskList: taskListResult.rows[0], invite: null };
+  }
+
+  const inviteResult = await pool.query(`
+    SELECT i.*, ${INVITE_STATUS_EXPRESSION} as status
+    FROM task_list_invites i
+    WHERE i.code = $1
+  `, [code]);
+
+  if (inviteResult.rows.length === 0) {
+    return null;
+  }
+
+  const invite = inviteResult.rows[0];
+  const inviteListResult = await pool.query('SELECT * FROM task_lists WHERE id = $1', [invite.task_list_id]);
+
+  return { taskList: inviteListResult.rows[0], invite };
+};
+
+/**
+ * Add a user to a task list with an invite and record the use. Limits are
+ * checked again while claiming a use, so concurrent joins can't overrun them.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} taskList - Task list row
+ * @param {Object|null} invite - Invite row, or null for the primary code
+ * @param {number} userId - User joining
+ * @returns {Promise<boolean>} False if the invite stopped being usable
+ */
+const redeemInvite = async (pool, taskList, invite, userId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (invite) {
+      const claimResult = await client.query(`
+        UPDATE task_list_invites
+        SET use_count = use_count + 1
+        WHERE id = $1
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+          AND (max_uses IS NULL OR use_count < max_uses)
+      `, [invite.id]);
+
+      if (claimResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+    }
+
+    await client.query(
+      'INSERT INTO task_list_members (task_list_id, user_id, role) VALUES ($1, $2, $3)',
+      [taskList.id, userId, invite ? invite.role : 'member']
+    );
+    await client.query(
+      'INSERT INTO task_list_invite_uses (task_list_id, invite_id, user_id) VALUES ($1, $2, $3)',
+      [taskList.id, invite ? invite.id : null, userId]
+    );
+
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Drop the primary invite code from a task list row. The code lets anyone
+ * join as a member, so only members who manage invites may see it.
+ * @param {Object} taskList - Task list row
+ * @returns {Object} The same row, without invite_code
+ */
+const hideInviteCode = (taskList) => {
+  delete taskList.invite_code;
+  return taskList;
+};
+
+/**
+ * Join a task list with its primary code or an invite. Invites must still be
+ * usable, and one sent by email only works for the user with that address.
+ * @param {Object} pool - Database connection pool
+ * @param {string} code - Code as entered; it is sanitized and uppercased here
+ * @param {number} userId - User joining
+ * @returns {Promise<Object>} { taskList } on success, without its primary
+ *   code; otherwise { status, error } with the HTTP status and message to report
+ */
+const joinTaskListWithCode = async (pool, code, userId) => {
+  const found = await findInviteByCode(pool, sanitizeInput(code.toUpperCase()));
+
+  if (!found) {
+    return { status: 404, error: 'Invalid invite code' };
+  }
+
+  const { taskList, invite } = found;
+
+  if (invite && invite.status !== 'active') {
+    return { status: 400, error: INVITE_UNUSABLE_MESSAGES[invite.status] };
+  }
+
+  if (invite && invite.email) {
+    const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+    if (userResult.rows[0]?.email !== invite.email) {
+      return { status: 403, error: 'This invite was sent to a different email address' };
+    }
+  }
+
+  const memberCheck = await pool.query(
+    'SELECT id FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
+    [taskList.id, userId]
+  );
+
+  if (memberCheck.rows.length > 0) {
+    return { status: 400, error: 'Already a member of this task list' };
+  }
+
+  if (!(await redeemInvite(pool, taskList, invite, userId))) {
+    return { status: 400, error: 'This invite is no longer valid' };
+  }
+
+  logger.info('User joined task list', {
+    userId: sanitizeForLog(userId),
+    taskListId: sanitizeForLog(taskList.id),
+    inviteId: sanitizeForLog(invite ? invite.id : null)
+  });
+
+  return { taskList: hideInviteCode(taskList) };
 };
 
 module.exports = {
-  generateInviteCode
+  generateInviteCode,
+  getTaskListInvites,
+  createTaskListInvite,
+  revokeTaskListInvite,
+  rotateInviteCode,
+  hideInviteCode,
+  joinTaskListWithCode
 };
@@ -0,0 +1,68 @@
+// Labels of a task as a JSON array, for the task queries to select
+const TASK_LABEL_COLUMNS = `
+  COALESCE((SELECT json_agg(json_build_object('id', l.id, 'name', l.name, 'color', l.color) ORDER BY LOWER(l.name))
+            FROM task_labels tla JOIN labels l ON tla.label_id = l.id
+            WHERE tla.task_id = t.id), '[]'::json) as labels`;
+
+/**
+ * Get all labels of a task list, alphabetically
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<Array>} Array of labels
+ */
+const getTaskListLabels = async (pool, taskListId) => {
+  const result = await pool.query(
+    'SELECT * FROM labels WHERE task_list_id = $1 ORDER BY LOWER(name) ASC, id ASC',
+    [taskListId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Check that every label belongs to the given task list
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @param {Array<number>} labelIds - Label IDs
+ * @returns {Promise<boolean>} True if all labels belong to the list
+ */
+const labelsBelongToTaskList = async (pool, taskListId, labelIds) => {
+  if (labelIds.length === 0) {
+    return true;
+  }
+
+  const result = await pool.query(
+    'SELECT COUNT(*)::int as count FROM labels WHERE task_list_id = $1 AND id = ANY($2::int[])',
+    [taskListId, labelIds]
+  );
+
+  return result.rows[0].count === new Set(labelIds).size;
+};
+
+/**
+ * Replace the labels of a task. Labels are assumed to have been checked with
+ * labelsBelongToTaskList.
+ * @param {Object} db - Database pool or client
+ * @param {number} taskId - Task ID
+ * @param {Array<number>} labelIds - Label IDs the task should have
+ * @returns {Promise<void>}
+ */
+const setTaskLabels = async (db, taskId, labelIds) => {
+  await db.query(
+    'DELETE FROM task_labels WHERE task_id = $1 AND NOT (label_id = ANY($2::int[]))',
+    [taskId, labelIds]
+  );
+  await db.query(
+    `INSERT INTO task_labels (task_id, label_id)
+     SELECT $1, UNNEST($2::int[])
+     ON CONFLICT DO NOTHING`,
+    [taskId, labelIds]
+  );
+};
+
+module.exports = {
+  TASK_LABEL_COLUMNS,
+  getTaskListLabels,
+  labelsBelongToTaskList,
+  setTaskLabels
+};
@@ -0,0 +1,158 @@
+const { cancelAllTaskReminderJobs } = require('./reminder.service');
+const { recordTaskEvent } = require('./taskEvent.service');
+const { renumberListQueues } = require('./trash.service');
+
+/**
+ * Get the members of a task list with their roles
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<Array>} Members in join order
+ */
+const getTaskListMembers = async (pool, taskListId) => {
+  const result = await pool.query(`
+    SELECT u.id, u.name, u.email, u.avatar_url, tlm.role, tlm.joined_at
+    FROM task_list_members tlm
+    JOIN users u ON tlm.user_id = u.id
+    WHERE tlm.task_list_id = $1
+    ORDER BY tlm.joined_at ASC
+  `, [taskListId]);
+
+  return result.rows;
+};
+
+/**
+ * Notify task list members that its membership changed
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<void>}
+ */
+const emitMembersUpdated = async (pool, io, taskListId) => {
+  if (io) {
+    const members = await getTaskListMembers(pool, taskListId);
+    io.to(`taskList_${taskListId}`).emit('membersUpdated', { taskListId: parseInt(taskListId), members });
+  }
+};
+
+/**
+ * Remove a user from a task list. Their tasks in the list, trashed ones
+ * included, go to another member or are left unassigned; their queue entries
+ * and pending reminders for the list are dropped.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} options
+ * @param {number} options.taskListId - Task list ID
+ * @param {number} options.userId - User leaving the list
+ * @param {number|null} [options.reassignTo=null] - Member who takes over their tasks
+ * @param {number} options.actorId - User making the change
+ * @returns {Promise<Array<number>>} IDs of the live tasks whose assignee changed
+ */
+const removeListMember = async (pool, { taskListId, userId, reassignTo = null, actorId }) => {
+  const client = await pool.connect();
+  let reassigned;
+  let reminders;
+
+  try {
+    await client.query('BEGIN');
+
+    const usersResult = await client.query(
+      'SELECT id, name FROM users WHERE id = ANY($1::int[])',
+      [[userId, reassignTo].filter(Boolean)]
+    );
+    const nameOf = (id) => usersResult.rows.find(row => row.id === id)?.name || null;
+
+    const taskResult = await client.query(`
+      UPDATE tasks
+      SET assigned_to = $3, updated_at = NOW()
+      WHERE task_list_id = $1 AND assigned_to = $2
+      RETURNING id, deleted_at
+    `, [taskListId, userId, reassignTo]);
+    reassigned = taskResult.rows;
+
+    for (const task of reassigned) {
+      await recordTaskEvent(client, {
+        taskId: task.id,
+        taskListId,
+        actorId,
+        eventType: 'assigned',
+        field: 'assignee',
+        oldValue: nameOf(userId),
+        newValue: nameOf(reassignTo)
+      });
+    }
+
+    await client.query(`
+      DELETE FROM user_task_queue
+      WHERE user_id = $2 AND task_id IN (SELECT id FROM tasks WHERE task_list_id = $1)
+    `, [taskListId, userId]);
+    await client.query(`
+      DELETE FROM task_trash_queue_entries
+      WHERE user_id = $2 AND task_id IN (SELECT id FROM tasks WHERE task_list_id = $1)
+    `, [taskListId, userId]);
+    await renumberListQueues(client, taskListId);
+
+    const reminderResult = await client.query(`
+      DELETE FROM task_reminders
+      WHERE user_id = $2 AND is_sent = false
+        AND task_id IN (SELECT id FROM tasks WHERE task_list_id = $1)
+      RETURNING id
+    `, [taskListId, userId]);
+    reminders = reminderResult.rows;
+
+    await client.query(
+      'DELETE FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
+      [taskListId, userId]
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  cancelAllTaskReminderJobs(reminders);
+
+  return reassigned.filter(task => !task.deleted_at).map(task => task.id);
+};
+
+/**
+ * Make another member the owner of a task list. The previous owner stays on
+ * as an admin.
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @param {number} ownerId - Current owner
+ * @param {number} newOwnerId - Member taking over
+ * @returns {Promise<void>}
+ */
+const transferListOwnership = async (pool, taskListId, ownerId, newOwnerId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('UPDATE task_lists SET owner_id = $2 WHERE id = $1', [taskListId, newOwnerId]);
+    await client.query(
+      "UPDATE task_list_members SET role = 'owner' WHERE task_list_id = $1 AND user_id = $2",
+      [taskListId, newOwnerId]
+    );
+    await client.query(
+      "UPDATE task_list_members SET role = 'admin' WHERE task_list_id = $1 AND user_id = $2",
+      [taskListId, ownerId]
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getTaskListMembers,
+  emitMembersUpdated,
+  removeListMember,
+  transferListOwnership
+};
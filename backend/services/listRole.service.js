@@ -0,0 +1,93 @@
+// Roles of task list members, lowest to highest
+const LIST_ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+// Minimum role needed for each action in a task list
+const LIST_PERMISSIONS = {
+  view: 'viewer',
+  // Create and edit tasks, set reminders, delete tasks they created
+  editTasks: 'member',
+  // Add projects and requesters; add and edit labels and statuses
+  addReferenceData: 'member',
+  // Delete tasks created by someone else
+  deleteAnyTask: 'admin',
+  // Delete projects, requesters, labels and statuses
+  deleteReferenceData: 'admin',
+  // Add, change and delete custom fields
+  manageCustomFields: 'owner',
+  // Change the roles of members and viewers, or remove them
+  manageMembers: 'admin',
+  // Appoint, demote or remove admins
+  manageAdmins: 'owner',
+  // Hand the list to another member
+  transferOwnership: 'owner'
+};
+
+/**
+ * Check whether a role meets a minimum role
+ * @param {string} role - Member's role
+ * @param {string} minimumRole - Required role
+ * @returns {boolean}
+ */
+const hasListRole = (role, minimumRole) =>
+  LIST_ROLES.includes(role) && LIST_ROLES.indexOf(role) >= LIST_ROLES.indexOf(minimumRole);
+
+/**
+ * Get a user's role in a task list
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} Role, or null if the user is not a member
+ */
+const getListRole = async (pool, taskListId, userId) => {
+  const result = await pool.query(
+    'SELECT role FROM task_list_members WHERE task_list_id = $1 AND user_id = $2',
+    [taskListId, userId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].role : null;
+};
+
+/**
+ * Check whether a member may give another member a role. Nobody changes the
+ * owner's role or their own; admins manage members and viewers, and only the
+ * owner appoints or demotes admins.
+ * @param {string} actorRole - Role of the member making the change
+ * @param {string} currentRole - Target's current role
+ * @param {string} newRole - Role to assign
+ * @returns {boolean}
+ */
+const canAssignListRole = (actorRole, currentRole, newRole) => {
+  if (currentRole === 'owner' || newRole === 'owner') {
+    return false;
+  }
+
+  const required = currentRole === 'admin' || newRole === 'admin'
+    ? LIST_PERMISSIONS.manageAdmins
+    : LIST_PERMISSIONS.manageMembers;
+
+  return hasListRole(actorRole, required);
+};
+
+/**
+ * Check whether a member may remove another member from the list. The owner
+ * can't be removed; only the owner removes admins.
+ * @param {string} actorRole - Role of the member removing
+ * @param {string} targetRole - Role of the member being removed
+ * @returns {boolean}
+ */
+const canRemoveListMember = (actorRole, targetRole) => {
+  if (targetRole === 'owner') {
+    return false;
+  }
+
+  return hasListRole(actorRole, targetRole === 'admin' ? LIST_PERMISSIONS.manageAdmins : LIST_PERMISSIONS.manageMembers);
+};
+
+module.exports = {
+  LIST_ROLES,
+  LIST_PERMISSIONS,
+  hasListRole,
+  getListRole,
+  canAssignListRole,
+  canRemoveListMember
+};
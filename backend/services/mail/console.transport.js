@@ -0,0 +1,21 @@
+const { logger } = require('../../utils/logger');
+
+/**
+ * Mail transport that only logs messages, for development without a mail server
+ * @returns {Object} Mail transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(message) {
+    logger.info('Email (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+  }
+});
+
+module.exports = {
+  createConsoleTransport
+};
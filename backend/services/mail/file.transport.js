@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that writes each message to an .eml file, which any mail
+ * client can open
+ * @param {Object} options - Transport options
+ * @param {string} options.directory - Directory the messages are written to
+ * @returns {Object} Mail transport
+ */
+const createFileTransport = ({ directory }) => {
+  const root = path.resolve(directory);
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const { message: raw } = await composer.sendMail(message);
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(path.join(root, fileName), raw);
+    }
+  };
+};
+
+module.exports = {
+  createFileTransport
+};
@@ -0,0 +1,94 @@
+const path = require('path');
+const { renderEmail } = require('./templates');
+const { logger } = require('../../utils/logger');
+const { sanitizeForLog } = require('../../utils/sanitization');
+
+/**
+ * Outgoing email. Every transport implements:
+ *   send({ from, to, subject, html, text }) -> Promise<void>
+ * The transport is picked with MAIL_TRANSPORT ("console", "file" or "smtp").
+ */
+
+let transport = null;
+
+/**
+ * Get the configured mail transport, creating it on first use
+ * @returns {Object} Mail transport
+ */
+const getMailTransport = () => {
+  if (transport) {
+    return transport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+
+  switch (name) {
+    case 'console': {
+      const { createConsoleTransport } = require('./console.transport');
+      transport = createConsoleTransport();
+      break;
+    }
+    case 'file': {
+      const { createFileTransport } = require('./file.transport');
+      transport = createFileTransport({
+        directory: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail')
+      });
+      break;
+    }
+    case 'smtp': {
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST environment variable is required for the smtp mail transport');
+      }
+
+      const { createSmtpTransport } = require('./smtp.transport');
+      transport = createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+
+  return transport;
+};
+
+/**
+ * Base URL of the web app, for links in emails
+ * @returns {string} URL without a trailing slash
+ */
+const getAppUrl = () => {
+  const url = process.env.APP_URL || (process.env.FRONTEND_URL || 'http://localhost:5173').split(',')[0].trim();
+  return url.replace(/\/+$/, '');
+};
+
+/**
+ * Render a template and send it
+ * @param {string} to - Recipient address
+ * @param {string} template - Template name
+ * @param {Object} data - Template data, as plain unescaped text
+ * @returns {Promise<void>}
+ */
+const sendMail = async (to, template, data) => {
+  const { subject, html, text } = renderEmail(template, data);
+
+  await getMailTransport().send({
+    from: process.env.MAIL_FROM || 'Task Sphere <no-reply@localhost>',
+    to,
+    subject,
+    html,
+    text
+  });
+
+  logger.info('Email sent', { to: sanitizeForLog(to), template, transport: getMailTransport().name });
+};
+
+module.exports = {
+  getMailTransport,
+  getAppUrl,
+  sendMail
+};
@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that delivers through an SMTP server
+ * @param {Object} options - Transport options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (port 465) instead of STARTTLS
+ * @param {string} [options.user] - Username, left out for servers without auth
+ * @param {string} [options.pass] - Password
+ * @returns {Object} Mail transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+};
+
+module.exports = {
+  createSmtpTransport
+};
@@ -0,0 +1,77 @@
+const { escape } = require('../../utils/validation');
+
+/**
+ * Email templates. Each one takes plain-text data and returns the subject,
+ * the paragraphs of the body and an optional call-to-action button; the
+ * layout turns that into matching HTML and text versions.
+ */
+const TEMPLATES = {
+  taskListInvitation: ({ inviterName, taskListName, role, acceptUrl, expiresAt }) => ({
+    subject: `${inviterName} invited you to "${taskListName}" on Task Sphere`,
+    paragraphs: [
+      `${inviterName} invited you to join the task list "${taskListName}" with the ${role} role.`,
+      'Accept the invitation to sign in, or to create an account with this email address if you don\'t have one yet.',
+      `The invitation expires on ${expiresAt.toUTCString()}.`
+    ],
+    action: { label: 'Accept Invitation', url: acceptUrl }
+  }),
+
+  passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your Task Sphere password',
+    paragraphs: [
+      `Hi ${name},`,
+      'Someone asked to reset the password of your Task Sphere account. Use the link below to choose a new one.',
+      `The link can be used once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out everywhere else.`,
+      'If you didn\'t ask for this, you can ignore this email; your password stays the same.'
+    ],
+    action: { label: 'Reset Password', url: resetUrl }
+  })
+};
+
+const renderHtml = ({ subject, paragraphs, action }) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escape(subject)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,sans-serif;color:#1f2937;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <p style="margin:0 0 24px;font-size:20px;font-weight:bold;color:#4f46e5;">Task Sphere</p>
+      ${paragraphs.map(paragraph => `<p style="margin:0 0 16px;line-height:1.5;">${escape(paragraph)}</p>`).join('\n      ')}
+      ${action ? `<p style="margin:24px 0;">
+        <a href="${escape(action.url)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:8px;">${escape(action.label)}</a>
+      </p>
+      <p style="margin:0;font-size:12px;color:#6b7280;">If the button doesn't work, open this link: ${escape(action.url)}</p>` : ''}
+    </div>
+  </body>
+</html>
+`;
+
+const renderText = ({ paragraphs, action }) => [
+  ...paragraphs,
+  ...(action ? [`${action.label}: ${action.url}`] : [])
+].join('\n\n') + '\n';
+
+/**
+ * Render an email from a template
+ * @param {string} name - Template name (see TEMPLATES)
+ * @param {Object} data - Template data, as plain unescaped text
+ * @returns {Object} { subject, html, text }
+ */
+const renderEmail = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const content = template(data);
+  return {
+    subject: content.subject,
+    html: renderHtml(content),
+    text: renderText(content)
+  };
+};
+
+module.exports = {
+  renderEmail
+};
@@ -0,0 +1,99 @@
+const { createNotification } = require('./notification.service');
+const { logger } = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/sanitization');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the members mentioned as "@Name" in a text. Longer names win, so
+ * "@Ann Lee" mentions Ann Lee and not also a member called Ann.
+ * @param {string} text - Text to scan, stored (sanitized) form
+ * @param {Array} members - Members with id and name, stored (sanitized) form
+ * @returns {Array<number>} Mentioned user IDs
+ */
+const findMentionedUserIds = (text, members) => {
+  if (!text || !text.includes('@')) {
+    return [];
+  }
+
+  let remaining = text;
+  const mentioned = [];
+  const byLongestName = [...members]
+    .filter(member => member.name)
+    .sort((a, b) => b.name.length - a.name.length);
+
+  for (const member of byLongestName) {
+    const pattern = new RegExp(`(?<![\\w])@${escapeRegExp(member.name)}(?![\\w])`, 'gi');
+    if (pattern.test(remaining)) {
+      mentioned.push(member.id);
+      remaining = remaining.replace(pattern, ' ');
+    }
+  }
+
+  return mentioned;
+};
+
+/**
+ * Notify members newly mentioned in a task description or comment. Members
+ * already mentioned in the previous version of the text are not notified again.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {Object} options - Mention details
+ * @param {Object} options.task - Task row (id, name, task_list_id)
+ * @param {string} options.text - New text
+ * @param {string} [options.previousText] - Text before the edit
+ * @param {number} options.authorId - User who wrote the text
+ * @param {string} options.source - 'description' or 'comment'
+ * @returns {Promise<void>}
+ */
+const notifyMentions = async (pool, io, { task, text, previousText, authorId, source }) => {
+  if (!text || !text.includes('@')) {
+    return;
+  }
+
+  // Only members of the task list can be mentioned
+  const membersResult = await pool.query(`
+    SELECT u.id, u.name
+    FROM task_list_members tlm
+    JOIN users u ON tlm.user_id = u.id
+    WHERE tlm.task_list_id = $1
+  `, [task.task_list_id]);
+
+  const members = membersResult.rows;
+  const alreadyMentioned = new Set(findMentionedUserIds(previousText, members));
+  const recipients = findMentionedUserIds(text, members)
+    .filter(userId => userId !== authorId && !alreadyMentioned.has(userId));
+
+  if (recipients.length === 0) {
+    return;
+  }
+
+  const author = members.find(member => member.id === authorId);
+  const authorName = author ? author.name : 'Someone';
+  const where = source === 'comment' ? 'a comment on' : 'the description of';
+
+  for (const userId of recipients) {
+    try {
+      await createNotification(
+        pool,
+        io,
+        userId,
+        task.id,
+        task.task_list_id,
+        'mention',
+        'You Were Mentioned',
+        `${authorName} mentioned you in ${where} "${task.name}"`
+      );
+    } catch (error) {
+      logger.error('Error creating mention notification', {
+        userId: sanitizeForLog(userId),
+        error: sanitizeForLog(error.message)
+      });
+    }
+  }
+};
+
+module.exports = {
+  findMentionedUserIds,
+  notifyMentions
+};
@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { sanitizeInput, sanitizeForLog } = require('../utils/sanitization');
+const { isEmail } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+// Time from starting a sign-in to the web app redeeming it
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+const PROVIDER_CACHE_MS = 60 * 60 * 1000;
+const PROVIDER_TIMEOUT_MS = 10 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// Only asymmetric signatures; HMAC-signed ID tokens would need the client secret as key
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let metadataCache = null;
+let jwksCache = null;
+
+/**
+ * Read the OIDC settings from the environment
+ * @returns {Object|null} Settings, or null if single sign-on isn't configured
+ */
+const getOidcConfig = () => {
+  if (!process.env.OIDC_ISSUER || !process.env.OIDC_CLIENT_ID) {
+    return null;
+  }
+
+  return {
+    issuer: process.env.OIDC_ISSUER.replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+    autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false'
+  };
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`${url} responded with ${response.status}: ${detail}`);
+  }
+  return body;
+};
+
+/**
+ * Fetch the provider's discovery document, cached for an hour
+ * @param {Object} config - OIDC settings
+ * @returns {Promise<Object>} Provider metadata
+ */
+const discoverProvider = async (config) => {
+  if (metadataCache?.issuer === config.issuer && Date.now() - metadataCache.fetchedAt < PROVIDER_CACHE_MS) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer?.replace(/\/+$/, '') !== config.issuer) {
+    throw new Error(`Discovery document is for issuer ${metadata.issuer}, expected ${config.issuer}`);
+  }
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+    throw new Error('Discovery document lacks the authorization, token or JWKS endpoint');
+  }
+
+  metadataCache = { issuer: config.issuer, metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+const getJwks = async (jwksUri, forceRefresh = false) => {
+  if (!forceRefresh && jwksCache?.uri === jwksUri && Date.now() - jwksCache.fetchedAt < PROVIDER_CACHE_MS) {
+    return jwksCache.keys;
+  }
+
+  const { keys = [] } = await fetchJson(jwksUri);
+  jwksCache = { uri: jwksUri, keys, fetchedAt: Date.now() };
+  return keys;
+};
+
+/**
+ * Find the public key an ID token was signed with. An unknown key ID
+ * refetches the key set once, since providers rotate their keys.
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} header - Decoded ID token header
+ * @returns {Promise<Object|null>} Public KeyObject, or null if none matches
+ */
+const getSigningKey = async (metadata, header) => {
+  const findKey = (keys) => keys.find(key =>
+    key.kty !== 'oct' &&
+    (!key.use || key.use === 'sig') &&
+    (!header.kid || key.kid === header.kid)
+  );
+
+  let jwk = findKey(await getJwks(metadata.jwks_uri));
+  if (!jwk) {
+    jwk = findKey(await getJwks(metadata.jwks_uri, true));
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+/**
+ * Validate an ID token: signature, issuer, audience, expiry and nonce
+ * @param {Object} config - OIDC settings
+ * @param {Object} metadata - Provider metadata
+ * @param {string} idToken - ID token from the token endpoint
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} { claims } or { reason } explaining the rejection
+ */
+const validateIdToken = async (config, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    return { reason: 'ID token is not a JWT' };
+  }
+  if (!ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    return { reason: `ID token algorithm ${decoded.header.alg} is not accepted` };
+  }
+
+  const key = await getSigningKey(metadata, decoded.header);
+  if (!key) {
+    return { reason: 'No provider key matches the ID token' };
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (err) {
+    return { reason: err.message };
+  }
+
+  // With several audiences the token must name this client as the one it was issued to
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if ((audiences.length > 1 || claims.azp) && claims.azp !== config.clientId) {
+    return { reason: 'ID token was issued to another client' };
+  }
+  if (!claims.nonce || claims.nonce !== nonce) {
+    return { reason: 'ID token nonce does not match' };
+  }
+  if (!claims.sub) {
+    return { reason: 'ID token has no subject' };
+  }
+
+  return { claims };
+};
+
+/**
+ * Redeem an authorization code at the token endpoint, with the PKCE verifier
+ * @param {Object} config - OIDC settings
+ * @param {Object} metadata - Provider metadata
+ * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {Promise<Object>} Token response
+ */
+const exchangeCode = async (config, metadata, code, codeVerifier) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  // Providers that don't list their methods support client_secret_basic (RFC 8414)
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+  if (config.clientSecret && authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', config.clientId);
+    if (config.clientSecret) {
+      body.set('client_secret', config.clientSecret);
+    }
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+};
+
+/**
+ * Start a sign-in: remember its state, nonce and PKCE verifier and build the
+ * provider's authorization URL
+ * @param {Object} pool - Database connection pool
+ * @param {Object} config - OIDC settings
+ * @returns {Promise<Object>} { url } to send the browser to, and the { state }
+ *   the browser must present when it comes back
+ */
+const beginOidcLogin = async (pool, config) => {
+  const metadata = await discoverProvider(config);
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await pool.query(
+    'DELETE FROM oidc_login_requests WHERE created_at < NOW() - make_interval(mins => $1)',
+    [LOGIN_REQUEST_TTL_MINUTES]
+  );
+  await pool.query(
+    'INSERT INTO oidc_login_requests (state, nonce, code_verifier) VALUES ($1, $2, $3)',
+    [state, nonce, codeVerifier]
+  );
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), state };
+};
+
+/**
+ * Check the state the provider sent back against the one the browser got when
+ * it started the sign-in, in constant time
+ * @param {string|null} expectedState - State from the browser's cookie
+ * @param {string} state - State from the callback query
+ * @returns {boolean}
+ */
+const isExpectedState = (expectedState, state) => {
+  if (!expectedState || typeof state !== 'string') {
+    return false;
+  }
+
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(expectedState), hash(state));
+};
+
+/**
+ * Find the account for a provider identity. A new identity is linked to the
+ * account with the same email, or gets a new account, but only when the
+ * provider says the email is verified.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} config - OIDC settings
+ * @param {Object} claims - Validated ID token claims
+ * @returns {Promise<Object>} { userId } or { error }
+ */
+const resolveOidcUser = async (pool, config, claims) => {
+  const identityResult = await pool.query(
+    'UPDATE user_identities SET last_login_at = NOW() WHERE issuer = $1 AND subject = $2 RETURNING user_id',
+    [claims.iss, claims.sub]
+  );
+  if (identityResult.rows.length > 0) {
+    return { userId: identityResult.rows[0].user_id };
+  }
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  if (!claims.email || !emailVerified || !isEmail(claims.email)) {
+    return { error: 'Your identity provider did not share a verified email address' };
+  }
+
+  const email = sanitizeInput(claims.email.toLowerCase());
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query('SELECT id FROM users WHERE email = $1', [email]);
+    let userId = userResult.rows[0]?.id;
+
+    if (!userId) {
+      if (!config.autoProvision) {
+        await client.query('ROLLBACK');
+        return { error: 'No Task Sphere account uses this email address' };
+      }
+
+      const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0];
+      // Nobody knows this password; the account can get one through a password reset
+      const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+      const insertResult = await client.query(
+        'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id',
+        [email, passwordHash, sanitizeInput(String(name).slice(0, 100))]
+      );
+      userId = insertResult.rows[0].id;
+      logger.info('User provisioned through SSO', { userId: sanitizeForLog(userId), email: sanitizeForLog(email) });
+    }
+
+    await client.query(
+      'INSERT INTO user_identities (user_id, issuer, subject, email) VALUES ($1, $2, $3, $4)',
+      [userId, claims.iss, claims.sub, email]
+    );
+
+    await client.query('COMMIT');
+    logger.info('SSO identity linked', { userId: sanitizeForLog(userId), issuer: sanitizeForLog(claims.iss) });
+    return { userId };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Finish the provider's side of a sign-in: check the state, redeem the code,
+ * validate the ID token and find or create the account. The web app gets a
+ * one-time code to exchange for tokens, so none appear in a URL.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} config - OIDC settings
+ * @param {Object} params - code and state from the callback query
+ * @returns {Promise<Object>} { handoffCode } or { error } to show the user
+ */
+const handleOidcCallback = async (pool, config, { code, state }) => {
+  const handoffCode = crypto.randomBytes(32).toString('base64url');
+  const handoffHash = crypto.createHash('sha256').update(handoffCode).digest('hex');
+
+  // Claiming the request by setting its handoff hash makes each state single use
+  const requestResult = await pool.query(`
+    UPDATE oidc_login_requests
+    SET handoff_hash = $2
+    WHERE state = $1 AND handoff_hash IS NULL
+      AND created_at > NOW() - make_interval(mins => $3)
+    RETURNING id, nonce, code_verifier
+  `, [state, handoffHash, LOGIN_REQUEST_TTL_MINUTES]);
+  const request = requestResult.rows[0];
+
+  if (!request) {
+    return { error: 'This sign-in attempt has expired, please try again' };
+  }
+
+  const fail = async (error, reason) => {
+    logger.warn('SSO sign-in rejected', { reason: sanitizeForLog(reason || error) });
+    await pool.query('DELETE FROM oidc_login_requests WHERE id = $1', [request.id]);
+    return { error };
+  };
+
+  const metadata = await discoverProvider(config);
+  const tokens = await exchangeCode(config, metadata, code, request.code_verifier);
+
+  if (!tokens.id_token) {
+    return fail('Sign-in failed, please try again', 'Token response has no ID token');
+  }
+
+  const { claims, reason } = await validateIdToken(config, metadata, tokens.id_token, request.nonce);
+  if (!claims) {
+    return fail('Sign-in failed, please try again', reason);
+  }
+
+  const { userId, error } = await resolveOidcUser(pool, config, claims);
+  if (error) {
+    return fail(error);
+  }
+
+  await pool.query('UPDATE oidc_login_requests SET user_id = $2 WHERE id = $1', [request.id, userId]);
+
+  return { handoffCode };
+};
+
+/**
+ * Redeem the one-time code the web app got after a sign-in
+ * @param {Object} pool - Database connection pool
+ * @param {string} handoffCode - Code from the redirect to the web app
+ * @returns {Promise<Object|null>} User row, or null if the code is unknown,
+ *   used or expired
+ */
+const completeOidcLogin = async (pool, handoffCode) => {
+  const handoffHash = crypto.createHash('sha256').update(handoffCode).digest('hex');
+
+  const requestResult = await pool.query(`
+    DELETE FROM oidc_login_requests
+    WHERE handoff_hash = $1 AND user_id IS NOT NULL
+      AND created_at > NOW() - make_interval(mins => $2)
+    RETURNING user_id
+  `, [handoffHash, LOGIN_REQUEST_TTL_MINUTES]);
+
+  if (requestResult.rows.length === 0) {
+    return null;
+  }
+
+  const userResult = await pool.query(
+    'SELECT id, email, name, totp_enabled_at FROM users WHERE id = $1',
+    [requestResult.rows[0].user_id]
+  );
+  return userResult.rows[0] || null;
+};
+
+module.exports = {
+  LOGIN_REQUEST_TTL_MINUTES,
+  getOidcConfig,
+  beginOidcLogin,
+  isExpectedState,
+  handleOidcCallback,
+  completeOidcLogin
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { revokeAllUserSessions } = require('./userSession.service');
+
+const PASSWORD_RESET_EXPIRY_MINUTES = 60;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a password reset token for a user. Tokens issued earlier and not yet
+ * used stop working, so only the latest emailed link is valid.
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { token, expiresAt }, token being the raw value for the link
+ */
+const createPasswordResetToken = async (pool, userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [userId]);
+  const result = await pool.query(`
+    INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(mins => $3))
+    RETURNING expires_at
+  `, [userId, hashResetToken(token), PASSWORD_RESET_EXPIRY_MINUTES]);
+
+  return { token, expiresAt: result.rows[0].expires_at };
+};
+
+/**
+ * Set a new password with a reset token. The token is used up, and all of
+ * the user's sessions are ended so every device must sign in again.
+ * @param {Object} pool - Database connection pool
+ * @param {string} token - Raw token from the reset link
+ * @param {string} passwordHash - bcrypt hash of the new password
+ * @returns {Promise<Object|null>} { id, email } of the user, or null if the
+ *   token is unknown, used or expired
+ */
+const resetPasswordWithToken = async (pool, token, passwordHash) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(`
+      UPDATE password_reset_tokens
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `, [hashResetToken(token)]);
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+    const userResult = await client.query(
+      'UPDATE users SET password_hash = $2 WHERE id = $1 RETURNING id, email',
+      [userId, passwordHash]
+    );
+    await revokeAllUserSessions(client, userId, 'password_reset');
+    await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [userId]);
+
+    await client.query('COMMIT');
+    return userResult.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  PASSWORD_RESET_EXPIRY_MINUTES,
+  createPasswordResetToken,
+  resetPasswordWithToken
+};
@@ -0,0 +1,367 @@
+const { getInitialStatus } = require('./taskStatus.service');
+const { getTaskDetails } = require('./task.service');
+const { recordTaskEvent } = require('./taskEvent.service');
+const { calculateReminderDatetime, scheduleTaskReminder } = require('./reminder.service');
+const { logger } = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/sanitization');
+
+/**
+ * Get the wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone, the server's when omitted
+ * @returns {Object} { year, month (0-11), day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const part = (type) => parseInt(parts.find(p => p.type === type).value);
+
+  return {
+    year: part('year'),
+    month: part('month') - 1,
+    day: part('day'),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second')
+  };
+};
+
+// A wall-clock time as a UTC timestamp, for calendar math free of any offset
+const wallClockTime = ({ year, month, day, hour = 0, minute = 0, second = 0 }) =>
+  Date.UTC(year, month, day, hour, minute, second);
+
+/**
+ * Get the instant a wall-clock time happens in a timezone
+ * @param {Object} parts - { year, month (0-11), day, hour, minute, second }
+ * @param {string} [timeZone] - IANA timezone, the server's when omitted
+ * @returns {Date}
+ */
+const fromZonedParts = (parts, timeZone) => {
+  const target = wallClockTime(parts);
+  const offsetAt = (instant) => wallClockTime(getZonedParts(new Date(instant), timeZone)) - instant;
+
+  // The offset at the target itself is a guess; correct it once in case a
+  // daylight saving change lies between
+  const guess = target - offsetAt(target);
+  return new Date(target - offsetAt(guess));
+};
+
+/**
+ * Calculate the occurrence that follows a date. Weekdays and the day of
+ * month are taken on the calendar of the rule's timezone, and the time of
+ * day is kept across daylight saving changes.
+ * @param {Object} rule - Recurrence rule row
+ * @param {Date|string} fromDate - Due date of the current occurrence
+ * @returns {Date} Due date of the next occurrence
+ */
+const getNextOccurrence = (rule, fromDate) => {
+  const timeZone = rule.timezone || undefined;
+  const from = new Date(fromDate);
+  const current = getZonedParts(from, timeZone);
+
+  // The UTC fields of next stand for the date on the rule's calendar
+  const next = new Date(wallClockTime({ year: current.year, month: current.month, day: current.day }));
+
+  switch (rule.frequency) {
+    case 'daily':
+      next.setUTCDate(next.getUTCDate() + rule.interval_count);
+      break;
+    case 'weekly': {
+      const weekdays = [...(rule.weekdays || [])].sort((a, b) => a - b);
+      const laterThisWeek = weekdays.find(day => day > next.getUTCDay());
+
+      if (weekdays.length === 0) {
+        next.setUTCDate(next.getUTCDate() + (rule.interval_count * 7));
+      } else if (laterThisWeek !== undefined) {
+        next.setUTCDate(next.getUTCDate() + (laterThisWeek - next.getUTCDay()));
+      } else {
+        // Wrap to the first selected weekday of the next active week
+        next.setUTCDate(next.getUTCDate() - next.getUTCDay() + (rule.interval_count * 7) + weekdays[0]);
+      }
+      break;
+    }
+    case 'monthly': {
+      // Keep the anchor's day of month, clamped for shorter months
+      const anchorDay = getZonedParts(new Date(rule.anchor_date), timeZone).day;
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + rule.interval_count);
+      const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+      next.setUTCDate(Math.min(anchorDay, daysInMonth));
+      break;
+    }
+  }
+
+  const occurrence = fromZonedParts({
+    year: next.getUTCFullYear(),
+    month: next.getUTCMonth(),
+    day: next.getUTCDate(),
+    hour: current.hour,
+    minute: current.minute,
+    second: current.second
+  }, timeZone);
+  occurrence.setMilliseconds(from.getMilliseconds());
+
+  return occurrence;
+};
+
+/**
+ * Check whether a rule has run out of occurrences
+ * @param {Object} rule - Recurrence rule row
+ * @param {Date} nextDate - Due date of the candidate occurrence
+ * @returns {boolean}
+ */
+const isRuleExhausted = (rule, nextDate) => {
+  if (rule.max_occurrences && rule.occurrences_created >= rule.max_occurrences) {
+    return true;
+  }
+  return Boolean(rule.end_date) && nextDate > new Date(rule.end_date);
+};
+
+/**
+ * Get the recurrence rule a task belongs to
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Object|null>} Rule or null
+ */
+const getTaskRecurrenceRule = async (pool, taskId) => {
+  const result = await pool.query(`
+    SELECT r.*
+    FROM tasks t
+    JOIN task_recurrence_rules r ON t.recurrence_rule_id = r.id
+    WHERE t.id = $1
+  `, [taskId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Create or replace the recurrence rule of a task. The task becomes the
+ * current instance and its due date the anchor of the schedule.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} task - Task row (id, task_list_id, due_date, recurrence_rule_id)
+ * @param {Object} recurrence - Validated recurrence (frequency, interval, weekdays, endDate, count, timezone)
+ * @param {number} userId - User setting the rule
+ * @returns {Promise<Object>} Saved rule
+ */
+const saveTaskRecurrenceRule = async (pool, task, recurrence, userId) => {
+  const values = [
+    recurrence.frequency,
+    recurrence.interval || 1,
+    recurrence.weekdays || [],
+    task.due_date,
+    recurrence.endDate || null,
+    recurrence.count || null,
+    recurrence.timezone || null,
+    task.id
+  ];
+
+  if (task.recurrence_rule_id) {
+    const result = await pool.query(
+      `UPDATE task_recurrence_rules
+       SET frequency = $1, interval_count = $2, weekdays = $3, anchor_date = $4,
+           end_date = $5, max_occurrences = $6, timezone = $7, last_task_id = $8, updated_at = NOW()
+       WHERE id = $9
+       RETURNING *`,
+      [...values, task.recurrence_rule_id]
+    );
+    return result.rows[0];
+  }
+
+  const result = await pool.query(
+    `INSERT INTO task_recurrence_rules (frequency, interval_count, weekdays, anchor_date,
+     end_date, max_occurrences, timezone, last_task_id, task_list_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [...values, task.task_list_id, userId]
+  );
+
+  await pool.query(
+    'UPDATE tasks SET recurrence_rule_id = $1, updated_at = NOW() WHERE id = $2',
+    [result.rows[0].id, task.id]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Generate the instance that follows a task in its recurrence, copying the
+ * task's fields and reminder offsets. Only the latest instance of a rule
+ * generates a successor, so completing an older one is a no-op. Occurrences
+ * that would already be overdue are skipped.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {number} taskId - Current instance ID
+ * @returns {Promise<Object|null>} Generated task, or null when nothing was generated
+ */
+const generateNextInstance = async (pool, io, taskId) => {
+  const client = await pool.connect();
+  let newTaskId;
+  const reminders = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const ruleResult = await client.query(`
+      SELECT r.*
+      FROM tasks t
+      JOIN task_recurrence_rules r ON t.recurrence_rule_id = r.id
+      WHERE t.id = $1
+      FOR UPDATE OF r
+    `, [taskId]);
+
+    const rule = ruleResult.rows[0];
+    if (!rule || rule.last_task_id !== parseInt(taskId)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const taskResult = await client.query('SELECT * FROM tasks WHERE id = $1', [taskId]);
+    const task = taskResult.rows[0];
+
+    const now = new Date();
+    let nextDueDate = getNextOccurrence(rule, task.due_date || rule.anchor_date);
+    while (nextDueDate <= now) {
+      nextDueDate = getNextOccurrence(rule, nextDueDate);
+    }
+
+    if (isRuleExhausted(rule, nextDueDate)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const initialStatus = await getInitialStatus(client, task.task_list_id);
+
+    const insertResult = await client.query(
+      `INSERT INTO tasks (name, description, task_list_id, project_id, requester_id, priority,
+       assigned_to, due_date, estimated_hours, status_id, recurrence_rule_id, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW()) RETURNING id`,
+      [task.name, task.description, task.task_list_id, task.project_id, task.requester_id, task.priority,
+       task.assigned_to, nextDueDate, task.estimated_hours, initialStatus ? initialStatus.id : null,
+       rule.id, task.created_by]
+    );
+    newTaskId = insertResult.rows[0].id;
+
+    await client.query(
+      'INSERT INTO task_labels (task_id, label_id) SELECT $1, label_id FROM task_labels WHERE task_id = $2',
+      [newTaskId, taskId]
+    );
+
+    await client.query(
+      `INSERT INTO task_custom_field_values (task_id, field_id, value)
+       SELECT $1, field_id, value FROM task_custom_field_values WHERE task_id = $2`,
+      [newTaskId, taskId]
+    );
+
+    // No actor: the instance comes from the schedule, not from a user
+    await recordTaskEvent(client, {
+      taskId: newTaskId,
+      taskListId: task.task_list_id,
+      actorId: null,
+      eventType: 'created',
+      field: 'recurrence',
+      newValue: task.name
+    });
+
+    // Carry reminder offsets forward; ones that would fire in the past are dropped
+    const offsetsResult = await client.query(
+      `SELECT DISTINCT user_id, reminder_type, time_value, time_unit
+       FROM task_reminders WHERE task_id = $1`,
+      [taskId]
+    );
+
+    for (const offset of offsetsResult.rows) {
+      const reminderDatetime = calculateReminderDatetime(nextDueDate, offset.time_value, offset.time_unit);
+      if (reminderDatetime <= now) {
+        continue;
+      }
+
+      const reminderResult = await client.query(
+        `INSERT INTO task_reminders (task_id, user_id, reminder_type, time_value, time_unit, reminder_datetime)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [newTaskId, offset.user_id, offset.reminder_type, offset.time_value, offset.time_unit, reminderDatetime]
+      );
+      reminders.push(reminderResult.rows[0]);
+    }
+
+    await client.query(
+      `UPDATE task_recurrence_rules
+       SET last_task_id = $1, occurrences_created = occurrences_created + 1, updated_at = NOW()
+       WHERE id = $2`,
+      [newTaskId, rule.id]
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  reminders.forEach(reminder => scheduleTaskReminder(pool, io, reminder));
+
+  const newTask = await getTaskDetails(pool, newTaskId, null);
+
+  logger.info('Recurring task instance generated', {
+    taskId: sanitizeForLog(newTaskId),
+    previousTaskId: sanitizeForLog(taskId)
+  });
+
+  if (io) {
+    io.to(`taskList_${newTask.task_list_id}`).emit('taskCreated', newTask);
+  }
+
+  return newTask;
+};
+
+/**
+ * Generate successors for every rule whose current instance is past due
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @returns {Promise<number>} Number of generated instances
+ */
+const generateDueRecurrences = async (pool, io) => {
+  const result = await pool.query(`
+    SELECT r.last_task_id
+    FROM task_recurrence_rules r
+    JOIN tasks t ON r.last_task_id = t.id
+    WHERE t.due_date <= NOW()
+      AND t.deleted_at IS NULL
+      AND (r.max_occurrences IS NULL OR r.occurrences_created < r.max_occurrences)
+      AND (r.end_date IS NULL OR r.end_date > t.due_date)
+  `);
+
+  let generated = 0;
+  for (const row of result.rows) {
+    try {
+      if (await generateNextInstance(pool, io, row.last_task_id)) {
+        generated++;
+      }
+    } catch (error) {
+      logger.error('Error generating recurring task instance', {
+        taskId: sanitizeForLog(row.last_task_id),
+        error: sanitizeForLog(error.message)
+      });
+    }
+  }
+
+  return generated;
+};
+
+module.exports = {
+  getNextOccurrence,
+  isRuleExhausted,
+  getTaskRecurrenceRule,
+  saveTaskRecurrenceRule,
+  generateNextInstance,
+  generateDueRecurrences
+};
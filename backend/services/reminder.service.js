@@ -1,4 +1,7 @@
 const schedule = require('node-schedule');
+const { createNotification } = require('./notification.service');
+const { logger } = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/sanitization');
 
 // Store active scheduled jobs
 const scheduledJobs = new Map();
@@ -75,17 +78,17 @@ const getTaskReminders = async (pool, taskId) => {
  * @param {Object} pool - Database connection pool
  * @param {number} reminderId - Reminder ID
  * @param {number} userId - User ID
- * @returns {Promise<boolean>} True if deleted, false otherwise
+ * @returns {Promise<Object|null>} Deleted reminder, or null if none was deleted
  */
 const deleteTaskReminder = async (pool, reminderId, userId) => {
   const result = await pool.query(
     `DELETE FROM task_reminders
      WHERE id = $1 AND user_id = $2
-     RETURNING id`,
+     RETURNING *`,
     [reminderId, userId]
   );
 
-  return result.rowCount > 0;
+  return result.rows[0] || null;
 };
 
 /**
@@ -99,7 +102,7 @@ const getPendingReminders = async (pool) => {
      FROM task_reminders tr
      JOIN tasks t ON tr.task_id = t.id
      JOIN task_lists tl ON t.task_list_id = tl.id
-     WHERE tr.is_sent = false AND tr.reminder_datetime <= NOW()
+     WHERE tr.is_sent = false AND tr.reminder_datetime <= NOW() AND t.deleted_at IS NULL
      ORDER BY tr.reminder_datetime ASC`
   );
 
@@ -176,6 +179,7 @@ const getMissedReminders = async (pool, userId) => {
      JOIN tasks t ON tr.task_id = t.id
      JOIN task_lists tl ON t.task_list_id = tl.id
      WHERE tr.user_id = $1 AND tr.is_sent = true AND tr.sent_at > NOW() - INTERVAL '7 days'
+       AND t.deleted_at IS NULL
      ORDER BY tr.sent_at DESC`,
     [userId]
   );
@@ -227,6 +231,63 @@ const cancelAllTaskReminderJobs = (reminders) => {
   }
 };
 
+/**
+ * Schedule the notification job of a stored reminder. Task details are read
+ * when the job fires, so renames and trashing are picked up.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {Object} reminder - Reminder row
+ * @returns {void}
+ */
+const scheduleTaskReminder = (pool, io, reminder) => {
+  scheduleReminderJob(reminder.id, reminder.reminder_datetime, async () => {
+    try {
+      const taskDetailsResult = await pool.query(
+        'SELECT t.name, t.due_date, t.task_list_id FROM tasks t WHERE t.id = $1 AND t.deleted_at IS NULL',
+        [reminder.task_id]
+      );
+      const taskDetails = taskDetailsResult.rows[0];
+
+      if (!taskDetails) {
+        return;
+      }
+
+      const dueDateObj = new Date(taskDetails.due_date);
+      const formattedDueDate = dueDateObj.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      });
+
+      await createNotification(
+        pool,
+        io,
+        reminder.user_id,
+        reminder.task_id,
+        taskDetails.task_list_id,
+        'task_reminder',
+        'Task Reminder',
+        `"${taskDetails.name}" starts at ${formattedDueDate}`
+      );
+
+      await markReminderAsSent(pool, reminder.id);
+
+      logger.info('Reminder sent', {
+        reminderId: sanitizeForLog(reminder.id),
+        taskId: sanitizeForLog(reminder.task_id),
+        userId: sanitizeForLog(reminder.user_id)
+      });
+    } catch (error) {
+      logger.error('Error sending reminder', {
+        reminderId: sanitizeForLog(reminder.id),
+        error: sanitizeForLog(error.message)
+      });
+    }
+  });
+};
+
 /**
  * Get count of active scheduled jobs
  * @returns {number}
@@ -248,5 +309,6 @@ module.exports = {
   scheduleReminderJob,
   cancelReminderJob,
   cancelAllTaskReminderJobs,
+  scheduleTaskReminder,
   getActiveJobCount
 };
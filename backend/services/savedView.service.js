@@ -0,0 +1,75 @@
+const VIEW_COLUMNS = `
+  v.id, v.task_list_id, v.user_id, v.name, v.filters, v.is_shared, v.created_at, v.updated_at,
+  owner.name as owner_name
+`;
+
+/**
+ * Get the views a user can see in a task list: their own and those shared
+ * with the list
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Views with is_default set for the user's default
+ */
+const getSavedViews = async (pool, taskListId, userId) => {
+  const result = await pool.query(`
+    SELECT ${VIEW_COLUMNS}, (d.view_id IS NOT NULL) as is_default
+    FROM saved_views v
+    LEFT JOIN users owner ON v.user_id = owner.id
+    LEFT JOIN saved_view_defaults d ON d.view_id = v.id AND d.user_id = $2
+    WHERE v.task_list_id = $1 AND (v.user_id = $2 OR v.is_shared = true)
+    ORDER BY (v.user_id = $2) DESC, LOWER(v.name) ASC
+  `, [taskListId, userId]);
+
+  return result.rows;
+};
+
+/**
+ * Get a view if the user can see it. Membership of the list is checked
+ * separately.
+ * @param {Object} pool - Database connection pool
+ * @param {number} viewId - View ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} View or null
+ */
+const getSavedView = async (pool, viewId, userId) => {
+  const result = await pool.query(`
+    SELECT ${VIEW_COLUMNS}, (d.view_id IS NOT NULL) as is_default
+    FROM saved_views v
+    LEFT JOIN users owner ON v.user_id = owner.id
+    LEFT JOIN saved_view_defaults d ON d.view_id = v.id AND d.user_id = $2
+    WHERE v.id = $1 AND (v.user_id = $2 OR v.is_shared = true)
+  `, [viewId, userId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Set or clear a user's default view for a task list
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @param {number} userId - User ID
+ * @param {number|null} viewId - View ID, or null to clear the default
+ * @returns {Promise<void>}
+ */
+const setDefaultView = async (pool, taskListId, userId, viewId) => {
+  if (viewId === null) {
+    await pool.query(
+      'DELETE FROM saved_view_defaults WHERE user_id = $1 AND task_list_id = $2',
+      [userId, taskListId]
+    );
+    return;
+  }
+
+  await pool.query(`
+    INSERT INTO saved_view_defaults (user_id, task_list_id, view_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, task_list_id) DO UPDATE SET view_id = EXCLUDED.view_id
+  `, [userId, taskListId, viewId]);
+};
+
+module.exports = {
+  getSavedViews,
+  getSavedView,
+  setDefaultView
+};
@@ -0,0 +1,48 @@
+// Snippet highlights are delimited with control characters rather than HTML,
+// so the client can render them without trusting markup from task text
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+const TITLE_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, HighlightAll=true`;
+
+/**
+ * Full-text search across every task list the user is a member of
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User searching
+ * @param {string} query - Search terms, in web search syntax ("quoted phrases", -excluded, or)
+ * @param {number} limit - Maximum number of hits
+ * @returns {Promise<Array>} Hits, best match first, with highlighted title and snippet
+ */
+const searchTasks = async (pool, userId, query, limit) => {
+  const result = await pool.query(`
+    SELECT t.id as task_id, t.task_list_id, tl.name as task_list_name, t.name, t.parent_task_id,
+           ts.name as status_name, ts.category as status_category, ts.color as status_color,
+           ts_rank(d.search_vector, q.query) as rank,
+           ts_headline('english', task_search_text(t.name), q.query, $4) as title_highlight,
+           ts_headline('english',
+             concat_ws(' ', task_search_text(t.description),
+               (SELECT string_agg(task_search_text(c.content), ' ' ORDER BY c.created_at)
+                FROM task_comments c WHERE c.task_id = t.id)),
+             q.query, $5) as snippet
+    FROM websearch_to_tsquery('english', $2) q(query)
+    JOIN task_search_documents d ON d.search_vector @@ q.query
+    JOIN tasks t ON d.task_id = t.id
+    JOIN task_list_members tlm ON t.task_list_id = tlm.task_list_id AND tlm.user_id = $1
+    JOIN task_lists tl ON t.task_list_id = tl.id
+    LEFT JOIN task_statuses ts ON t.status_id = ts.id
+    WHERE t.deleted_at IS NULL
+    ORDER BY rank DESC, t.updated_at DESC
+    LIMIT $3
+  `, [userId, query, limit, TITLE_HEADLINE_OPTIONS, HEADLINE_OPTIONS]);
+
+  // A snippet with no highlight only repeats text that did not match
+  return result.rows.map(hit => ({
+    ...hit,
+    snippet: hit.snippet && hit.snippet.includes(HIGHLIGHT_START) ? hit.snippet : null
+  }));
+};
+
+module.exports = {
+  searchTasks
+};
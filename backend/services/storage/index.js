@@ -0,0 +1,57 @@
+const path = require('path');
+
+/**
+ * Attachment storage. Every driver implements:
+ *   put(key, buffer, contentType) -> Promise<void>
+ *   getStream(key) -> Promise<Readable>
+ *   delete(key) -> Promise<void>
+ * The driver is picked with ATTACHMENT_STORAGE ("local" or "s3").
+ */
+
+let storage = null;
+
+/**
+ * Get the configured storage driver, creating it on first use
+ * @returns {Object} Storage driver
+ */
+const getStorage = () => {
+  if (storage) {
+    return storage;
+  }
+
+  const driver = process.env.ATTACHMENT_STORAGE || 'local';
+
+  switch (driver) {
+    case 'local': {
+      const { createLocalDriver } = require('./local.driver');
+      storage = createLocalDriver({
+        directory: process.env.ATTACHMENT_DIR || path.join(__dirname, '..', '..', 'uploads')
+      });
+      break;
+    }
+    case 's3': {
+      if (!process.env.S3_BUCKET) {
+        throw new Error('S3_BUCKET environment variable is required for the s3 storage driver');
+      }
+
+      const { createS3Driver } = require('./s3.driver');
+      storage = createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown ATTACHMENT_STORAGE driver "${driver}"`);
+  }
+
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver that keeps files in a directory on the local disk
+ * @param {Object} options - Driver options
+ * @param {string} options.directory - Root directory for stored files
+ * @returns {Object} Storage driver
+ */
+const createLocalDriver = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated server-side, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = {
+  createLocalDriver
+};
@@ -0,0 +1,52 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Storage driver for S3 and S3-compatible services (MinIO, R2, Supabase Storage)
+ * @param {Object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.region] - Region, defaults to us-east-1
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {string} [options.accessKeyId] - Access key; falls back to the SDK's default credential chain
+ * @param {string} [options.secretAccessKey] - Secret key
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs, required by most local stand-ins
+ * @returns {Object} Storage driver
+ */
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    async getStream(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return result.Body;
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = {
+  createS3Driver
+};
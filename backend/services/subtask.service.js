@@ -0,0 +1,72 @@
+// Progress columns for task SELECTs that alias tasks as "t"
+const TASK_PROGRESS_COLUMNS = `
+  (SELECT COUNT(*)::int FROM tasks st
+   WHERE st.parent_task_id = t.id AND st.deleted_at IS NULL) as subtask_count,
+  (SELECT COUNT(*)::int FROM tasks st
+   JOIN task_statuses sts ON st.status_id = sts.id
+   WHERE st.parent_task_id = t.id AND st.deleted_at IS NULL AND sts.category = 'done') as subtask_done_count,
+  (SELECT COUNT(*)::int FROM task_checklist_items ci WHERE ci.task_id = t.id) as checklist_count,
+  (SELECT COUNT(*)::int FROM task_checklist_items ci
+   WHERE ci.task_id = t.id AND ci.is_completed = true) as checklist_done_count`;
+
+/**
+ * Get subtask and checklist completion counts for a task
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Object>} Progress counts
+ */
+const getTaskProgress = async (pool, taskId) => {
+  const result = await pool.query(
+    `SELECT t.id as task_id, t.task_list_id, ${TASK_PROGRESS_COLUMNS}
+     FROM tasks t
+     WHERE t.id = $1`,
+    [taskId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Count subtasks and checklist items that are still open
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Object>} Open subtask and checklist item counts
+ */
+const getOpenChildren = async (pool, taskId) => {
+  const progress = await getTaskProgress(pool, taskId);
+
+  if (!progress) {
+    return { openSubtasks: 0, openChecklistItems: 0 };
+  }
+
+  return {
+    openSubtasks: progress.subtask_count - progress.subtask_done_count,
+    openChecklistItems: progress.checklist_count - progress.checklist_done_count
+  };
+};
+
+/**
+ * Broadcast a task's progress counts to its task list
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {number} taskId - Task ID
+ * @returns {Promise<void>}
+ */
+const broadcastTaskProgress = async (pool, io, taskId) => {
+  if (!io || !taskId) {
+    return;
+  }
+
+  const progress = await getTaskProgress(pool, taskId);
+
+  if (progress) {
+    io.to(`taskList_${progress.task_list_id}`).emit('taskProgressUpdated', progress);
+  }
+};
+
+module.exports = {
+  TASK_PROGRESS_COLUMNS,
+  getTaskProgress,
+  getOpenChildren,
+  broadcastTaskProgress
+};
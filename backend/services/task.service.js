@@ -0,0 +1,253 @@
+const { TASK_PROGRESS_COLUMNS } = require('./subtask.service');
+const { TASK_BLOCKER_COLUMNS } = require('./dependency.service');
+const { TASK_COMMENT_COLUMNS } = require('./comment.service');
+const { TASK_LABEL_COLUMNS } = require('./label.service');
+const { TASK_CUSTOM_FIELD_COLUMNS, getCustomFieldSortField, getCustomFieldCondition } = require('./customField.service');
+const { sanitizeInput } = require('../utils/sanitization');
+
+/**
+ * Sort orders for task list pages. Every expression is NOT NULL so the
+ * cursor can be compared with a row comparison; missing values sort the way
+ * the task list always showed them.
+ */
+const TASK_SORT_FIELDS = {
+  id: { expression: 't.id', type: 'integer' },
+  name: { expression: "COALESCE(t.name, '')", type: 'text' },
+  priority: {
+    expression: "CASE t.priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END",
+    type: 'integer'
+  },
+  requester: { expression: "COALESCE(r.name, '')", type: 'text' },
+  project: { expression: "COALESCE(p.name, '')", type: 'text' },
+  assignedTo: { expression: "COALESCE(assigned_user.name, '')", type: 'text' },
+  dueDate: { expression: "COALESCE(t.due_date, '-infinity'::timestamp)", type: 'timestamp' },
+  reminder: { expression: "COALESCE(nr.next_reminder_datetime, 'infinity'::timestamp)", type: 'timestamp' },
+  createdAt: { expression: "COALESCE(t.created_at, '-infinity'::timestamp)", type: 'timestamp' }
+};
+
+/**
+ * Resolve a sortBy value to its sort field
+ * @param {string} sortBy - Built-in sort key or "cf<field ID>"
+ * @param {Array} customFields - Custom field definitions of the task list
+ * @returns {{expression: string, type: string}|null} Sort field, or null if
+ *   the field does not exist or cannot be sorted by
+ */
+const resolveTaskSortField = (sortBy, customFields) => {
+  if (TASK_SORT_FIELDS[sortBy]) {
+    return TASK_SORT_FIELDS[sortBy];
+  }
+
+  const field = customFields.find(f => `cf${f.id}` === sortBy);
+  return field ? getCustomFieldSortField(field) : null;
+};
+
+const TASK_DONE_EXPRESSION = "COALESCE(ts.category = 'done', false)";
+
+const encodeTaskCursor = (sortBy, row) => {
+  return Buffer.from(JSON.stringify({ sortBy, values: [row.sort_done, row.sort_value, row.id] })).toString('base64url');
+};
+
+/**
+ * Decode a task list cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sortBy - Sort field of the current request
+ * @returns {Array|null} [done, sortValue, id], or null if the cursor is invalid
+ *   or was issued for a different sort order
+ */
+const decodeTaskCursor = (cursor, sortBy) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const [done, sortValue, id] = decoded.values;
+
+    if (decoded.sortBy !== sortBy || typeof done !== 'boolean' || typeof sortValue !== 'string' || !Number.isInteger(id)) {
+      return null;
+    }
+    return [done, sortValue, id];
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the WHERE clause for task list filters
+ * @param {number} taskListId - Task list ID
+ * @param {Object} filters - Validated filters (see schemas.taskQuery and buildCustomFieldFilterSchema)
+ * @param {Array} customFields - Custom field definitions of the task list
+ * @returns {{conditions: Array<string>, params: Array}} SQL conditions and their parameters
+ */
+const buildTaskFilters = (taskListId, filters, customFields) => {
+  const conditions = ['t.task_list_id = $1', 't.deleted_at IS NULL'];
+  const params = [taskListId];
+
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.search) {
+    // Names are stored HTML-escaped, so the search term has to be too
+    const term = sanitizeInput(filters.search).replace(/[\\%_]/g, '\\$&');
+    addCondition('t.name ILIKE ?', `%${term}%`);
+  }
+  if (filters.projectId) addCondition('t.project_id = ?', filters.projectId);
+  if (filters.requesterId) addCondition('t.requester_id = ?', filters.requesterId);
+  if (filters.assignedTo) addCondition('t.assigned_to = ?', filters.assignedTo);
+  if (filters.priority) addCondition('t.priority = ?', filters.priority);
+  if (filters.statusId) addCondition('t.status_id = ?', filters.statusId);
+  if (filters.labelIds) {
+    const labelIds = [...new Set(filters.labelIds.split(',').map(Number))];
+    // "all" needs every label on the task, "any" at least one of them
+    const required = filters.labelMode === 'all' ? labelIds.length : 1;
+    addCondition(
+      `(SELECT COUNT(*) FROM task_labels tla WHERE tla.task_id = t.id AND tla.label_id = ANY(?::int[])) >= ${required}`,
+      labelIds
+    );
+  }
+  if (filters.dueFrom) addCondition('t.due_date >= ?', filters.dueFrom);
+  if (filters.dueTo) addCondition('t.due_date <= ?', filters.dueTo);
+
+  for (const field of customFields) {
+    const filter = filters[`cf${field.id}`];
+    if (filter !== undefined && filter !== '') {
+      const { sql, param } = getCustomFieldCondition(field, filter);
+      addCondition(sql, param);
+    }
+  }
+
+  return { conditions, params };
+};
+
+/**
+ * Get one page of a task list's tasks. Open tasks come before completed
+ * ones, then tasks are ordered by the requested field with the ID as a
+ * tie-breaker.
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @param {number} userId - User whose queue positions to include
+ * @param {Object} options - Validated query (see schemas.taskQuery)
+ * @param {Array} [customFields] - Custom field definitions of the task list,
+ *   needed to filter or sort by custom fields
+ * @returns {Promise<Object|null>} { tasks, nextCursor, totalCount, completedCount },
+ *   or null if the cursor is invalid. The counts are only included on the first page.
+ */
+const getTaskListPage = async (pool, taskListId, userId, options, customFields = []) => {
+  const { sortBy, sortDirection, limit, cursor } = options;
+  const sortField = resolveTaskSortField(sortBy, customFields);
+  const direction = sortDirection === 'asc' ? 'ASC' : 'DESC';
+  const { conditions, params } = buildTaskFilters(taskListId, options, customFields);
+
+  let counts = null;
+  if (!cursor) {
+    const countResult = await pool.query(`
+      SELECT COUNT(*)::int as total_count,
+             COUNT(*) FILTER (WHERE ${TASK_DONE_EXPRESSION})::int as completed_count
+      FROM tasks t
+      LEFT JOIN task_statuses ts ON t.status_id = ts.id
+      WHERE ${conditions.join(' AND ')}
+    `, params);
+    counts = countResult.rows[0];
+  }
+
+  const pageConditions = [...conditions];
+  const pageParams = [...params, userId];
+  const userParam = `$${pageParams.length}`;
+
+  if (cursor) {
+    const cursorValues = decodeTaskCursor(cursor, sortBy);
+    if (!cursorValues) {
+      return null;
+    }
+
+    pageParams.push(...cursorValues);
+    const [doneParam, valueParam, idParam] = [pageParams.length - 2, pageParams.length - 1, pageParams.length];
+    const comparison = direction === 'ASC' ? '>' : '<';
+    pageConditions.push(`(
+      ${TASK_DONE_EXPRESSION} > $${doneParam}
+      OR (${TASK_DONE_EXPRESSION} = $${doneParam}
+          AND (${sortField.expression}, t.id) ${comparison} ($${valueParam}::${sortField.type}, $${idParam}::integer))
+    )`);
+  }
+
+  // One extra row tells whether there is a next page
+  pageParams.push(limit + 1);
+
+  const result = await pool.query(`
+    SELECT t.*, p.name as project_name, r.name as requester_name,
+           ts.name as status_name, ts.category as status_category, ts.color as status_color,
+           assigned_user.name as assigned_to_name, assigned_user.email as assigned_to_email,
+           assigned_user.avatar_url as assigned_to_avatar_url,
+           creator.name as created_by_name,
+           parent.name as parent_task_name, ${TASK_PROGRESS_COLUMNS}, ${TASK_BLOCKER_COLUMNS}, ${TASK_COMMENT_COLUMNS},
+           ${TASK_LABEL_COLUMNS}, ${TASK_CUSTOM_FIELD_COLUMNS},
+           utq.queue_position, nr.next_reminder_datetime,
+           ${TASK_DONE_EXPRESSION} as sort_done, (${sortField.expression})::text as sort_value
+    FROM tasks t
+    LEFT JOIN projects p ON t.project_id = p.id
+    LEFT JOIN task_statuses ts ON t.status_id = ts.id
+    LEFT JOIN requesters r ON t.requester_id = r.id
+    LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
+    LEFT JOIN users creator ON t.created_by = creator.id
+    LEFT JOIN tasks parent ON t.parent_task_id = parent.id
+    LEFT JOIN user_task_queue utq ON t.id = utq.task_id AND utq.user_id = ${userParam}
+    LEFT JOIN LATERAL (
+      SELECT MIN(tr.reminder_datetime) as next_reminder_datetime
+      FROM task_reminders tr
+      WHERE tr.task_id = t.id AND tr.is_sent = false
+    ) nr ON true
+    WHERE ${pageConditions.join(' AND ')}
+    ORDER BY sort_done ASC, ${sortField.expression} ${direction}, t.id ${direction}
+    LIMIT $${pageParams.length}
+  `, pageParams);
+
+  const rows = result.rows.slice(0, limit);
+  const nextCursor = result.rows.length > limit ? encodeTaskCursor(sortBy, rows[rows.length - 1]) : null;
+
+  return {
+    tasks: rows.map(({ sort_done, sort_value, ...task }) => task),
+    nextCursor,
+    totalCount: counts ? counts.total_count : undefined,
+    completedCount: counts ? counts.completed_count : undefined
+  };
+};
+
+/**
+ * Get a task with the joined fields the task views render
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @param {number|null} userId - User whose queue position to include
+ * @returns {Promise<Object|null>} Task or null
+ */
+const getTaskDetails = async (pool, taskId, userId) => {
+  const result = await pool.query(`
+    SELECT t.*, p.name as project_name, r.name as requester_name,
+           ts.name as status_name, ts.category as status_category, ts.color as status_color,
+           assigned_user.name as assigned_to_name, assigned_user.email as assigned_to_email,
+           assigned_user.avatar_url as assigned_to_avatar_url,
+           creator.name as created_by_name,
+           parent.name as parent_task_name, ${TASK_PROGRESS_COLUMNS}, ${TASK_BLOCKER_COLUMNS}, ${TASK_COMMENT_COLUMNS},
+           ${TASK_LABEL_COLUMNS}, ${TASK_CUSTOM_FIELD_COLUMNS},
+           tl.name as task_list_name, utq.queue_position,
+           (SELECT MIN(tr.reminder_datetime)
+            FROM task_reminders tr
+            WHERE tr.task_id = t.id AND tr.is_sent = false) as next_reminder_datetime
+    FROM tasks t
+    LEFT JOIN projects p ON t.project_id = p.id
+    LEFT JOIN task_statuses ts ON t.status_id = ts.id
+    LEFT JOIN requesters r ON t.requester_id = r.id
+    LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
+    LEFT JOIN users creator ON t.created_by = creator.id
+    LEFT JOIN tasks parent ON t.parent_task_id = parent.id
+    LEFT JOIN task_lists tl ON t.task_list_id = tl.id
+    LEFT JOIN user_task_queue utq ON t.id = utq.task_id AND utq.user_id = $2
+    WHERE t.id = $1
+  `, [taskId, userId]);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  TASK_SORT_FIELDS,
+  resolveTaskSortField,
+  getTaskDetails,
+  getTaskListPage
+};
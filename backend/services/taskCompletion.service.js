@@ -0,0 +1,93 @@
+const { getTaskReminders, cancelAllTaskReminderJobs } = require('./reminder.service');
+const { getDependentTaskIds, broadcastBlockerCounts, notifyUnblockedTasks } = require('./dependency.service');
+const { broadcastTaskProgress } = require('./subtask.service');
+const { generateNextInstance } = require('./recurrence.service');
+const { logger } = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/sanitization');
+
+/**
+ * Run the side effects of a task moving into or out of a done status.
+ * Completing a task generates the next instance of its recurrence and drops
+ * its unsent reminders; either way, the tasks it blocks get new blocker
+ * counts, and their assignees are told once nothing blocks them any more.
+ * Failures are logged, since the status change itself is already saved.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {Object} task - Task row (id, recurrence_rule_id)
+ * @param {boolean} completed - True if the task was completed, false if reopened
+ * @returns {Promise<void>}
+ */
+const applyCompletionChange = async (pool, io, task, completed) => {
+  const taskId = parseInt(task.id);
+
+  if (completed) {
+    // Runs before the reminders are dropped, so their offsets are still there to copy
+    if (task.recurrence_rule_id) {
+      try {
+        await generateNextInstance(pool, io, taskId);
+      } catch (recurrenceError) {
+        logger.error('Error generating next recurring instance', { error: sanitizeForLog(recurrenceError.message) });
+      }
+    }
+
+    try {
+      const reminders = await getTaskReminders(pool, taskId);
+      cancelAllTaskReminderJobs(reminders);
+
+      await pool.query('DELETE FROM task_reminders WHERE task_id = $1 AND is_sent = false', [taskId]);
+      logger.debug('Deleted unsent reminders for completed task', { taskId: sanitizeForLog(taskId) });
+    } catch (reminderError) {
+      logger.error('Error deleting reminders for completed task', { error: sanitizeForLog(reminderError.message) });
+    }
+  }
+
+  try {
+    const dependentIds = await getDependentTaskIds(pool, taskId);
+    await broadcastBlockerCounts(pool, io, dependentIds);
+
+    if (completed) {
+      await notifyUnblockedTasks(pool, io, taskId);
+    }
+  } catch (dependencyError) {
+    logger.error('Error updating dependent tasks', { error: sanitizeForLog(dependencyError.message) });
+  }
+};
+
+/**
+ * Run the completion side effects for tasks moved together into or out of
+ * done, when their status changes category or is deleted. Trashed tasks are
+ * skipped, as they can't be completed on their own either.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {Array<number>} taskIds - Moved task IDs
+ * @param {boolean} completed - True if the tasks were completed, false if reopened
+ * @returns {Promise<void>}
+ */
+const applyCompletionChanges = async (pool, io, taskIds, completed) => {
+  if (taskIds.length === 0) {
+    return;
+  }
+
+  const result = await pool.query(
+    'SELECT id, parent_task_id, recurrence_rule_id FROM tasks WHERE id = ANY($1::int[]) AND deleted_at IS NULL',
+    [taskIds]
+  );
+
+  for (const task of result.rows) {
+    await applyCompletionChange(pool, io, task, completed);
+  }
+
+  const parentIds = new Set(result.rows.map(task => task.parent_task_id).filter(Boolean));
+  for (const parentId of parentIds) {
+    try {
+      await broadcastTaskProgress(pool, io, parentId);
+    } catch (progressError) {
+      logger.error('Error broadcasting parent task progress', { error: sanitizeForLog(progressError.message) });
+    }
+  }
+};
+
+module.exports = {
+  applyCompletionChange,
+  applyCompletionChanges
+};
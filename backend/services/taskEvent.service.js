@@ -0,0 +1,146 @@
+/**
+ * Task fields tracked in the history. Foreign keys are recorded by the name
+ * they had at the time, so the history still reads after a rename or delete.
+ */
+const TRACKED_FIELDS = [
+  { column: 'name', field: 'name' },
+  { column: 'description', field: 'description' },
+  { column: 'due_date', field: 'due_date' },
+  { column: 'priority', field: 'priority' },
+  { column: 'estimated_hours', field: 'estimated_hours' },
+  { column: 'day_assigned', field: 'day_assigned' },
+  { column: 'project_id', field: 'project', display: 'project_name' },
+  { column: 'requester_id', field: 'requester', display: 'requester_name' },
+  { column: 'assigned_to', field: 'assignee', display: 'assigned_to_name', eventType: 'assigned' },
+  { column: 'status_id', field: 'status', display: 'status_name', eventType: 'status_changed' },
+  { column: 'labels', field: 'labels' }
+];
+
+const formatEventValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  // Labels are recorded by name, like the other foreign keys
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(item => item.name).join(', ') : null;
+  }
+  return String(value);
+};
+
+/**
+ * Describe a reminder the way the reminder picker shows it
+ * @param {Object} reminder - Reminder row
+ * @returns {string} Description, e.g. "2 hours before"
+ */
+const describeReminder = (reminder) => {
+  const unit = reminder.time_value === 1 ? reminder.time_unit.replace(/s$/, '') : reminder.time_unit;
+  return `${reminder.time_value} ${unit} before`;
+};
+
+/**
+ * Record a single task event
+ * @param {Object} db - Database pool or client
+ * @param {Object} event - Event details
+ * @param {number} event.taskId - Task ID
+ * @param {number} event.taskListId - Task list ID
+ * @param {number|null} event.actorId - User who made the change, null for the system
+ * @param {string} event.eventType - created, updated, deleted, restored, assigned,
+ *   status_changed, reminder_added or reminder_removed
+ * @param {string} [event.field] - Changed field
+ * @param {*} [event.oldValue] - Value before the change
+ * @param {*} [event.newValue] - Value after the change
+ * @returns {Promise<void>}
+ */
+const recordTaskEvent = async (db, { taskId, taskListId, actorId, eventType, field = null, oldValue = null, newValue = null }) => {
+  await db.query(
+    `INSERT INTO task_events (task_id, task_list_id, actor_id, event_type, field, old_value, new_value)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [taskId, taskListId, actorId, eventType, field, formatEventValue(oldValue), formatEventValue(newValue)]
+  );
+};
+
+/**
+ * Record the same status change for several tasks at once, when their status
+ * is deleted or changes category under them
+ * @param {Object} db - Database pool or client
+ * @param {Array<number>} taskIds - Task IDs
+ * @param {Object} change - Change details
+ * @param {number} change.taskListId - Task list ID
+ * @param {number} change.actorId - User who made the change
+ * @param {string} change.oldValue - Status before the change
+ * @param {string} change.newValue - Status after the change
+ * @returns {Promise<void>}
+ */
+const recordStatusChanges = async (db, taskIds, { taskListId, actorId, oldValue, newValue }) => {
+  if (taskIds.length === 0) {
+    return;
+  }
+
+  await db.query(
+    `INSERT INTO task_events (task_id, task_list_id, actor_id, event_type, field, old_value, new_value)
+     SELECT task_id, $2, $3, 'status_changed', 'status', $4, $5 FROM UNNEST($1::int[]) AS task_id`,
+    [taskIds, taskListId, actorId, formatEventValue(oldValue), formatEventValue(newValue)]
+  );
+};
+
+/**
+ * Record an event for every tracked field that differs between two versions
+ * of a task, as returned by getTaskDetails
+ * @param {Object} db - Database pool or client
+ * @param {Object} before - Task before the update
+ * @param {Object} after - Task after the update
+ * @param {number} actorId - User who made the change
+ * @returns {Promise<number>} Number of events recorded
+ */
+const recordTaskChanges = async (db, before, after, actorId) => {
+  let recorded = 0;
+
+  for (const { column, field, display, eventType } of TRACKED_FIELDS) {
+    if (formatEventValue(before[column]) === formatEventValue(after[column])) {
+      continue;
+    }
+
+    await recordTaskEvent(db, {
+      taskId: after.id,
+      taskListId: after.task_list_id,
+      actorId,
+      eventType: eventType || 'updated',
+      field,
+      oldValue: display ? before[display] : before[column],
+      newValue: display ? after[display] : after[column]
+    });
+    recorded++;
+  }
+
+  return recorded;
+};
+
+/**
+ * Get the history of a task, newest first
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Array>} Array of events
+ */
+const getTaskHistory = async (pool, taskId) => {
+  const result = await pool.query(`
+    SELECT e.id, e.task_id, e.actor_id, e.event_type, e.field, e.old_value, e.new_value, e.created_at,
+           actor.name as actor_name, actor.email as actor_email, actor.avatar_url as actor_avatar_url
+    FROM task_events e
+    LEFT JOIN users actor ON e.actor_id = actor.id
+    WHERE e.task_id = $1
+    ORDER BY e.created_at DESC, e.id DESC
+  `, [taskId]);
+
+  return result.rows;
+};
+
+module.exports = {
+  describeReminder,
+  recordTaskEvent,
+  recordStatusChanges,
+  recordTaskChanges,
+  getTaskHistory
+};
@@ -0,0 +1,98 @@
+const STATUS_CATEGORIES = ['todo', 'active', 'done'];
+
+// Workflow given to every new task list
+const DEFAULT_STATUSES = [
+  { name: 'Backlog', category: 'todo', color: '#6b7280' },
+  { name: 'In Progress', category: 'active', color: '#3b82f6' },
+  { name: 'In Review', category: 'active', color: '#8b5cf6' },
+  { name: 'Done', category: 'done', color: '#22c55e' }
+];
+
+/**
+ * Create the default workflow statuses for a task list
+ * @param {Object} client - Database client or pool
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<Array>} Created statuses
+ */
+const createDefaultStatuses = async (client, taskListId) => {
+  const created = [];
+
+  for (const [index, status] of DEFAULT_STATUSES.entries()) {
+    const result = await client.query(
+      `INSERT INTO task_statuses (task_list_id, name, category, color, position)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [taskListId, status.name, status.category, status.color, index + 1]
+    );
+    created.push(result.rows[0]);
+  }
+
+  return created;
+};
+
+/**
+ * Get all statuses for a task list in workflow order
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<Array>} Array of statuses
+ */
+const getTaskListStatuses = async (pool, taskListId) => {
+  const result = await pool.query(
+    'SELECT * FROM task_statuses WHERE task_list_id = $1 ORDER BY position ASC, id ASC',
+    [taskListId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Get a status only if it belongs to the given task list
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @param {number} statusId - Status ID
+ * @returns {Promise<Object|null>} Status or null
+ */
+const getTaskListStatus = async (pool, taskListId, statusId) => {
+  const result = await pool.query(
+    'SELECT * FROM task_statuses WHERE id = $1 AND task_list_id = $2',
+    [statusId, taskListId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Get the status new tasks start in: the first todo status of the workflow,
+ * or its first open status if the list has no todo status
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<Object|null>} Status or null
+ */
+const getInitialStatus = async (pool, taskListId) => {
+  const result = await pool.query(
+    `SELECT * FROM task_statuses
+     WHERE task_list_id = $1 AND category != 'done'
+     ORDER BY category = 'todo' DESC, position ASC, id ASC
+     LIMIT 1`,
+    [taskListId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Check whether a status category counts as completed
+ * @param {string} category - Status category
+ * @returns {boolean}
+ */
+const isDoneCategory = (category) => category === 'done';
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_STATUSES,
+  createDefaultStatuses,
+  getTaskListStatuses,
+  getTaskListStatus,
+  getInitialStatus,
+  isDoneCategory
+};
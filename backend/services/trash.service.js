@@ -0,0 +1,219 @@
+const { cancelAllTaskReminderJobs, scheduleTaskReminder } = require('./reminder.service');
+const { getAttachmentKeys, removeStoredFiles } = require('./attachment.service');
+const { logger } = require('../utils/logger');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Close the gaps in every member's queue for a task list
+ * @param {Object} db - Database pool or client
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<number>} Number of renumbered entries
+ */
+const renumberListQueues = async (db, taskListId) => {
+  const result = await db.query(`
+    UPDATE user_task_queue utq
+    SET queue_position = subquery.new_position
+    FROM (
+      SELECT
+        utq2.user_id,
+        utq2.task_id,
+        ROW_NUMBER() OVER (PARTITION BY utq2.user_id ORDER BY utq2.queue_position) as new_position
+      FROM user_task_queue utq2
+      JOIN tasks t ON utq2.task_id = t.id
+      WHERE t.task_list_id = $1
+    ) AS subquery
+    WHERE utq.user_id = subquery.user_id AND utq.task_id = subquery.task_id
+  `, [taskListId]);
+
+  return result.rowCount;
+};
+
+/**
+ * Move a task and its subtasks to the trash. Their queue entries are parked
+ * and their reminder jobs cancelled until the task is restored.
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskId - Task ID
+ * @param {number} userId - User deleting the task
+ * @returns {Promise<Array|null>} Trashed tasks (id, name, task_list_id, parent_task_id), or null if the task was not found
+ */
+const moveTaskToTrash = async (pool, taskId, userId) => {
+  const client = await pool.connect();
+  let trashed;
+
+  try {
+    await client.query('BEGIN');
+
+    // NOW() is fixed for the transaction, so the subtasks share the parent's
+    // deleted_at; restoring the parent brings back exactly these subtasks
+    const result = await client.query(`
+      UPDATE tasks
+      SET deleted_at = NOW(), deleted_by = $2
+      WHERE (id = $1 OR parent_task_id = $1) AND deleted_at IS NULL
+      RETURNING id, name, task_list_id, parent_task_id
+    `, [taskId, userId]);
+
+    if (!result.rows.some(task => task.id === parseInt(taskId))) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    trashed = result.rows;
+    const taskIds = trashed.map(task => task.id);
+
+    await client.query(`
+      INSERT INTO task_trash_queue_entries (user_id, task_id, queue_position, added_at)
+      SELECT user_id, task_id, queue_position, added_at
+      FROM user_task_queue
+      WHERE task_id = ANY($1::int[])
+      ON CONFLICT (user_id, task_id) DO UPDATE SET queue_position = EXCLUDED.queue_position
+    `, [taskIds]);
+    await client.query('DELETE FROM user_task_queue WHERE task_id = ANY($1::int[])', [taskIds]);
+    await renumberListQueues(client, trashed[0].task_list_id);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const remindersResult = await pool.query(
+    'SELECT id FROM task_reminders WHERE task_id = ANY($1::int[]) AND is_sent = false',
+    [trashed.map(task => task.id)]
+  );
+  cancelAllTaskReminderJobs(remindersResult.rows);
+
+  return trashed;
+};
+
+/**
+ * Restore a trashed task together with the subtasks that were trashed with
+ * it. Queue entries go back to their old positions, shifting later entries
+ * down, and pending reminders are rescheduled.
+ * @param {Object} pool - Database connection pool
+ * @param {Object} io - Socket.io instance
+ * @param {Object} task - Trashed task row (id, task_list_id)
+ * @returns {Promise<Array<number>>} IDs of the restored tasks
+ */
+const restoreTaskFromTrash = async (pool, io, task) => {
+  const client = await pool.connect();
+  let taskIds;
+
+  try {
+    await client.query('BEGIN');
+
+    // The subquery sees the parent's deleted_at as it was before this update
+    const result = await client.query(`
+      UPDATE tasks
+      SET deleted_at = NULL, deleted_by = NULL
+      WHERE id = $1
+         OR (parent_task_id = $1 AND deleted_at = (SELECT deleted_at FROM tasks WHERE id = $1))
+      RETURNING id
+    `, [task.id]);
+
+    taskIds = result.rows.map(row => row.id);
+
+    const entriesResult = await client.query(`
+      SELECT user_id, task_id, queue_position, added_at
+      FROM task_trash_queue_entries
+      WHERE task_id = ANY($1::int[])
+      ORDER BY user_id, queue_position
+    `, [taskIds]);
+
+    for (const entry of entriesResult.rows) {
+      await client.query(`
+        UPDATE user_task_queue
+        SET queue_position = queue_position + 1
+        WHERE user_id = $1
+          AND queue_position >= $2
+          AND task_id IN (SELECT id FROM tasks WHERE task_list_id = $3)
+      `, [entry.user_id, entry.queue_position, task.task_list_id]);
+
+      await client.query(
+        `INSERT INTO user_task_queue (user_id, task_id, queue_position, added_at)
+         VALUES ($1, $2, $3, COALESCE($4, NOW()))
+         ON CONFLICT (user_id, task_id) DO NOTHING`,
+        [entry.user_id, entry.task_id, entry.queue_position, entry.added_at]
+      );
+    }
+
+    await client.query('DELETE FROM task_trash_queue_entries WHERE task_id = ANY($1::int[])', [taskIds]);
+    // Positions past the end of a queue that shrank meanwhile are closed up here
+    await renumberListQueues(client, task.task_list_id);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const remindersResult = await pool.query(
+    `SELECT * FROM task_reminders
+     WHERE task_id = ANY($1::int[]) AND is_sent = false AND reminder_datetime > NOW()`,
+    [taskIds]
+  );
+  remindersResult.rows.forEach(reminder => scheduleTaskReminder(pool, io, reminder));
+
+  return taskIds;
+};
+
+/**
+ * Get the trashed tasks of a task list, most recently deleted first
+ * @param {Object} pool - Database connection pool
+ * @param {number} taskListId - Task list ID
+ * @returns {Promise<Array>} Array of trashed tasks
+ */
+const getTrashedTasks = async (pool, taskListId) => {
+  const result = await pool.query(`
+    SELECT t.id, t.name, t.parent_task_id, t.due_date, t.priority, t.deleted_at, t.deleted_by,
+           deleter.name as deleted_by_name, parent.name as parent_task_name,
+           parent.deleted_at IS NOT NULL as parent_deleted,
+           t.deleted_at + make_interval(days => $2) as purge_at
+    FROM tasks t
+    LEFT JOIN users deleter ON t.deleted_by = deleter.id
+    LEFT JOIN tasks parent ON t.parent_task_id = parent.id
+    WHERE t.task_list_id = $1 AND t.deleted_at IS NOT NULL
+    ORDER BY t.deleted_at DESC, t.id DESC
+  `, [taskListId, TRASH_RETENTION_DAYS]);
+
+  return result.rows;
+};
+
+/**
+ * Permanently delete tasks that have been in the trash longer than the
+ * retention period, along with their attachment files
+ * @param {Object} pool - Database connection pool
+ * @returns {Promise<number>} Number of purged tasks
+ */
+const purgeExpiredTrash = async (pool) => {
+  const expiredResult = await pool.query(
+    'SELECT id FROM tasks WHERE deleted_at < NOW() - make_interval(days => $1)',
+    [TRASH_RETENTION_DAYS]
+  );
+
+  const taskIds = expiredResult.rows.map(row => row.id);
+  if (taskIds.length === 0) {
+    return 0;
+  }
+
+  const attachmentKeys = await getAttachmentKeys(pool, taskIds);
+  const result = await pool.query('DELETE FROM tasks WHERE id = ANY($1::int[])', [taskIds]);
+  await removeStoredFiles(attachmentKeys);
+
+  logger.info('Purged expired trash', { taskCount: result.rowCount });
+
+  return result.rowCount;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  renumberListQueues,
+  moveTaskToTrash,
+  restoreTaskFromTrash,
+  getTrashedTasks,
+  purgeExpiredTrash
+};
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+
+const TOTP_ISSUER = 'Task Sphere';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side of now are accepted, for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Compute the TOTP code (RFC 6238, HMAC-SHA1) of a secret for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step, i.e. Unix time divided by the period
+ * @returns {string} Zero-padded code
+ */
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to, within the drift window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} Matching step, or null if the code is wrong
+ */
+const findTotpStep = (secret, code) => {
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Accept a TOTP code once: its step must be newer than the last accepted one.
+ * The step is claimed with a conditional update, so two requests can't both
+ * use the same code.
+ * @param {Object} db - Database pool or transaction client
+ * @param {number} userId - User ID
+ * @param {string} secret - User's base32 secret
+ * @param {string} code - Six-digit code
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+const claimTotpCode = async (db, userId, secret, code) => {
+  const step = findTotpStep(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await db.query(
+    'UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)',
+    [userId, step]
+  );
+
+  return result.rowCount > 0;
+};
+
+const normalizeCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+const generateRecoveryCode = () => {
+  const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {Object} db - Database pool or transaction client
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} New codes, shown to the user once
+ */
+const replaceRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(`
+    INSERT INTO user_recovery_codes (user_id, code_hash)
+    SELECT $1, unnest($2::varchar[])
+  `, [userId, codes.map(hashRecoveryCode)]);
+
+  return codes;
+};
+
+/**
+ * Get whether a user has two-factor authentication on
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+ */
+const getTwoFactorStatus = async (pool, userId) => {
+  const result = await pool.query(`
+    SELECT u.totp_enabled_at,
+           (SELECT COUNT(*) FROM user_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL)::int as recovery_codes_remaining
+    FROM users u
+    WHERE u.id = $1
+  `, [userId]);
+  const row = result.rows[0];
+
+  return {
+    enabled: Boolean(row?.totp_enabled_at),
+    enabledAt: row?.totp_enabled_at || null,
+    recoveryCodesRemaining: row?.totp_enabled_at ? row.recovery_codes_remaining : 0
+  };
+};
+
+/**
+ * Start enrolling: give the user a new secret to add to an authenticator app.
+ * Starting again replaces a secret that was never confirmed.
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @param {string} accountName - Label shown in the app, usually the email
+ * @returns {Promise<Object|null>} { secret, otpauthUri }, or null if two-factor
+ *   authentication is already enabled
+ */
+const beginTwoFactorSetup = async (pool, userId, accountName) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  const result = await pool.query(
+    'UPDATE users SET totp_secret = $2, totp_last_step = NULL WHERE id = $1 AND totp_enabled_at IS NULL',
+    [userId, secret]
+  );
+  if (result.rowCount === 0) {
+    return null;
+  }
+
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return { secret, otpauthUri: `otpauth://totp/${label}?${params}` };
+};
+
+/**
+ * Finish enrolling by confirming a code from the authenticator app
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @param {string} code - Six-digit code
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null if setup
+ *   wasn't started or the code is wrong
+ */
+const enableTwoFactor = async (pool, userId, code) => {
+  const userResult = await pool.query(
+    'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NULL AND totp_secret IS NOT NULL',
+    [userId]
+  );
+  const secret = userResult.rows[0]?.totp_secret;
+
+  if (!secret || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (!(await claimTotpCode(client, userId, secret, code))) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query('UPDATE users SET totp_enabled_at = NOW() WHERE id = $1', [userId]);
+    const recoveryCodes = await replaceRecoveryCodes(client, userId);
+
+    await client.query('COMMIT');
+    return recoveryCodes;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Check the second factor of a user with two-factor authentication on: a
+ * code from the authenticator app, or an unused recovery code, which is
+ * used up
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @param {string} code - Code as entered
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code', or null if the
+ *   code isn't valid
+ */
+const verifyTwoFactorCode = async (pool, userId, code) => {
+  const userResult = await pool.query(
+    'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+    [userId]
+  );
+  const secret = userResult.rows[0]?.totp_secret;
+
+  if (!secret || typeof code !== 'string') {
+    return null;
+  }
+
+  const totpCode = code.replace(/\s/g, '');
+  if (/^\d{6}$/.test(totpCode)) {
+    return (await claimTotpCode(pool, userId, secret, totpCode)) ? 'totp' : null;
+  }
+
+  const recoveryResult = await pool.query(`
+    UPDATE user_recovery_codes
+    SET used_at = NOW()
+    WHERE id = (
+      SELECT id FROM user_recovery_codes
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      LIMIT 1
+    )
+  `, [userId, hashRecoveryCode(code)]);
+
+  return recoveryResult.rowCount > 0 ? 'recovery_code' : null;
+};
+
+/**
+ * Issue a new set of recovery codes, invalidating the old ones
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} New codes
+ */
+const regenerateRecoveryCodes = async (pool, userId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const codes = await replaceRecoveryCodes(client, userId);
+    await client.query('COMMIT');
+    return codes;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (pool, userId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+      [userId]
+    );
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  TOTP_PERIOD_SECONDS,
+  generateTotp,
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
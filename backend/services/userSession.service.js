@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateTokens } = require('./auth.service');
+
+// Matches the refresh token lifetime; each rotation extends the session
+const SESSION_LIFETIME_DAYS = 7;
+
+// A token replaced this recently is two tabs refreshing at once, not a stolen copy
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+// Revoked and expired sessions are kept this long so reuse of their tokens is still recognised
+const SESSION_RETENTION_DAYS = 30;
+
+const SESSION_COLUMNS = 'id, device_label, ip_address, user_agent, created_at, last_used_at, expires_at';
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+const PLATFORMS = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/CrOS/, 'ChromeOS'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/Linux/, 'Linux']
+];
+
+/**
+ * Describe the device of a session from its user agent, e.g. "Firefox on Windows"
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string} Device label
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+  return browser || platform || 'Unknown device';
+};
+
+const getClientInfo = (req) => {
+  const userAgent = req.get('user-agent') || null;
+  return {
+    ipAddress: req.ip || null,
+    userAgent: userAgent ? userAgent.slice(0, 500) : null
+  };
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request, for the client's IP and user agent
+ * @returns {Promise<Object>} { accessToken, refreshToken } of the new session
+ */
+const createUserSession = async (pool, userId, req) => {
+  const { ipAddress, userAgent } = getClientInfo(req);
+
+  await pool.query(`
+    DELETE FROM user_sessions
+    WHERE user_id = $1
+      AND COALESCE(revoked_at, expires_at) < NOW() - make_interval(days => $2)
+  `, [userId, SESSION_RETENTION_DAYS]);
+
+  // The session ID goes into the tokens, so it is taken before the row is written
+  const idResult = await pool.query("SELECT nextval(pg_get_serial_sequence('user_sessions', 'id')) as id");
+  const sessionId = parseInt(idResult.rows[0].id);
+  const tokens = generateTokens(userId, sessionId);
+
+  await pool.query(`
+    INSERT INTO user_sessions (id, user_id, refresh_token_hash, device_label, ip_address, user_agent, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7))
+  `, [sessionId, userId, hashRefreshToken(tokens.refreshToken), describeUserAgent(userAgent), ipAddress, userAgent, SESSION_LIFETIME_DAYS]);
+
+  return tokens;
+};
+
+/**
+ * Exchange a refresh token for new tokens. Each refresh token works once: a
+ * session's tokens form one family, and presenting a token the family has
+ * already moved past means it was copied, so the whole session is revoked.
+ * @param {Object} pool - Database connection pool
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} req - Express request, for the client's IP
+ * @returns {Promise<Object>} { tokens } on success, otherwise { error } plus
+ *   reuseDetected, userId and sessionId when a used token was replayed
+ */
+const rotateUserSession = async (pool, refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch {
+    return { error: 'Invalid refresh token' };
+  }
+
+  // Tokens issued before sessions existed carry no session ID
+  if (!decoded.sessionId) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const { userId, sessionId } = decoded;
+  const tokenHash = hashRefreshToken(refreshToken);
+  const tokens = generateTokens(userId, sessionId);
+
+  // Swapping the hash only if it is still the presented one makes concurrent
+  // refreshes with the same token race for a single winner
+  const rotateResult = await pool.query(`
+    UPDATE user_sessions
+    SET previous_token_hash = refresh_token_hash,
+        refresh_token_hash = $4,
+        rotated_at = NOW(),
+        last_used_at = NOW(),
+        ip_address = $5,
+        expires_at = NOW() + make_interval(days => $6)
+    WHERE id = $1 AND user_id = $2 AND refresh_token_hash = $3
+      AND revoked_at IS NULL AND expires_at > NOW()
+  `, [sessionId, userId, tokenHash, hashRefreshToken(tokens.refreshToken), getClientInfo(req).ipAddress, SESSION_LIFETIME_DAYS]);
+
+  if (rotateResult.rowCount > 0) {
+    return { tokens };
+  }
+
+  const sessionResult = await pool.query(`
+    SELECT revoked_at, expires_at <= NOW() as expired, previous_token_hash,
+           rotated_at > NOW() - make_interval(secs => $3) as recently_rotated
+    FROM user_sessions
+    WHERE id = $1 AND user_id = $2
+  `, [sessionId, userId, REFRESH_REUSE_GRACE_SECONDS]);
+  const session = sessionResult.rows[0];
+
+  if (!session || session.revoked_at || session.expired) {
+    return { error: 'Session has ended, please sign in again' };
+  }
+
+  if (session.recently_rotated && session.previous_token_hash === tokenHash) {
+    return { error: 'Refresh token was already used' };
+  }
+
+  await revokeUserSession(pool, userId, sessionId, 'token_reuse');
+  return { error: 'Invalid refresh token', reuseDetected: true, userId, sessionId };
+};
+
+/**
+ * Get the active sessions of a user, most recently used first
+ * @param {Object} pool - Database connection pool
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Sessions
+ */
+const getUserSessions = async (pool, userId) => {
+  const result = await pool.query(`
+    SELECT ${SESSION_COLUMNS}
+    FROM user_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC, id DESC
+  `, [userId]);
+
+  return result.rows;
+};
+
+/**
+ * Check that a session has been neither signed out nor left to expire
+ * @param {Object} pool - Database connection pool
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+const isUserSessionActive = async (pool, sessionId) => {
+  const result = await pool.query(`
+    SELECT id FROM user_sessions
+    WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+  `, [sessionId]);
+
+  return result.rows.length > 0;
+};
+
+/**
+ * End a session so its refresh token stops working. Its current access token
+ * stays valid until it expires, at most 15 minutes later.
+ * @param {Object} db - Database pool or transaction client
+ * @param {number} userId - Owner of the session
+ * @param {number} sessionId - Session ID
+ * @param {string} [reason='signed_out'] - Why the session ended
+ * @returns {Promise<boolean>} False if the user has no such active session
+ */
+const revokeUserSession = async (db, userId, sessionId, reason = 'signed_out') => {
+  const result = await db.query(`
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = $3
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+  `, [sessionId, userId, reason]);
+
+  return result.rowCount > 0;
+};
+
+/**
+ * End every session of a user
+ * @param {Object} db - Database pool or transaction client
+ * @param {number} userId - User ID
+ * @param {string} reason - Why the sessions ended
+ * @returns {Promise<number>} Number of sessions ended
+ */
+const revokeAllUserSessions = async (db, userId, reason) => {
+  const result = await db.query(`
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = $2
+    WHERE user_id = $1 AND revoked_at IS NULL
+  `, [userId, reason]);
+
+  return result.rowCount;
+};
+
+/**
+ * End the session a refresh token belongs to, for signing out. Expired
+ * tokens are accepted, since signing out should work after a long absence.
+ * @param {Object} pool - Database connection pool
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Promise<Object|null>} { userId, sessionId } of the ended session,
+ *   or null if the token doesn't belong to an active session
+ */
+const endSessionWithToken = async (pool, refreshToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+  } catch {
+    return null;
+  }
+
+  const result = await pool.query(`
+    UPDATE user_sessions
+    SET revoked_at = NOW(), revoked_reason = 'signed_out'
+    WHERE id = $1 AND user_id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL
+  `, [decoded.sessionId, decoded.userId, hashRefreshToken(refreshToken)]);
+
+  return result.rowCount > 0 ? { userId: decoded.userId, sessionId: decoded.sessionId } : null;
+};
+
+module.exports = {
+  describeUserAgent,
+  createUserSession,
+  rotateUserSession,
+  getUserSessions,
+  isUserSessionActive,
+  revokeUserSession,
+  revokeAllUserSessions,
+  endSessionWithToken
+};
@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { fakeListMembership, startApp, authHeader } = require('./helpers');
+
+process.env.ATTACHMENT_DIR = path.join(os.tmpdir(), 'task-sphere-test-uploads');
+
+const attachmentRoutes = require('../routes/attachment.routes');
+
+const UPLOADER_ID = 3;
+const USER_ID = 7;
+
+// An attachment someone else uploaded to task 1
+const otherUsersAttachment = (text) => {
+  if (/FROM task_attachments a/.test(text)) {
+    return [{ id: 1, task_id: 1, uploaded_by: UPLOADER_ID, storage_key: 'tasks/1/file.txt' }];
+  }
+  return [];
+};
+
+describe('deleting attachments', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([attachmentRoutes]);
+  });
+
+  after(() => app.close());
+
+  it('stops members deleting attachments uploaded by others', async () => {
+    const db = fakeListMembership('member', otherUsersAttachment);
+
+    const res = await app.request('DELETE', '/api/tasks/1/attachments/1', { headers: authHeader(USER_ID) });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.insufficientRole, true);
+    assert.deepEqual(db.writes, []);
+  });
+
+  for (const role of ['admin', 'owner']) {
+    it(`lets an ${role} delete attachments uploaded by others`, async () => {
+      const db = fakeListMembership(role, otherUsersAttachment);
+
+      const res = await app.request('DELETE', '/api/tasks/1/attachments/1', { headers: authHeader(USER_ID) });
+
+      assert.equal(res.status, 200);
+      assert.equal(db.writes.length, 1);
+      assert.match(db.writes[0], /DELETE FROM task_attachments/);
+    });
+  }
+});
@@ -0,0 +1,41 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeListMembership, startApp, authHeader } = require('./helpers');
+
+const commentRoutes = require('../routes/comment.routes');
+
+const AUTHOR_ID = 3;
+const USER_ID = 7;
+
+// A comment someone else wrote on task 1
+const otherUsersComment = (text) => {
+  if (/FROM tasks WHERE id/.test(text)) {
+    return [{ id: 1, name: 'Task', task_list_id: 1 }];
+  }
+  if (/FROM task_comments c/.test(text)) {
+    return [{ id: 1, task_id: 1, user_id: AUTHOR_ID, content: 'Hello' }];
+  }
+  return [];
+};
+
+describe('changing comments', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([commentRoutes]);
+  });
+
+  after(() => app.close());
+
+  for (const [method, body] of [['PUT', { content: 'Edited' }], ['DELETE', undefined]]) {
+    it(`refuses ${method} on another member's comment without signing them out`, async () => {
+      const db = fakeListMembership('admin', otherUsersComment);
+
+      const res = await app.request(method, '/api/tasks/1/comments/1', { body, headers: authHeader(USER_ID) });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.insufficientRole, true);
+      assert.deepEqual(db.writes, []);
+    });
+  }
+});
@@ -0,0 +1,118 @@
+// Shared setup for route tests: the routers run on a real Express app, with
+// the database pool swapped for a fake that answers from a handler
+process.env.SUPABASE_CA_CERT = process.env.SUPABASE_CA_CERT || 'test-ca';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+const WRITE_QUERY = /^\s*(INSERT|UPDATE|DELETE)\b/i;
+
+/**
+ * Answer every query with a handler instead of the database
+ * @param {Function} handler - (text, params) => rows, or undefined for none
+ * @returns {Object} Log of the queries run, with the writes among them
+ */
+const fakeDatabase = (handler) => {
+  const log = { queries: [], writes: [] };
+
+  const query = async (text, params = []) => {
+    log.queries.push(text);
+    if (WRITE_QUERY.test(text)) {
+      log.writes.push(text);
+    }
+    const rows = (await handler(text, params)) || [];
+    return { rows, rowCount: rows.length };
+  };
+
+  pool.query = query;
+  pool.connect = async () => ({ query, release: () => {} });
+
+  return log;
+};
+
+/**
+ * Fake database where the user holds one role in task list 1, which every
+ * task, label, status and custom field belongs to
+ * @param {string} role - Role of the user
+ * @param {Function} [handler] - Answers any other query
+ * @returns {Object} Query log (see fakeDatabase)
+ */
+const fakeListMembership = (role, handler = () => []) => fakeDatabase((text, params) => {
+  if (/FROM task_list_members/.test(text)) {
+    return [{ id: 1, role }];
+  }
+  if (/^\s*SELECT (id, )?task_list_id FROM/.test(text)) {
+    return [{ id: parseInt(params[0]), task_list_id: 1 }];
+  }
+  return handler(text, params);
+});
+
+/**
+ * Start an app serving routers under a prefix, on a free port
+ * @param {Array<Object>} routers - Express routers
+ * @param {string} [prefix='/api'] - Mount path
+ * @returns {Promise<Object>} { request, close }
+ */
+const startApp = async (routers, prefix = '/api') => {
+  const app = express();
+  app.use(express.json());
+  routers.forEach(router => app.use(prefix, router));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request to the app
+   * @param {string} method - HTTP method
+   * @param {string} path - Path including the prefix
+   * @param {Object} [options]
+   * @param {Object} [options.body] - JSON body
+   * @param {Object} [options.headers] - Extra headers
+   * @param {boolean} [options.followRedirects=true] - Follow redirects, or return them
+   * @returns {Promise<Object>} { status, body, headers }
+   */
+  const request = async (method, path, { body, headers = {}, followRedirects = true } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: followRedirects ? 'follow' : 'manual'
+    });
+    const text = await response.text();
+    const isJson = response.headers.get('content-type')?.includes('application/json');
+    return {
+      status: response.status,
+      body: isJson && text ? JSON.parse(text) : null,
+      headers: response.headers
+    };
+  };
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { request, close };
+};
+
+/**
+ * Authorization header for a signed-in user
+ * @param {number} userId - User ID
+ * @param {string} [sessionId='test-session'] - Device session ID
+ * @returns {Object}
+ */
+const authHeader = (userId, sessionId = 'test-session') => ({
+  Authorization: `Bearer ${jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: '15m' })}`
+});
+
+module.exports = {
+  fakeDatabase,
+  fakeListMembership,
+  startApp,
+  authHeader
+};
@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDatabase, fakeListMembership, startApp, authHeader } = require('./helpers');
+
+const VIEWER_ID = 7;
+
+const routers = [
+  require('../routes/subtask.routes'),
+  require('../routes/checklist.routes'),
+  require('../routes/dependency.routes'),
+  require('../routes/comment.routes'),
+  require('../routes/label.routes'),
+  require('../routes/customField.routes'),
+  require('../routes/taskStatus.routes'),
+  require('../routes/recurrence.routes'),
+  require('../routes/trash.routes'),
+  require('../routes/attachment.routes'),
+  require('../routes/savedView.routes')
+];
+
+// Every write a viewer can reach, grouped by route family
+const viewerWrites = {
+  subtasks: [
+    ['POST', '/api/tasks/1/subtasks', { name: 'Subtask' }]
+  ],
+  checklist: [
+    ['POST', '/api/tasks/1/checklist', { content: 'Item' }],
+    ['PUT', '/api/tasks/1/checklist/1', { isCompleted: true }],
+    ['DELETE', '/api/tasks/1/checklist/1']
+  ],
+  dependencies: [
+    ['POST', '/api/tasks/1/dependencies', { dependsOnTaskId: 2 }],
+    ['DELETE', '/api/tasks/1/dependencies/2']
+  ],
+  comments: [
+    ['POST', '/api/tasks/1/comments', { content: 'Hello' }],
+    ['PUT', '/api/tasks/1/comments/1', { content: 'Edited' }],
+    ['DELETE', '/api/tasks/1/comments/1']
+  ],
+  labels: [
+    ['POST', '/api/task-lists/1/labels', { name: 'Bug' }],
+    ['PUT', '/api/labels/1', { name: 'Defect' }],
+    ['DELETE', '/api/labels/1']
+  ],
+  'custom fields': [
+    ['POST', '/api/task-lists/1/custom-fields', { name: 'Cost', fieldType: 'number' }],
+    ['PUT', '/api/custom-fields/1', { name: 'Price' }],
+    ['DELETE', '/api/custom-fields/1']
+  ],
+  statuses: [
+    ['POST', '/api/task-lists/1/statuses', { name: 'Review', category: 'active' }],
+    ['PUT', '/api/task-lists/1/statuses/reorder', { statusIds: [1, 2] }],
+    ['PUT', '/api/task-statuses/1', { name: 'Doing' }],
+    ['DELETE', '/api/task-statuses/1']
+  ],
+  recurrence: [
+    ['PUT', '/api/tasks/1/recurrence', { frequency: 'weekly' }],
+    ['DELETE', '/api/tasks/1/recurrence']
+  ],
+  trash: [
+    ['POST', '/api/tasks/1/restore']
+  ],
+  attachments: [
+    ['POST', '/api/tasks/1/attachments'],
+    ['DELETE', '/api/tasks/1/attachments/1']
+  ],
+  'shared views': [
+    ['POST', '/api/task-lists/1/views', { name: 'Open bugs', filters: {}, isShared: true }],
+    ['PUT', '/api/views/1', { isShared: true }]
+  ]
+};
+
+describe('viewers cannot change a task list', () => {
+  let app;
+  let db;
+
+  before(async () => {
+    app = await startApp(routers);
+  });
+
+  after(() => app.close());
+
+  for (const [family, routes] of Object.entries(viewerWrites)) {
+    for (const [method, path, body] of routes) {
+      it(`rejects ${method} ${path} (${family})`, async () => {
+        db = fakeListMembership('viewer', (text) => {
+          // The viewer's own private view
+          if (/FROM saved_views WHERE id/.test(text)) {
+            return [{ id: 1, task_list_id: 1, user_id: VIEWER_ID, is_shared: false }];
+          }
+          return [];
+        });
+
+        const res = await app.request(method, path, { body, headers: authHeader(VIEWER_ID) });
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.insufficientRole, true);
+        assert.deepEqual(db.writes, []);
+      });
+    }
+  }
+
+  it('still lets viewers save private views', async () => {
+    db = fakeListMembership('viewer', (text) => {
+      if (/INSERT INTO saved_views/.test(text)) {
+        return [{ id: 1 }];
+      }
+      return [];
+    });
+
+    const res = await app.request('POST', '/api/task-lists/1/views', {
+      body: { name: 'Mine', filters: {}, isShared: false },
+      headers: authHeader(VIEWER_ID)
+    });
+
+    assert.notEqual(res.status, 403);
+    assert.equal(db.writes.length, 1);
+  });
+});
+
+const reads = [
+  '/api/tasks/{id}/subtasks',
+  '/api/tasks/{id}/checklist',
+  '/api/tasks/{id}/dependencies',
+  '/api/tasks/{id}/comments',
+  '/api/tasks/{id}/recurrence',
+  '/api/task-lists/{id}/labels',
+  '/api/task-lists/{id}/custom-fields',
+  '/api/task-lists/{id}/statuses',
+  '/api/task-lists/{id}/trash',
+  '/api/task-lists/{id}/views'
+];
+
+describe('reading a task list', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp(routers);
+  });
+
+  after(() => app.close());
+
+  for (const path of reads) {
+    it(`lets viewers read ${path}`, async () => {
+      fakeListMembership('viewer');
+
+      const res = await app.request('GET', path.replace('{id}', '1'), { headers: authHeader(VIEWER_ID) });
+
+      assert.equal(res.status, 200);
+    });
+
+    it(`turns away non-members from ${path}`, async () => {
+      fakeDatabase((text) => /^\s*SELECT task_list_id FROM/.test(text) ? [{ task_list_id: 1 }] : []);
+
+      const res = await app.request('GET', path.replace('{id}', '1'), { headers: authHeader(VIEWER_ID) });
+
+      assert.equal(res.status, 403);
+    });
+
+    it(`does not look up ${path} with an ID that is not a number`, async () => {
+      const db = fakeDatabase(() => []);
+
+      const res = await app.request('GET', path.replace('{id}', 'abc'), { headers: authHeader(VIEWER_ID) });
+
+      assert.equal(res.status, 404);
+      assert.deepEqual(db.queries, []);
+    });
+  }
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDatabase } = require('./helpers');
+const { pool } = require('../config/database');
+const { sanitizeInput } = require('../utils/sanitization');
+const { findMentionedUserIds, notifyMentions } = require('../services/mention.service');
+
+// Names and texts are matched in the form they are stored in
+const member = (id, name) => ({ id, name: sanitizeInput(name) });
+const find = (text, members) => findMentionedUserIds(sanitizeInput(text), members);
+
+const ANN = member(1, 'Ann');
+const ANN_LEE = member(2, 'Ann Lee');
+const OBRIEN = member(3, "Sean O'Brien");
+const INITIALS = member(4, 'J.R.');
+const AUTHOR = member(5, 'Bo');
+const MEMBERS = [ANN, ANN_LEE, OBRIEN, INITIALS, AUTHOR];
+
+describe('findMentionedUserIds', () => {
+  it('gives the mention to the longest matching name', () => {
+    assert.deepEqual(find('Thanks @Ann Lee', MEMBERS), [ANN_LEE.id]);
+  });
+
+  it('still finds a shorter name mentioned on its own', () => {
+    assert.deepEqual(find('@Ann Lee and @ann, have a look', MEMBERS).sort(), [ANN.id, ANN_LEE.id]);
+  });
+
+  it('matches names that were escaped when stored', () => {
+    assert.equal(OBRIEN.name, 'Sean O&#x27;Brien');
+    assert.deepEqual(find("Ask @Sean O'Brien", MEMBERS), [OBRIEN.id]);
+  });
+
+  it('treats regular expression characters in names literally', () => {
+    assert.deepEqual(find('@J.R. can you check', MEMBERS), [INITIALS.id]);
+    assert.deepEqual(find('@JxRx can you check', MEMBERS), []);
+  });
+
+  it('ignores names that are part of a longer word or address', () => {
+    assert.deepEqual(find('@Annabel and ann@example.com', MEMBERS), []);
+  });
+
+  it('finds nothing without an @', () => {
+    assert.deepEqual(find('Ann Lee', MEMBERS), []);
+    assert.deepEqual(findMentionedUserIds(null, MEMBERS), []);
+  });
+});
+
+describe('notifyMentions', () => {
+  const TASK = { id: 10, name: 'Task', task_list_id: 1 };
+
+  // Returns the IDs of the users notified
+  const mentionsNotified = async (text, previousText) => {
+    const notified = [];
+    fakeDatabase((query, params) => {
+      if (/FROM task_list_members tlm/.test(query)) {
+        return MEMBERS;
+      }
+      if (/INSERT INTO notifications/.test(query)) {
+        notified.push(params[0]);
+        return [{ id: notified.length }];
+      }
+      return [];
+    });
+
+    await notifyMentions(pool, null, {
+      task: TASK,
+      text: sanitizeInput(text),
+      previousText: previousText === undefined ? undefined : sanitizeInput(previousText),
+      authorId: AUTHOR.id,
+      source: 'comment'
+    });
+
+    return notified;
+  };
+
+  it('notifies members mentioned for the first time', async () => {
+    assert.deepEqual(await mentionsNotified('@Ann Lee please review'), [ANN_LEE.id]);
+  });
+
+  it('does not notify members already mentioned before the edit', async () => {
+    assert.deepEqual(await mentionsNotified('@Ann Lee and @Ann please review', '@Ann Lee please review'), [ANN.id]);
+  });
+
+  it('does not notify the author about their own mention', async () => {
+    assert.deepEqual(await mentionsNotified('Note to self @Bo'), []);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { fakeDatabase, startApp } = require('./helpers');
+
+const APP_URL = 'http://app.test';
+
+// A provider that only serves its discovery document; the callbacks tested
+// here never get as far as redeeming a code
+const startProvider = async () => {
+  const provider = express();
+  const server = await new Promise(resolve => {
+    const listening = provider.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  provider.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`
+    });
+  });
+
+  return { issuer, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+const redirectParams = (res) => new URL(res.headers.get('location')).searchParams;
+
+describe('single sign-on state', () => {
+  let provider;
+  let app;
+  let db;
+
+  before(async () => {
+    provider = await startProvider();
+    process.env.OIDC_ISSUER = provider.issuer;
+    process.env.OIDC_CLIENT_ID = 'task-sphere';
+    process.env.OIDC_REDIRECT_URI = 'http://localhost:5000/api/auth/oidc/callback';
+    process.env.FRONTEND_URL = APP_URL;
+
+    app = await startApp([require('../routes/auth.routes')], '/api/auth');
+  });
+
+  after(async () => {
+    await app.close();
+    await provider.close();
+  });
+
+  const startSignIn = async () => {
+    db = fakeDatabase(() => []);
+    const res = await app.request('GET', '/api/auth/oidc/login', { followRedirects: false });
+    assert.equal(res.status, 302);
+    return res;
+  };
+
+  const claimQueries = () => db.queries.filter(text => /UPDATE oidc_login_requests/.test(text));
+
+  it('ties the sign-in state to the browser with a cookie', async () => {
+    const res = await startSignIn();
+
+    const state = redirectParams(res).get('state');
+    const cookie = res.headers.get('set-cookie');
+
+    assert.ok(state);
+    assert.ok(cookie.startsWith(`oidc_state=${state};`));
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /SameSite=Lax/);
+    assert.match(cookie, /Path=\/api\/auth\/oidc\/callback/);
+    assert.match(cookie, /Max-Age=600/);
+  });
+
+  it('rejects a callback from a browser without the state cookie', async () => {
+    const login = await startSignIn();
+    const state = redirectParams(login).get('state');
+
+    const res = await app.request('GET', `/api/auth/oidc/callback?code=abc&state=${state}`, { followRedirects: false });
+
+    assert.equal(res.status, 302);
+    assert.ok(res.headers.get('location').startsWith(APP_URL));
+    assert.ok(redirectParams(res).get('ssoError'));
+    assert.equal(redirectParams(res).get('sso'), null);
+    assert.deepEqual(claimQueries(), []);
+  });
+
+  it('rejects a callback whose state does not match the cookie', async () => {
+    const login = await startSignIn();
+    const state = redirectParams(login).get('state');
+
+    const res = await app.request('GET', `/api/auth/oidc/callback?code=abc&state=${state}`, {
+      headers: { Cookie: 'oidc_state=someone-elses-state' },
+      followRedirects: false
+    });
+
+    assert.ok(redirectParams(res).get('ssoError'));
+    assert.deepEqual(claimQueries(), []);
+  });
+
+  it('ignores an invite passed to the SSO endpoint', async () => {
+    db = fakeDatabase(() => []);
+
+    const res = await app.request('GET', '/api/auth/oidc/login?invite=ABCD1234', { followRedirects: false });
+
+    assert.equal(res.status, 302);
+    assert.equal(db.queries.some(text => /invite/.test(text)), false);
+  });
+
+  it('claims the sign-in when the cookie matches, and clears the cookie', async () => {
+    const login = await startSignIn();
+    const state = redirectParams(login).get('state');
+
+    const res = await app.request('GET', `/api/auth/oidc/callback?code=abc&state=${state}`, {
+      headers: { Cookie: `oidc_state=${state}` },
+      followRedirects: false
+    });
+
+    assert.equal(claimQueries().length, 1);
+    assert.match(res.headers.get('set-cookie'), /^oidc_state=;.*Expires=Thu, 01 Jan 1970/);
+  });
+});
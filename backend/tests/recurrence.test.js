@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getNextOccurrence, isRuleExhausted } = require('../services/recurrence.service');
+
+const rule = (overrides) => ({
+  frequency: 'daily',
+  interval_count: 1,
+  weekdays: [],
+  anchor_date: '2026-03-02T09:00:00Z',
+  timezone: 'UTC',
+  ...overrides
+});
+
+const next = (overrides, from) => getNextOccurrence(rule(overrides), from).toISOString();
+
+describe('getNextOccurrence', () => {
+  it('steps daily by the interval, keeping the time of day', () => {
+    assert.equal(next({ interval_count: 2 }, '2026-03-02T09:00:00.250Z'), '2026-03-04T09:00:00.250Z');
+  });
+
+  it('keeps the local time of day across a daylight saving change', () => {
+    // Sydney leaves daylight saving time on 5 April 2026: 09:00 is UTC+11, then UTC+10
+    assert.equal(next({ timezone: 'Australia/Sydney' }, '2026-04-03T22:00:00Z'), '2026-04-04T23:00:00.000Z');
+  });
+
+  it('steps weekly by whole weeks without weekdays', () => {
+    assert.equal(next({ frequency: 'weekly', interval_count: 3 }, '2026-03-02T09:00:00Z'), '2026-03-23T09:00:00.000Z');
+  });
+
+  it('picks the weekdays on the calendar of the rule', () => {
+    // Tuesday 09:00 in Sydney is still Monday in UTC; Mondays and Wednesdays are chosen
+    const weekly = { frequency: 'weekly', weekdays: [1, 3], timezone: 'Australia/Sydney' };
+
+    assert.equal(next(weekly, '2026-03-02T22:00:00Z'), '2026-03-03T22:00:00.000Z');
+  });
+
+  it('wraps to the first weekday of the next active week', () => {
+    const weekly = { frequency: 'weekly', interval_count: 2, weekdays: [3, 1], timezone: 'Australia/Sydney' };
+
+    // Wednesday 4 March in Sydney, to Monday 16 March
+    assert.equal(next(weekly, '2026-03-03T22:00:00Z'), '2026-03-15T22:00:00.000Z');
+  });
+
+  it('keeps the day of month of the anchor, clamped for shorter months', () => {
+    const monthly = { frequency: 'monthly', anchor_date: '2026-01-31T09:00:00Z' };
+
+    assert.equal(next(monthly, '2026-01-31T09:00:00Z'), '2026-02-28T09:00:00.000Z');
+    assert.equal(next(monthly, '2026-02-28T09:00:00Z'), '2026-03-31T09:00:00.000Z');
+    assert.equal(next({ ...monthly, interval_count: 12 }, '2026-02-28T09:00:00Z'), '2027-02-28T09:00:00.000Z');
+  });
+
+  it('takes the day of month on the calendar of the rule', () => {
+    // 1 May 09:00 in Sydney is 30 April in UTC
+    const monthly = { frequency: 'monthly', anchor_date: '2026-04-30T23:00:00Z', timezone: 'Australia/Sydney' };
+
+    assert.equal(next(monthly, '2026-04-30T23:00:00Z'), '2026-05-31T23:00:00.000Z');
+  });
+});
+
+describe('isRuleExhausted', () => {
+  it('stops after the maximum number of occurrences', () => {
+    const counted = rule({ max_occurrences: 3 });
+
+    assert.equal(isRuleExhausted({ ...counted, occurrences_created: 2 }, new Date('2026-03-03T09:00:00Z')), false);
+    assert.equal(isRuleExhausted({ ...counted, occurrences_created: 3 }, new Date('2026-03-03T09:00:00Z')), true);
+  });
+
+  it('stops once the next occurrence falls after the end date', () => {
+    const ending = rule({ end_date: '2026-03-10T00:00:00Z', occurrences_created: 1 });
+
+    assert.equal(isRuleExhausted(ending, new Date('2026-03-09T09:00:00Z')), false);
+    assert.equal(isRuleExhausted(ending, new Date('2026-03-10T09:00:00Z')), true);
+  });
+
+  it('never stops without an end', () => {
+    assert.equal(isRuleExhausted(rule({ occurrences_created: 500 }), new Date('2030-01-01T09:00:00Z')), false);
+  });
+});
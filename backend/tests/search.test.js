@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escape, unescape } = require('../utils/validation');
+const { up } = require('../migrations/024_task_search_unescape');
+
+// Apply the replace() calls of task_search_text, innermost first, as Postgres would
+const searchText = async (input) => {
+  let sql;
+  await up({ query: async (text) => { sql = text; } });
+
+  const definition = sql.slice(sql.indexOf('SELECT replace'), sql.indexOf('$$ LANGUAGE'));
+  const replacements = [...definition.matchAll(/'((?:[^']|'')*)', '((?:[^']|'')*)'\)/g)]
+    .map(([, from, to]) => [from, to.replace(/''/g, "'")]);
+
+  return replacements.reduce((text, [from, to]) => text.split(from).join(to), input);
+};
+
+describe('task_search_text', () => {
+  it('unescapes everything stored text is escaped with', async () => {
+    const original = 'a < b > c & "d" \'e\' f/g h\\i `j` &amp;';
+
+    assert.equal(await searchText(escape(original)), unescape(escape(original)));
+    assert.equal(await searchText(escape(original)), original);
+  });
+});
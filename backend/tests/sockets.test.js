@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { fakeDatabase, startApp, authHeader } = require('./helpers');
+
+const authRoutes = require('../routes/auth.routes');
+const userRoutes = require('../routes/user.routes');
+const { disconnectUserSessions } = require('../websocket/socketHandlers');
+
+const USER_ID = 7;
+
+// Records the rooms whose sockets were disconnected
+const fakeIo = (sockets = []) => {
+  const disconnected = [];
+  return {
+    disconnected,
+    in: (room) => ({
+      disconnectSockets: () => disconnected.push(room),
+      fetchSockets: async () => sockets
+    })
+  };
+};
+
+describe('disconnecting revoked sockets', () => {
+  let app;
+  let io;
+
+  before(async () => {
+    process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+    app = await startApp([userRoutes, authRoutes]);
+  });
+
+  after(() => app.close());
+
+  const connect = () => {
+    io = fakeIo();
+    userRoutes.setIO(io);
+    authRoutes.setIO(io);
+  };
+
+  it('disconnects a session signed out from another device', async () => {
+    connect();
+    fakeDatabase((text) => /^\s*UPDATE user_sessions/.test(text) ? [{}] : []);
+
+    const res = await app.request('DELETE', '/api/sessions/12', { headers: authHeader(USER_ID) });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(io.disconnected, ['session_12']);
+  });
+
+  it('disconnects a session on logout', async () => {
+    connect();
+    fakeDatabase((text) => /^\s*UPDATE user_sessions/.test(text) ? [{}] : []);
+    const refreshToken = jwt.sign({ userId: USER_ID, sessionId: 12 }, process.env.JWT_REFRESH_SECRET);
+
+    const res = await app.request('POST', '/api/logout', { body: { refreshToken } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(io.disconnected, ['session_12']);
+  });
+
+  it('disconnects the sockets of a revoked access token', async () => {
+    connect();
+    fakeDatabase((text) => /UPDATE personal_access_tokens/.test(text) ? [{ id: 3, name: 'CI' }] : []);
+
+    const res = await app.request('DELETE', '/api/tokens/3', { headers: authHeader(USER_ID) });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(io.disconnected, ['accessToken_3']);
+  });
+
+  it('leaves sockets connected when nothing was revoked', async () => {
+    connect();
+    fakeDatabase(() => []);
+
+    const res = await app.request('DELETE', '/api/sessions/12', { headers: authHeader(USER_ID) });
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(io.disconnected, []);
+  });
+
+  it('disconnects every session of a user, but not their access tokens', async () => {
+    const disconnected = [];
+    const socket = (data) => ({ data, disconnect: () => disconnected.push(data) });
+
+    await disconnectUserSessions(fakeIo([socket({ sessionId: 1 }), socket({ tokenId: 3 }), socket({ sessionId: 2 })]), USER_ID);
+
+    assert.deepEqual(disconnected, [{ sessionId: 1 }, { sessionId: 2 }]);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDatabase, fakeListMembership, startApp, authHeader } = require('./helpers');
+
+const taskListRoutes = require('../routes/taskList.routes');
+
+const ADMIN_ID = 7;
+const USER_ID = 8;
+
+describe('task list members', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([taskListRoutes], '/api/task-lists');
+  });
+
+  after(() => app.close());
+
+  for (const [method, body] of [['PUT', { role: 'viewer' }], ['DELETE', undefined]]) {
+    it(`rejects ${method} with a user ID that is not a number`, async () => {
+      const db = fakeListMembership('admin');
+
+      const res = await app.request(method, '/api/task-lists/1/members/abc', { body, headers: authHeader(ADMIN_ID) });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Invalid user ID');
+      assert.deepEqual(db.writes, []);
+    });
+  }
+});
+
+describe('task list invite codes', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([taskListRoutes], '/api/task-lists');
+  });
+
+  after(() => app.close());
+
+  it('lists the invite code only for lists the user manages', async () => {
+    fakeDatabase((text) => {
+      if (/FROM task_lists tl/.test(text)) {
+        return ['owner', 'admin', 'member', 'viewer'].map((role, index) => ({
+          id: index + 1,
+          name: `List ${index + 1}`,
+          invite_code: `CODE${index + 1}`,
+          user_role: role
+        }));
+      }
+      return [];
+    });
+
+    const res = await app.request('GET', '/api/task-lists', { headers: authHeader(USER_ID) });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map(list => list.invite_code), ['CODE1', 'CODE2', undefined, undefined]);
+  });
+
+  it('leaves the invite code out of the list returned on joining', async () => {
+    fakeDatabase((text) => {
+      if (/SELECT \* FROM task_lists WHERE invite_code/.test(text)) {
+        return [{ id: 1, name: 'List 1', invite_code: 'CODE1' }];
+      }
+      return [];
+    });
+
+    const res = await app.request('POST', '/api/task-lists/join', {
+      body: { inviteCode: 'code1' },
+      headers: authHeader(USER_ID)
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.taskList.id, 1);
+    assert.equal('invite_code' in res.body.taskList, false);
+  });
+});
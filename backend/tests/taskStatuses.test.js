@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeListMembership, startApp, authHeader } = require('./helpers');
+
+const taskStatusRoutes = require('../routes/taskStatus.routes');
+
+const USER_ID = 7;
+
+// Status 1 is active, and the list has openCount open statuses in total
+const workflow = (openCount) => (text) => {
+  if (/SELECT \* FROM task_statuses WHERE id/.test(text)) {
+    return [{ id: 1, task_list_id: 1, name: 'In Progress', category: 'active' }];
+  }
+  if (/COUNT\(\*\) as count FROM task_statuses/.test(text)) {
+    return [{ count: String(openCount) }];
+  }
+  if (/^\s*UPDATE task_statuses/.test(text)) {
+    return [{ id: 1, task_list_id: 1, name: 'In Progress', category: 'done' }];
+  }
+  return [];
+};
+
+describe('changing a status category', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([taskStatusRoutes]);
+  });
+
+  after(() => app.close());
+
+  it('keeps the last open status from becoming done', async () => {
+    const db = fakeListMembership('member', workflow(1));
+
+    const res = await app.request('PUT', '/api/task-statuses/1', {
+      body: { category: 'done' },
+      headers: authHeader(USER_ID)
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'A workflow needs at least one open status');
+    assert.deepEqual(db.writes, []);
+  });
+
+  it('marks a status done while another stays open', async () => {
+    const db = fakeListMembership('member', workflow(2));
+
+    const res = await app.request('PUT', '/api/task-statuses/1', {
+      body: { category: 'done' },
+      headers: authHeader(USER_ID)
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.category, 'done');
+    assert.equal(db.writes.length, 1);
+  });
+});
+
+const STATUSES = [
+  { id: 1, task_list_id: 1, name: 'In Progress', category: 'active' },
+  { id: 2, task_list_id: 1, name: 'Backlog', category: 'todo' },
+  { id: 3, task_list_id: 1, name: 'Done', category: 'done' }
+];
+
+// Tasks 5 and 6 are in status 1; events collects the status changes recorded
+const tasksInStatus = (events, handler) => (text, params) => {
+  if (/INSERT INTO task_events/.test(text)) {
+    events.push(params);
+    return [];
+  }
+  if (/SELECT id FROM tasks WHERE status_id/.test(text) || /^\s*UPDATE tasks SET status_id/.test(text)) {
+    return [{ id: 5 }, { id: 6 }];
+  }
+  return handler(text, params);
+};
+
+describe('status changes in the task history', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([taskStatusRoutes]);
+  });
+
+  after(() => app.close());
+
+  it('records a move for each task of a status that becomes done', async () => {
+    const events = [];
+    fakeListMembership('member', tasksInStatus(events, workflow(2)));
+
+    const res = await app.request('PUT', '/api/task-statuses/1', {
+      body: { category: 'done' },
+      headers: authHeader(USER_ID)
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(events, [[[5, 6], 1, USER_ID, 'In Progress (active)', 'In Progress (done)']]);
+  });
+
+  it('records a move for each task of a deleted status', async () => {
+    const events = [];
+    fakeListMembership('admin', tasksInStatus(events, (text, params) => {
+      if (/FROM task_statuses WHERE id = \$1 AND task_list_id/.test(text)) {
+        return STATUSES.filter(status => status.id === parseInt(params[0]));
+      }
+      if (/SELECT \* FROM task_statuses WHERE id/.test(text)) {
+        return [STATUSES[0]];
+      }
+      if (/FROM task_statuses WHERE task_list_id/.test(text)) {
+        return STATUSES;
+      }
+      return [];
+    }));
+
+    const res = await app.request('DELETE', '/api/task-statuses/1?replacementId=2', { headers: authHeader(USER_ID) });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.movedTaskIds, [5, 6]);
+    assert.deepEqual(events, [[[5, 6], 1, USER_ID, 'In Progress', 'Backlog']]);
+  });
+});
+
+describe('completing tasks through their status', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([taskStatusRoutes]);
+  });
+
+  after(() => app.close());
+
+  // Task 5 repeats; records which task IDs each completion side effect ran for
+  const completionEffects = (handler) => {
+    const effects = { recurrence: [], reminders: [], unblocked: [] };
+    fakeListMembership('admin', tasksInStatus([], (text, params) => {
+      if (/recurrence_rule_id FROM tasks WHERE id = ANY/.test(text)) {
+        return [{ id: 5, parent_task_id: null, recurrence_rule_id: 9 }, { id: 6, parent_task_id: null, recurrence_rule_id: null }];
+      }
+      if (/JOIN task_recurrence_rules r/.test(text)) {
+        effects.recurrence.push(params[0]);
+      } else if (/DELETE FROM task_reminders/.test(text)) {
+        effects.reminders.push(params[0]);
+      } else if (/JOIN tasks blocker/.test(text)) {
+        effects.unblocked.push(params[0]);
+      }
+      return handler(text, params);
+    }));
+    return effects;
+  };
+
+  it('runs the completion side effects when a status becomes done', async () => {
+    const effects = completionEffects(workflow(2));
+
+    const res = await app.request('PUT', '/api/task-statuses/1', {
+      body: { category: 'done' },
+      headers: authHeader(USER_ID)
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(effects, { recurrence: [5], reminders: [5, 6], unblocked: [5, 6] });
+  });
+
+  it('runs them when a deleted status moves its tasks into done', async () => {
+    const effects = completionEffects((text, params) => {
+      if (/FROM task_statuses WHERE id = \$1 AND task_list_id/.test(text)) {
+        return STATUSES.filter(status => status.id === parseInt(params[0]));
+      }
+      if (/SELECT \* FROM task_statuses WHERE id/.test(text)) {
+        return [STATUSES[0]];
+      }
+      if (/FROM task_statuses WHERE task_list_id/.test(text)) {
+        return STATUSES;
+      }
+      return [];
+    });
+
+    const res = await app.request('DELETE', '/api/task-statuses/1?replacementId=3', { headers: authHeader(USER_ID) });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(effects, { recurrence: [5], reminders: [5, 6], unblocked: [5, 6] });
+  });
+
+  it('leaves them out when tasks stay open', async () => {
+    const effects = completionEffects(workflow(2));
+
+    await app.request('PUT', '/api/task-statuses/1', {
+      body: { category: 'todo' },
+      headers: authHeader(USER_ID)
+    });
+
+    assert.deepEqual(effects, { recurrence: [], reminders: [], unblocked: [] });
+  });
+});
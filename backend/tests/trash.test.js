@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDatabase, startApp, authHeader } = require('./helpers');
+
+const USER_ID = 7;
+
+// Task 1 of list 1 is in the trash; the user is a member of the list
+const trashedTask = () => fakeDatabase((text) => {
+  if (/deleted_at IS NULL/.test(text)) {
+    return [];
+  }
+  if (/FROM task_list_members/.test(text)) {
+    return [{ id: 1, role: 'member' }];
+  }
+  if (/^\s*SELECT task_list_id FROM tasks WHERE id/.test(text)) {
+    return [{ task_list_id: 1 }];
+  }
+  return [];
+});
+
+describe('tasks in the trash', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([
+      require('../routes/comment.routes'),
+      require('../routes/checklist.routes'),
+      require('../routes/reminder.routes'),
+      require('../routes/attachment.routes'),
+      require('../routes/trash.routes')
+    ]);
+  });
+
+  after(() => app.close());
+
+  for (const [method, path, body] of [
+    ['POST', '/api/tasks/1/comments', { content: 'Hello @someone' }],
+    ['POST', '/api/tasks/1/checklist', { content: 'Item' }],
+    ['POST', '/api/tasks/1/reminders', { timeValue: 1, timeUnit: 'hours' }],
+    ['GET', '/api/tasks/1/attachments']
+  ]) {
+    it(`are not found by ${method} ${path}`, async () => {
+      const db = trashedTask();
+
+      const res = await app.request(method, path, { body, headers: authHeader(USER_ID) });
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error, 'Task not found');
+      assert.deepEqual(db.writes, []);
+    });
+  }
+
+  it('can still be restored', async () => {
+    const db = trashedTask();
+
+    await app.request('POST', '/api/tasks/1/restore', { headers: authHeader(USER_ID) });
+
+    assert.ok(db.queries.some(text => /LEFT JOIN tasks parent/.test(text)));
+  });
+});
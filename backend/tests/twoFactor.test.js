@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { fakeDatabase, startApp, authHeader } = require('./helpers');
+const { pool } = require('../config/database');
+
+const userRoutes = require('../routes/user.routes');
+const { TOTP_PERIOD_SECONDS, generateTotp, verifyTwoFactorCode } = require('../services/twoFactor.service');
+
+const USER_ID = 7;
+const PASSWORD_HASH = bcrypt.hashSync('correct horse', 4);
+
+describe('changing two-factor authentication', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp([userRoutes], '/api/user');
+    // No code is ever valid: the user has no authenticator secret on file
+    fakeDatabase((text) => {
+      if (/SELECT email(, password_hash)? FROM users/.test(text)) {
+        return [{ email: 'user@example.com', password_hash: PASSWORD_HASH }];
+      }
+      return [];
+    });
+  });
+
+  after(() => app.close());
+
+  it('locks the account after repeated failed checks, then rate limits', async () => {
+    const headers = authHeader(USER_ID);
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const res = await app.request('POST', '/api/user/2fa/recovery-codes', { body: { code: '123456' }, headers });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.remainingAttempts, 5 - attempt);
+    }
+
+    const wrongPassword = await app.request('POST', '/api/user/2fa/disable', {
+      body: { password: 'wrong', code: '123456' },
+      headers
+    });
+    assert.equal(wrongPassword.status, 400);
+    assert.equal(wrongPassword.body.error, 'Password is incorrect');
+    assert.equal(wrongPassword.body.remainingAttempts, 1);
+
+    const locked = await app.request('POST', '/api/user/2fa/disable', {
+      body: { password: 'correct horse', code: '123456' },
+      headers
+    });
+    assert.equal(locked.status, 429);
+    assert.match(locked.body.error, /locked/);
+
+    const limited = await app.request('POST', '/api/user/2fa/recovery-codes', { body: { code: '123456' }, headers });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'Too many authentication attempts, please try again later');
+  });
+});
+
+// RFC 6238 appendix B, SHA-1: the secret is the ASCII "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('TOTP codes', () => {
+  for (const [time, code] of RFC_VECTORS) {
+    it(`matches the RFC 6238 test vector at ${time}`, () => {
+      assert.equal(generateTotp(RFC_SECRET, Math.floor(time / TOTP_PERIOD_SECONDS)), code);
+    });
+  }
+});
+
+describe('verifying TOTP codes', () => {
+  let lastStep;
+
+  // A user with two-factor on, whose last accepted step is kept like the users row would
+  const enrolledUser = () => {
+    lastStep = null;
+    fakeDatabase((text, params) => {
+      if (/SELECT totp_secret FROM users/.test(text)) {
+        return [{ totp_secret: RFC_SECRET }];
+      }
+      if (/UPDATE users SET totp_last_step/.test(text)) {
+        if (lastStep !== null && lastStep >= params[1]) {
+          return [];
+        }
+        lastStep = params[1];
+        return [{}];
+      }
+      return [];
+    });
+  };
+
+  const codeAt = (stepsFromNow) =>
+    generateTotp(RFC_SECRET, Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS) + stepsFromNow);
+
+  it('accepts a current code only once', async () => {
+    enrolledUser();
+    const code = codeAt(0);
+
+    assert.equal(await verifyTwoFactorCode(pool, USER_ID, code), 'totp');
+    assert.equal(await verifyTwoFactorCode(pool, USER_ID, code), null);
+  });
+
+  it('rejects an older code once a newer one was used', async () => {
+    enrolledUser();
+
+    assert.equal(await verifyTwoFactorCode(pool, USER_ID, codeAt(0)), 'totp');
+    assert.equal(await verifyTwoFactorCode(pool, USER_ID, codeAt(-1)), null);
+  });
+
+  it('allows one step of clock drift, and no more', async () => {
+    enrolledUser();
+
+    assert.equal(await verifyTwoFactorCode(pool, USER_ID, codeAt(-3)), null);
+    assert.equal(await verifyTwoFactorCode(pool, USER_ID, codeAt(-1)), 'totp');
+    assert.equal(await verifyTwoFactorCode(pool, USER_ID, codeAt(1)), 'totp');
+  });
+});
@@ -156,11 +156,28 @@ const trackFailedLogin = (identifier) => {
   };
 };
 
+// Check a lockout without counting an attempt
+const getLoginLockStatus = (identifier) => {
+  const attempts = failedLoginAttempts.get(identifier);
+  const now = Date.now();
+
+  if (attempts?.lockedUntil && now < attempts.lockedUntil) {
+    const remainingTime = Math.ceil((attempts.lockedUntil - now) / 1000 / 60);
+    return {
+      locked: true,
+      remainingMinutes: remainingTime,
+      message: `Account temporarily locked. Try again in ${remainingTime} minutes.`,
+    };
+  }
+
+  return { locked: false };
+};
+
 const resetFailedLoginAttempts = (identifier) => {
   failedLoginAttempts.delete(identifier);
 };
 
-// Cleanup expired lockouts hourly
+// Cleanup expired lockouts hourly; the timer alone doesn't keep the process alive
 setInterval(() => {
   const now = Date.now();
   for (const [identifier, attempts] of failedLoginAttempts.entries()) {
@@ -168,7 +185,7 @@ setInterval(() => {
       failedLoginAttempts.delete(identifier);
     }
   }
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 module.exports = {
   logger,
@@ -176,5 +193,6 @@ module.exports = {
   httpLoggerMiddleware,
   securityLog,
   trackFailedLogin,
+  getLoginLockStatus,
   resetFailedLoginAttempts,
 };
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { sanitizeForLog } = require('./sanitization');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key shared by every process that runs migrations
+const MIGRATION_LOCK_KEY = 727274;
+
+/**
+ * Create the schema_migrations bookkeeping table if it does not exist
+ * @param {Object} client - Database client or pool
+ * @returns {Promise<void>}
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+/**
+ * Load migration modules from the migrations directory, ordered by version
+ * @returns {Array} Array of migrations with version, name, up and down
+ */
+const loadMigrations = () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  return files.map(file => {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+
+    return { version, name, up: migration.up, down: migration.down };
+  });
+};
+
+/**
+ * Get versions of migrations already applied to the database
+ * @param {Object} client - Database client or pool
+ * @returns {Promise<Set>} Set of applied versions
+ */
+const getAppliedVersions = async (client) => {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version ASC');
+  return new Set(result.rows.map(row => row.version));
+};
+
+/**
+ * Get the status of every known migration
+ * @param {Object} pool - Database connection pool
+ * @returns {Promise<Array>} Array of migrations with an applied flag
+ */
+const getMigrationStatus = async (pool) => {
+  const applied = await getAppliedVersions(pool);
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied: applied.has(version)
+  }));
+};
+
+/**
+ * Get migrations that have not been applied yet
+ * @param {Object} pool - Database connection pool
+ * @returns {Promise<Array>} Array of pending migrations
+ */
+const getPendingMigrations = async (pool) => {
+  const status = await getMigrationStatus(pool);
+  return status.filter(migration => !migration.applied);
+};
+
+/**
+ * Run a callback while holding the migration advisory lock
+ * @param {Object} pool - Database connection pool
+ * @param {Function} callback - Function receiving a dedicated client
+ * @returns {Promise<any>} Callback result
+ */
+const withMigrationLock = async (pool, callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    client.release();
+  }
+};
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @param {Object} pool - Database connection pool
+ * @returns {Promise<Array>} Array of applied migrations
+ */
+const migrateUp = async (pool) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+    const completed = [];
+
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Migration failed', {
+          version: migration.version,
+          name: migration.name,
+          error: sanitizeForLog(error.message)
+        });
+        throw error;
+      }
+
+      logger.info('Migration applied', { version: migration.version, name: migration.name });
+      completed.push({ version: migration.version, name: migration.name });
+    }
+
+    return completed;
+  });
+};
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} pool - Database connection pool
+ * @param {number} steps - Number of migrations to revert (default 1)
+ * @returns {Promise<Array>} Array of reverted migrations
+ */
+const migrateDown = async (pool, steps = 1) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const migrations = loadMigrations();
+
+    const unknown = [...applied].filter(version => !migrations.some(m => m.version === version));
+    if (unknown.length > 0) {
+      throw new Error(`Applied migrations missing from disk: ${unknown.join(', ')}`);
+    }
+
+    const toRevert = migrations
+      .filter(migration => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+
+    const reverted = [];
+
+    for (const migration of toRevert) {
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Migration rollback failed', {
+          version: migration.version,
+          name: migration.name,
+          error: sanitizeForLog(error.message)
+        });
+        throw error;
+      }
+
+      logger.info('Migration reverted', { version: migration.version, name: migration.name });
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+
+    return reverted;
+  });
+};
+
+module.exports = {
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
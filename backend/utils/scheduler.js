@@ -2,6 +2,8 @@ const cron = require('node-cron');
 const { logger } = require('./logger');
 const { sanitizeForLog } = require('./sanitization');
 const { scheduleReminderJob, markReminderAsSent, getActiveJobCount } = require('../services/reminder.service');
+const { generateDueRecurrences } = require('../services/recurrence.service');
+const { purgeExpiredTrash, TRASH_RETENTION_DAYS } = require('../services/trash.service');
 
 /**
  * Initialize scheduled jobs
@@ -23,13 +25,38 @@ const initializeScheduledJobs = async (pool, io, createNotification) => {
 
   logger.info('Database keep-alive job scheduled (daily at 3 AM)');
 
+  // Generate the next instance of recurring tasks whose current instance is past due
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const generated = await generateDueRecurrences(pool, io);
+      if (generated > 0) {
+        logger.info(`Generated ${generated} recurring task instances`);
+      }
+    } catch (error) {
+      logger.error('Recurring task generation failed', { error: sanitizeForLog(error.message) });
+    }
+  });
+
+  logger.info('Recurring task job scheduled (every 15 minutes)');
+
+  // Permanently delete tasks that have been in the trash past the retention period
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      await purgeExpiredTrash(pool);
+    } catch (error) {
+      logger.error('Trash purge failed', { error: sanitizeForLog(error.message) });
+    }
+  });
+
+  logger.info(`Trash purge job scheduled (daily at 3:30 AM, ${TRASH_RETENTION_DAYS}-day retention)`);
+
   // Load and schedule all existing unsent reminders
   try {
     const result = await pool.query(`
       SELECT tr.*, t.name as task_name, t.due_date, t.task_list_id
       FROM task_reminders tr
       JOIN tasks t ON tr.task_id = t.id
-      WHERE tr.is_sent = false AND tr.reminder_datetime > NOW()
+      WHERE tr.is_sent = false AND tr.reminder_datetime > NOW() AND t.deleted_at IS NULL
       ORDER BY tr.reminder_datetime ASC
     `);
 
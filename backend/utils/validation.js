@@ -6,6 +6,12 @@ const escape = (input) => {
   return validator.escape(input.trim());
 };
 
+// Reverses escape, for stored text going anywhere but HTML (e.g. plain-text email)
+const unescape = (input) => {
+  if (typeof input !== 'string') return input;
+  return validator.unescape(input);
+};
+
 const isEmail = (email) => {
   if (typeof email !== 'string') return false;
   return validator.isEmail(email);
@@ -23,6 +29,7 @@ const isUUID = (str) => {
 
 module.exports = {
   escape,
+  unescape,
   isEmail,
   isAlphanumeric,
   isUUID,
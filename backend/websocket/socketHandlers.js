@@ -1,26 +1,124 @@
-const { logger } = require('../utils/logger');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { isAccessToken, authenticateAccessToken } = require('../services/accessToken.service');
+const { getListRole } = require('../services/listRole.service');
+const { isUserSessionActive } = require('../services/userSession.service');
+const { logger, securityLog } = require('../utils/logger');
 const { sanitizeForLog } = require('../utils/sanitization');
 
+const userRoom = (userId) => `user_${userId}`;
+const taskListRoom = (taskListId) => `taskList_${taskListId}`;
+const sessionRoom = (sessionId) => `session_${sessionId}`;
+const accessTokenRoom = (tokenId) => `accessToken_${tokenId}`;
+
+// securityLog reads the client's IP and user from an Express request
+const describeSocket = (socket) => ({
+  ip: socket.handshake.address || 'N/A',
+  user: socket.data.userId ? { userId: socket.data.userId } : undefined
+});
+
+const authError = (message, data = {}) => {
+  const err = new Error(message);
+  err.data = data;
+  return err;
+};
+
+/**
+ * Handshake middleware: the client sends its access token, or a personal
+ * access token with the read scope, as auth.token. The socket is bound to
+ * that user for its whole life, and is disconnected when its session is
+ * signed out or its access token revoked.
+ * @param {Object} socket - Connecting socket
+ * @param {Function} next - Socket.io next function
+ */
+const authenticateSocket = async (socket, next) => {
+  const { token } = socket.handshake.auth || {};
+
+  if (!token || typeof token !== 'string') {
+    securityLog('AUTH_FAILURE', { reason: 'No token provided', transport: 'websocket' }, describeSocket(socket));
+    return next(authError('Access token required'));
+  }
+
+  try {
+    if (isAccessToken(token)) {
+      const accessToken = await authenticateAccessToken(pool, token);
+      if (!accessToken || !accessToken.scopes.includes('read')) {
+        securityLog('AUTH_FAILURE', { reason: 'Invalid access token', transport: 'websocket' }, describeSocket(socket));
+        return next(authError('Invalid or expired access token'));
+      }
+      socket.data.userId = accessToken.userId;
+      socket.data.tokenId = accessToken.id;
+      return next();
+    }
+
+    const user = jwt.verify(token, process.env.JWT_SECRET);
+    // The access token outlives a signed-out session by up to 15 minutes
+    if (!(await isUserSessionActive(pool, user.sessionId))) {
+      securityLog('AUTH_FAILURE', { reason: 'Session ended', transport: 'websocket' }, describeSocket(socket));
+      return next(authError('Session ended'));
+    }
+    socket.data.userId = user.userId;
+    socket.data.sessionId = user.sessionId;
+    next();
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return next(authError('Token expired', { needsRefresh: true }));
+    }
+    if (err.name === 'JsonWebTokenError') {
+      securityLog('AUTH_FAILURE', { reason: 'Invalid token', transport: 'websocket' }, describeSocket(socket));
+      return next(authError('Invalid token'));
+    }
+    logger.error('WebSocket authentication error', { error: sanitizeForLog(err.message) });
+    next(authError('Authentication failed'));
+  }
+};
+
 /**
  * Initialize WebSocket event handlers
  * @param {Object} io - Socket.io instance
  */
 const initializeSocketHandlers = (io) => {
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
-    logger.debug('WebSocket user connected', { socketId: sanitizeForLog(socket.id) });
+    const { userId } = socket.data;
+    logger.debug('WebSocket user connected', { socketId: sanitizeForLog(socket.id), userId: sanitizeForLog(userId) });
 
-    socket.on('joinUser', (userId) => {
-      socket.join(`user_${userId}`);
-      logger.debug('User joined room', { socketId: sanitizeForLog(socket.id), userId: sanitizeForLog(userId) });
-    });
+    // Notifications go to the user's own room, joined for them
+    socket.join(userRoom(userId));
+    // Revoking the session or access token disconnects the socket through these
+    if (socket.data.sessionId) {
+      socket.join(sessionRoom(socket.data.sessionId));
+    }
+    if (socket.data.tokenId) {
+      socket.join(accessTokenRoom(socket.data.tokenId));
+    }
+
+    socket.on('joinTaskList', async (taskListId) => {
+      try {
+        const id = parseInt(taskListId);
+        const role = id ? await getListRole(pool, id, userId) : null;
+
+        if (!role) {
+          securityLog('ACCESS_DENIED', {
+            reason: 'Task list room join by non-member',
+            taskListId: sanitizeForLog(taskListId),
+            transport: 'websocket'
+          }, describeSocket(socket));
+          return;
+        }
 
-    socket.on('joinTaskList', (taskListId) => {
-      socket.join(`taskList_${taskListId}`);
-      logger.debug('User joined task list room', { socketId: sanitizeForLog(socket.id), taskListId: sanitizeForLog(taskListId) });
+        if (socket.connected) {
+          socket.join(taskListRoom(id));
+          logger.debug('User joined task list room', { socketId: sanitizeForLog(socket.id), taskListId: sanitizeForLog(id) });
+        }
+      } catch (error) {
+        logger.error('Join task list room error', { error: sanitizeForLog(error.message) });
+      }
     });
 
     socket.on('leaveTaskList', (taskListId) => {
-      socket.leave(`taskList_${taskListId}`);
+      socket.leave(taskListRoom(parseInt(taskListId)));
       logger.debug('User left task list room', { socketId: sanitizeForLog(socket.id), taskListId: sanitizeForLog(taskListId) });
     });
 
@@ -30,6 +128,72 @@ const initializeSocketHandlers = (io) => {
   });
 };
 
+/**
+ * Take every socket of a user out of a task list's room, once they are no
+ * longer a member
+ * @param {Object} io - Socket.io instance
+ * @param {number} taskListId - Task list ID
+ * @param {number} userId - Former member
+ */
+const evictFromTaskList = (io, taskListId, userId) => {
+  if (io) {
+    io.in(userRoom(userId)).socketsLeave(taskListRoom(taskListId));
+  }
+};
+
+/**
+ * Empty a task list's room, when the list is deleted
+ * @param {Object} io - Socket.io instance
+ * @param {number} taskListId - Task list ID
+ */
+const closeTaskListRoom = (io, taskListId) => {
+  if (io) {
+    io.in(taskListRoom(taskListId)).socketsLeave(taskListRoom(taskListId));
+  }
+};
+
+/**
+ * Disconnect the sockets of a session, once it is signed out
+ * @param {Object} io - Socket.io instance
+ * @param {number} sessionId - Session ID
+ */
+const disconnectSession = (io, sessionId) => {
+  if (io) {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  }
+};
+
+/**
+ * Disconnect the sockets of every session of a user, once they are all
+ * signed out. Sockets using a personal access token stay connected.
+ * @param {Object} io - Socket.io instance
+ * @param {number} userId - User ID
+ */
+const disconnectUserSessions = async (io, userId) => {
+  if (io) {
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    sockets
+      .filter(socket => socket.data.sessionId)
+      .forEach(socket => socket.disconnect(true));
+  }
+};
+
+/**
+ * Disconnect the sockets using a personal access token, once it is revoked
+ * @param {Object} io - Socket.io instance
+ * @param {number} tokenId - Access token ID
+ */
+const disconnectAccessToken = (io, tokenId) => {
+  if (io) {
+    io.in(accessTokenRoom(tokenId)).disconnectSockets(true);
+  }
+};
+
 module.exports = {
-  initializeSocketHandlers
+  initializeSocketHandlers,
+  evictFromTaskList,
+  closeTaskListRoom,
+  disconnectSession,
+  disconnectUserSessions,
+  disconnectAccessToken
 };
@@ -6,17 +6,23 @@ import { NotificationProvider } from './contexts/NotificationContext';
 import { useAuth } from './hooks/useAuth';
 import LoginForm from './components/auth/LoginForm';
 import RegisterForm from './components/auth/RegisterForm';
+import ForgotPasswordForm from './components/auth/ForgotPasswordForm';
+import ResetPasswordForm from './components/auth/ResetPasswordForm';
 import TaskListSelector from './components/ui/TaskListSelector';
 import TaskManager from './components/tasks/TaskManager';
 import Profile from './pages/Profile';
 import PWAUpdatePrompt from './components/PWAUpdatePrompt';
+import { getPasswordResetToken } from './utils/passwordResetLink';
 
 const TaskSphere = () => {
-  const [isLoginMode, setIsLoginMode] = useState(true);
+  const [resetToken] = useState(getPasswordResetToken);
+  // login, register, forgotPassword or resetPassword
+  const [authView, setAuthView] = useState(resetToken ? 'resetPassword' : 'login');
   const [selectedTaskList, setSelectedTaskList] = useState(null);
   const [initialTaskId, setInitialTaskId] = useState(null);
+  const [initialViewId, setInitialViewId] = useState(null);
   const [showProfile, setShowProfile] = useState(false);
-  const { user, loading, saveSessionState, restoreSessionState } = useAuth();
+  const { user, loading, api, saveSessionState, restoreSessionState } = useAuth();
 
   // Save current state before logout
   useEffect(() => {
@@ -31,7 +37,7 @@ const TaskSphere = () => {
       setSelectedTaskList(null);
       setInitialTaskId(null);
       setShowProfile(false);
-      setIsLoginMode(true);
+      setAuthView(view => view === 'resetPassword' ? view : 'login');
     }
   }, [user]);
 
@@ -47,14 +53,58 @@ const TaskSphere = () => {
     }
   }, [user, selectedTaskList, restoreSessionState]);
 
+  // Open a shared view link (?view=<id>) once the user is signed in
+  useEffect(() => {
+    if (!user) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const viewId = parseInt(params.get('view'));
+    if (!viewId) return;
+
+    params.delete('view');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+    const openView = async () => {
+      try {
+        const [view, taskLists] = await Promise.all([api.getSavedView(viewId), api.getTaskLists()]);
+        const taskList = taskLists.find(list => list.id === view.task_list_id);
+        if (taskList) {
+          setSelectedTaskList(taskList);
+          setInitialTaskId(null);
+          setInitialViewId(view.id);
+        }
+      } catch (err) {
+        console.error('Failed to open shared view:', err);
+      }
+    };
+
+    openView();
+  }, [user, api]);
+
   const handleSelectTaskList = (taskList, taskId = null) => {
     setSelectedTaskList(taskList);
     setInitialTaskId(taskId);
+    setInitialViewId(null);
+  };
+
+  // Open a task in another list, e.g. from a search hit
+  const handleNavigateToTask = async (taskListId, taskId) => {
+    try {
+      const taskLists = await api.getTaskLists();
+      const taskList = taskLists.find(list => list.id === taskListId);
+      if (taskList) {
+        handleSelectTaskList(taskList, taskId);
+      }
+    } catch (err) {
+      console.error('Failed to open task list:', err);
+    }
   };
 
   const handleBackToTaskLists = () => {
     setSelectedTaskList(null);
     setInitialTaskId(null);
+    setInitialViewId(null);
   };
 
   if (loading) {
@@ -66,11 +116,21 @@ const TaskSphere = () => {
   }
 
   if (!user) {
-    return isLoginMode ? (
-      <LoginForm onToggleMode={() => setIsLoginMode(false)} />
-    ) : (
-      <RegisterForm onToggleMode={() => setIsLoginMode(true)} />
-    );
+    switch (authView) {
+      case 'register':
+        return <RegisterForm onToggleMode={() => setAuthView('login')} />;
+      case 'forgotPassword':
+        return <ForgotPasswordForm onBackToLogin={() => setAuthView('login')} />;
+      case 'resetPassword':
+        return <ResetPasswordForm token={resetToken} onBackToLogin={() => setAuthView('login')} />;
+      default:
+        return (
+          <LoginForm
+            onToggleMode={() => setAuthView('register')}
+            onForgotPassword={() => setAuthView('forgotPassword')}
+          />
+        );
+    }
   }
 
   if (showProfile) {
@@ -80,10 +140,13 @@ const TaskSphere = () => {
   if (selectedTaskList) {
     return (
       <TaskManager
+        key={selectedTaskList.id}
         taskList={selectedTaskList}
         onBack={handleBackToTaskLists}
         initialTaskId={initialTaskId}
+        initialViewId={initialViewId}
         onOpenProfile={() => setShowProfile(true)}
+        onNavigateToTask={handleNavigateToTask}
       />
     );
   }
@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound, Plus, Trash2, Copy, Loader, AlertCircle, CheckCircle } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { formatDatetime } from '../../utils/dateUtils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Empty means the token never expires
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' }
+];
+
+const emptyForm = { name: '', scopes: ['read'], expiresInDays: '90' };
+
+// Personal access tokens for scripts and integrations. A new token's value is
+// shown once, right after it is created.
+const AccessTokensSection = () => {
+  const { api } = useAuth();
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [creating, setCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!api) return;
+
+    const loadTokens = async () => {
+      try {
+        const data = await api.getAccessTokens();
+        setTokens(data.tokens);
+        setScopes(data.scopes);
+      } catch (err) {
+        console.error('Failed to load access tokens:', err);
+        setError(err.message || 'Failed to load access tokens');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTokens();
+  }, [api]);
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setForm(emptyForm);
+    setError('');
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (form.scopes.length === 0) {
+      setError('Choose at least one scope');
+      return;
+    }
+
+    setCreating(true);
+    setError('');
+
+    try {
+      const created = await api.createAccessToken({
+        name: form.name.trim(),
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays ? parseInt(form.expiresInDays) : null
+      });
+      const { token, ...accessToken } = created;
+      setTokens(prev => [accessToken, ...prev]);
+      setNewToken(token);
+      setCopied(false);
+      setShowForm(false);
+      setForm(emptyForm);
+    } catch (err) {
+      setError(err.message || 'Failed to create access token');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setCopied(true);
+    } catch (err) {
+      console.error('Failed to copy access token:', err);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Anything using it will stop working.`)) return;
+
+    setRevokingId(token.id);
+    setError('');
+
+    try {
+      await api.revokeAccessToken(token.id);
+      setTokens(prev => prev.filter(t => t.id !== token.id));
+    } catch (err) {
+      setError(err.message || 'Failed to revoke access token');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border dark:border-gray-700 p-6 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Access Tokens</h2>
+        {!showForm && !loading && (
+          <button
+            onClick={() => { setShowForm(true); setNewToken(null); setError(''); }}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-1"
+          >
+            <Plus className="w-4 h-4" />
+            New Token
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Let scripts and integrations use the API as you. Send a token as <code className="font-mono">Authorization: Bearer &lt;token&gt;</code>.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 text-red-600 dark:text-red-400" />
+          <p className="text-sm text-red-700 dark:text-red-300">{error}</p>
+        </div>
+      )}
+
+      {newToken && (
+        <div className="mb-4 space-y-2">
+          <div className="p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg text-sm text-yellow-800 dark:text-yellow-200">
+            Copy your new token now. It won't be shown again.
+          </div>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 min-w-0 text-sm font-mono break-all text-gray-900 dark:text-white bg-gray-100 dark:bg-gray-900 rounded px-2 py-1">
+              {newToken}
+            </code>
+            <button
+              onClick={handleCopy}
+              className="px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 flex items-center gap-1"
+            >
+              {copied ? <CheckCircle className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="mb-4 space-y-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Name
+            </label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              className={inputClassName}
+              placeholder="e.g. Deploy script"
+              maxLength={100}
+              required
+            />
+          </div>
+          <div>
+            <p className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Scopes</p>
+            <div className="space-y-2">
+              {Object.entries(scopes).map(([scope, description]) => (
+                <label key={scope} className="flex items-start gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span>
+                    <span className="text-sm font-mono text-gray-900 dark:text-white">{scope}</span>
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">{description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Expires
+            </label>
+            <select
+              value={form.expiresInDays}
+              onChange={(e) => setForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+              className={inputClassName}
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={handleCancel}
+              className="px-4 py-2 text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={creating}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+            >
+              {creating && <Loader className="w-4 h-4 animate-spin" />}
+              Create Token
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : tokens.length === 0 ? (
+        !showForm && <p className="text-sm text-gray-500 dark:text-gray-400">No access tokens</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {tokens.map(token => (
+            <li key={token.id} className="flex items-center gap-4 py-3">
+              <KeyRound className="w-6 h-6 text-gray-500 dark:text-gray-400 flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-gray-900 dark:text-white flex flex-wrap items-center gap-2">
+                  {token.name}
+                  <code className="text-xs font-mono text-gray-500 dark:text-gray-400">{token.token_prefix}…</code>
+                </p>
+                <div className="flex flex-wrap gap-1 my-1">
+                  {token.scopes.map(scope => (
+                    <span key={scope} className="text-xs px-2 py-0.5 rounded-full bg-blue-100 dark:bg-blue-900/50 text-blue-700 dark:text-blue-300 font-mono">
+                      {scope}
+                    </span>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Created {formatDatetime(token.created_at)} · {token.last_used_at ? `Last used ${formatDatetime(token.last_used_at)}` : 'Never used'} · {token.expires_at ? `Expires ${formatDatetime(token.expires_at)}` : 'Never expires'}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(token)}
+                disabled={revokingId === token.id}
+                className="px-3 py-1.5 text-sm text-red-600 dark:text-red-400 border border-red-200 dark:border-red-800 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50 flex items-center gap-1"
+              >
+                {revokingId === token.id ? <Loader className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AccessTokensSection;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { AlertCircle, ArrowLeft, Loader, MailCheck } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import DarkModeToggle from '../ui/DarkModeToggle';
+
+const ForgotPasswordForm = ({ onBackToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { api } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim()) {
+      setError('Please enter your email');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await api.forgotPassword(email.trim());
+      setSentMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-8 w-full max-w-md">
+        <div className="flex justify-between items-center mb-8">
+          <div className="text-center flex-1">
+            <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-lg flex items-center justify-center mx-auto mb-4">
+              <span className="text-white font-bold text-2xl">TS</span>
+            </div>
+            <h1 className="text-2xl font-bold text-gray-800 dark:text-white">Forgot Password</h1>
+            <p className="text-gray-600 dark:text-gray-400">We'll email you a link to choose a new one</p>
+          </div>
+          <DarkModeToggle />
+        </div>
+
+        {sentMessage ? (
+          <div className="bg-green-50 dark:bg-green-900/50 border border-green-200 dark:border-green-700 rounded-lg p-3 flex items-center gap-2">
+            <MailCheck className="w-4 h-4 text-green-600 dark:text-green-400 flex-shrink-0" />
+            <p className="text-green-700 dark:text-green-300 text-sm">{sentMessage}</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Email
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Enter your email"
+                required
+              />
+            </div>
+
+            {error && (
+              <div className="bg-red-50 dark:bg-red-900/50 border border-red-200 dark:border-red-700 rounded-lg p-3">
+                <div className="flex items-center gap-2">
+                  <AlertCircle className="w-4 h-4 text-red-600 dark:text-red-400" />
+                  <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+                </div>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center justify-center"
+            >
+              {loading ? <Loader className="w-4 h-4 animate-spin" /> : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <button
+            onClick={onBackToLogin}
+            className="inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 font-medium"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back to sign in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
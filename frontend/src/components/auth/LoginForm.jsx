@@ -1,15 +1,67 @@
-import React, { useState } from 'react';
-import { Eye, EyeOff, AlertCircle, Loader } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Eye, EyeOff, AlertCircle, ArrowLeft, KeyRound, Loader, MailCheck, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
 import DarkModeToggle from '../ui/DarkModeToggle';
+import { getInviteLinkParams, rememberSsoInvite, getSsoInvite, clearSsoInvite } from '../../utils/inviteLink';
+import { getSsoLinkParams, clearSsoLinkParams } from '../../utils/ssoLink';
 
-const LoginForm = ({ onToggleMode }) => {
-  const [email, setEmail] = useState('');
+// Back from single sign-on, the invite comes from before the user left
+const getLoginInvite = () => getInviteLinkParams() || (getSsoLinkParams() ? getSsoInvite() : null);
+
+const LoginForm = ({ onToggleMode, onForgotPassword }) => {
+  const [inviteLink] = useState(getLoginInvite);
+  const [email, setEmail] = useState(inviteLink?.email || '');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Set once the password checks out for an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [ssoConfig, setSsoConfig] = useState(null);
+  const ssoLinkHandledRef = useRef(false);
+  const { api, login, completeTwoFactorLogin, completeSsoLogin } = useAuth();
+
+  useEffect(() => {
+    if (!api) return;
+
+    api.getOidcConfig()
+      .then(setSsoConfig)
+      .catch(err => console.error('Failed to load SSO config:', err));
+  }, [api]);
+
+  // Coming back from the identity provider: redeem the one-time code once
+  useEffect(() => {
+    const ssoLink = getSsoLinkParams();
+    if (!api || !ssoLink || ssoLinkHandledRef.current) return;
+
+    ssoLinkHandledRef.current = true;
+    clearSsoLinkParams();
+    clearSsoInvite();
+
+    if (ssoLink.error) {
+      setError(ssoLink.error);
+      return;
+    }
+
+    const completeSso = async () => {
+      setLoading(true);
+      try {
+        const data = await completeSsoLogin(ssoLink.code, inviteLink?.code);
+        if (data.twoFactorRequired) {
+          setChallengeToken(data.challengeToken);
+          setCode('');
+          setLoading(false);
+        }
+      } catch (err) {
+        setError(err.message);
+        setLoading(false);
+      }
+    };
+
+    completeSso();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -24,7 +76,11 @@ const LoginForm = ({ onToggleMode }) => {
     setError('');
 
     try {
-      await login(email, password);
+      const data = await login(email, password, inviteLink?.code);
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        setCode('');
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -32,6 +88,35 @@ const LoginForm = ({ onToggleMode }) => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setError('Please enter your verification code');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await completeTwoFactorLogin(challengeToken, code, inviteLink?.code);
+    } catch (err) {
+      if (err.data?.challengeExpired) {
+        setChallengeToken(null);
+        setPassword('');
+      }
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const handleBackToPassword = () => {
+    setChallengeToken(null);
+    setPassword('');
+    setError('');
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-4">
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-8 w-full max-w-md">
@@ -46,61 +131,147 @@ const LoginForm = ({ onToggleMode }) => {
           <DarkModeToggle />
         </div>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-              Email
-            </label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="Enter your email"
-              required
-            />
+        {inviteLink && (
+          <div className="bg-blue-50 dark:bg-blue-900/50 border border-blue-200 dark:border-blue-700 rounded-lg p-3 mb-4 flex items-center gap-2">
+            <MailCheck className="w-4 h-4 text-blue-600 dark:text-blue-400" />
+            <p className="text-blue-700 dark:text-blue-300 text-sm">Sign in, or sign up if you are new, to accept your invitation.</p>
           </div>
+        )}
+
+        {challengeToken ? (
+          <form onSubmit={handleCodeSubmit} className="space-y-4">
+            <div className="flex items-start gap-2 text-sm text-gray-600 dark:text-gray-400">
+              <ShieldCheck className="w-5 h-5 text-blue-600 dark:text-blue-400 flex-shrink-0" />
+              <p>Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-              Password
-            </label>
-            <div className="relative">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Verification Code
+              </label>
               <input
-                type={showPassword ? 'text' : 'password'}
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="w-full px-3 py-2 pr-10 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="Enter your password"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white tracking-widest focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="123456"
+                autoComplete="one-time-code"
+                autoFocus
                 required
               />
-              <button
-                type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
-              >
-                {showPassword ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
-              </button>
             </div>
-          </div>
 
-          {error && (
-            <div className="bg-red-50 dark:bg-red-900/50 border border-red-200 dark:border-red-700 rounded-lg p-3">
-              <div className="flex items-center gap-2">
-                <AlertCircle className="w-4 h-4 text-red-600 dark:text-red-400" />
-                <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+            {error && (
+              <div className="bg-red-50 dark:bg-red-900/50 border border-red-200 dark:border-red-700 rounded-lg p-3">
+                <div className="flex items-center gap-2">
+                  <AlertCircle className="w-4 h-4 text-red-600 dark:text-red-400" />
+                  <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+                </div>
               </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center justify-center"
+            >
+              {loading ? <Loader className="w-4 h-4 animate-spin" /> : 'Verify'}
+            </button>
+
+            <button
+              type="button"
+              onClick={handleBackToPassword}
+              className="w-full inline-flex items-center justify-center gap-1 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              Use a different account
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Email
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Enter your email"
+                required
+              />
             </div>
-          )}
-
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center justify-center"
-          >
-            {loading ? <Loader className="w-4 h-4 animate-spin" /> : 'Sign In'}
-          </button>
-        </form>
+
+            <div>
+              <div className="flex justify-between items-center mb-1">
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Password
+                </label>
+                <button
+                  type="button"
+                  onClick={onForgotPassword}
+                  className="text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+                >
+                  Forgot password?
+                </button>
+              </div>
+              <div className="relative">
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-3 py-2 pr-10 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Enter your password"
+                  required
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                >
+                  {showPassword ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                </button>
+              </div>
+            </div>
+
+            {error && (
+              <div className="bg-red-50 dark:bg-red-900/50 border border-red-200 dark:border-red-700 rounded-lg p-3">
+                <div className="flex items-center gap-2">
+                  <AlertCircle className="w-4 h-4 text-red-600 dark:text-red-400" />
+                  <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+                </div>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center justify-center"
+            >
+              {loading ? <Loader className="w-4 h-4 animate-spin" /> : 'Sign In'}
+            </button>
+
+            {ssoConfig?.enabled && (
+              <>
+                <div className="flex items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+                  <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+                  or
+                  <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+                </div>
+
+                <a
+                  href={api.getOidcLoginUrl()}
+                  onClick={() => rememberSsoInvite(inviteLink?.code)}
+                  className="w-full border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 py-2 px-4 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors flex items-center justify-center gap-2"
+                >
+                  <KeyRound className="w-4 h-4" />
+                  Sign in with {ssoConfig.providerName}
+                </a>
+              </>
+            )}
+          </form>
+        )}
 
         <div className="mt-6 text-center">
           <p className="text-gray-600 dark:text-gray-400">
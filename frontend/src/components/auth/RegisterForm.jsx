@@ -1,13 +1,15 @@
 import React, { useState } from 'react';
-import { Eye, EyeOff, AlertCircle, Loader } from 'lucide-react';
+import { Eye, EyeOff, AlertCircle, Loader, MailCheck } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
 import { validateEmail, validateName } from '../../utils/validation';
 import DarkModeToggle from '../ui/DarkModeToggle';
+import { getInviteLinkParams } from '../../utils/inviteLink';
 
 const RegisterForm = ({ onToggleMode }) => {
+  const [inviteLink] = useState(getInviteLinkParams);
   const [formData, setFormData] = useState({
     name: '',
-    email: '',
+    email: inviteLink?.email || '',
     password: '',
     confirmPassword: ''
   });
@@ -61,7 +63,7 @@ const RegisterForm = ({ onToggleMode }) => {
     setErrors({});
 
     try {
-      await register(formData.email, formData.password, formData.name);
+      await register(formData.email, formData.password, formData.name, inviteLink?.code);
     } catch (err) {
       setErrors({ general: err.message });
     } finally {
@@ -91,6 +93,13 @@ const RegisterForm = ({ onToggleMode }) => {
           <DarkModeToggle />
         </div>
 
+        {inviteLink && (
+          <div className="bg-blue-50 dark:bg-blue-900/50 border border-blue-200 dark:border-blue-700 rounded-lg p-3 mb-4 flex items-center gap-2">
+            <MailCheck className="w-4 h-4 text-blue-600 dark:text-blue-400" />
+            <p className="text-blue-700 dark:text-blue-300 text-sm">Create your account to accept your invitation.</p>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
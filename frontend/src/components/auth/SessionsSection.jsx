@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { Monitor, Smartphone, LogOut, Loader, AlertCircle } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { formatDatetime } from '../../utils/dateUtils';
+
+const isMobileDevice = (session) => /iOS|Android/.test(session.device_label || '');
+
+// Devices the user is signed in on, each of which can be signed out remotely
+const SessionsSection = () => {
+  const { api } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!api) return;
+
+    const loadSessions = async () => {
+      try {
+        setSessions(await api.getSessions());
+      } catch (err) {
+        console.error('Failed to load sessions:', err);
+        setError(err.message || 'Failed to load sessions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSessions();
+  }, [api]);
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId);
+    setError('');
+
+    try {
+      await api.revokeSession(sessionId);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    } catch (err) {
+      setError(err.message || 'Failed to sign out session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border dark:border-gray-700 p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">Sessions</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Devices signed in to your account. Signing out a device ends its session within 15 minutes.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 text-red-600 dark:text-red-400" />
+          <p className="text-sm text-red-700 dark:text-red-300">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No active sessions</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {sessions.map(session => {
+            const DeviceIcon = isMobileDevice(session) ? Smartphone : Monitor;
+
+            return (
+              <li key={session.id} className="flex items-center gap-4 py-3">
+                <DeviceIcon className="w-6 h-6 text-gray-500 dark:text-gray-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 dark:text-white flex items-center gap-2">
+                    {session.device_label || 'Unknown device'}
+                    {session.current && (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 dark:bg-green-900/50 text-green-700 dark:text-green-300">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate" title={session.user_agent || ''}>
+                    {session.ip_address || 'Unknown IP'} · Signed in {formatDatetime(session.created_at)} · Last active {formatDatetime(session.last_used_at)}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session.id)}
+                    disabled={revokingId === session.id}
+                    className="px-3 py-1.5 text-sm text-red-600 dark:text-red-400 border border-red-200 dark:border-red-800 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50 flex items-center gap-1"
+                  >
+                    {revokingId === session.id ? <Loader className="w-4 h-4 animate-spin" /> : <LogOut className="w-4 h-4" />}
+                    Sign out
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionsSection;
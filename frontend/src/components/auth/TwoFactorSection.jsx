@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { ShieldCheck, ShieldOff, KeyRound, Copy, Download, Loader, AlertCircle, CheckCircle } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { formatDatetime } from '../../utils/dateUtils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Enrolling in, and managing, TOTP two-factor authentication. step is one of
+// null, 'setup' (scanning the QR code), 'recoveryCodes' (showing new codes
+// once), 'regenerate' or 'disable' (asking for a code to confirm)
+const TwoFactorSection = () => {
+  const { api } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [step, setStep] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await api.getTwoFactorStatus());
+    } catch (err) {
+      console.error('Failed to load two-factor status:', err);
+      setError(err.message || 'Failed to load two-factor authentication status');
+    }
+  };
+
+  useEffect(() => {
+    if (api) loadStatus();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api]);
+
+  const resetStep = () => {
+    setStep(null);
+    setSetup(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  // Runs an action with the shared working/error state
+  const run = async (action) => {
+    setWorking(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setSetup(await api.setupTwoFactor());
+    setCode('');
+    setStep('setup');
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await api.enableTwoFactor(code);
+      setRecoveryCodes(data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      setCopied(false);
+      setStep('recoveryCodes');
+      await loadStatus();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await api.regenerateRecoveryCodes(code);
+      setRecoveryCodes(data.recoveryCodes);
+      setCode('');
+      setCopied(false);
+      setStep('recoveryCodes');
+      await loadStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.disableTwoFactor(password, code);
+      resetStep();
+      await loadStatus();
+    });
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      setCopied(true);
+    } catch (err) {
+      console.error('Failed to copy recovery codes:', err);
+    }
+  };
+
+  const handleDownloadCodes = () => {
+    const blob = new Blob([`Task Sphere recovery codes\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'task-sphere-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const renderCodeInput = (placeholder) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        Verification Code
+      </label>
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        className={`${inputClassName} tracking-widest`}
+        placeholder={placeholder}
+        autoComplete="one-time-code"
+        required
+      />
+    </div>
+  );
+
+  const renderActions = (submitLabel, danger = false) => (
+    <div className="flex justify-end gap-2">
+      <button
+        type="button"
+        onClick={resetStep}
+        className="px-4 py-2 text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700"
+      >
+        Cancel
+      </button>
+      <button
+        type="submit"
+        disabled={working}
+        className={`px-4 py-2 text-white rounded-lg disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2 ${danger ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+      >
+        {working && <Loader className="w-4 h-4 animate-spin" />}
+        {submitLabel}
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border dark:border-gray-700 p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">Two-Factor Authentication</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Ask for a code from an authenticator app, such as Google Authenticator or 1Password, when signing in.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 text-red-600 dark:text-red-400" />
+          <p className="text-sm text-red-700 dark:text-red-300">{error}</p>
+        </div>
+      )}
+
+      {!status ? (
+        <div className="flex justify-center py-4">
+          <Loader className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : step === 'setup' && setup ? (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            1. Scan this QR code with your authenticator app, or enter the key by hand.
+          </p>
+          <div className="flex flex-col sm:flex-row items-center gap-4">
+            <div className="p-3 bg-white rounded-lg border border-gray-200">
+              <QRCodeSVG value={setup.otpauthUri} size={160} />
+            </div>
+            <div className="min-w-0">
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Setup key</p>
+              <code className="block text-sm font-mono break-all text-gray-900 dark:text-white bg-gray-100 dark:bg-gray-900 rounded px-2 py-1">
+                {setup.secret}
+              </code>
+            </div>
+          </div>
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            2. Enter the 6-digit code the app shows to finish.
+          </p>
+          {renderCodeInput('123456')}
+          {renderActions('Enable')}
+        </form>
+      ) : step === 'recoveryCodes' ? (
+        <div className="space-y-4">
+          <div className="p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg text-sm text-yellow-800 dark:text-yellow-200">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app. They won't be shown again.
+          </div>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 dark:text-white bg-gray-100 dark:bg-gray-900 rounded-lg p-4">
+            {recoveryCodes.map(recoveryCode => <span key={recoveryCode}>{recoveryCode}</span>)}
+          </div>
+          <div className="flex flex-wrap justify-end gap-2">
+            <button
+              onClick={handleCopyCodes}
+              className="px-4 py-2 text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 flex items-center gap-2"
+            >
+              {copied ? <CheckCircle className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <button
+              onClick={handleDownloadCodes}
+              className="px-4 py-2 text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 flex items-center gap-2"
+            >
+              <Download className="w-4 h-4" />
+              Download
+            </button>
+            <button
+              onClick={resetStep}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      ) : step === 'regenerate' ? (
+        <form onSubmit={handleRegenerate} className="space-y-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            Your current recovery codes will stop working. Enter a code from your authenticator app to continue.
+          </p>
+          {renderCodeInput('123456')}
+          {renderActions('Generate New Codes')}
+        </form>
+      ) : step === 'disable' ? (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Password
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClassName}
+              required
+            />
+          </div>
+          {renderCodeInput('Code or recovery code')}
+          {renderActions('Turn Off', true)}
+        </form>
+      ) : status.enabled ? (
+        <div className="space-y-4">
+          <div className="flex items-center gap-3">
+            <ShieldCheck className="w-6 h-6 text-green-600 dark:text-green-400" />
+            <div>
+              <p className="font-medium text-gray-900 dark:text-white">On since {formatDatetime(status.enabledAt)}</p>
+              <p className={`text-sm ${status.recoveryCodesRemaining <= 2 ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-400'}`}>
+                {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining !== 1 ? 's' : ''} left
+              </p>
+            </div>
+          </div>
+          <div className="flex flex-wrap justify-end gap-2">
+            <button
+              onClick={() => { resetStep(); setStep('regenerate'); }}
+              className="px-4 py-2 text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 flex items-center gap-2"
+            >
+              <KeyRound className="w-4 h-4" />
+              New Recovery Codes
+            </button>
+            <button
+              onClick={() => { resetStep(); setStep('disable'); }}
+              className="px-4 py-2 text-red-600 dark:text-red-400 border border-red-200 dark:border-red-800 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 flex items-center gap-2"
+            >
+              <ShieldOff className="w-4 h-4" />
+              Turn Off
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex justify-end">
+          <button
+            onClick={handleStartSetup}
+            disabled={working}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+          >
+            {working ? <Loader className="w-4 h-4 animate-spin" /> : <ShieldCheck className="w-4 h-4" />}
+            Set Up Two-Factor Authentication
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSection;
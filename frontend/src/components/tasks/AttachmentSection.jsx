@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Paperclip, Upload, Download, Trash2, Loader, FileText } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { WebSocketService } from '../../services/WebSocketService';
+import { cleanDisplayText } from '../../utils/validation';
+import { formatDatetime } from '../../utils/dateUtils';
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const isImage = (attachment) => attachment.mime_type.startsWith('image/');
+
+const AttachmentSection = ({ task, canEdit = true, canDeleteAny = false }) => {
+  const { api, user } = useAuth();
+  const [attachments, setAttachments] = useState([]);
+  const [thumbnails, setThumbnails] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+  const thumbnailsRef = useRef({});
+
+  const ws = useMemo(() => new WebSocketService(), []);
+
+  useEffect(() => {
+    loadAttachments();
+
+    ws.connect(api);
+    ws.joinTaskList(task.task_list_id);
+
+    const handleAttachmentCreated = (attachment) => {
+      if (attachment.task_id !== task.id) return;
+      setAttachments(prev => prev.some(a => a.id === attachment.id) ? prev : [attachment, ...prev]);
+    };
+
+    const handleAttachmentDeleted = ({ id, task_id }) => {
+      if (task_id !== task.id) return;
+      setAttachments(prev => prev.filter(a => a.id !== id));
+    };
+
+    ws.on('attachmentCreated', handleAttachmentCreated);
+    ws.on('attachmentDeleted', handleAttachmentDeleted);
+
+    return () => {
+      ws.off('attachmentCreated', handleAttachmentCreated);
+      ws.off('attachmentDeleted', handleAttachmentDeleted);
+      ws.leaveTaskList(task.task_list_id);
+      ws.disconnect();
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [task.id]);
+
+  // Downloads need the auth header, so thumbnails are fetched as blobs
+  useEffect(() => {
+    attachments
+      .filter(attachment => isImage(attachment) && !thumbnailsRef.current[attachment.id])
+      .forEach(async (attachment) => {
+        thumbnailsRef.current[attachment.id] = 'loading';
+        try {
+          const blob = await api.downloadTaskAttachment(task.id, attachment.id);
+          thumbnailsRef.current[attachment.id] = URL.createObjectURL(blob);
+          setThumbnails({ ...thumbnailsRef.current });
+        } catch {
+          delete thumbnailsRef.current[attachment.id];
+        }
+      });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [attachments]);
+
+  // Release the thumbnail object URLs when the section closes
+  useEffect(() => {
+    const urls = thumbnailsRef.current;
+    return () => {
+      Object.values(urls)
+        .filter(url => url !== 'loading')
+        .forEach(url => URL.revokeObjectURL(url));
+    };
+  }, []);
+
+  const loadAttachments = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getTaskAttachments(task.id);
+      setAttachments(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load attachments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      setError('');
+      const attachment = await api.uploadTaskAttachment(task.id, file);
+      setAttachments(prev => prev.some(a => a.id === attachment.id) ? prev : [attachment, ...prev]);
+    } catch (err) {
+      setError(err.message || 'Failed to upload attachment');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      setError('');
+      const blob = await api.downloadTaskAttachment(task.id, attachment.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = cleanDisplayText(attachment.file_name);
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || 'Failed to download attachment');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete "${cleanDisplayText(attachment.file_name)}"?`)) return;
+
+    try {
+      setError('');
+      await api.deleteTaskAttachment(task.id, attachment.id);
+      setAttachments(prev => prev.filter(a => a.id !== attachment.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete attachment');
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+          <Paperclip className="w-4 h-4" />
+          Attachments
+        </h4>
+        {canEdit && (
+          <>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={uploading}
+              className="flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {uploading ? <Loader className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+              Upload
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              onChange={handleUpload}
+              className="hidden"
+            />
+          </>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 rounded-lg p-2 mb-3">
+          <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader className="w-5 h-5 animate-spin text-blue-600" />
+        </div>
+      ) : attachments.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No attachments yet</p>
+      ) : (
+        <ul className="space-y-2">
+          {attachments.map(attachment => {
+            const thumbnail = thumbnails[attachment.id];
+
+            return (
+              <li
+                key={attachment.id}
+                className="flex items-center gap-3 p-2 bg-gray-50 dark:bg-gray-700/50 rounded-lg"
+              >
+                {isImage(attachment) && thumbnail ? (
+                  <button onClick={() => window.open(thumbnail, '_blank', 'noopener')} title="View image">
+                    <img
+                      src={thumbnail}
+                      alt={cleanDisplayText(attachment.file_name)}
+                      className="w-12 h-12 rounded object-cover"
+                    />
+                  </button>
+                ) : (
+                  <div className="w-12 h-12 rounded bg-gray-200 dark:bg-gray-600 flex items-center justify-center text-gray-500 dark:text-gray-300">
+                    <FileText className="w-5 h-5" />
+                  </div>
+                )}
+
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-gray-800 dark:text-gray-200 truncate">
+                    {cleanDisplayText(attachment.file_name)}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatFileSize(attachment.size_bytes)}
+                    {' · '}
+                    {cleanDisplayText(attachment.uploaded_by_name) || 'Former member'}
+                    {' · '}
+                    {formatDatetime(attachment.created_at)}
+                  </p>
+                </div>
+
+                <button
+                  onClick={() => handleDownload(attachment)}
+                  className="p-1 text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+                  title="Download"
+                >
+                  <Download className="w-4 h-4" />
+                </button>
+                {canEdit && (canDeleteAny || attachment.uploaded_by === user?.id) && (
+                  <button
+                    onClick={() => handleDelete(attachment)}
+                    className="p-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+AttachmentSection.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    task_list_id: PropTypes.number.isRequired
+  }).isRequired,
+  canEdit: PropTypes.bool,
+  // Delete attachments uploaded by others
+  canDeleteAny: PropTypes.bool
+};
+
+export default AttachmentSection;
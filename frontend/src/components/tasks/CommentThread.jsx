@@ -0,0 +1,319 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Send, Reply, Edit3, Trash2, Loader, X } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { WebSocketService } from '../../services/WebSocketService';
+import { cleanDisplayText } from '../../utils/validation';
+import { formatDatetime } from '../../utils/dateUtils';
+import { getAvatarUrl } from '../../utils/gravatar';
+import MentionTextarea from '../ui/MentionTextarea';
+
+const Comment = ({ comment, isAuthor, onReply, onEdit, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(cleanDisplayText(comment.content));
+
+  const saveEdit = async () => {
+    if (!draft.trim()) return;
+    await onEdit(comment.id, draft.trim());
+    setIsEditing(false);
+  };
+
+  return (
+    <div className="flex gap-2">
+      <img
+        src={getAvatarUrl(comment.author_email, comment.author_avatar_url, 24)}
+        alt={comment.author_name || 'Former member'}
+        className="w-6 h-6 rounded-full mt-0.5"
+      />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+          <span className="font-medium text-gray-800 dark:text-gray-200">
+            {comment.author_name || 'Former member'}
+          </span>
+          <span>{formatDatetime(comment.created_at)}</span>
+          {comment.edited_at && <span>(edited)</span>}
+        </div>
+
+        {isEditing ? (
+          <div className="mt-1 flex gap-2">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows={2}
+              className="flex-1 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <div className="flex flex-col gap-1">
+              <button
+                onClick={saveEdit}
+                className="p-1 text-green-600 dark:text-green-400 hover:text-green-700 dark:hover:text-green-300"
+                title="Save"
+              >
+                <Send className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => {
+                  setDraft(cleanDisplayText(comment.content));
+                  setIsEditing(false);
+                }}
+                className="p-1 text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+                title="Cancel"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap break-words">
+            {cleanDisplayText(comment.content)}
+          </p>
+        )}
+
+        {!isEditing && (
+          <div className="flex items-center gap-3 mt-1 text-xs">
+            {onReply && (
+              <button
+                onClick={() => onReply(comment)}
+                className="flex items-center gap-1 text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+              >
+                <Reply className="w-3 h-3" />
+                Reply
+              </button>
+            )}
+            {isAuthor && (
+              <>
+                <button
+                  onClick={() => setIsEditing(true)}
+                  className="flex items-center gap-1 text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+                >
+                  <Edit3 className="w-3 h-3" />
+                  Edit
+                </button>
+                <button
+                  onClick={() => onDelete(comment.id)}
+                  className="flex items-center gap-1 text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                >
+                  <Trash2 className="w-3 h-3" />
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+Comment.propTypes = {
+  comment: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    content: PropTypes.string.isRequired,
+    author_name: PropTypes.string,
+    author_email: PropTypes.string,
+    author_avatar_url: PropTypes.string,
+    created_at: PropTypes.string,
+    edited_at: PropTypes.string
+  }).isRequired,
+  isAuthor: PropTypes.bool,
+  onReply: PropTypes.func,
+  onEdit: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+const CommentThread = ({ task, members = [], canEdit = true }) => {
+  const { api, user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [posting, setPosting] = useState(false);
+  const [error, setError] = useState('');
+
+  const ws = useMemo(() => new WebSocketService(), []);
+
+  useEffect(() => {
+    loadComments();
+
+    ws.connect(api);
+    ws.joinTaskList(task.task_list_id);
+
+    const handleCommentCreated = (comment) => {
+      if (comment.task_id !== task.id) return;
+      setComments(prev => prev.some(c => c.id === comment.id) ? prev : [...prev, comment]);
+    };
+
+    const handleCommentUpdated = (comment) => {
+      if (comment.task_id !== task.id) return;
+      setComments(prev => prev.map(c => c.id === comment.id ? comment : c));
+    };
+
+    const handleCommentDeleted = ({ id, task_id }) => {
+      if (task_id !== task.id) return;
+      setComments(prev => prev.filter(c => c.id !== id && c.parent_comment_id !== id));
+    };
+
+    ws.on('commentCreated', handleCommentCreated);
+    ws.on('commentUpdated', handleCommentUpdated);
+    ws.on('commentDeleted', handleCommentDeleted);
+
+    return () => {
+      ws.off('commentCreated', handleCommentCreated);
+      ws.off('commentUpdated', handleCommentUpdated);
+      ws.off('commentDeleted', handleCommentDeleted);
+      ws.leaveTaskList(task.task_list_id);
+      ws.disconnect();
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [task.id]);
+
+  const loadComments = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getTaskComments(task.id);
+      setComments(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim()) return;
+
+    try {
+      setPosting(true);
+      setError('');
+      const comment = await api.addTaskComment(task.id, newComment.trim(), replyTo ? replyTo.id : null);
+      setComments(prev => prev.some(c => c.id === comment.id) ? prev : [...prev, comment]);
+      setNewComment('');
+      setReplyTo(null);
+    } catch (err) {
+      setError(err.message || 'Failed to post comment');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleEdit = async (commentId, content) => {
+    try {
+      setError('');
+      const updated = await api.updateTaskComment(task.id, commentId, content);
+      setComments(prev => prev.map(c => c.id === updated.id ? updated : c));
+    } catch (err) {
+      setError(err.message || 'Failed to update comment');
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment and its replies?')) return;
+
+    try {
+      setError('');
+      await api.deleteTaskComment(task.id, commentId);
+      setComments(prev => prev.filter(c => c.id !== commentId && c.parent_comment_id !== commentId));
+    } catch (err) {
+      setError(err.message || 'Failed to delete comment');
+    }
+  };
+
+  const threads = comments.filter(c => !c.parent_comment_id);
+  const repliesOf = (commentId) => comments.filter(c => c.parent_comment_id === commentId);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 rounded-lg p-2 mb-3">
+          <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader className="w-5 h-5 animate-spin text-blue-600" />
+        </div>
+      ) : (
+        <div className="space-y-3 mb-3 max-h-96 overflow-y-auto">
+          {threads.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No comments yet</p>
+          ) : (
+            threads.map(thread => (
+              <div key={thread.id} className="space-y-2">
+                <Comment
+                  comment={thread}
+                  isAuthor={canEdit && thread.user_id === user?.id}
+                  onReply={canEdit ? setReplyTo : undefined}
+                  onEdit={handleEdit}
+                  onDelete={handleDelete}
+                />
+                {repliesOf(thread.id).length > 0 && (
+                  <div className="ml-8 space-y-2 pl-3 border-l-2 border-gray-200 dark:border-gray-700">
+                    {repliesOf(thread.id).map(reply => (
+                      <Comment
+                        key={reply.id}
+                        comment={reply}
+                        isAuthor={canEdit && reply.user_id === user?.id}
+                        onEdit={handleEdit}
+                        onDelete={handleDelete}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      {canEdit && (
+        <>
+          {replyTo && (
+            <div className="flex items-center justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+              <span>Replying to {replyTo.author_name || 'Former member'}</span>
+              <button
+                onClick={() => setReplyTo(null)}
+                className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          )}
+
+          <form onSubmit={handlePost} className="flex gap-2">
+            <div className="flex-1">
+              <MentionTextarea
+                value={newComment}
+                onChange={setNewComment}
+                members={members}
+                placeholder={replyTo ? 'Write a reply...' : 'Write a comment...'}
+                rows={2}
+                maxLength={5000}
+                className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={posting || !newComment.trim()}
+              className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed self-end"
+              title="Post comment"
+            >
+              {posting ? <Loader className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+CommentThread.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    task_list_id: PropTypes.number.isRequired
+  }).isRequired,
+  members: PropTypes.array,
+  canEdit: PropTypes.bool
+};
+
+export default CommentThread;
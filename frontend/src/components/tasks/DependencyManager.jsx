@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Link2, X, Plus, Trash2, Loader } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { cleanDisplayText } from '../../utils/validation';
+import { isTaskCompleted } from '../../utils/taskStatus';
+
+const DependencyRow = ({ dependency, onRemove }) => (
+  <div className="flex items-center gap-2 bg-gray-50 dark:bg-gray-700 px-3 py-2 rounded-lg">
+    <span className="text-xs text-gray-500 dark:text-gray-400">#{dependency.id}</span>
+    <span className={`flex-1 text-sm truncate ${
+      isTaskCompleted(dependency)
+        ? 'line-through text-gray-500 dark:text-gray-400'
+        : 'text-gray-800 dark:text-white'
+    }`}>
+      {cleanDisplayText(dependency.name)}
+    </span>
+    {dependency.status_name && (
+      <span
+        className="px-2 py-0.5 rounded-full text-xs font-medium text-white"
+        style={{ backgroundColor: dependency.status_color || '#6b7280' }}
+      >
+        {dependency.status_name}
+      </span>
+    )}
+    {onRemove && (
+      <button
+        onClick={() => onRemove(dependency.id)}
+        className="p-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
+        title="Remove blocker"
+      >
+        <Trash2 className="w-3 h-3" />
+      </button>
+    )}
+  </div>
+);
+
+DependencyRow.propTypes = {
+  dependency: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    status_name: PropTypes.string,
+    status_color: PropTypes.string
+  }).isRequired,
+  onRemove: PropTypes.func
+};
+
+const DependencyManager = ({ task, canEdit = true, onClose }) => {
+  const { api } = useAuth();
+  const [dependencies, setDependencies] = useState({ blockedBy: [], blocks: [] });
+  const [candidates, setCandidates] = useState([]);
+  const [candidateSearch, setCandidateSearch] = useState('');
+  const [selectedBlocker, setSelectedBlocker] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadData();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [task.id]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const dependenciesData = await api.getTaskDependencies(task.id);
+      setDependencies(dependenciesData);
+    } catch (err) {
+      setError(err.message || 'Failed to load dependencies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Large lists are paged, so candidates come from a name search rather than the whole list
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        const page = await api.getTasks(task.task_list_id, { search: candidateSearch.trim(), limit: 100 });
+        setCandidates(page.tasks.filter(t => t.id !== task.id));
+      } catch (err) {
+        setError(err.message || 'Failed to load tasks');
+      }
+    }, candidateSearch ? 300 : 0);
+
+    return () => clearTimeout(timer);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [task.id, candidateSearch]);
+
+  const handleAddBlocker = async () => {
+    if (!selectedBlocker) return;
+
+    try {
+      setError('');
+      const updated = await api.addTaskDependency(task.id, parseInt(selectedBlocker));
+      setDependencies(updated);
+      setSelectedBlocker('');
+    } catch (err) {
+      setError(err.message || 'Failed to add blocker');
+    }
+  };
+
+  const handleRemoveBlocker = async (dependsOnTaskId) => {
+    try {
+      setError('');
+      const updated = await api.removeTaskDependency(task.id, dependsOnTaskId);
+      setDependencies(updated);
+    } catch (err) {
+      setError(err.message || 'Failed to remove blocker');
+    }
+  };
+
+  const availableBlockers = candidates.filter(candidate =>
+    !dependencies.blockedBy.some(blocker => blocker.id === candidate.id)
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-white flex items-center gap-2">
+            <Link2 className="w-5 h-5" />
+            Dependencies
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 rounded-lg p-3 mb-4">
+            <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader className="w-6 h-6 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          <>
+            <div className="mb-6">
+              <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Blocked by
+              </h4>
+
+              <div className="space-y-1 mb-3">
+                {dependencies.blockedBy.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">Nothing is blocking this task</p>
+                ) : (
+                  dependencies.blockedBy.map(blocker => (
+                    <DependencyRow key={blocker.id} dependency={blocker} onRemove={canEdit ? handleRemoveBlocker : undefined} />
+                  ))
+                )}
+              </div>
+
+              {canEdit && (
+                <>
+                  <input
+                    type="text"
+                    value={candidateSearch}
+                    onChange={(e) => setCandidateSearch(e.target.value)}
+                    placeholder="Search tasks..."
+                    className="w-full mb-2 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <div className="flex gap-2">
+                    <select
+                      value={selectedBlocker}
+                      onChange={(e) => setSelectedBlocker(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="">Select a blocking task...</option>
+                      {availableBlockers.map(candidate => (
+                        <option key={candidate.id} value={candidate.id}>
+                          #{candidate.id} {cleanDisplayText(candidate.name)}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleAddBlocker}
+                      disabled={!selectedBlocker}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Blocks
+              </h4>
+
+              <div className="space-y-1">
+                {dependencies.blocks.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">No tasks are waiting on this one</p>
+                ) : (
+                  dependencies.blocks.map(blocked => (
+                    <DependencyRow key={blocked.id} dependency={blocked} />
+                  ))
+                )}
+              </div>
+            </div>
+          </>
+        )}
+
+        <div className="mt-6 flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+DependencyManager.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    task_list_id: PropTypes.number.isRequired
+  }).isRequired,
+  canEdit: PropTypes.bool,
+  onClose: PropTypes.func.isRequired
+};
+
+export default DependencyManager;
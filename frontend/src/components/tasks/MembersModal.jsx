@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Users, X, Crown, UserMinus, DoorOpen, Loader } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { getAvatarUrl } from '../../utils/gravatar';
+import { cleanDisplayText } from '../../utils/validation';
+import { LIST_ROLES, LIST_PERMISSIONS, hasListRole, canAssignListRole, canRemoveListMember } from '../../utils/listRoles';
+
+const MembersModal = ({ taskList, members, currentRole, onMembersChange, onLeave, onClose }) => {
+  const { api, user } = useAuth();
+  const [savingUserId, setSavingUserId] = useState(null);
+  const [error, setError] = useState('');
+  // { type: 'remove' | 'transfer' | 'leave', member } awaiting confirmation
+  const [pendingAction, setPendingAction] = useState(null);
+  const [reassignTo, setReassignTo] = useState('');
+  const [confirming, setConfirming] = useState(false);
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      setSavingUserId(member.id);
+      setError('');
+      await api.updateMemberRole(taskList.id, member.id, role);
+      onMembersChange(members.map(m => m.id === member.id ? { ...m, role } : m));
+    } catch (err) {
+      setError(err.message || 'Failed to change role');
+    } finally {
+      setSavingUserId(null);
+    }
+  };
+
+  const startAction = (type, member = null) => {
+    setPendingAction({ type, member });
+    setReassignTo('');
+    setError('');
+  };
+
+  const handleConfirm = async () => {
+    const { type, member } = pendingAction;
+
+    try {
+      setConfirming(true);
+      setError('');
+
+      if (type === 'remove') {
+        await api.removeMember(taskList.id, member.id, reassignTo ? parseInt(reassignTo) : null);
+        onMembersChange(members.filter(m => m.id !== member.id));
+      } else if (type === 'transfer') {
+        await api.transferOwnership(taskList.id, member.id);
+        onMembersChange(members.map(m => {
+          if (m.id === member.id) return { ...m, role: 'owner' };
+          if (m.id === user.id) return { ...m, role: 'admin' };
+          return m;
+        }));
+      } else {
+        await api.leaveTaskList(taskList.id);
+        onLeave();
+        return;
+      }
+
+      setPendingAction(null);
+    } catch (err) {
+      setError(err.message || 'Failed to update members');
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  // Members who can take over the tasks of someone being removed
+  const reassignCandidates = (member) => members.filter(m =>
+    m.id !== member.id && hasListRole(m.role, LIST_PERMISSIONS.editTasks)
+  );
+
+  // Roles the current user could give this member; empty when the role is fixed for them
+  const assignableRoles = (member) => {
+    if (member.id === user.id) return [];
+    return LIST_ROLES.filter(role =>
+      role.value === member.role || canAssignListRole(currentRole, member.role, role.value)
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-lg w-full max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-white flex items-center gap-2">
+            <Users className="w-5 h-5" />
+            Members
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded"
+            title="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 dark:text-red-400 mb-3">{error}</p>
+        )}
+
+        <ul className="space-y-2 overflow-y-auto">
+          {members.map(member => {
+            const roles = assignableRoles(member);
+            const roleLabel = LIST_ROLES.find(role => role.value === member.role)?.label || member.role;
+
+            return (
+              <li key={member.id} className="flex items-center gap-3 p-2 rounded-lg bg-gray-50 dark:bg-gray-700">
+                <img
+                  src={getAvatarUrl(member.email, member.avatar_url, 32)}
+                  alt={member.name}
+                  className="w-8 h-8 rounded-full"
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-800 dark:text-white truncate">
+                    {cleanDisplayText(member.name)}
+                    {member.id === user.id && <span className="text-gray-500 dark:text-gray-400"> (you)</span>}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{member.email}</p>
+                </div>
+
+                {roles.length > 1 ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    disabled={savingUserId === member.id}
+                    className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-600 text-gray-900 dark:text-white disabled:opacity-50"
+                  >
+                    {roles.map(role => (
+                      <option key={role.value} value={role.value}>{role.label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-xs px-2 py-1 rounded-full bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-300">
+                    {roleLabel}
+                  </span>
+                )}
+
+                {member.id !== user.id && hasListRole(currentRole, LIST_PERMISSIONS.transferOwnership) && (
+                  <button
+                    onClick={() => startAction('transfer', member)}
+                    className="p-1 text-gray-400 hover:text-yellow-600 dark:hover:text-yellow-400 transition-colors"
+                    title="Make owner"
+                  >
+                    <Crown className="w-4 h-4" />
+                  </button>
+                )}
+                {member.id !== user.id && canRemoveListMember(currentRole, member.role) && (
+                  <button
+                    onClick={() => startAction('remove', member)}
+                    className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+                    title="Remove from list"
+                  >
+                    <UserMinus className="w-4 h-4" />
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+
+        {pendingAction ? (
+          <div className="mt-4 p-3 rounded-lg border border-gray-200 dark:border-gray-600 space-y-3">
+            {pendingAction.type === 'remove' && (
+              <>
+                <p className="text-sm text-gray-700 dark:text-gray-300">
+                  Remove <strong>{cleanDisplayText(pendingAction.member.name)}</strong> from this list?
+                </p>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Reassign their tasks to</label>
+                  <select
+                    value={reassignTo}
+                    onChange={(e) => setReassignTo(e.target.value)}
+                    disabled={confirming}
+                    className="w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  >
+                    <option value="">Nobody (leave unassigned)</option>
+                    {reassignCandidates(pendingAction.member).map(m => (
+                      <option key={m.id} value={m.id}>{cleanDisplayText(m.name)}</option>
+                    ))}
+                  </select>
+                </div>
+              </>
+            )}
+            {pendingAction.type === 'transfer' && (
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                Make <strong>{cleanDisplayText(pendingAction.member.name)}</strong> the owner of this list? You will stay on as an admin.
+              </p>
+            )}
+            {pendingAction.type === 'leave' && (
+              <p className="text-sm text-gray-700 dark:text-gray-300">
+                Leave this list? Your tasks in it will be left unassigned.
+              </p>
+            )}
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setPendingAction(null)}
+                disabled={confirming}
+                className="px-3 py-1 text-sm text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirm}
+                disabled={confirming}
+                className={`px-3 py-1 text-sm text-white rounded-lg disabled:bg-gray-400 flex items-center gap-2 ${
+                  pendingAction.type === 'transfer' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-red-600 hover:bg-red-700'
+                }`}
+              >
+                {confirming && <Loader className="w-4 h-4 animate-spin" />}
+                {{ remove: 'Remove', transfer: 'Transfer Ownership', leave: 'Leave List' }[pendingAction.type]}
+              </button>
+            </div>
+          </div>
+        ) : currentRole && currentRole !== 'owner' && (
+          <div className="mt-4 flex justify-end">
+            <button
+              onClick={() => startAction('leave')}
+              className="flex items-center gap-2 px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 rounded-lg"
+            >
+              <DoorOpen className="w-4 h-4" />
+              Leave List
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+MembersModal.propTypes = {
+  taskList: PropTypes.shape({
+    id: PropTypes.number.isRequired
+  }).isRequired,
+  members: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    email: PropTypes.string,
+    avatar_url: PropTypes.string,
+    role: PropTypes.string
+  })).isRequired,
+  currentRole: PropTypes.string,
+  onMembersChange: PropTypes.func.isRequired,
+  onLeave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default MembersModal;
@@ -1,7 +1,9 @@
-import React, { useState, useEffect } from 'react';
-import { ListOrdered, Plus, Loader, X } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { ListOrdered, Plus, Loader, X, Lock } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
+import { LIST_PERMISSIONS, hasListRole, canDeleteTask } from '../../utils/listRoles';
 import TaskCard from './TaskCard';
+import { getToggledStatusId, isTaskCompleted } from '../../utils/taskStatus';
 import {
   DndContext,
   closestCenter,
@@ -19,7 +21,7 @@ import {
 } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 
-const SortableTaskItem = ({ task, index, onRemove, onDelete, onUpdate, members, projects, requesters }) => {
+const SortableTaskItem = ({ task, index, onRemove, onDelete, onUpdate, members, projects, requesters, statuses, labels, customFields, canEdit, canDelete, canDeleteAnyAttachment }) => {
   const {
     attributes,
     listeners,
@@ -35,12 +37,20 @@ const SortableTaskItem = ({ task, index, onRemove, onDelete, onUpdate, members,
     opacity: isDragging ? 0.5 : 1,
   };
 
+  const isBlocked = task.open_blocker_count > 0 && !isTaskCompleted(task);
+
   return (
     <div ref={setNodeRef} style={style} className="relative">
-      <div className="absolute left-0 top-0 bottom-0 w-12 flex items-center justify-center">
-        <div className="bg-blue-600 text-white rounded-full w-8 h-8 flex items-center justify-center font-bold text-sm">
+      <div className="absolute left-0 top-0 bottom-0 w-12 flex flex-col items-center justify-center gap-1">
+        <div
+          className={`${isBlocked ? 'bg-red-600' : 'bg-blue-600'} text-white rounded-full w-8 h-8 flex items-center justify-center font-bold text-sm`}
+          title={isBlocked ? 'Blocked by unfinished tasks' : undefined}
+        >
           {index + 1}
         </div>
+        {isBlocked && (
+          <Lock className="w-3 h-3 text-red-600 dark:text-red-400" />
+        )}
       </div>
 
       <div className="ml-14 relative">
@@ -64,7 +74,10 @@ const SortableTaskItem = ({ task, index, onRemove, onDelete, onUpdate, members,
             task={task}
             onToggleStatus={(taskId) => {
               // Reload queue after status change
-              onUpdate(taskId, { status: !task.status });
+              const statusId = getToggledStatusId(task, statuses);
+              if (statusId) {
+                onUpdate(taskId, { status_id: statusId });
+              }
             }}
             onDelete={onDelete}
             onUpdate={onUpdate}
@@ -75,6 +88,12 @@ const SortableTaskItem = ({ task, index, onRemove, onDelete, onUpdate, members,
             members={members}
             projects={projects}
             requesters={requesters}
+            statuses={statuses}
+            labels={labels}
+            customFields={customFields}
+            canEdit={canEdit}
+            canDelete={canDelete}
+            canDeleteAnyAttachment={canDeleteAnyAttachment}
           />
         </div>
       </div>
@@ -82,13 +101,14 @@ const SortableTaskItem = ({ task, index, onRemove, onDelete, onUpdate, members,
   );
 };
 
-const MyQueueView = ({ taskList, tasks, members, projects, requesters, onTaskUpdate, onTaskDelete, onAddToQueue, onRemoveFromQueue, onReorderQueue }) => {
+const MyQueueView = ({ taskList, tasks, members, projects, requesters, statuses, labels = [], customFields, currentRole, onTaskUpdate, onTaskDelete, onAddToQueue, onRemoveFromQueue, onReorderQueue }) => {
   const [queue, setQueue] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
   const [operationLoading, setOperationLoading] = useState(false);
   const { user, api } = useAuth();
+  const previousTaskIdsRef = useRef(new Set());
 
   const sensors = useSensors(
     useSensor(PointerSensor),
@@ -103,6 +123,9 @@ const MyQueueView = ({ taskList, tasks, members, projects, requesters, onTaskUpd
   }, [taskList.id]);
 
   useEffect(() => {
+    const previousTaskIds = previousTaskIdsRef.current;
+    previousTaskIdsRef.current = new Set(tasks.map(t => t.id));
+
     if (tasks.length === 0) {
       return;
     }
@@ -116,13 +139,24 @@ const MyQueueView = ({ taskList, tasks, members, projects, requesters, onTaskUpd
     const updatedQueue = queue.map(qTask => {
       const parentTask = tasks.find(t => t.id === qTask.id);
 
+      // The task list only holds the loaded pages, so a missing task was
+      // deleted only if it was there before
       if (!parentTask) {
-        needsReload = true;
+        needsReload = needsReload || previousTaskIds.has(qTask.id);
         return qTask;
       }
 
       const hasChanges =
-        qTask.status !== parentTask.status ||
+        qTask.status_id !== parentTask.status_id ||
+        qTask.status_name !== parentTask.status_name ||
+        qTask.status_color !== parentTask.status_color ||
+        qTask.open_blocker_count !== parentTask.open_blocker_count ||
+        qTask.subtask_count !== parentTask.subtask_count ||
+        qTask.subtask_done_count !== parentTask.subtask_done_count ||
+        qTask.checklist_count !== parentTask.checklist_count ||
+        qTask.checklist_done_count !== parentTask.checklist_done_count ||
+        qTask.comment_count !== parentTask.comment_count ||
+        qTask.recurrence_rule_id !== parentTask.recurrence_rule_id ||
         qTask.name !== parentTask.name ||
         qTask.description !== parentTask.description ||
         qTask.priority !== parentTask.priority ||
@@ -137,7 +171,16 @@ const MyQueueView = ({ taskList, tasks, members, projects, requesters, onTaskUpd
       loadQueue();
     } else {
       const queueChanged = updatedQueue.some((task, index) =>
-        task.status !== queue[index].status ||
+        task.status_id !== queue[index].status_id ||
+        task.status_name !== queue[index].status_name ||
+        task.status_color !== queue[index].status_color ||
+        task.open_blocker_count !== queue[index].open_blocker_count ||
+        task.subtask_count !== queue[index].subtask_count ||
+        task.subtask_done_count !== queue[index].subtask_done_count ||
+        task.checklist_count !== queue[index].checklist_count ||
+        task.checklist_done_count !== queue[index].checklist_done_count ||
+        task.comment_count !== queue[index].comment_count ||
+        task.recurrence_rule_id !== queue[index].recurrence_rule_id ||
         task.name !== queue[index].name ||
         task.description !== queue[index].description ||
         task.priority !== queue[index].priority
@@ -371,6 +414,12 @@ const MyQueueView = ({ taskList, tasks, members, projects, requesters, onTaskUpd
                     members={members}
                     projects={projects}
                     requesters={requesters}
+                    statuses={statuses}
+                    labels={labels}
+                    customFields={customFields}
+                    canEdit={hasListRole(currentRole, LIST_PERMISSIONS.editTasks)}
+                    canDelete={canDeleteTask(currentRole, task, user.id)}
+                    canDeleteAnyAttachment={hasListRole(currentRole, LIST_PERMISSIONS.deleteAnyTask)}
                   />
                 ))}
               </div>
@@ -0,0 +1,122 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import DateTimePicker from '../ui/DateTimePicker';
+import { RECURRENCE_FREQUENCIES, WEEKDAYS } from '../../utils/recurrence';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const RecurrenceFields = ({ value, onChange }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(d => d !== day)
+      : [...value.weekdays, day];
+    update({ weekdays });
+  };
+
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.value === value.frequency);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={value.frequency}
+          onChange={(e) => update({ frequency: e.target.value })}
+          className={inputClassName}
+        >
+          <option value="">Does not repeat</option>
+          {RECURRENCE_FREQUENCIES.map(f => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+
+        {frequency && (
+          <>
+            <span className="text-sm text-gray-600 dark:text-gray-400">every</span>
+            <input
+              type="number"
+              min="1"
+              max="365"
+              value={value.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              className={`w-20 ${inputClassName}`}
+            />
+            <span className="text-sm text-gray-600 dark:text-gray-400">{frequency.plural}</span>
+          </>
+        )}
+      </div>
+
+      {value.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-1">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                value.weekdays.includes(day)
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {frequency && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-gray-600 dark:text-gray-400">Ends</span>
+          <select
+            value={value.ends}
+            onChange={(e) => update({ ends: e.target.value })}
+            className={inputClassName}
+          >
+            <option value="never">Never</option>
+            <option value="on">On date</option>
+            <option value="after">After</option>
+          </select>
+
+          {value.ends === 'on' && (
+            <div className="flex-1 min-w-[200px]">
+              <DateTimePicker
+                value={value.endDate}
+                onChange={(isoDate) => update({ endDate: isoDate })}
+                placeholder="Select end date"
+              />
+            </div>
+          )}
+
+          {value.ends === 'after' && (
+            <>
+              <input
+                type="number"
+                min="1"
+                value={value.count}
+                onChange={(e) => update({ count: e.target.value })}
+                className={`w-20 ${inputClassName}`}
+              />
+              <span className="text-sm text-gray-600 dark:text-gray-400">occurrences</span>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+RecurrenceFields.propTypes = {
+  value: PropTypes.shape({
+    frequency: PropTypes.string.isRequired,
+    interval: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    weekdays: PropTypes.arrayOf(PropTypes.number).isRequired,
+    ends: PropTypes.oneOf(['never', 'on', 'after']).isRequired,
+    endDate: PropTypes.string,
+    count: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default RecurrenceFields;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Repeat, X, Loader, Save } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import RecurrenceFields from './RecurrenceFields';
+import { fromRecurrenceRule, toRecurrencePayload, describeRecurrence } from '../../utils/recurrence';
+
+const RecurrenceManager = ({ task, onClose }) => {
+  const { api } = useAuth();
+  const [rule, setRule] = useState(null);
+  const [recurrence, setRecurrence] = useState(fromRecurrenceRule(null));
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadRecurrence();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [task.id]);
+
+  const loadRecurrence = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getTaskRecurrence(task.id);
+      setRule(data);
+      setRecurrence(fromRecurrenceRule(data));
+    } catch (err) {
+      setError(err.message || 'Failed to load recurrence');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const payload = toRecurrencePayload(recurrence);
+
+    try {
+      setSaving(true);
+      setError('');
+      if (payload) {
+        await api.setTaskRecurrence(task.id, payload);
+      } else if (rule) {
+        await api.deleteTaskRecurrence(task.id);
+      }
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save recurrence');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-white flex items-center gap-2">
+            <Repeat className="w-5 h-5" />
+            Repeat
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 rounded-lg p-3 mb-4">
+            <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader className="w-6 h-6 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          <>
+            <RecurrenceFields value={recurrence} onChange={setRecurrence} />
+
+            <p className="mt-4 text-sm text-gray-600 dark:text-gray-400">
+              {describeRecurrence(recurrence)}
+              {rule && ` · ${rule.occurrences_created} created so far`}
+            </p>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              The next task is created when this one is completed or its start date passes.
+            </p>
+          </>
+        )}
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            Close
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={loading || saving || (!rule && !recurrence.frequency)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+          >
+            {saving ? <Loader className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+RecurrenceManager.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.number.isRequired
+  }).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default RecurrenceManager;
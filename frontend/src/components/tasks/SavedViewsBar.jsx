@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Bookmark, Star, Link, Save, Users, Lock, Trash2, Check, X } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { cleanDisplayText } from '../../utils/validation';
+
+const iconButtonClass = 'p-2 text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50';
+
+const SavedViewsBar = ({ taskList, views, selectedViewId, currentFilters, canShare = true, onSelect, onViewsChange }) => {
+  const { api, user } = useAuth();
+  const [showSaveForm, setShowSaveForm] = useState(false);
+  const [name, setName] = useState('');
+  const [isShared, setIsShared] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const selectedView = views.find(view => view.id === selectedViewId) || null;
+  const ownsSelectedView = selectedView !== null && selectedView.user_id === user.id;
+
+  const runAction = async (action, failureMessage) => {
+    try {
+      setBusy(true);
+      setError('');
+      await action();
+    } catch (err) {
+      setError(err.message || failureMessage);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const replaceView = (updatedView) => {
+    onViewsChange(views.map(view => view.id === updatedView.id ? updatedView : view));
+  };
+
+  const handleSelect = (e) => {
+    const viewId = parseInt(e.target.value);
+    onSelect(views.find(view => view.id === viewId) || null);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    runAction(async () => {
+      const view = await api.createSavedView(taskList.id, {
+        name: name.trim(),
+        filters: currentFilters,
+        isShared: canShare && isShared
+      });
+      // Refetch to keep the server's ordering of own and shared views
+      onViewsChange(await api.getSavedViews(taskList.id));
+      onSelect(view);
+      setShowSaveForm(false);
+      setName('');
+      setIsShared(false);
+    }, 'Failed to save view');
+  };
+
+  const handleOverwrite = () => runAction(async () => {
+    replaceView(await api.updateSavedView(selectedView.id, { filters: currentFilters }));
+  }, 'Failed to update view');
+
+  const handleToggleShared = () => runAction(async () => {
+    replaceView(await api.updateSavedView(selectedView.id, { isShared: !selectedView.is_shared }));
+  }, 'Failed to update view');
+
+  const handleToggleDefault = () => runAction(async () => {
+    const defaultId = selectedView.is_default ? null : selectedView.id;
+    await api.setDefaultSavedView(taskList.id, defaultId);
+    onViewsChange(views.map(view => ({ ...view, is_default: view.id === defaultId })));
+  }, 'Failed to set default view');
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the view "${cleanDisplayText(selectedView.name)}"?`)) return;
+
+    runAction(async () => {
+      await api.deleteSavedView(selectedView.id);
+      onViewsChange(views.filter(view => view.id !== selectedView.id));
+    }, 'Failed to delete view');
+  };
+
+  const handleCopyLink = async () => {
+    const url = `${window.location.origin}${window.location.pathname}?view=${selectedView.id}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy view link:', err);
+      setError('Failed to copy link');
+    }
+  };
+
+  return (
+    <div className="mb-4 pb-4 border-b dark:border-gray-700">
+      <div className="flex flex-wrap items-center gap-2">
+        <Bookmark className="w-4 h-4 text-gray-500 dark:text-gray-400" />
+        <select
+          value={selectedViewId || ''}
+          onChange={handleSelect}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="">No saved view</option>
+          {views.map(view => (
+            <option key={view.id} value={view.id}>
+              {view.is_default ? '★ ' : ''}
+              {cleanDisplayText(view.name)}
+              {view.user_id !== user.id ? ` (${cleanDisplayText(view.owner_name || 'Unknown')})` : ''}
+            </option>
+          ))}
+        </select>
+
+        {selectedView && (
+          <>
+            <button
+              onClick={handleToggleDefault}
+              disabled={busy}
+              className={iconButtonClass}
+              title={selectedView.is_default ? 'Stop opening this list with this view' : 'Open this list with this view'}
+            >
+              <Star className={`w-4 h-4 ${selectedView.is_default ? 'fill-yellow-400 text-yellow-400' : ''}`} />
+            </button>
+            <button
+              onClick={handleCopyLink}
+              className={iconButtonClass}
+              title={selectedView.is_shared ? 'Copy link to this view' : 'Copy link (only you can open it until the view is shared)'}
+            >
+              {copied ? <Check className="w-4 h-4 text-green-600" /> : <Link className="w-4 h-4" />}
+            </button>
+          </>
+        )}
+
+        {ownsSelectedView && (
+          <>
+            <button
+              onClick={handleOverwrite}
+              disabled={busy}
+              className={iconButtonClass}
+              title="Save current filters to this view"
+            >
+              <Save className="w-4 h-4" />
+            </button>
+            {(canShare || selectedView.is_shared) && (
+              <button
+                onClick={handleToggleShared}
+                disabled={busy}
+                className={iconButtonClass}
+                title={selectedView.is_shared ? 'Shared with the list — make private' : 'Private — share with the list'}
+              >
+                {selectedView.is_shared ? <Users className="w-4 h-4" /> : <Lock className="w-4 h-4" />}
+              </button>
+            )}
+            <button
+              onClick={handleDelete}
+              disabled={busy}
+              className="p-2 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 rounded-lg transition-colors disabled:opacity-50"
+              title="Delete view"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </>
+        )}
+
+        {showSaveForm ? (
+          <form onSubmit={handleSave} className="flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="View name"
+              maxLength={100}
+              autoFocus
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            {canShare && (
+              <label className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={isShared}
+                  onChange={(e) => setIsShared(e.target.checked)}
+                />
+                Share with list
+              </label>
+            )}
+            <button
+              type="submit"
+              disabled={busy || !name.trim()}
+              className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowSaveForm(false)}
+              className={iconButtonClass}
+              title="Cancel"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </form>
+        ) : (
+          <button
+            onClick={() => setShowSaveForm(true)}
+            className="px-3 py-2 text-sm text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded-lg transition-colors"
+          >
+            Save as view
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400 mt-2">{error}</p>
+      )}
+    </div>
+  );
+};
+
+SavedViewsBar.propTypes = {
+  taskList: PropTypes.shape({
+    id: PropTypes.number.isRequired
+  }).isRequired,
+  views: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    user_id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    owner_name: PropTypes.string,
+    is_shared: PropTypes.bool,
+    is_default: PropTypes.bool
+  })).isRequired,
+  selectedViewId: PropTypes.number,
+  currentFilters: PropTypes.object.isRequired,
+  canShare: PropTypes.bool,
+  onSelect: PropTypes.func.isRequired,
+  onViewsChange: PropTypes.func.isRequired
+};
+
+export default SavedViewsBar;
@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Share2, X, RefreshCw, Link, Plus, Loader, Ban, Mail } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { formatDatetime } from '../../utils/dateUtils';
+import { cleanDisplayText } from '../../utils/validation';
+import { LIST_ROLES, LIST_PERMISSIONS, hasListRole } from '../../utils/listRoles';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: 'Expires in 1 hour' },
+  { value: '24', label: 'Expires in 1 day' },
+  { value: '168', label: 'Expires in 7 days' },
+  { value: '720', label: 'Expires in 30 days' }
+];
+
+const INVITE_STATUS_LABELS = {
+  active: 'Active',
+  revoked: 'Revoked',
+  expired: 'Expired',
+  used_up: 'Used up'
+};
+
+// Opening the link signs the user in if needed and prefills the join form
+const getInviteLink = (code) => `${window.location.origin}${window.location.pathname}?invite=${code}`;
+
+const ShareModal = ({ taskList, inviteCode, currentRole, onInviteCodeChange, onClose }) => {
+  const { api } = useAuth();
+  const [invites, setInvites] = useState([]);
+  const [newInvite, setNewInvite] = useState({ role: 'member', expiresInHours: '168', maxUses: '' });
+  const [emailInvite, setEmailInvite] = useState({ email: '', role: 'member' });
+  const [sending, setSending] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState('');
+
+  const canManageInvites = hasListRole(currentRole, LIST_PERMISSIONS.manageMembers);
+  // Only the owner hands out admin invites
+  const inviteRoles = LIST_ROLES.filter(role =>
+    role.value !== 'owner' && (role.value !== 'admin' || hasListRole(currentRole, LIST_PERMISSIONS.manageAdmins))
+  );
+
+  useEffect(() => {
+    if (!canManageInvites) return;
+
+    const loadInvites = async () => {
+      try {
+        setLoading(true);
+        setInvites(await api.getInvites(taskList.id));
+      } catch (err) {
+        setError(err.message || 'Failed to load invites');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadInvites();
+  }, [api, taskList.id, canManageInvites]);
+
+  const copyText = (key, text) => {
+    navigator.clipboard.writeText(text);
+    setCopied(key);
+    setTimeout(() => setCopied(current => current === key ? null : current), 2000);
+  };
+
+  const handleRotate = async () => {
+    if (!window.confirm('Replace the invite code? The current code will stop working.')) return;
+
+    try {
+      setError('');
+      const { inviteCode: newCode } = await api.rotateInviteCode(taskList.id);
+      onInviteCodeChange(newCode);
+    } catch (err) {
+      setError(err.message || 'Failed to replace invite code');
+    }
+  };
+
+  const handleCreateInvite = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const invite = await api.createInvite(taskList.id, {
+        role: newInvite.role,
+        expiresInHours: newInvite.expiresInHours ? parseInt(newInvite.expiresInHours) : null,
+        maxUses: newInvite.maxUses ? parseInt(newInvite.maxUses) : null
+      });
+      setInvites(prev => [invite, ...prev]);
+      setNewInvite(prev => ({ ...prev, maxUses: '' }));
+    } catch (err) {
+      setError(err.message || 'Failed to create invite');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSendEmailInvite = async (e) => {
+    e.preventDefault();
+    if (!emailInvite.email.trim()) return;
+
+    try {
+      setSending(true);
+      setError('');
+      const invite = await api.sendEmailInvite(taskList.id, emailInvite.email.trim(), emailInvite.role);
+      setInvites(prev => [invite, ...prev]);
+      setEmailInvite(prev => ({ ...prev, email: '' }));
+    } catch (err) {
+      setError(err.message || 'Failed to send invite');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    try {
+      setError('');
+      await api.revokeInvite(taskList.id, invite.id);
+      setInvites(prev => prev.map(i => i.id === invite.id ? { ...i, status: 'revoked', revoked_at: new Date().toISOString() } : i));
+    } catch (err) {
+      setError(err.message || 'Failed to revoke invite');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-lg w-full max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-white flex items-center gap-2">
+            <Share2 className="w-5 h-5" />
+            Share Task List
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded"
+            title="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 dark:text-red-400 mb-3">{error}</p>
+        )}
+
+        <div className="space-y-6 overflow-y-auto">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Invite Code</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={inviteCode || ''}
+                readOnly
+                className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white"
+              />
+              <button
+                onClick={() => copyText('code', inviteCode)}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                {copied === 'code' ? 'Copied' : 'Copy'}
+              </button>
+              <button
+                onClick={() => copyText('link', getInviteLink(inviteCode))}
+                className="p-2 text-gray-600 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600"
+                title={copied === 'link' ? 'Link copied' : 'Copy invite link'}
+              >
+                <Link className="w-4 h-4" />
+              </button>
+              {canManageInvites && (
+                <button
+                  onClick={handleRotate}
+                  className="p-2 text-gray-600 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600"
+                  title="Replace with a new code"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Share this code with friends so they can join your task list as members
+            </p>
+          </div>
+
+          {canManageInvites && (
+            <form onSubmit={handleSendEmailInvite}>
+              <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Invite by Email</h4>
+              <div className="flex gap-2">
+                <input
+                  type="email"
+                  value={emailInvite.email}
+                  onChange={(e) => setEmailInvite(prev => ({ ...prev, email: e.target.value }))}
+                  placeholder="name@example.com"
+                  className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+                <select
+                  value={emailInvite.role}
+                  onChange={(e) => setEmailInvite(prev => ({ ...prev, role: e.target.value }))}
+                  className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  title="Role granted"
+                >
+                  {inviteRoles.map(role => (
+                    <option key={role.value} value={role.value}>{role.label}</option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  disabled={sending || !emailInvite.email.trim()}
+                  className="flex items-center gap-2 px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+                >
+                  {sending ? <Loader className="w-4 h-4 animate-spin" /> : <Mail className="w-4 h-4" />}
+                  Send
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                The emailed link works once, for that address only, and expires after 7 days
+              </p>
+            </form>
+          )}
+
+          {canManageInvites && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Invite Links</h4>
+
+              <div className="grid grid-cols-3 gap-2 mb-2">
+                <select
+                  value={newInvite.role}
+                  onChange={(e) => setNewInvite(prev => ({ ...prev, role: e.target.value }))}
+                  className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  title="Role granted"
+                >
+                  {inviteRoles.map(role => (
+                    <option key={role.value} value={role.value}>{role.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={newInvite.expiresInHours}
+                  onChange={(e) => setNewInvite(prev => ({ ...prev, expiresInHours: e.target.value }))}
+                  className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  title="Expires after"
+                >
+                  {EXPIRY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  max="1000"
+                  value={newInvite.maxUses}
+                  onChange={(e) => setNewInvite(prev => ({ ...prev, maxUses: e.target.value }))}
+                  placeholder="Unlimited uses"
+                  className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+              </div>
+              <button
+                onClick={handleCreateInvite}
+                disabled={saving}
+                className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400"
+              >
+                {saving ? <Loader className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                Create Invite Link
+              </button>
+
+              {loading ? (
+                <div className="flex justify-center py-4">
+                  <Loader className="w-5 h-5 animate-spin text-blue-600" />
+                </div>
+              ) : (
+                <ul className="mt-3 space-y-2">
+                  {invites.map(invite => (
+                    <li key={invite.id} className="p-2 rounded-lg bg-gray-50 dark:bg-gray-700 text-sm">
+                      <div className="flex items-center gap-2">
+                        {invite.email ? (
+                          <span className="flex-1 flex items-center gap-1 text-gray-800 dark:text-gray-200 truncate">
+                            <Mail className="w-3 h-3 flex-shrink-0" />
+                            {cleanDisplayText(invite.email)}
+                          </span>
+                        ) : (
+                          <code className="flex-1 text-gray-800 dark:text-gray-200 truncate">{invite.code}</code>
+                        )}
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-300">
+                          {LIST_ROLES.find(role => role.value === invite.role)?.label}
+                        </span>
+                        <span className={`text-xs px-2 py-0.5 rounded-full ${
+                          invite.status === 'active'
+                            ? 'bg-green-100 dark:bg-green-900/50 text-green-800 dark:text-green-200'
+                            : 'bg-gray-200 dark:bg-gray-600 text-gray-600 dark:text-gray-400'
+                        }`}>
+                          {INVITE_STATUS_LABELS[invite.status]}
+                        </span>
+                        {invite.status === 'active' && (
+                          <>
+                            {!invite.email && (
+                              <button
+                                onClick={() => copyText(`invite-${invite.id}`, getInviteLink(invite.code))}
+                                className="p-1 text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+                                title={copied === `invite-${invite.id}` ? 'Link copied' : 'Copy invite link'}
+                              >
+                                <Link className="w-4 h-4" />
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleRevoke(invite)}
+                              className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                              title="Revoke invite"
+                            >
+                              <Ban className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {invite.use_count}{invite.max_uses ? ` / ${invite.max_uses}` : ''} uses
+                        {' · '}
+                        {invite.expires_at ? `expires ${formatDatetime(invite.expires_at)}` : 'never expires'}
+                        {invite.created_by_name && ` · by ${cleanDisplayText(invite.created_by_name)}`}
+                      </p>
+                      {invite.uses.length > 0 && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                          Used by {invite.uses.map(use => cleanDisplayText(use.name || 'Deleted user')).join(', ')}
+                        </p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ShareModal.propTypes = {
+  taskList: PropTypes.shape({
+    id: PropTypes.number.isRequired
+  }).isRequired,
+  inviteCode: PropTypes.string,
+  currentRole: PropTypes.string,
+  onInviteCodeChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ShareModal;
@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { ListTree, X, Plus, Trash2, Loader, Check } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { validateName, cleanDisplayText } from '../../utils/validation';
+import { isTaskCompleted, getToggledStatusId } from '../../utils/taskStatus';
+
+const SubtaskManager = ({ task, statuses, canEdit = true, onClose }) => {
+  const { api } = useAuth();
+  const [subtasks, setSubtasks] = useState([]);
+  const [checklist, setChecklist] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newSubtask, setNewSubtask] = useState('');
+  const [newItem, setNewItem] = useState('');
+  const [error, setError] = useState('');
+
+  // Subtasks are kept one level deep
+  const canHaveSubtasks = !task.parent_task_id;
+
+  useEffect(() => {
+    loadData();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [task.id]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [subtasksData, checklistData] = await Promise.all([
+        canHaveSubtasks ? api.getSubtasks(task.id) : Promise.resolve([]),
+        api.getChecklist(task.id)
+      ]);
+      setSubtasks(subtasksData);
+      setChecklist(checklistData);
+    } catch (err) {
+      setError(err.message || 'Failed to load subtasks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddSubtask = async () => {
+    if (!newSubtask.trim()) return;
+
+    if (!validateName(newSubtask)) {
+      setError('Subtask name contains invalid characters or is too long');
+      return;
+    }
+
+    try {
+      setError('');
+      const subtask = await api.createSubtask(task.id, { name: newSubtask.trim() });
+      setSubtasks(prev => [...prev, subtask]);
+      setNewSubtask('');
+    } catch (err) {
+      setError(err.message || 'Failed to add subtask');
+    }
+  };
+
+  const handleToggleSubtask = async (subtask) => {
+    const statusId = getToggledStatusId(subtask, statuses);
+    if (!statusId) return;
+
+    try {
+      setError('');
+      const updatedSubtask = await api.updateTask(subtask.id, { status_id: statusId });
+      setSubtasks(prev => prev.map(s => s.id === subtask.id ? updatedSubtask : s));
+    } catch (err) {
+      setError(err.message || 'Failed to update subtask');
+    }
+  };
+
+  const handleAddItem = async () => {
+    if (!newItem.trim()) return;
+
+    try {
+      setError('');
+      const item = await api.addChecklistItem(task.id, newItem.trim());
+      setChecklist(prev => [...prev, item]);
+      setNewItem('');
+    } catch (err) {
+      setError(err.message || 'Failed to add checklist item');
+    }
+  };
+
+  const handleToggleItem = async (item) => {
+    try {
+      setError('');
+      const updatedItem = await api.updateChecklistItem(task.id, item.id, { isCompleted: !item.is_completed });
+      setChecklist(prev => prev.map(i => i.id === item.id ? updatedItem : i));
+    } catch (err) {
+      setError(err.message || 'Failed to update checklist item');
+    }
+  };
+
+  const handleDeleteItem = async (itemId) => {
+    try {
+      setError('');
+      await api.deleteChecklistItem(task.id, itemId);
+      setChecklist(prev => prev.filter(i => i.id !== itemId));
+    } catch (err) {
+      setError(err.message || 'Failed to delete checklist item');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-white flex items-center gap-2">
+            <ListTree className="w-5 h-5" />
+            {cleanDisplayText(task.name)}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 rounded-lg p-3 mb-4">
+            <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader className="w-6 h-6 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          <>
+            {canHaveSubtasks && (
+              <div className="mb-6">
+                <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Subtasks ({subtasks.filter(isTaskCompleted).length}/{subtasks.length})
+                </h4>
+
+                <div className="space-y-1 mb-3">
+                  {subtasks.map(subtask => (
+                    <div key={subtask.id} className="flex items-center gap-2 bg-gray-50 dark:bg-gray-700 px-3 py-2 rounded-lg">
+                      <button
+                        onClick={() => handleToggleSubtask(subtask)}
+                        disabled={!canEdit}
+                        className={`w-5 h-5 rounded border flex items-center justify-center flex-shrink-0 ${
+                          isTaskCompleted(subtask)
+                            ? 'bg-green-500 border-green-500 text-white'
+                            : 'border-gray-300 dark:border-gray-500'
+                        }`}
+                        title={isTaskCompleted(subtask) ? 'Mark as not done' : 'Mark as done'}
+                      >
+                        {isTaskCompleted(subtask) && <Check className="w-3 h-3" />}
+                      </button>
+                      <span className={`flex-1 text-sm truncate ${
+                        isTaskCompleted(subtask)
+                          ? 'line-through text-gray-500 dark:text-gray-400'
+                          : 'text-gray-800 dark:text-white'
+                      }`}>
+                        {cleanDisplayText(subtask.name)}
+                      </span>
+                      {subtask.status_name && (
+                        <span
+                          className="px-2 py-0.5 rounded-full text-xs font-medium text-white"
+                          style={{ backgroundColor: subtask.status_color || '#6b7280' }}
+                        >
+                          {subtask.status_name}
+                        </span>
+                      )}
+                      {subtask.assigned_to_name && (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          {cleanDisplayText(subtask.assigned_to_name)}
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                {canEdit && (
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={newSubtask}
+                      onChange={(e) => setNewSubtask(e.target.value)}
+                      onKeyPress={(e) => e.key === 'Enter' && handleAddSubtask()}
+                      placeholder="New subtask name"
+                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <button
+                      onClick={handleAddSubtask}
+                      disabled={!newSubtask.trim()}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Checklist ({checklist.filter(i => i.is_completed).length}/{checklist.length})
+              </h4>
+
+              <div className="space-y-1 mb-3">
+                {checklist.map(item => (
+                  <div key={item.id} className="flex items-center gap-2 bg-gray-50 dark:bg-gray-700 px-3 py-2 rounded-lg">
+                    <input
+                      type="checkbox"
+                      checked={item.is_completed}
+                      onChange={() => handleToggleItem(item)}
+                      disabled={!canEdit}
+                      className="rounded"
+                    />
+                    <span className={`flex-1 text-sm ${
+                      item.is_completed
+                        ? 'line-through text-gray-500 dark:text-gray-400'
+                        : 'text-gray-800 dark:text-white'
+                    }`}>
+                      {cleanDisplayText(item.content)}
+                    </span>
+                    {canEdit && (
+                      <button
+                        onClick={() => handleDeleteItem(item.id)}
+                        className="p-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
+                        title="Delete item"
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {canEdit && (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={newItem}
+                    onChange={(e) => setNewItem(e.target.value)}
+                    onKeyPress={(e) => e.key === 'Enter' && handleAddItem()}
+                    placeholder="New checklist item"
+                    maxLength={500}
+                    className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={handleAddItem}
+                    disabled={!newItem.trim()}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Add
+                  </button>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+
+        <div className="mt-6 flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+SubtaskManager.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    parent_task_id: PropTypes.number
+  }).isRequired,
+  statuses: PropTypes.array.isRequired,
+  canEdit: PropTypes.bool,
+  onClose: PropTypes.func.isRequired
+};
+
+export default SubtaskManager;
@@ -1,13 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { Check, X, Edit3, Trash2, User, Calendar, Clock, Loader, Save, ListPlus, Bell } from 'lucide-react';
+import { Check, X, Edit3, Trash2, User, Calendar, Clock, Loader, Save, ListPlus, Bell, ListTree, CornerDownRight, Link2, Lock, Repeat, MessageSquare, Paperclip, History } from 'lucide-react';
 import { validateName, validateDescription, cleanDisplayText } from '../../utils/validation';
 import { formatDatetime } from '../../utils/dateUtils';
 import { useAuth } from '../../hooks/useAuth';
 import ReminderManager from './ReminderManager';
+import SubtaskManager from './SubtaskManager';
+import DependencyManager from './DependencyManager';
+import RecurrenceManager from './RecurrenceManager';
+import CommentThread from './CommentThread';
+import AttachmentSection from './AttachmentSection';
+import TaskHistory from './TaskHistory';
 import DateTimePicker from '../ui/DateTimePicker';
 import TimePicker from '../ui/TimePicker';
+import MentionTextarea from '../ui/MentionTextarea';
+import LabelPicker, { LabelChip } from '../ui/LabelPicker';
+import CustomFieldInput, { CustomFieldValue } from '../ui/CustomFieldInput';
 import { getAvatarUrl } from '../../utils/gravatar';
+import { isTaskCompleted } from '../../utils/taskStatus';
+import { getEditableCustomFieldValues } from '../../utils/customFields';
 
 // Format hours to readable time
 const formatEstimatedHours = (hours) => {
@@ -53,12 +64,21 @@ const timeStringToHours = (timeString) => {
   return hours + (minutes / 60);
 };
 
-const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects, requesters, onAddToQueue, onRemoveFromQueue }) => {
+// Stable default so the edit-data sync effect doesn't rerun on every render
+const NO_CUSTOM_FIELDS = [];
+
+const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects, requesters, statuses = [], labels = [], customFields = NO_CUSTOM_FIELDS, canEdit = true, canDelete = true, canDeleteAnyAttachment = false, onAddToQueue, onRemoveFromQueue }) => {
   const { api } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
   const [updateLoading, setUpdateLoading] = useState(false);
   const [showReminderManager, setShowReminderManager] = useState(false);
   const [reminderCount, setReminderCount] = useState(0);
+  const [showSubtaskManager, setShowSubtaskManager] = useState(false);
+  const [showDependencyManager, setShowDependencyManager] = useState(false);
+  const [showRecurrenceManager, setShowRecurrenceManager] = useState(false);
+  const [showComments, setShowComments] = useState(false);
+  const [showAttachments, setShowAttachments] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [editData, setEditData] = useState({
     name: task.name || '',
     description: task.description || '',
@@ -67,7 +87,9 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
     project_id: task.project_id || '',
     requester_id: task.requester_id || '',
     due_date: task.due_date || '',
-    estimated_hours: hoursToTimeString(task.estimated_hours)
+    estimated_hours: hoursToTimeString(task.estimated_hours),
+    label_ids: (task.labels || []).map(label => label.id),
+    custom_fields: getEditableCustomFieldValues(customFields, task.custom_fields)
   });
   const [editErrors, setEditErrors] = useState({});
 
@@ -81,10 +103,12 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
       project_id: task.project_id || '',
       requester_id: task.requester_id || '',
       due_date: task.due_date || '',
-      estimated_hours: hoursToTimeString(task.estimated_hours)
+      estimated_hours: hoursToTimeString(task.estimated_hours),
+      label_ids: (task.labels || []).map(label => label.id),
+      custom_fields: getEditableCustomFieldValues(customFields, task.custom_fields)
     });
     setEditErrors({});
-  }, [task]);
+  }, [task, customFields]);
 
   const validateEditForm = () => {
     const errors = {};
@@ -161,7 +185,12 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
         project_id: editData.project_id === "" ? null : parseInt(editData.project_id) || null,
         requester_id: editData.requester_id === "" ? null : parseInt(editData.requester_id) || null,
         due_date: editData.due_date || null,
-        estimated_hours: timeStringToHours(editData.estimated_hours)
+        estimated_hours: timeStringToHours(editData.estimated_hours),
+        labelIds: editData.label_ids,
+        // Every field is sent so cleared values are removed
+        customFields: Object.fromEntries(
+          customFields.map(field => [field.id, editData.custom_fields[field.id] ?? null])
+        )
       };
       
       console.log('Processed update data:', updatesData);
@@ -202,11 +231,15 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
     fetchReminderCount();
   }, [task.id, task.due_date, api]);
 
+  const completed = isTaskCompleted(task);
+  const progressTotal = (task.subtask_count || 0) + (task.checklist_count || 0);
+  const progressDone = (task.subtask_done_count || 0) + (task.checklist_done_count || 0);
+
   return (
     <div 
       data-task-id={task.id}
       className={`bg-white dark:bg-gray-800 rounded-lg shadow-sm border-l-4 p-4 mb-3 transition-all hover:shadow-md relative ${
-        task.status 
+        completed 
           ? 'border-green-500 bg-green-50 dark:bg-green-900/20' 
           : getPriorityColor(task.priority)
       }`}
@@ -216,7 +249,7 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
         <div className="flex-1">
           <div className="flex items-center gap-3 mb-2">
             <h3 className={`font-medium text-lg ${
-              task.status 
+              completed 
                 ? 'line-through text-gray-500 dark:text-gray-400' 
                 : 'text-gray-800 dark:text-white'
             }`}>
@@ -233,8 +266,36 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
                 {task.priority}
               </span>
             )}
+
+            {statuses.length > 0 && canEdit ? (
+              <select
+                value={task.status_id || ''}
+                onChange={(e) => onUpdate(task.id, { status_id: parseInt(e.target.value) })}
+                className="px-2 py-1 rounded-full text-xs font-medium text-white border-none cursor-pointer focus:ring-2 focus:ring-blue-500"
+                style={{ backgroundColor: task.status_color || '#6b7280' }}
+                title="Change status"
+              >
+                {statuses.map(status => (
+                  <option key={status.id} value={status.id}>{status.name}</option>
+                ))}
+              </select>
+            ) : task.status_name && (
+              <span
+                className="px-2 py-1 rounded-full text-xs font-medium text-white"
+                style={{ backgroundColor: task.status_color || '#6b7280' }}
+              >
+                {task.status_name}
+              </span>
+            )}
           </div>
           
+          {task.parent_task_name && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2 flex items-center gap-1">
+              <CornerDownRight className="w-3 h-3" />
+              Subtask of {cleanDisplayText(task.parent_task_name)}
+            </p>
+          )}
+
           {task.description && (
             <p className="text-gray-600 dark:text-gray-300 text-sm mb-3">{cleanDisplayText(task.description)}</p>
           )}
@@ -255,6 +316,14 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
               </span>
             )}
             
+            {(task.labels || []).map(label => (
+              <LabelChip key={label.id} label={label} />
+            ))}
+
+            {customFields.map(field => (
+              <CustomFieldValue key={field.id} field={field} value={(task.custom_fields || {})[field.id]} />
+            ))}
+
             {task.project_name && (
               <span className="bg-indigo-100 dark:bg-indigo-900/50 text-indigo-800 dark:text-indigo-200 px-2 py-1 rounded-full">
                 {cleanDisplayText(task.project_name)}
@@ -273,6 +342,13 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
                 {formatDate(task.due_date)}
               </span>
             )}
+
+            {task.recurrence_rule_id && (
+              <span className="bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200 px-2 py-1 rounded-full flex items-center gap-1">
+                <Repeat className="w-3 h-3" />
+                Repeats
+              </span>
+            )}
             
             {formatEstimatedHours(task.estimated_hours) && (
               <span className="bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 px-2 py-1 rounded-full flex items-center gap-1">
@@ -281,6 +357,32 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
               </span>
             )}
 
+            {task.open_blocker_count > 0 && !completed && (
+              <span
+                className="bg-red-100 dark:bg-red-900/50 text-red-800 dark:text-red-200 px-2 py-1 rounded-full flex items-center gap-1 font-medium"
+                title={`Waiting on ${task.open_blocker_count} unfinished task${task.open_blocker_count > 1 ? 's' : ''}`}
+              >
+                <Lock className="w-3 h-3" />
+                Blocked
+              </span>
+            )}
+
+            {progressTotal > 0 && (
+              <span
+                className="bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 px-2 py-1 rounded-full flex items-center gap-2"
+                title={`${task.subtask_done_count || 0}/${task.subtask_count || 0} subtasks, ${task.checklist_done_count || 0}/${task.checklist_count || 0} checklist items`}
+              >
+                <ListTree className="w-3 h-3" />
+                <span className="w-16 h-1.5 bg-gray-300 dark:bg-gray-600 rounded-full overflow-hidden">
+                  <span
+                    className="block h-full bg-green-500"
+                    style={{ width: `${Math.round((progressDone / progressTotal) * 100)}%` }}
+                  />
+                </span>
+                {progressDone}/{progressTotal}
+              </span>
+            )}
+
             {task.queue_position && (
               <span className="bg-blue-600 text-white px-2 py-1 rounded-full flex items-center gap-1 font-bold">
                 #{task.queue_position} in queue
@@ -290,7 +392,78 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
         </div>
 
         <div className="flex items-center gap-2 ml-4">
-          {task.due_date && (
+          <button
+            onClick={() => setShowComments(!showComments)}
+            className={`p-2 rounded-lg transition-colors relative ${
+              showComments
+                ? 'bg-blue-100 dark:bg-blue-900/50 text-blue-600 dark:text-blue-400 hover:bg-blue-200 dark:hover:bg-blue-900/70'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+            }`}
+            title="Comments"
+          >
+            <MessageSquare className="w-4 h-4" />
+            {task.comment_count > 0 && (
+              <span className="absolute -top-1 -right-1 bg-blue-600 text-white text-xs rounded-full h-4 min-w-[1rem] px-1 flex items-center justify-center font-medium">
+                {task.comment_count}
+              </span>
+            )}
+          </button>
+
+          <button
+            onClick={() => setShowAttachments(!showAttachments)}
+            className={`p-2 rounded-lg transition-colors ${
+              showAttachments
+                ? 'bg-blue-100 dark:bg-blue-900/50 text-blue-600 dark:text-blue-400 hover:bg-blue-200 dark:hover:bg-blue-900/70'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+            }`}
+            title="Attachments"
+          >
+            <Paperclip className="w-4 h-4" />
+          </button>
+
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className={`p-2 rounded-lg transition-colors ${
+              showHistory
+                ? 'bg-blue-100 dark:bg-blue-900/50 text-blue-600 dark:text-blue-400 hover:bg-blue-200 dark:hover:bg-blue-900/70'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+            }`}
+            title="History"
+          >
+            <History className="w-4 h-4" />
+          </button>
+
+          <button
+            onClick={() => setShowSubtaskManager(true)}
+            className="p-2 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+            title={task.parent_task_id ? 'Checklist' : 'Subtasks & checklist'}
+          >
+            <ListTree className="w-4 h-4" />
+          </button>
+
+          <button
+            onClick={() => setShowDependencyManager(true)}
+            className="p-2 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+            title="Dependencies"
+          >
+            <Link2 className="w-4 h-4" />
+          </button>
+
+          {canEdit && task.due_date && !task.parent_task_id && (
+            <button
+              onClick={() => setShowRecurrenceManager(true)}
+              className={`p-2 rounded-lg transition-colors ${
+                task.recurrence_rule_id
+                  ? 'bg-blue-100 dark:bg-blue-900/50 text-blue-600 dark:text-blue-400 hover:bg-blue-200 dark:hover:bg-blue-900/70'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+              title="Repeat"
+            >
+              <Repeat className="w-4 h-4" />
+            </button>
+          )}
+
+          {canEdit && task.due_date && (
             <button
               onClick={() => setShowReminderManager(true)}
               className="p-2 bg-purple-100 dark:bg-purple-900/50 text-purple-600 dark:text-purple-400 rounded-lg hover:bg-purple-200 dark:hover:bg-purple-900/70 transition-colors relative"
@@ -305,13 +478,15 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
             </button>
           )}
 
-          <button
-            onClick={() => setIsEditing(!isEditing)}
-            className="p-2 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
-            title="Quick edit"
-          >
-            <Edit3 className="w-4 h-4" />
-          </button>
+          {canEdit && (
+            <button
+              onClick={() => setIsEditing(!isEditing)}
+              className="p-2 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+              title="Quick edit"
+            >
+              <Edit3 className="w-4 h-4" />
+            </button>
+          )}
 
           {task.queue_position ? (
             onRemoveFromQueue && (
@@ -339,29 +514,33 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
             )
           )}
 
-          <button
-            onClick={() => onToggleStatus(task.id)}
-            className={`p-2 rounded-lg transition-colors ${
-              task.status 
-                ? 'bg-orange-100 dark:bg-orange-900/50 text-orange-600 dark:text-orange-400 hover:bg-orange-200 dark:hover:bg-orange-900/70' 
-                : 'bg-green-100 dark:bg-green-900/50 text-green-600 dark:text-green-400 hover:bg-green-200 dark:hover:bg-green-900/70'
-            }`}
-            title={task.status ? 'Mark as not done' : 'Mark as done'}
-          >
-            {task.status ? <X className="w-4 h-4" /> : <Check className="w-4 h-4" />}
-          </button>
+          {canEdit && (
+            <button
+              onClick={() => onToggleStatus(task.id)}
+              className={`p-2 rounded-lg transition-colors ${
+                completed 
+                  ? 'bg-orange-100 dark:bg-orange-900/50 text-orange-600 dark:text-orange-400 hover:bg-orange-200 dark:hover:bg-orange-900/70' 
+                  : 'bg-green-100 dark:bg-green-900/50 text-green-600 dark:text-green-400 hover:bg-green-200 dark:hover:bg-green-900/70'
+              }`}
+              title={completed ? 'Mark as not done' : 'Mark as done'}
+            >
+              {completed ? <X className="w-4 h-4" /> : <Check className="w-4 h-4" />}
+            </button>
+          )}
           
-          <button
-            onClick={() => onDelete(task.id)}
-            className="p-2 bg-red-100 dark:bg-red-900/50 text-red-600 dark:text-red-400 rounded-lg hover:bg-red-200 dark:hover:bg-red-900/70 transition-colors"
-            title="Delete task"
-          >
-            <Trash2 className="w-4 h-4" />
-          </button>
+          {canDelete && (
+            <button
+              onClick={() => onDelete(task.id)}
+              className="p-2 bg-red-100 dark:bg-red-900/50 text-red-600 dark:text-red-400 rounded-lg hover:bg-red-200 dark:hover:bg-red-900/70 transition-colors"
+              title="Delete task"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
         </div>
       </div>
 
-      {isEditing && (
+      {isEditing && canEdit && (
         <div className="border-t dark:border-gray-600 pt-4 mt-4">
           <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Edit Task</h4>
           
@@ -396,12 +575,13 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
             <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
               Description
             </label>
-            <textarea
+            <MentionTextarea
               value={editData.description}
-              onChange={(e) => {
-                setEditData({...editData, description: e.target.value});
+              onChange={(description) => {
+                setEditData({...editData, description});
                 if (editErrors.description) setEditErrors({...editErrors, description: ''});
               }}
+              members={members}
               rows={2}
               className={`w-full px-2 py-1 text-sm border rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:bg-gray-100 dark:disabled:bg-gray-800 disabled:cursor-not-allowed ${
                 editErrors.description ? 'border-red-300 dark:border-red-600' : 'border-gray-300 dark:border-gray-600'
@@ -486,6 +666,39 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
             </div>
           </div>
 
+          <div className="mb-3">
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Labels
+            </label>
+            <LabelPicker
+              labels={labels}
+              selectedIds={editData.label_ids}
+              onChange={(labelIds) => setEditData({...editData, label_ids: labelIds})}
+              disabled={updateLoading}
+            />
+          </div>
+
+          {customFields.length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+              {customFields.map(field => (
+                <div key={field.id}>
+                  <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    {cleanDisplayText(field.name)}
+                  </label>
+                  <CustomFieldInput
+                    field={field}
+                    value={editData.custom_fields[field.id]}
+                    onChange={(fieldValue) => setEditData({
+                      ...editData,
+                      custom_fields: { ...editData.custom_fields, [field.id]: fieldValue }
+                    })}
+                    disabled={updateLoading}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
             <div>
               <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -533,7 +746,9 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
                   project_id: task.project_id || '',
                   requester_id: task.requester_id || '',
                   due_date: task.due_date || '',
-                  estimated_hours: hoursToTimeString(task.estimated_hours)
+                  estimated_hours: hoursToTimeString(task.estimated_hours),
+                  label_ids: (task.labels || []).map(label => label.id),
+                  custom_fields: getEditableCustomFieldValues(customFields, task.custom_fields)
                 });
               }}
               className="px-3 py-1 text-sm text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded"
@@ -562,6 +777,12 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
         </div>
       )}
 
+      {showAttachments && <AttachmentSection task={task} canEdit={canEdit} canDeleteAny={canDeleteAnyAttachment} />}
+
+      {showComments && <CommentThread task={task} members={members} canEdit={canEdit} />}
+
+      {showHistory && <TaskHistory task={task} />}
+
       {showReminderManager && (
         <ReminderManager
           taskId={task.id}
@@ -580,6 +801,30 @@ const TaskCard = ({ task, onToggleStatus, onDelete, onUpdate, members, projects,
           }}
         />
       )}
+
+      {showSubtaskManager && (
+        <SubtaskManager
+          task={task}
+          statuses={statuses}
+          canEdit={canEdit}
+          onClose={() => setShowSubtaskManager(false)}
+        />
+      )}
+
+      {showDependencyManager && (
+        <DependencyManager
+          task={task}
+          canEdit={canEdit}
+          onClose={() => setShowDependencyManager(false)}
+        />
+      )}
+
+      {showRecurrenceManager && (
+        <RecurrenceManager
+          task={task}
+          onClose={() => setShowRecurrenceManager(false)}
+        />
+      )}
     </div>
   );
 };
@@ -589,7 +834,20 @@ TaskCard.propTypes = {
     id: PropTypes.number.isRequired,
     name: PropTypes.string.isRequired,
     description: PropTypes.string,
-    status: PropTypes.bool,
+    task_list_id: PropTypes.number,
+    status_id: PropTypes.number,
+    status_name: PropTypes.string,
+    status_category: PropTypes.oneOf(['todo', 'active', 'done']),
+    status_color: PropTypes.string,
+    parent_task_id: PropTypes.number,
+    parent_task_name: PropTypes.string,
+    subtask_count: PropTypes.number,
+    subtask_done_count: PropTypes.number,
+    checklist_count: PropTypes.number,
+    checklist_done_count: PropTypes.number,
+    open_blocker_count: PropTypes.number,
+    recurrence_rule_id: PropTypes.number,
+    comment_count: PropTypes.number,
     priority: PropTypes.oneOf(['low', 'medium', 'high', 'urgent']),
     due_date: PropTypes.string,
     estimated_hours: PropTypes.number,
@@ -601,7 +859,13 @@ TaskCard.propTypes = {
     assigned_to_name: PropTypes.string,
     assigned_to_email: PropTypes.string,
     assigned_to_avatar_url: PropTypes.string,
-    queue_position: PropTypes.number
+    queue_position: PropTypes.number,
+    labels: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string
+    })),
+    custom_fields: PropTypes.object
   }).isRequired,
   onToggleStatus: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
@@ -609,6 +873,12 @@ TaskCard.propTypes = {
   members: PropTypes.array.isRequired,
   projects: PropTypes.array.isRequired,
   requesters: PropTypes.array.isRequired,
+  statuses: PropTypes.array,
+  labels: PropTypes.array,
+  customFields: PropTypes.array,
+  canEdit: PropTypes.bool,
+  canDelete: PropTypes.bool,
+  canDeleteAnyAttachment: PropTypes.bool,
   onAddToQueue: PropTypes.func,
   onRemoveFromQueue: PropTypes.func
 };
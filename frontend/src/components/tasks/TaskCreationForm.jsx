@@ -1,11 +1,19 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
-import { Plus, Loader, AlertCircle, Trash2 } from 'lucide-react';
+import { Plus, Loader, AlertCircle, Trash2, ArrowUp, ArrowDown } from 'lucide-react';
 import { validateName, validateDescription, cleanDisplayText, validateTimeFormat } from '../../utils/validation';
 import { useAuth } from '../../hooks/useAuth';
 import SearchableCombobox from '../ui/SearchableCombobox';
 import DateTimePicker from '../ui/DateTimePicker';
 import TimePicker from '../ui/TimePicker';
+import MentionTextarea from '../ui/MentionTextarea';
+import RecurrenceFields from './RecurrenceFields';
+import LabelPicker from '../ui/LabelPicker';
+import CustomFieldInput from '../ui/CustomFieldInput';
+import { STATUS_CATEGORIES } from '../../utils/taskStatus';
+import { CUSTOM_FIELD_TYPE_OPTIONS, CUSTOM_FIELD_SELECT_TYPES } from '../../utils/customFields';
+import { LIST_PERMISSIONS, hasListRole } from '../../utils/listRoles';
+import { EMPTY_RECURRENCE, toRecurrencePayload } from '../../utils/recurrence';
 
 const TaskCreationForm = ({
   taskList,
@@ -13,6 +21,13 @@ const TaskCreationForm = ({
   members,
   projects,
   requesters,
+  statuses = [],
+  labels = [],
+  customFields = [],
+  currentRole,
+  onStatusesChanged,
+  onLabelsChanged,
+  onCustomFieldsChanged,
   onProjectAdded,
   onProjectDeleted,
   onRequesterAdded,
@@ -26,17 +41,33 @@ const TaskCreationForm = ({
     assigned_to: '',
     priority: 'medium',
     due_date: '',
-    estimated_hours: ''
+    estimated_hours: '',
+    status_id: '',
+    label_ids: [],
+    custom_fields: {}
   });
   const [loading, setLoading] = useState(false);
-  const [deleteLoading, setDeleteLoading] = useState({ projects: {}, requesters: {} });
+  const [deleteLoading, setDeleteLoading] = useState({ projects: {}, requesters: {}, statuses: {}, labels: {}, customFields: {} });
   const [error, setError] = useState('');
   const [newRequester, setNewRequester] = useState('');
   const [newProject, setNewProject] = useState('');
   const [showProjectManager, setShowProjectManager] = useState(false);
   const [showRequesterManager, setShowRequesterManager] = useState(false);
+  const [newStatus, setNewStatus] = useState({ name: '', category: 'active', color: '#3b82f6' });
+  const [showStatusManager, setShowStatusManager] = useState(false);
+  const [newLabel, setNewLabel] = useState({ name: '', color: '#6b7280' });
+  const [showLabelManager, setShowLabelManager] = useState(false);
+  const [newCustomField, setNewCustomField] = useState({ name: '', fieldType: 'text', options: '' });
+  const [showCustomFieldManager, setShowCustomFieldManager] = useState(false);
+  const [recurrence, setRecurrence] = useState(EMPTY_RECURRENCE);
   const { api } = useAuth();
 
+  // Any member can add projects, requesters, labels and statuses; only admins delete them
+  const canDeleteReferenceData = hasListRole(currentRole, LIST_PERMISSIONS.deleteReferenceData);
+
+  // Only the list owner can define custom fields
+  const canManageCustomFields = hasListRole(currentRole, LIST_PERMISSIONS.manageCustomFields);
+
   const resetForm = () => {
     setNewTask({
       name: '',
@@ -46,8 +77,12 @@ const TaskCreationForm = ({
       assigned_to: '',
       priority: 'medium',
       due_date: '',
-      estimated_hours: ''
+      estimated_hours: '',
+      status_id: '',
+      label_ids: [],
+      custom_fields: {}
     });
+    setRecurrence(EMPTY_RECURRENCE);
     setError('');
   };
 
@@ -76,6 +111,11 @@ const TaskCreationForm = ({
       return;
     }
 
+    if (recurrence.frequency && !newTask.due_date) {
+      setError('A recurring task needs a start date');
+      return;
+    }
+
     setLoading(true);
     setError('');
 
@@ -90,6 +130,10 @@ const TaskCreationForm = ({
         priority: newTask.priority,
         dueDate: newTask.due_date || null,
         estimatedHours: newTask.estimated_hours || null,
+        statusId: newTask.status_id ? parseInt(newTask.status_id) : null,
+        recurrence: toRecurrencePayload(recurrence),
+        labelIds: newTask.label_ids,
+        customFields: newTask.custom_fields,
       };
 
       console.log('Creating task with data:', taskData);
@@ -201,6 +245,175 @@ const TaskCreationForm = ({
     }
   };
 
+  const addStatus = async () => {
+    if (!newStatus.name.trim()) return;
+
+    if (!validateName(newStatus.name)) {
+      setError('Status name contains invalid characters or is too long');
+      return;
+    }
+
+    try {
+      const status = await api.createTaskStatus(taskList.id, {
+        ...newStatus,
+        name: newStatus.name.trim()
+      });
+      if (onStatusesChanged) {
+        onStatusesChanged([...statuses, status]);
+      }
+      setNewStatus(prev => ({ ...prev, name: '' }));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const moveStatus = async (index, offset) => {
+    const reordered = [...statuses];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, moved);
+
+    try {
+      const updatedStatuses = await api.reorderTaskStatuses(taskList.id, reordered.map(status => status.id));
+      if (onStatusesChanged) {
+        onStatusesChanged(updatedStatuses);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to reorder statuses');
+    }
+  };
+
+  const deleteStatus = async (statusId) => {
+    try {
+      setDeleteLoading(prev => ({
+        ...prev,
+        statuses: { ...prev.statuses, [statusId]: true }
+      }));
+
+      await api.deleteTaskStatus(statusId);
+
+      if (onStatusesChanged) {
+        onStatusesChanged(statuses.filter(status => status.id !== statusId));
+      }
+
+      if (newTask.status_id === statusId.toString()) {
+        setNewTask(prev => ({ ...prev, status_id: '' }));
+      }
+
+    } catch (err) {
+      setError(err.message || 'Failed to delete status');
+    } finally {
+      setDeleteLoading(prev => ({
+        ...prev,
+        statuses: { ...prev.statuses, [statusId]: false }
+      }));
+    }
+  };
+
+  const addLabel = async () => {
+    if (!newLabel.name.trim()) return;
+
+    if (!validateName(newLabel.name)) {
+      setError('Label name contains invalid characters or is too long');
+      return;
+    }
+
+    try {
+      const label = await api.createLabel(taskList.id, {
+        ...newLabel,
+        name: newLabel.name.trim()
+      });
+      if (onLabelsChanged) {
+        onLabelsChanged([...labels, label]);
+      }
+      setNewLabel(prev => ({ ...prev, name: '' }));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteLabel = async (labelId) => {
+    try {
+      setDeleteLoading(prev => ({
+        ...prev,
+        labels: { ...prev.labels, [labelId]: true }
+      }));
+
+      await api.deleteLabel(labelId);
+
+      if (onLabelsChanged) {
+        onLabelsChanged(labels.filter(label => label.id !== labelId));
+      }
+
+      setNewTask(prev => ({ ...prev, label_ids: prev.label_ids.filter(id => id !== labelId) }));
+
+    } catch (err) {
+      setError(err.message || 'Failed to delete label');
+    } finally {
+      setDeleteLoading(prev => ({
+        ...prev,
+        labels: { ...prev.labels, [labelId]: false }
+      }));
+    }
+  };
+
+  const addCustomField = async () => {
+    if (!newCustomField.name.trim()) return;
+
+    if (!validateName(newCustomField.name)) {
+      setError('Field name contains invalid characters or is too long');
+      return;
+    }
+
+    const isSelect = CUSTOM_FIELD_SELECT_TYPES.includes(newCustomField.fieldType);
+
+    try {
+      const field = await api.createCustomField(taskList.id, {
+        name: newCustomField.name.trim(),
+        fieldType: newCustomField.fieldType,
+        ...(isSelect && {
+          options: newCustomField.options.split(',').map(option => option.trim()).filter(Boolean)
+        })
+      });
+      if (onCustomFieldsChanged) {
+        onCustomFieldsChanged([...customFields, field]);
+      }
+      setNewCustomField({ name: '', fieldType: 'text', options: '' });
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteCustomField = async (fieldId) => {
+    try {
+      setDeleteLoading(prev => ({
+        ...prev,
+        customFields: { ...prev.customFields, [fieldId]: true }
+      }));
+
+      await api.deleteCustomField(fieldId);
+
+      if (onCustomFieldsChanged) {
+        onCustomFieldsChanged(customFields.filter(field => field.id !== fieldId));
+      }
+
+      setNewTask(prev => {
+        const { [fieldId]: _removed, ...remaining } = prev.custom_fields;
+        return { ...prev, custom_fields: remaining };
+      });
+
+    } catch (err) {
+      setError(err.message || 'Failed to delete field');
+    } finally {
+      setDeleteLoading(prev => ({
+        ...prev,
+        customFields: { ...prev.customFields, [fieldId]: false }
+      }));
+    }
+  };
+
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border dark:border-gray-700 p-6 mb-6">
       <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-4">Create New Task</h2>
@@ -215,7 +428,7 @@ const TaskCreationForm = ({
           </div>
         )}
 
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
               Task Name *
@@ -260,6 +473,126 @@ const TaskCreationForm = ({
               <option value="urgent">Urgent</option>
             </select>
           </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Status
+              </label>
+              <button
+                type="button"
+                onClick={() => setShowStatusManager(!showStatusManager)}
+                className="text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+              >
+                {showStatusManager ? 'Hide' : 'Manage'} Statuses
+              </button>
+            </div>
+            <select
+              value={newTask.status_id}
+              onChange={(e) => setNewTask({...newTask, status_id: e.target.value})}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Default</option>
+              {statuses.map(status => (
+                <option key={status.id} value={status.id}>{cleanDisplayText(status.name)}</option>
+              ))}
+            </select>
+
+            {showStatusManager && (
+              <div className="mt-3 p-3 border border-gray-200 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700">
+                <div className="space-y-2">
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={newStatus.name}
+                      onChange={(e) => setNewStatus({...newStatus, name: e.target.value})}
+                      placeholder="New status name"
+                      className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-600 text-gray-900 dark:text-white focus:ring-1 focus:ring-blue-500 focus:border-transparent"
+                      onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), addStatus())}
+                    />
+                    <input
+                      type="color"
+                      value={newStatus.color}
+                      onChange={(e) => setNewStatus({...newStatus, color: e.target.value})}
+                      className="w-8 h-8 p-0 border border-gray-300 dark:border-gray-600 rounded cursor-pointer"
+                      title="Status color"
+                    />
+                  </div>
+                  <div className="flex gap-2">
+                    <select
+                      value={newStatus.category}
+                      onChange={(e) => setNewStatus({...newStatus, category: e.target.value})}
+                      className="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+                    >
+                      {STATUS_CATEGORIES.map(category => (
+                        <option key={category.value} value={category.value}>{category.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={addStatus}
+                      disabled={!newStatus.name.trim()}
+                      className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-1"
+                    >
+                      <Plus className="w-3 h-3" />
+                      Add
+                    </button>
+                  </div>
+
+                  {statuses.length > 0 && (
+                    <div className="space-y-1 max-h-40 overflow-y-auto">
+                      <p className="text-xs text-gray-600 dark:text-gray-400">Workflow:</p>
+                      {statuses.map((status, index) => (
+                        <div key={status.id} className="flex items-center gap-2 bg-white dark:bg-gray-600 px-2 py-1 rounded text-sm">
+                          <span
+                            className="w-3 h-3 rounded-full flex-shrink-0"
+                            style={{ backgroundColor: status.color || '#6b7280' }}
+                          />
+                          <span className="text-gray-800 dark:text-white truncate flex-1">{cleanDisplayText(status.name)}</span>
+                          <span className="text-xs text-gray-500 dark:text-gray-400">
+                            {STATUS_CATEGORIES.find(category => category.value === status.category)?.label}
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => moveStatus(index, -1)}
+                            disabled={index === 0}
+                            className="p-1 text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-white disabled:opacity-30"
+                            title="Move up"
+                          >
+                            <ArrowUp className="w-3 h-3" />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => moveStatus(index, 1)}
+                            disabled={index === statuses.length - 1}
+                            className="p-1 text-gray-500 dark:text-gray-300 hover:text-gray-700 dark:hover:text-white disabled:opacity-30"
+                            title="Move down"
+                          >
+                            <ArrowDown className="w-3 h-3" />
+                          </button>
+                          {canDeleteReferenceData && (
+                            <button
+                              type="button"
+                              onClick={() => deleteStatus(status.id)}
+                              disabled={deleteLoading.statuses[status.id]}
+                              className="p-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
+                              title="Delete status (its tasks move to another status)"
+                            >
+                              {deleteLoading.statuses[status.id] ? (
+                                <Loader className="w-3 h-3 animate-spin" />
+                              ) : (
+                                <Trash2 className="w-3 h-3" />
+                              )}
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
@@ -338,19 +671,21 @@ const TaskCreationForm = ({
                       {projects.map(project => (
                         <div key={project.id} className="flex items-center justify-between bg-white dark:bg-gray-600 px-2 py-1 rounded text-sm">
                           <span className="text-gray-800 dark:text-white truncate flex-1 mr-2">{cleanDisplayText(project.name)}</span>
-                          <button
-                            type="button"
-                            onClick={() => deleteProject(project.id)}
-                            disabled={deleteLoading.projects[project.id]}
-                            className="p-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
-                            title="Delete project"
-                          >
-                            {deleteLoading.projects[project.id] ? (
-                              <Loader className="w-3 h-3 animate-spin" />
-                            ) : (
-                              <Trash2 className="w-3 h-3" />
-                            )}
-                          </button>
+                          {canDeleteReferenceData && (
+                            <button
+                              type="button"
+                              onClick={() => deleteProject(project.id)}
+                              disabled={deleteLoading.projects[project.id]}
+                              className="p-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
+                              title="Delete project"
+                            >
+                              {deleteLoading.projects[project.id] ? (
+                                <Loader className="w-3 h-3 animate-spin" />
+                              ) : (
+                                <Trash2 className="w-3 h-3" />
+                              )}
+                            </button>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -420,19 +755,21 @@ const TaskCreationForm = ({
                       {requesters.map(requester => (
                         <div key={requester.id} className="flex items-center justify-between bg-white dark:bg-gray-600 px-2 py-1 rounded text-sm">
                           <span className="text-gray-800 dark:text-white truncate flex-1 mr-2">{cleanDisplayText(requester.name)}</span>
-                          <button
-                            type="button"
-                            onClick={() => deleteRequester(requester.id)}
-                            disabled={deleteLoading.requesters[requester.id]}
-                            className="p-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
-                            title="Delete requester"
-                          >
-                            {deleteLoading.requesters[requester.id] ? (
-                              <Loader className="w-3 h-3 animate-spin" />
-                            ) : (
-                              <Trash2 className="w-3 h-3" />
-                            )}
-                          </button>
+                          {canDeleteReferenceData && (
+                            <button
+                              type="button"
+                              onClick={() => deleteRequester(requester.id)}
+                              disabled={deleteLoading.requesters[requester.id]}
+                              className="p-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
+                              title="Delete requester"
+                            >
+                              {deleteLoading.requesters[requester.id] ? (
+                                <Loader className="w-3 h-3 animate-spin" />
+                              ) : (
+                                <Trash2 className="w-3 h-3" />
+                              )}
+                            </button>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -467,14 +804,221 @@ const TaskCreationForm = ({
           </div>
         </div>
 
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Labels
+            </label>
+            <button
+              type="button"
+              onClick={() => setShowLabelManager(!showLabelManager)}
+              className="text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+            >
+              {showLabelManager ? 'Hide' : 'Manage'} Labels
+            </button>
+          </div>
+          <LabelPicker
+            labels={labels}
+            selectedIds={newTask.label_ids}
+            onChange={(labelIds) => setNewTask({...newTask, label_ids: labelIds})}
+            emptyText='No labels - click "Manage Labels" to add one'
+          />
+
+          {showLabelManager && (
+            <div className="mt-3 p-3 border border-gray-200 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700">
+              <div className="space-y-2">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={newLabel.name}
+                    onChange={(e) => setNewLabel({...newLabel, name: e.target.value})}
+                    placeholder="New label name"
+                    maxLength={50}
+                    className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-600 text-gray-900 dark:text-white focus:ring-1 focus:ring-blue-500 focus:border-transparent"
+                    onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), addLabel())}
+                  />
+                  <input
+                    type="color"
+                    value={newLabel.color}
+                    onChange={(e) => setNewLabel({...newLabel, color: e.target.value})}
+                    className="w-8 h-8 p-0 border border-gray-300 dark:border-gray-600 rounded cursor-pointer"
+                    title="Label color"
+                  />
+                  <button
+                    type="button"
+                    onClick={addLabel}
+                    disabled={!newLabel.name.trim()}
+                    className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-1"
+                  >
+                    <Plus className="w-3 h-3" />
+                    Add
+                  </button>
+                </div>
+
+                {labels.length > 0 && (
+                  <div className="space-y-1 max-h-32 overflow-y-auto">
+                    <p className="text-xs text-gray-600 dark:text-gray-400">Existing Labels:</p>
+                    {labels.map(label => (
+                      <div key={label.id} className="flex items-center gap-2 bg-white dark:bg-gray-600 px-2 py-1 rounded text-sm">
+                        <span
+                          className="w-3 h-3 rounded-full flex-shrink-0"
+                          style={{ backgroundColor: label.color || '#6b7280' }}
+                        />
+                        <span className="text-gray-800 dark:text-white truncate flex-1">{cleanDisplayText(label.name)}</span>
+                        {canDeleteReferenceData && (
+                          <button
+                            type="button"
+                            onClick={() => deleteLabel(label.id)}
+                            disabled={deleteLoading.labels[label.id]}
+                            className="p-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
+                            title="Delete label (it is removed from every task)"
+                          >
+                            {deleteLoading.labels[label.id] ? (
+                              <Loader className="w-3 h-3 animate-spin" />
+                            ) : (
+                              <Trash2 className="w-3 h-3" />
+                            )}
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {(customFields.length > 0 || canManageCustomFields) && (
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Custom Fields
+              </label>
+              {canManageCustomFields && (
+                <button
+                  type="button"
+                  onClick={() => setShowCustomFieldManager(!showCustomFieldManager)}
+                  className="text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+                >
+                  {showCustomFieldManager ? 'Hide' : 'Manage'} Fields
+                </button>
+              )}
+            </div>
+
+            {customFields.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No custom fields - click &quot;Manage Fields&quot; to add one</p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {customFields.map(field => (
+                  <div key={field.id}>
+                    <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+                      {cleanDisplayText(field.name)}
+                    </label>
+                    <CustomFieldInput
+                      field={field}
+                      value={newTask.custom_fields[field.id]}
+                      onChange={(fieldValue) => setNewTask({
+                        ...newTask,
+                        custom_fields: { ...newTask.custom_fields, [field.id]: fieldValue }
+                      })}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {showCustomFieldManager && (
+              <div className="mt-3 p-3 border border-gray-200 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700">
+                <div className="space-y-2">
+                  <div className="flex flex-wrap gap-2">
+                    <input
+                      type="text"
+                      value={newCustomField.name}
+                      onChange={(e) => setNewCustomField({...newCustomField, name: e.target.value})}
+                      placeholder="New field name"
+                      maxLength={100}
+                      className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-600 text-gray-900 dark:text-white focus:ring-1 focus:ring-blue-500 focus:border-transparent"
+                      onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), addCustomField())}
+                    />
+                    <select
+                      value={newCustomField.fieldType}
+                      onChange={(e) => setNewCustomField({...newCustomField, fieldType: e.target.value})}
+                      className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+                    >
+                      {CUSTOM_FIELD_TYPE_OPTIONS.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={addCustomField}
+                      disabled={!newCustomField.name.trim()}
+                      className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-1"
+                    >
+                      <Plus className="w-3 h-3" />
+                      Add
+                    </button>
+                  </div>
+
+                  {CUSTOM_FIELD_SELECT_TYPES.includes(newCustomField.fieldType) && (
+                    <input
+                      type="text"
+                      value={newCustomField.options}
+                      onChange={(e) => setNewCustomField({...newCustomField, options: e.target.value})}
+                      placeholder="Options, separated by commas"
+                      className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-600 text-gray-900 dark:text-white focus:ring-1 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  )}
+
+                  {customFields.length > 0 && (
+                    <div className="space-y-1 max-h-32 overflow-y-auto">
+                      <p className="text-xs text-gray-600 dark:text-gray-400">Existing Fields:</p>
+                      {customFields.map(field => (
+                        <div key={field.id} className="flex items-center gap-2 bg-white dark:bg-gray-600 px-2 py-1 rounded text-sm">
+                          <span className="text-gray-800 dark:text-white truncate flex-1">{cleanDisplayText(field.name)}</span>
+                          <span className="text-xs text-gray-500 dark:text-gray-400">
+                            {CUSTOM_FIELD_TYPE_OPTIONS.find(type => type.value === field.field_type)?.label}
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => deleteCustomField(field.id)}
+                            disabled={deleteLoading.customFields[field.id]}
+                            className="p-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
+                            title="Delete field (its value is removed from every task)"
+                          >
+                            {deleteLoading.customFields[field.id] ? (
+                              <Loader className="w-3 h-3 animate-spin" />
+                            ) : (
+                              <Trash2 className="w-3 h-3" />
+                            )}
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Repeat
+          </label>
+          <RecurrenceFields value={recurrence} onChange={setRecurrence} />
+        </div>
+
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
             Description
           </label>
-          <textarea
+          <MentionTextarea
             value={newTask.description}
-            onChange={(e) => {
-              setNewTask({...newTask, description: e.target.value});
+            members={members}
+            onChange={(description) => {
+              setNewTask({...newTask, description});
               // Clear error when user starts typing
               if (error && error.includes('description')) {
                 setError('');
@@ -520,7 +1064,8 @@ const TaskCreationForm = ({
 TaskCreationForm.propTypes = {
   taskList: PropTypes.shape({
     id: PropTypes.number.isRequired,
-    name: PropTypes.string.isRequired
+    name: PropTypes.string.isRequired,
+    owner_id: PropTypes.number
   }).isRequired,
   onTaskCreated: PropTypes.func.isRequired,
   members: PropTypes.arrayOf(
@@ -541,6 +1086,33 @@ TaskCreationForm.propTypes = {
       name: PropTypes.string.isRequired
     })
   ).isRequired,
+  statuses: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      category: PropTypes.oneOf(['todo', 'active', 'done']).isRequired,
+      color: PropTypes.string
+    })
+  ),
+  labels: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string
+    })
+  ),
+  customFields: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      field_type: PropTypes.string.isRequired,
+      options: PropTypes.arrayOf(PropTypes.string)
+    })
+  ),
+  currentRole: PropTypes.string,
+  onStatusesChanged: PropTypes.func,
+  onLabelsChanged: PropTypes.func,
+  onCustomFieldsChanged: PropTypes.func,
   onProjectAdded: PropTypes.func,
   onProjectDeleted: PropTypes.func,
   onRequesterAdded: PropTypes.func,
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Loader } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { cleanDisplayText } from '../../utils/validation';
+import { formatDatetime } from '../../utils/dateUtils';
+import { getAvatarUrl } from '../../utils/gravatar';
+
+const FIELD_LABELS = {
+  name: 'name',
+  description: 'description',
+  due_date: 'due date',
+  priority: 'priority',
+  estimated_hours: 'estimated hours',
+  day_assigned: 'day assigned',
+  project: 'project',
+  requester: 'requester',
+  assignee: 'assignee',
+  status: 'status',
+  labels: 'labels'
+};
+
+const MAX_VALUE_LENGTH = 80;
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) return 'none';
+  if (field === 'due_date') return formatDatetime(value);
+
+  const text = cleanDisplayText(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+};
+
+const describeEvent = (event) => {
+  const label = FIELD_LABELS[event.field] || event.field;
+  const from = formatValue(event.field, event.old_value);
+  const to = formatValue(event.field, event.new_value);
+
+  switch (event.event_type) {
+    case 'created':
+      return event.field === 'recurrence' ? 'created this task from its repeat schedule' : 'created this task';
+    case 'deleted':
+      return 'deleted this task';
+    case 'restored':
+      return 'restored this task from the trash';
+    case 'assigned':
+      if (!event.new_value) return `unassigned ${from}`;
+      return event.old_value ? `reassigned from ${from} to ${to}` : `assigned to ${to}`;
+    case 'status_changed':
+      return `moved from ${from} to ${to}`;
+    case 'reminder_added':
+      return `added a reminder ${to}`;
+    case 'reminder_removed':
+      return `removed a reminder ${from}`;
+    default:
+      if (event.field === 'description') return 'changed the description';
+      return `changed the ${label} from ${from} to ${to}`;
+  }
+};
+
+const TaskHistory = ({ task }) => {
+  const { api } = useAuth();
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Reload whenever the task changes, so the timeline stays current
+  useEffect(() => {
+    loadHistory();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [task.id, task.updated_at]);
+
+  const loadHistory = async () => {
+    try {
+      const data = await api.getTaskHistory(task.id);
+      setEvents(data);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 rounded-lg p-2 mb-3">
+          <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader className="w-5 h-5 animate-spin text-blue-600" />
+        </div>
+      ) : events.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No history yet</p>
+      ) : (
+        <ol className="relative ml-3 border-l border-gray-200 dark:border-gray-700 max-h-96 overflow-y-auto">
+          {events.map(event => {
+            // Generated recurring instances have no actor
+            const actorName = event.actor_id
+              ? cleanDisplayText(event.actor_name)
+              : event.field === 'recurrence' ? 'Task Sphere' : 'Former member';
+
+            return (
+              <li key={event.id} className="mb-3 ml-4">
+                <img
+                  src={getAvatarUrl(event.actor_email, event.actor_avatar_url, 24)}
+                  alt={actorName}
+                  className="absolute -left-3 w-6 h-6 rounded-full ring-2 ring-white dark:ring-gray-800"
+                />
+                <p className="text-sm text-gray-800 dark:text-gray-200 break-words">
+                  <span className="font-medium">{actorName}</span> {describeEvent(event)}
+                </p>
+                <time className="text-xs text-gray-500 dark:text-gray-400">
+                  {formatDatetime(event.created_at)}
+                </time>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+TaskHistory.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    updated_at: PropTypes.string
+  }).isRequired
+};
+
+export default TaskHistory;
@@ -1,43 +1,82 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
-import { Search, Share2, LogOut, Loader, ListChecks, ListOrdered, ArrowUpDown, UserCircle } from 'lucide-react';
+import { Search, Share2, LogOut, Loader, ListChecks, ListOrdered, Trash2, ArrowUpDown, UserCircle, Users } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
 import { WebSocketService } from '../../services/WebSocketService';
 import DarkModeToggle from '../ui/DarkModeToggle';
 import NotificationBell from '../ui/NotificationBell';
 import SearchableCombobox from '../ui/SearchableCombobox';
+import SearchPalette from '../ui/SearchPalette';
+import LabelPicker from '../ui/LabelPicker';
+import { CustomFieldFilter } from '../ui/CustomFieldInput';
 import TaskCreationForm from './TaskCreationForm';
 import TaskCard from './TaskCard';
 import MyQueueView from './MyQueueView';
-
-const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
+import MembersModal from './MembersModal';
+import ShareModal from './ShareModal';
+import TrashView from './TrashView';
+import SavedViewsBar from './SavedViewsBar';
+import { isTaskCompleted, getToggledStatusId } from '../../utils/taskStatus';
+import { isSortableCustomField } from '../../utils/customFields';
+import { LIST_PERMISSIONS, hasListRole, canDeleteTask } from '../../utils/listRoles';
+import { cleanDisplayText } from '../../utils/validation';
+import { DEFAULT_TASK_FILTERS, buildTaskQuery, placeTask, filtersToView, viewToFilters } from '../../utils/taskFilters';
+
+const TASK_PAGE_SIZE = 50;
+
+const TaskManager = ({ taskList, onBack, initialTaskId, initialViewId, onOpenProfile, onNavigateToTask }) => {
   const [tasks, setTasks] = useState([]);
   const [members, setMembers] = useState([]);
   const [projects, setProjects] = useState([]);
   const [requesters, setRequesters] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [labels, setLabels] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [filters, setFilters] = useState({
-    search: '',
-    requester: 'All',
-    project: 'All',
-    assignedTo: 'All',
-    priority: 'All',
-    sortBy: 'id',
-    sortDirection: 'desc'
-  });
+  const [filters, setFilters] = useState(DEFAULT_TASK_FILTERS);
+  const [savedViews, setSavedViews] = useState([]);
+  const [selectedViewId, setSelectedViewId] = useState(null);
+  const [viewsReady, setViewsReady] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [taskCounts, setTaskCounts] = useState({ total: 0, completed: 0 });
+  const [tasksLoading, setTasksLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [selectedTasks, setSelectedTasks] = useState([]);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [inviteCode, setInviteCode] = useState(taskList.invite_code);
+  const [showMembersModal, setShowMembersModal] = useState(false);
   const [error, setError] = useState('');
   const [activeView, setActiveView] = useState('tasks');
+  const [focusedTaskId, setFocusedTaskId] = useState(initialTaskId);
 
   const { logout, user, api } = useAuth();
 
   const ws = useMemo(() => new WebSocketService(), []);
 
+  const currentRole = members.find(member => member.id === user.id)?.role;
+  const canEditTasks = hasListRole(currentRole, LIST_PERMISSIONS.editTasks);
+  // The invite code and links are only sent to members who manage invites
+  const canManageInvites = hasListRole(currentRole, LIST_PERMISSIONS.manageMembers);
+
+  // Socket handlers are registered once per list, so they read these through refs
+  const filtersRef = useRef(filters);
+  const nextCursorRef = useRef(nextCursor);
+  const referenceDataRef = useRef({ members, projects, requesters });
+  const taskRequestRef = useRef(0);
+  const customFieldsRef = useRef(customFields);
+  const lastSearchRef = useRef(filters.search);
+  const lastCustomFieldFiltersRef = useRef(filters.customFields);
+  const loadMoreRef = useRef(null);
+
+  filtersRef.current = filters;
+  nextCursorRef.current = nextCursor;
+  referenceDataRef.current = { members, projects, requesters };
+  customFieldsRef.current = customFields;
+
   useEffect(() => {
     loadData();
 
-    ws.connect();
+    ws.connect(api);
     ws.joinTaskList(taskList.id);
 
     const handleTaskCreated = (task) => {
@@ -47,29 +86,146 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
           console.log('Task already exists in state, skipping duplicate');
           return prev;
         }
-        console.log('Adding new task to state via WebSocket');
-        return [task, ...prev];
+        return placeTask(prev, task, filtersRef.current, nextCursorRef.current !== null, customFieldsRef.current);
       });
     };
 
+    // An update can move a task within the sort order or out of the filters
     const handleTaskUpdated = (updatedTask) => {
-      setTasks(prev => prev.map(task =>
-        task.id === updatedTask.id ? updatedTask : task
-      ));
+      setTasks(prev => placeTask(prev, updatedTask, filtersRef.current, nextCursorRef.current !== null, customFieldsRef.current));
     };
 
     const handleTaskDeleted = (deletedTask) => {
       setTasks(prev => prev.filter(task => task.id !== deletedTask.id));
     };
 
+    // Renamed, recolored or deleted statuses change how every task renders,
+    // so refetch tasks to pick up the joined status fields
+    const handleTaskStatusesUpdated = async ({ statuses: updatedStatuses }) => {
+      setStatuses(updatedStatuses);
+      loadTasks();
+    };
+
+    const handleTaskProgressUpdated = (progress) => {
+      setTasks(prev => prev.map(task =>
+        task.id === progress.task_id
+          ? {
+              ...task,
+              subtask_count: progress.subtask_count,
+              subtask_done_count: progress.subtask_done_count,
+              checklist_count: progress.checklist_count,
+              checklist_done_count: progress.checklist_done_count
+            }
+          : task
+      ));
+    };
+
+    const handleTaskBlockersUpdated = ({ task_id, open_blocker_count }) => {
+      setTasks(prev => prev.map(task =>
+        task.id === task_id ? { ...task, open_blocker_count } : task
+      ));
+    };
+
+    const handleCommentCreated = (comment) => {
+      setTasks(prev => prev.map(task =>
+        task.id === comment.task_id
+          ? { ...task, comment_count: (task.comment_count || 0) + 1 }
+          : task
+      ));
+    };
+
+    const handleCommentDeleted = ({ task_id, deleted_count }) => {
+      setTasks(prev => prev.map(task =>
+        task.id === task_id
+          ? { ...task, comment_count: Math.max((task.comment_count || 0) - deleted_count, 0) }
+          : task
+      ));
+    };
+
+    // Restored tasks come back into their members' queues, so positions are refetched
+    const handleTaskRestored = async (task) => {
+      handleTaskCreated(task);
+      try {
+        const updatedQueueData = await api.getQueue(user.id, taskList.id);
+
+        setTasks(prev => prev.map(t => {
+          const queueTask = updatedQueueData.find(qt => qt.id === t.id);
+          return { ...t, queue_position: queueTask ? queueTask.queue_position : null };
+        }));
+      } catch (queueErr) {
+        console.error('Failed to refresh queue positions after restore:', queueErr);
+      }
+    };
+
     ws.on('taskCreated', handleTaskCreated);
     ws.on('taskUpdated', handleTaskUpdated);
     ws.on('taskDeleted', handleTaskDeleted);
+    // Label chips are joined into each task, so a rename or delete refetches
+    // tasks; a deleted label also leaves the filters
+    const handleLabelsUpdated = ({ labels: updatedLabels }) => {
+      setLabels(updatedLabels);
+      const remaining = filtersRef.current.labelIds.filter(id => updatedLabels.some(label => label.id === id));
+      if (remaining.length !== filtersRef.current.labelIds.length) {
+        setFilters(prev => ({ ...prev, labelIds: remaining }));
+      } else {
+        loadTasks();
+      }
+    };
+
+    // Deleted fields and removed options also drop task values, so tasks are
+    // refetched; filters and sorting on a deleted field are reset
+    const handleCustomFieldsUpdated = ({ customFields: updatedFields }) => {
+      setCustomFields(updatedFields);
+      const current = filtersRef.current;
+      const fieldExists = (fieldId) => updatedFields.some(field => field.id === parseInt(fieldId));
+      const remaining = Object.fromEntries(
+        Object.entries(current.customFields).filter(([fieldId]) => fieldExists(fieldId))
+      );
+      const sortRemoved = /^cf\d+$/.test(current.sortBy) && !fieldExists(current.sortBy.slice(2));
+
+      if (Object.keys(remaining).length !== Object.keys(current.customFields).length || sortRemoved) {
+        setFilters(prev => ({
+          ...prev,
+          customFields: remaining,
+          sortBy: sortRemoved ? DEFAULT_TASK_FILTERS.sortBy : prev.sortBy
+        }));
+      } else {
+        loadTasks();
+      }
+    };
+
+    // A member who was removed is sent back to their lists
+    const handleMembersUpdated = ({ members: updatedMembers }) => {
+      if (!updatedMembers.some(member => member.id === user.id)) {
+        onBack();
+        return;
+      }
+      setMembers(updatedMembers);
+    };
+
+    ws.on('taskStatusesUpdated', handleTaskStatusesUpdated);
+    ws.on('membersUpdated', handleMembersUpdated);
+    ws.on('labelsUpdated', handleLabelsUpdated);
+    ws.on('customFieldsUpdated', handleCustomFieldsUpdated);
+    ws.on('taskProgressUpdated', handleTaskProgressUpdated);
+    ws.on('taskBlockersUpdated', handleTaskBlockersUpdated);
+    ws.on('commentCreated', handleCommentCreated);
+    ws.on('commentDeleted', handleCommentDeleted);
+    ws.on('taskRestored', handleTaskRestored);
 
     return () => {
       ws.off('taskCreated', handleTaskCreated);
       ws.off('taskUpdated', handleTaskUpdated);
       ws.off('taskDeleted', handleTaskDeleted);
+      ws.off('taskStatusesUpdated', handleTaskStatusesUpdated);
+      ws.off('membersUpdated', handleMembersUpdated);
+      ws.off('labelsUpdated', handleLabelsUpdated);
+      ws.off('customFieldsUpdated', handleCustomFieldsUpdated);
+      ws.off('taskProgressUpdated', handleTaskProgressUpdated);
+      ws.off('taskBlockersUpdated', handleTaskBlockersUpdated);
+      ws.off('commentCreated', handleCommentCreated);
+      ws.off('commentDeleted', handleCommentDeleted);
+      ws.off('taskRestored', handleTaskRestored);
       ws.leaveTaskList(taskList.id);
       ws.disconnect();
     };
@@ -77,128 +233,255 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
   }, [taskList.id]);
 
   useEffect(() => {
-    if (initialTaskId && tasks.length > 0) {
-      setTimeout(() => {
-        const taskElement = document.querySelector(`[data-task-id="${initialTaskId}"]`);
-        if (taskElement) {
-          taskElement.scrollIntoView({
-            behavior: 'smooth',
-            block: 'center'
-          });
-
-          taskElement.classList.add('notification-highlight');
-          setTimeout(() => {
-            taskElement.classList.remove('notification-highlight');
-          }, 3000);
-        }
-      }, 500);
+    setFocusedTaskId(initialTaskId);
+  }, [initialTaskId]);
+
+  // Search hits and notifications for this list focus the task in place
+  useEffect(() => {
+    const handleHighlight = (event) => {
+      if (event.detail.taskListId === taskList.id) {
+        setActiveView('tasks');
+        setFocusedTaskId(event.detail.taskId);
+      }
+    };
+
+    window.addEventListener('highlightTask', handleHighlight);
+    return () => window.removeEventListener('highlightTask', handleHighlight);
+  }, [taskList.id]);
+
+  useEffect(() => {
+    if (!focusedTaskId || tasksLoading) return;
+
+    // The task may be on a page that isn't loaded yet, so fetch it on its own
+    if (!tasks.some(task => task.id === focusedTaskId)) {
+      api.getTask(focusedTaskId)
+        .then(task => setTasks(prev => prev.some(t => t.id === task.id) ? prev : [task, ...prev]))
+        .catch(err => {
+          console.error('Failed to load focused task:', err);
+          setFocusedTaskId(null);
+        });
+      return;
     }
-  }, [initialTaskId, tasks]);
+
+    setFocusedTaskId(null);
+    setTimeout(() => {
+      const taskElement = document.querySelector(`[data-task-id="${focusedTaskId}"]`);
+      if (taskElement) {
+        taskElement.scrollIntoView({
+          behavior: 'smooth',
+          block: 'center'
+        });
+
+        taskElement.classList.add('notification-highlight');
+        setTimeout(() => {
+          taskElement.classList.remove('notification-highlight');
+        }, 3000);
+      }
+    }, 500);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focusedTaskId, tasks, tasksLoading]);
+
+  const openSearchHit = (hit) => {
+    if (hit.task_list_id === taskList.id) {
+      window.dispatchEvent(new CustomEvent('highlightTask', {
+        detail: { taskId: hit.task_id, taskListId: hit.task_list_id }
+      }));
+    } else if (onNavigateToTask) {
+      onNavigateToTask(hit.task_list_id, hit.task_id);
+    }
+  };
 
   const loadData = async () => {
     try {
       setLoading(true);
-      const [tasksData, membersData, projectsData, requestersData] = await Promise.all([
-        api.getTasks(taskList.id),
+      const [membersData, projectsData, requestersData, statusesData, labelsData, customFieldsData, viewsData] = await Promise.all([
         api.getTaskListMembers(taskList.id),
         api.getProjects(taskList.id),
-        api.getRequesters(taskList.id)
+        api.getRequesters(taskList.id),
+        api.getTaskStatuses(taskList.id),
+        api.getLabels(taskList.id),
+        api.getCustomFields(taskList.id),
+        api.getSavedViews(taskList.id).catch(err => {
+          console.error('Failed to load saved views:', err);
+          return [];
+        })
       ]);
-      
-      setTasks(tasksData);
+
       setMembers(membersData);
       setProjects(projectsData);
       setRequesters(requestersData);
+      setStatuses(statusesData);
+      setLabels(labelsData);
+      setCustomFields(customFieldsData);
+      setSavedViews(viewsData);
+
+      // A shared view link wins over the user's default view
+      const initialView = viewsData.find(view => view.id === initialViewId)
+        || viewsData.find(view => view.is_default);
+      if (initialView) {
+        setSelectedViewId(initialView.id);
+        setFilters(viewToFilters(initialView.filters, {
+          members: membersData,
+          projects: projectsData,
+          requesters: requestersData,
+          statuses: statusesData,
+          labels: labelsData,
+          customFields: customFieldsData
+        }));
+      }
     } catch (err) {
       setError(err.message || 'Failed to load data');
     } finally {
       setLoading(false);
+      setViewsReady(true);
     }
   };
 
-  const filteredTasks = useMemo(() => {
-    return tasks
-      .filter(task => {
-        return (
-          (filters.search === '' || task.name.toLowerCase().includes(filters.search.toLowerCase())) &&
-          (filters.requester === 'All' || task.requester_name === filters.requester) &&
-          (filters.project === 'All' || task.project_name === filters.project) &&
-          (filters.assignedTo === 'All' || task.assigned_to_name === filters.assignedTo) &&
-          (filters.priority === 'All' || task.priority === filters.priority)
-        );
-      })
-      .sort((a, b) => {
-        // Incomplete tasks first
-        if (a.status !== b.status) {
-          return a.status ? 1 : -1;
-        }
+  const applySavedView = (view) => {
+    setSelectedViewId(view ? view.id : null);
+    setFilters(view
+      ? viewToFilters(view.filters, { members, projects, requesters, statuses, labels, customFields })
+      : DEFAULT_TASK_FILTERS);
+  };
 
-        // Apply selected sort field
-        let comparison = 0;
-        const direction = filters.sortDirection === 'asc' ? 1 : -1;
-
-        switch (filters.sortBy) {
-          case 'id':
-            comparison = (a.id - b.id) * direction;
-            break;
-          case 'name':
-            comparison = (a.name || '').localeCompare(b.name || '') * direction;
-            break;
-          case 'priority': {
-            const priorityOrder = { urgent: 4, high: 3, medium: 2, low: 1 };
-            comparison = ((priorityOrder[a.priority] || 0) - (priorityOrder[b.priority] || 0)) * direction;
-            break;
-          }
-          case 'requester':
-            comparison = (a.requester_name || '').localeCompare(b.requester_name || '') * direction;
-            break;
-          case 'project':
-            comparison = (a.project_name || '').localeCompare(b.project_name || '') * direction;
-            break;
-          case 'assignedTo':
-            comparison = (a.assigned_to_name || '').localeCompare(b.assigned_to_name || '') * direction;
-            break;
-          case 'dueDate': {
-            const aDate = a.due_date ? new Date(a.due_date).getTime() : 0;
-            const bDate = b.due_date ? new Date(b.due_date).getTime() : 0;
-            comparison = (aDate - bDate) * direction;
-            break;
-          }
-          case 'reminder': {
-            const aReminder = a.next_reminder_datetime ? new Date(a.next_reminder_datetime).getTime() : Infinity;
-            const bReminder = b.next_reminder_datetime ? new Date(b.next_reminder_datetime).getTime() : Infinity;
-            comparison = (aReminder - bReminder) * direction;
-            break;
-          }
-          case 'createdAt': {
-            const aCreated = a.created_at ? new Date(a.created_at).getTime() : 0;
-            const bCreated = b.created_at ? new Date(b.created_at).getTime() : 0;
-            comparison = (aCreated - bCreated) * direction;
-            break;
-          }
-          default:
-            comparison = (a.id - b.id) * direction;
-        }
+  const handleSavedViewsChange = (views) => {
+    setSavedViews(views);
+    if (!views.some(view => view.id === selectedViewId)) {
+      setSelectedViewId(null);
+    }
+  };
 
-        return comparison;
+  // Replace the loaded tasks with the first page for the current filters
+  const loadTasks = async () => {
+    const requestId = ++taskRequestRef.current;
+
+    try {
+      setTasksLoading(true);
+      const page = await api.getTasks(taskList.id, {
+        ...buildTaskQuery(filtersRef.current, referenceDataRef.current),
+        limit: TASK_PAGE_SIZE
       });
-  }, [tasks, filters]);
+
+      // A newer filter change may have started another request meanwhile
+      if (requestId !== taskRequestRef.current) return;
+
+      setTasks(page.tasks);
+      setNextCursor(page.nextCursor);
+      setTaskCounts({ total: page.totalCount, completed: page.completedCount });
+      setSelectedTasks([]);
+    } catch (err) {
+      if (requestId === taskRequestRef.current) {
+        setError(err.message || 'Failed to load tasks');
+      }
+    } finally {
+      if (requestId === taskRequestRef.current) {
+        setTasksLoading(false);
+      }
+    }
+  };
+
+  const loadMoreTasks = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    const requestId = taskRequestRef.current;
+
+    try {
+      setLoadingMore(true);
+      const page = await api.getTasks(taskList.id, {
+        ...buildTaskQuery(filters, { members, projects, requesters }),
+        cursor: nextCursor,
+        limit: TASK_PAGE_SIZE
+      });
+
+      if (requestId !== taskRequestRef.current) return;
+
+      // Live updates may already have placed some of these tasks
+      setTasks(prev => [...prev, ...page.tasks.filter(task => !prev.some(t => t.id === task.id))]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message || 'Failed to load more tasks');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Typing in the search box or a custom field filter should not send a
+  // request per keystroke. The first load waits for the default or linked
+  // view to be applied.
+  useEffect(() => {
+    if (!viewsReady) return;
+
+    const typed = filters.search !== lastSearchRef.current ||
+      filters.customFields !== lastCustomFieldFiltersRef.current;
+    lastSearchRef.current = filters.search;
+    lastCustomFieldFiltersRef.current = filters.customFields;
+
+    const timer = setTimeout(loadTasks, typed ? 300 : 0);
+    return () => clearTimeout(timer);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [taskList.id, filters, viewsReady]);
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreTasks();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [nextCursor, loadingMore, activeView]);
+
+  // Counts from the server cover the unloaded pages; once everything is
+  // loaded, counting locally keeps them right through live updates
+  const completedCount = nextCursor
+    ? taskCounts.completed
+    : tasks.filter(t => isTaskCompleted(t)).length;
+  const totalCount = nextCursor ? taskCounts.total : tasks.length;
+
+  // Completing a task with open subtasks or checklist items needs confirmation
+  const saveTaskUpdates = async (taskId, updates) => {
+    try {
+      return await api.updateTask(taskId, updates);
+    } catch (err) {
+      if (err.status !== 409) {
+        throw err;
+      }
+
+      const { openSubtasks = 0, openChecklistItems = 0 } = err.data || {};
+      const confirmed = window.confirm(
+        `This task still has ${openSubtasks} open subtask(s) and ${openChecklistItems} unchecked checklist item(s). Complete it anyway?`
+      );
+
+      return confirmed ? api.updateTask(taskId, { ...updates, force: true }) : null;
+    }
+  };
 
   const toggleTaskStatus = async (taskId) => {
     try {
       const task = tasks.find(t => t.id === taskId);
+      const statusId = getToggledStatusId(task, statuses);
+      if (!statusId) {
+        return;
+      }
       const updates = { 
-        status: !task.status
+        status_id: statusId
       };
       
       console.log('Toggling task status for:', taskId, 'with updates:', updates);
 
-      const updatedTask = await api.updateTask(taskId, updates);
+      const updatedTask = await saveTaskUpdates(taskId, updates);
+      if (!updatedTask) {
+        return;
+      }
       console.log('Received updated task after status toggle:', updatedTask);
 
-      setTasks(prevTasks => prevTasks.map(task =>
-        task.id === taskId ? updatedTask : task
-      ));
+      setTasks(prevTasks => placeTask(prevTasks, updatedTask, filters, nextCursor !== null, customFields));
       
     } catch (err) {
       console.error('Failed to toggle task status:', err);
@@ -237,14 +520,15 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
       console.log('Updating task:', taskId, 'with:', updates);
 
       // Get the complete updated task from the server
-      const updatedTask = await api.updateTask(taskId, updates);
+      const updatedTask = await saveTaskUpdates(taskId, updates);
+      if (!updatedTask) {
+        return;
+      }
 
       console.log('Received updated task from server:', updatedTask);
 
       // Update the local state with the complete task data from server
-      setTasks(prevTasks => prevTasks.map(task =>
-        task.id === taskId ? updatedTask : task
-      ));
+      setTasks(prevTasks => placeTask(prevTasks, updatedTask, filters, nextCursor !== null, customFields));
 
       console.log('Updated local task state');
 
@@ -405,13 +689,24 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
             
             <div className="flex items-center gap-3">
               <button
-                onClick={() => setShowShareModal(true)}
-                className="flex items-center gap-2 px-4 py-2 bg-green-100 dark:bg-green-900/50 text-green-700 dark:text-green-300 rounded-lg hover:bg-green-200 dark:hover:bg-green-900/70 transition-colors"
+                onClick={() => setShowMembersModal(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
               >
-                <Share2 className="w-4 h-4" />
-                Share
+                <Users className="w-4 h-4" />
+                Members
               </button>
+
+              {canManageInvites && (
+                <button
+                  onClick={() => setShowShareModal(true)}
+                  className="flex items-center gap-2 px-4 py-2 bg-green-100 dark:bg-green-900/50 text-green-700 dark:text-green-300 rounded-lg hover:bg-green-200 dark:hover:bg-green-900/70 transition-colors"
+                >
+                  <Share2 className="w-4 h-4" />
+                  Share
+                </button>
+              )}
               
+              <SearchPalette onOpenHit={openSearchHit} />
               <DarkModeToggle />
               <NotificationBell />
 
@@ -445,38 +740,47 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
           </div>
         )}
 
-        {/* Task Creation Form */}
-        <TaskCreationForm
-          taskList={taskList}
-          onTaskCreated={(createdTask) => {
-            console.log('TaskCreationForm onTaskCreated callback called with:', createdTask);
-            // Immediately add the task to local state for instant UI update
-            setTasks(prev => {
-              // Prevent duplicates - check if task already exists
-              if (prev.some(t => t.id === createdTask.id)) {
-                console.log('Task already exists in state, skipping duplicate from form callback');
-                return prev;
-              }
-              console.log('Adding new task to state from form callback');
-              return [createdTask, ...prev];
-            });
-          }}
-          members={members}
-          projects={projects}
-          requesters={requesters}
-          onProjectAdded={(project) => {
-            setProjects(prev => [...prev, project]);
-          }}
-          onProjectDeleted={(projectId) => {
-            setProjects(prev => prev.filter(p => p.id !== projectId));
-          }}
-          onRequesterAdded={(requester) => {
-            setRequesters(prev => [...prev, requester]);
-          }}
-          onRequesterDeleted={(requesterId) => {
-            setRequesters(prev => prev.filter(r => r.id !== requesterId));
-          }}
-        />
+        {/* Task Creation Form (viewers can only read) */}
+        {canEditTasks && (
+          <TaskCreationForm
+            taskList={taskList}
+            onTaskCreated={(createdTask) => {
+              console.log('TaskCreationForm onTaskCreated callback called with:', createdTask);
+              // Immediately add the task to local state for instant UI update
+              setTasks(prev => {
+                // Prevent duplicates - check if task already exists
+                if (prev.some(t => t.id === createdTask.id)) {
+                  console.log('Task already exists in state, skipping duplicate from form callback');
+                  return prev;
+                }
+                console.log('Adding new task to state from form callback');
+                return placeTask(prev, createdTask, filters, nextCursor !== null, customFields);
+              });
+            }}
+            members={members}
+            projects={projects}
+            requesters={requesters}
+            statuses={statuses}
+            labels={labels}
+            customFields={customFields}
+            currentRole={currentRole}
+            onStatusesChanged={setStatuses}
+            onLabelsChanged={setLabels}
+            onCustomFieldsChanged={setCustomFields}
+            onProjectAdded={(project) => {
+              setProjects(prev => [...prev, project]);
+            }}
+            onProjectDeleted={(projectId) => {
+              setProjects(prev => prev.filter(p => p.id !== projectId));
+            }}
+            onRequesterAdded={(requester) => {
+              setRequesters(prev => [...prev, requester]);
+            }}
+            onRequesterDeleted={(requesterId) => {
+              setRequesters(prev => prev.filter(r => r.id !== requesterId));
+            }}
+          />
+        )}
 
         {/* View Tabs */}
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-2 mb-6">
@@ -503,12 +807,33 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
               <ListOrdered className="w-4 h-4" />
               My Queue
             </button>
+            <button
+              onClick={() => setActiveView('trash')}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                activeView === 'trash'
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              <Trash2 className="w-4 h-4" />
+              Trash
+            </button>
           </div>
         </div>
 
         {/* Filters (only show on tasks view) */}
         {activeView === 'tasks' && (
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-6">
+          <SavedViewsBar
+            taskList={taskList}
+            views={savedViews}
+            selectedViewId={selectedViewId}
+            currentFilters={filtersToView(filters, { members, projects, requesters })}
+            canShare={canEditTasks}
+            onSelect={applySavedView}
+            onViewsChange={handleSavedViewsChange}
+          />
+
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Search</label>
@@ -568,9 +893,7 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
             
             <div className="flex items-end">
               <button
-                onClick={() => setFilters({
-                  search: '', requester: 'All', project: 'All', assignedTo: 'All', priority: 'All', sortBy: 'id', sortDirection: 'desc'
-                })}
+                onClick={() => applySavedView(null)}
                 className="w-full px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
               >
                 Reset Filters
@@ -578,7 +901,21 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
             </div>
           </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mt-4 pt-4 border-t dark:border-gray-700">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mt-4 pt-4 border-t dark:border-gray-700">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Status</label>
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters({...filters, status: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="All">All Statuses</option>
+                {statuses.map(status => (
+                  <option key={status.id} value={status.id}>{status.name}</option>
+                ))}
+              </select>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Sort By</label>
               <select
@@ -595,9 +932,34 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
                 <option value="dueDate">Due Date</option>
                 <option value="reminder">Reminder (Next)</option>
                 <option value="createdAt">Created Date</option>
+                {customFields.filter(isSortableCustomField).map(field => (
+                  <option key={field.id} value={`cf${field.id}`}>{cleanDisplayText(field.name)}</option>
+                ))}
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Due From</label>
+              <input
+                type="date"
+                value={filters.dueFrom}
+                max={filters.dueTo || undefined}
+                onChange={(e) => setFilters({...filters, dueFrom: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Due To</label>
+              <input
+                type="date"
+                value={filters.dueTo}
+                min={filters.dueFrom || undefined}
+                onChange={(e) => setFilters({...filters, dueTo: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+
             <div className="flex items-end">
               <button
                 onClick={() => setFilters({...filters, sortDirection: filters.sortDirection === 'asc' ? 'desc' : 'asc'})}
@@ -608,11 +970,56 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
               </button>
             </div>
           </div>
+
+          {labels.length > 0 && (
+            <div className="mt-4 pt-4 border-t dark:border-gray-700">
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Labels</label>
+                <select
+                  value={filters.labelMode}
+                  onChange={(e) => setFilters({...filters, labelMode: e.target.value})}
+                  className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  title="How tasks must match the selected labels"
+                >
+                  <option value="any">Any selected label (OR)</option>
+                  <option value="all">All selected labels (AND)</option>
+                </select>
+              </div>
+              <LabelPicker
+                labels={labels}
+                selectedIds={filters.labelIds}
+                onChange={(labelIds) => setFilters({...filters, labelIds})}
+              />
+            </div>
+          )}
+
+          {customFields.length > 0 && (
+            <div className="mt-4 pt-4 border-t dark:border-gray-700">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Custom Fields</label>
+              <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                {customFields.map(field => (
+                  <div key={field.id}>
+                    <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+                      {cleanDisplayText(field.name)}
+                    </label>
+                    <CustomFieldFilter
+                      field={field}
+                      value={filters.customFields[field.id] || ''}
+                      onChange={(fieldValue) => setFilters({
+                        ...filters,
+                        customFields: { ...filters.customFields, [field.id]: fieldValue }
+                      })}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
         )}
 
         {/* Bulk Actions (only show on tasks view) */}
-        {activeView === 'tasks' && selectedTasks.length > 0 && (
+        {activeView === 'tasks' && canEditTasks && selectedTasks.length > 0 && (
           <div className="bg-blue-50 dark:bg-blue-900/50 border border-blue-200 dark:border-blue-700 rounded-lg p-4 mb-6">
             <div className="flex items-center justify-between">
               <span className="text-blue-800 dark:text-blue-200 font-medium">
@@ -659,6 +1066,25 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
                   <option value="high">High</option>
                   <option value="urgent">Urgent</option>
                 </select>
+
+                <select
+                  onChange={async (e) => {
+                    if (e.target.value !== '') {
+                      const statusId = parseInt(e.target.value);
+                      const tasksToUpdate = [...selectedTasks];
+                      setSelectedTasks([]);
+                      e.target.value = '';
+                      await Promise.all(tasksToUpdate.map(taskId => updateTask(taskId, { status_id: statusId })));
+                    }
+                  }}
+                  defaultValue=""
+                  className="px-3 py-1 border border-blue-300 dark:border-blue-600 rounded text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                >
+                  <option value="" disabled>Set Status</option>
+                  {statuses.map(status => (
+                    <option key={status.id} value={status.id}>{status.name}</option>
+                  ))}
+                </select>
                 
                 <button
                   onClick={async () => {
@@ -710,18 +1136,19 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6">
           <div className="flex items-center justify-between mb-6">
             <h2 className="text-lg font-semibold text-gray-800 dark:text-white">
-              Tasks ({filteredTasks.length})
+              Tasks ({totalCount})
+              {tasksLoading && <Loader className="inline w-4 h-4 ml-2 animate-spin text-blue-600" />}
             </h2>
             
             <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
-              <span>{filteredTasks.filter(t => t.status).length} completed</span>
+              <span>{completedCount} completed</span>
               <span>•</span>
-              <span>{filteredTasks.filter(t => !t.status).length} pending</span>
+              <span>{totalCount - completedCount} pending</span>
             </div>
           </div>
           
           <div className="space-y-3">
-            {filteredTasks.length === 0 ? (
+            {tasks.length === 0 && !tasksLoading ? (
               <div className="text-center py-12">
                 <div className="w-16 h-16 bg-gray-100 dark:bg-gray-700 rounded-full flex items-center justify-center mx-auto mb-4">
                   <Search className="w-8 h-8 text-gray-400 dark:text-gray-500" />
@@ -730,20 +1157,22 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
                 <p className="text-gray-500 dark:text-gray-500">Try adjusting your filters or add a new task</p>
               </div>
             ) : (
-              filteredTasks.map(task => (
+              tasks.map(task => (
                 <div key={task.id} className="flex items-start gap-3">
-                  <input
-                    type="checkbox"
-                    checked={selectedTasks.includes(task.id)}
-                    onChange={(e) => {
-                      if (e.target.checked) {
-                        setSelectedTasks([...selectedTasks, task.id]);
-                      } else {
-                        setSelectedTasks(selectedTasks.filter(id => id !== task.id));
-                      }
-                    }}
-                    className="mt-6 rounded"
-                  />
+                  {canEditTasks && (
+                    <input
+                      type="checkbox"
+                      checked={selectedTasks.includes(task.id)}
+                      onChange={(e) => {
+                        if (e.target.checked) {
+                          setSelectedTasks([...selectedTasks, task.id]);
+                        } else {
+                          setSelectedTasks(selectedTasks.filter(id => id !== task.id));
+                        }
+                      }}
+                      className="mt-6 rounded"
+                    />
+                  )}
                   <div className="flex-1">
                     <TaskCard
                       key={task.id}
@@ -756,12 +1185,24 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
                       members={members}
                       projects={projects}
                       requesters={requesters}
+                      statuses={statuses}
+                      labels={labels}
+                      customFields={customFields}
+                      canEdit={canEditTasks}
+                      canDelete={canDeleteTask(currentRole, task, user.id)}
+                      canDeleteAnyAttachment={hasListRole(currentRole, LIST_PERMISSIONS.deleteAnyTask)}
                     />
                   </div>
                 </div>
               ))
             )}
           </div>
+
+          {nextCursor && (
+            <div ref={loadMoreRef} className="flex justify-center pt-6">
+              {loadingMore && <Loader className="w-6 h-6 animate-spin text-blue-600" />}
+            </div>
+          )}
         </div>
         )}
 
@@ -773,6 +1214,10 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
             members={members}
             projects={projects}
             requesters={requesters}
+            statuses={statuses}
+            labels={labels}
+            customFields={customFields}
+            currentRole={currentRole}
             onTaskUpdate={updateTask}
             onTaskDelete={deleteTask}
             onAddToQueue={updateQueuePositionOnAdd}
@@ -780,50 +1225,38 @@ const TaskManager = ({ taskList, onBack, initialTaskId, onOpenProfile }) => {
             onReorderQueue={updateQueuePositionOnReorder}
           />
         )}
+
+        {/* Trash View */}
+        {activeView === 'trash' && (
+          <TrashView
+            taskList={taskList}
+            canEdit={canEditTasks}
+            onRestore={(task) => {
+              setTasks(prev => prev.some(t => t.id === task.id) ? prev : placeTask(prev, task, filters, nextCursor !== null, customFields));
+            }}
+          />
+        )}
       </div>
 
-      {/* Share Modal */}
-      {showShareModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-          <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full">
-            <h3 className="text-lg font-semibold text-gray-800 dark:text-white mb-4">Share Task List</h3>
-            
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Invite Code</label>
-                <div className="flex gap-2">
-                  <input
-                    type="text"
-                    value={taskList.invite_code || 'ABC123'}
-                    readOnly
-                    className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white"
-                  />
-                  <button
-                    onClick={() => {
-                      navigator.clipboard.writeText(taskList.invite_code || 'ABC123');
-                      alert('Invite code copied!');
-                    }}
-                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-                  >
-                    Copy
-                  </button>
-                </div>
-                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                  Share this code with friends so they can join your task list
-                </p>
-              </div>
-              
-              <div className="flex justify-end gap-2 pt-4">
-                <button
-                  onClick={() => setShowShareModal(false)}
-                  className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
-                >
-                  Close
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
+      {showMembersModal && (
+        <MembersModal
+          taskList={taskList}
+          members={members}
+          currentRole={currentRole}
+          onMembersChange={setMembers}
+          onLeave={onBack}
+          onClose={() => setShowMembersModal(false)}
+        />
+      )}
+
+      {showShareModal && canManageInvites && (
+        <ShareModal
+          taskList={taskList}
+          inviteCode={inviteCode}
+          currentRole={currentRole}
+          onInviteCodeChange={setInviteCode}
+          onClose={() => setShowShareModal(false)}
+        />
       )}
     </div>
   );
@@ -837,7 +1270,9 @@ TaskManager.propTypes = {
     owner_id: PropTypes.number
   }).isRequired,
   onBack: PropTypes.func.isRequired,
-  initialTaskId: PropTypes.number
+  initialTaskId: PropTypes.number,
+  initialViewId: PropTypes.number,
+  onNavigateToTask: PropTypes.func
 };
 
 export default TaskManager;
\ No newline at end of file
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Trash2, RotateCcw, Loader, CornerDownRight } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { WebSocketService } from '../../services/WebSocketService';
+import { cleanDisplayText } from '../../utils/validation';
+import { formatDatetime } from '../../utils/dateUtils';
+
+const TrashView = ({ taskList, canEdit = true, onRestore }) => {
+  const { api } = useAuth();
+  const [trashedTasks, setTrashedTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState('');
+
+  const ws = useMemo(() => new WebSocketService(), []);
+
+  useEffect(() => {
+    loadTrash();
+
+    // Deletions and restores by other members change the trash too
+    ws.connect(api);
+    ws.joinTaskList(taskList.id);
+    ws.on('taskDeleted', loadTrash);
+    ws.on('taskRestored', loadTrash);
+
+    return () => {
+      ws.off('taskDeleted', loadTrash);
+      ws.off('taskRestored', loadTrash);
+      ws.leaveTaskList(taskList.id);
+      ws.disconnect();
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [taskList.id]);
+
+  const loadTrash = async () => {
+    try {
+      const data = await api.getTaskListTrash(taskList.id);
+      setTrashedTasks(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (taskId) => {
+    try {
+      setRestoringId(taskId);
+      setError('');
+      const restoredTask = await api.restoreTask(taskId);
+      await loadTrash();
+      onRestore(restoredTask);
+    } catch (err) {
+      setError(err.message || 'Failed to restore task');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6">
+      <div className="flex items-center gap-2 mb-4">
+        <Trash2 className="w-5 h-5 text-gray-600 dark:text-gray-300" />
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Trash</h2>
+      </div>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        Deleted tasks stay here until they are permanently removed. Restoring a task brings back its subtasks and queue positions.
+      </p>
+
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 rounded-lg p-3 mb-4">
+          <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : trashedTasks.length === 0 ? (
+        <p className="text-center py-8 text-gray-500 dark:text-gray-400">The trash is empty</p>
+      ) : (
+        <ul className="space-y-2">
+          {trashedTasks.map(task => (
+            <li
+              key={task.id}
+              className="flex items-center justify-between gap-4 p-3 border border-gray-200 dark:border-gray-700 rounded-lg"
+            >
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 dark:text-white truncate">
+                  {cleanDisplayText(task.name)}
+                </p>
+                {task.parent_task_id && (
+                  <p className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                    <CornerDownRight className="w-3 h-3" />
+                    Subtask of {cleanDisplayText(task.parent_task_name)}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Deleted by {cleanDisplayText(task.deleted_by_name) || 'Former member'} on {formatDatetime(task.deleted_at)}
+                  {' · '}
+                  Removed for good on {formatDatetime(task.purge_at)}
+                </p>
+              </div>
+
+              {canEdit && (
+                <button
+                  onClick={() => handleRestore(task.id)}
+                  disabled={restoringId !== null || task.parent_deleted}
+                  className="flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+                  title={task.parent_deleted ? 'Restore the parent task first' : 'Restore'}
+                >
+                  {restoringId === task.id ? <Loader className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+                  Restore
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+TrashView.propTypes = {
+  taskList: PropTypes.shape({
+    id: PropTypes.number.isRequired
+  }).isRequired,
+  canEdit: PropTypes.bool,
+  onRestore: PropTypes.func.isRequired
+};
+
+export default TrashView;
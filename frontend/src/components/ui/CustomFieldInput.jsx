@@ -0,0 +1,227 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Check, ExternalLink } from 'lucide-react';
+import { cleanDisplayText } from '../../utils/validation';
+import { isEmptyCustomFieldValue } from '../../utils/customFields';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50';
+
+const customFieldShape = PropTypes.shape({
+  id: PropTypes.number.isRequired,
+  name: PropTypes.string.isRequired,
+  field_type: PropTypes.oneOf(['text', 'number', 'date', 'single_select', 'multi_select', 'checkbox', 'url']).isRequired,
+  options: PropTypes.arrayOf(PropTypes.string)
+});
+
+// Read-only chip for a task's value; unchecked checkboxes and empty values render nothing
+export const CustomFieldValue = ({ field, value }) => {
+  if (isEmptyCustomFieldValue(value) || value === false) {
+    return null;
+  }
+
+  const name = cleanDisplayText(field.name);
+  const chipClass = 'text-xs px-2 py-1 rounded-full bg-indigo-100 text-indigo-800 dark:bg-indigo-900/50 dark:text-indigo-300';
+
+  switch (field.field_type) {
+    case 'checkbox':
+      return (
+        <span className={`${chipClass} inline-flex items-center gap-1`}>
+          <Check className="w-3 h-3" />
+          {name}
+        </span>
+      );
+    case 'url':
+      return (
+        <a
+          href={value}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`${chipClass} inline-flex items-center gap-1 hover:underline`}
+        >
+          {name}
+          <ExternalLink className="w-3 h-3" />
+        </a>
+      );
+    case 'date':
+      return (
+        <span className={chipClass}>
+          {name}: {new Date(`${value}T00:00:00`).toLocaleDateString()}
+        </span>
+      );
+    case 'multi_select':
+      return <span className={chipClass}>{name}: {value.join(', ')}</span>;
+    default:
+      return <span className={chipClass}>{name}: {cleanDisplayText(String(value))}</span>;
+  }
+};
+
+CustomFieldValue.propTypes = {
+  field: customFieldShape.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.bool, PropTypes.arrayOf(PropTypes.string)])
+};
+
+// Filter control for a field. Values are strings, with '' meaning no filter.
+export const CustomFieldFilter = ({ field, value, onChange }) => {
+  switch (field.field_type) {
+    case 'single_select':
+    case 'multi_select':
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+          <option value="">All</option>
+          {field.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    case 'checkbox':
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+          <option value="">All</option>
+          <option value="true">Checked</option>
+          <option value="false">Unchecked</option>
+        </select>
+      );
+    case 'number':
+    case 'date':
+      return (
+        <input
+          type={field.field_type}
+          step={field.field_type === 'number' ? 'any' : undefined}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClass}
+        />
+      );
+    default:
+      return (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Contains..."
+          maxLength={200}
+          className={inputClass}
+        />
+      );
+  }
+};
+
+CustomFieldFilter.propTypes = {
+  field: customFieldShape.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+// One input per field type. Cleared inputs report null so the value is removed on save.
+const CustomFieldInput = ({ field, value, onChange, disabled = false }) => {
+  switch (field.field_type) {
+    case 'number':
+      return (
+        <input
+          type="number"
+          step="any"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? null : parseFloat(e.target.value))}
+          disabled={disabled}
+          className={inputClass}
+        />
+      );
+    case 'date':
+      return (
+        <input
+          type="date"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value || null)}
+          disabled={disabled}
+          className={inputClass}
+        />
+      );
+    case 'single_select':
+      return (
+        <select
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value || null)}
+          disabled={disabled}
+          className={inputClass}
+        >
+          <option value="">—</option>
+          {field.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    case 'multi_select': {
+      const selected = value || [];
+      const toggle = (option) => {
+        const next = selected.includes(option)
+          ? selected.filter(o => o !== option)
+          : [...selected, option];
+        onChange(next.length > 0 ? next : null);
+      };
+
+      return (
+        <div className="flex flex-wrap gap-2">
+          {field.options.map(option => {
+            const isSelected = selected.includes(option);
+            return (
+              <button
+                key={option}
+                type="button"
+                onClick={() => toggle(option)}
+                disabled={disabled}
+                aria-pressed={isSelected}
+                className={`text-xs px-2 py-1 rounded-full border border-indigo-500 flex items-center gap-1 transition-colors disabled:opacity-50 ${
+                  isSelected ? 'bg-indigo-500 text-white' : 'text-gray-700 dark:text-gray-300'
+                }`}
+              >
+                {isSelected && <Check className="w-3 h-3" />}
+                {option}
+              </button>
+            );
+          })}
+        </div>
+      );
+    }
+    case 'checkbox':
+      return (
+        <input
+          type="checkbox"
+          checked={value === true}
+          onChange={(e) => onChange(e.target.checked)}
+          disabled={disabled}
+          className="w-4 h-4"
+        />
+      );
+    case 'url':
+      return (
+        <input
+          type="url"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value || null)}
+          placeholder="https://"
+          disabled={disabled}
+          className={inputClass}
+        />
+      );
+    default:
+      return (
+        <input
+          type="text"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value || null)}
+          maxLength={1000}
+          disabled={disabled}
+          className={inputClass}
+        />
+      );
+  }
+};
+
+CustomFieldInput.propTypes = {
+  field: customFieldShape.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.bool, PropTypes.arrayOf(PropTypes.string)]),
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default CustomFieldInput;
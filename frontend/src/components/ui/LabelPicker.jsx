@@ -0,0 +1,71 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Check } from 'lucide-react';
+import { cleanDisplayText } from '../../utils/validation';
+
+const labelShape = PropTypes.shape({
+  id: PropTypes.number.isRequired,
+  name: PropTypes.string.isRequired,
+  color: PropTypes.string
+});
+
+export const LabelChip = ({ label }) => (
+  <span
+    className="text-xs px-2 py-1 rounded-full text-white"
+    style={{ backgroundColor: label.color || '#6b7280' }}
+  >
+    {cleanDisplayText(label.name)}
+  </span>
+);
+
+LabelChip.propTypes = {
+  label: labelShape.isRequired
+};
+
+// Multi-select shown as toggleable chips; selected labels are filled with their color
+const LabelPicker = ({ labels, selectedIds, onChange, disabled = false, emptyText = 'No labels yet' }) => {
+  if (labels.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">{emptyText}</p>;
+  }
+
+  const toggle = (labelId) => {
+    onChange(selectedIds.includes(labelId)
+      ? selectedIds.filter(id => id !== labelId)
+      : [...selectedIds, labelId]);
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {labels.map(label => {
+        const selected = selectedIds.includes(label.id);
+        const color = label.color || '#6b7280';
+        return (
+          <button
+            key={label.id}
+            type="button"
+            onClick={() => toggle(label.id)}
+            disabled={disabled}
+            aria-pressed={selected}
+            className={`text-xs px-2 py-1 rounded-full border flex items-center gap-1 transition-colors disabled:opacity-50 ${
+              selected ? 'text-white' : 'text-gray-700 dark:text-gray-300 bg-transparent'
+            }`}
+            style={{ borderColor: color, backgroundColor: selected ? color : undefined }}
+          >
+            {selected && <Check className="w-3 h-3" />}
+            {cleanDisplayText(label.name)}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+LabelPicker.propTypes = {
+  labels: PropTypes.arrayOf(labelShape).isRequired,
+  selectedIds: PropTypes.arrayOf(PropTypes.number).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  emptyText: PropTypes.string
+};
+
+export default LabelPicker;
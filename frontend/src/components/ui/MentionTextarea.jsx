@@ -0,0 +1,143 @@
+import React, { useState, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import Fuse from 'fuse.js';
+import { getAvatarUrl } from '../../utils/gravatar';
+import { cleanDisplayText } from '../../utils/validation';
+
+const MAX_SUGGESTIONS = 5;
+
+// The "@query" being typed right before the caret, if any
+const getMentionQuery = (text, caret) => {
+  const match = /(^|\s)@([^\s@]{0,30})$/.exec(text.slice(0, caret));
+  return match ? { query: match[2], start: caret - match[2].length - 1 } : null;
+};
+
+const MentionTextarea = ({ value, onChange, members = [], className, ...textareaProps }) => {
+  const [mention, setMention] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const textareaRef = useRef(null);
+
+  const options = useMemo(() => members.map(member => ({
+    ...member,
+    name: cleanDisplayText(member.name)
+  })), [members]);
+
+  // Same fuzzy matching as SearchableCombobox
+  const fuse = useMemo(() => {
+    return new Fuse(options, {
+      keys: ['name'],
+      threshold: 0.3,
+      ignoreLocation: true,
+      minMatchCharLength: 1,
+      includeScore: true
+    });
+  }, [options]);
+
+  const suggestions = useMemo(() => {
+    if (!mention) return [];
+    const matches = mention.query
+      ? fuse.search(mention.query).map(result => result.item)
+      : options;
+    return matches.slice(0, MAX_SUGGESTIONS);
+  }, [mention, options, fuse]);
+
+  const updateMention = (text, caret) => {
+    setMention(getMentionQuery(text, caret));
+    setActiveIndex(0);
+  };
+
+  const selectMember = (member) => {
+    const caret = textareaRef.current ? textareaRef.current.selectionStart : value.length;
+    const inserted = `@${member.name} `;
+    const nextValue = value.slice(0, mention.start) + inserted + value.slice(caret);
+    onChange(nextValue);
+    setMention(null);
+
+    // Put the caret after the inserted mention once React has re-rendered
+    requestAnimationFrame(() => {
+      if (textareaRef.current) {
+        const position = mention.start + inserted.length;
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(position, position);
+      }
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      selectMember(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setMention(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        {...textareaProps}
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          updateMention(e.target.value, e.target.selectionStart);
+        }}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateMention(e.target.value, e.target.selectionStart)}
+        onBlur={() => setMention(null)}
+        className={className}
+      />
+
+      {suggestions.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-64 max-w-full rounded-md bg-white dark:bg-gray-700 py-1 text-sm shadow-lg ring-1 ring-black ring-opacity-5">
+          {suggestions.map((member, index) => (
+            <li
+              key={member.id}
+              // Keep focus in the textarea so onBlur does not close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectMember(member);
+              }}
+              className={`flex items-center gap-2 px-3 py-2 cursor-pointer ${
+                index === activeIndex
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-900 dark:text-white'
+              }`}
+            >
+              <img
+                src={getAvatarUrl(member.email, member.avatar_url, 24)}
+                alt={member.name}
+                className="w-6 h-6 rounded-full"
+              />
+              <span className="truncate">{member.name}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+MentionTextarea.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  members: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      email: PropTypes.string,
+      avatar_url: PropTypes.string
+    })
+  ),
+  className: PropTypes.string
+};
+
+export default MentionTextarea;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Search, Loader, CornerDownRight } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { cleanDisplayText } from '../../utils/validation';
+
+// The server marks matches with these control characters (see search.service.js)
+const HIGHLIGHT_START = String.fromCharCode(2);
+const HIGHLIGHT_END = String.fromCharCode(3);
+
+// Render a highlighted string as text with <mark> around the matches; the
+// text is never parsed as HTML
+const Highlighted = ({ text }) => {
+  const segments = [];
+  text.split(HIGHLIGHT_START).forEach((chunk, index) => {
+    if (index === 0) {
+      segments.push({ text: chunk, marked: false });
+      return;
+    }
+    const [marked, ...rest] = chunk.split(HIGHLIGHT_END);
+    segments.push({ text: marked, marked: true }, { text: rest.join(''), marked: false });
+  });
+
+  return (
+    <>
+      {segments.map((segment, index) => (
+        segment.marked
+          ? <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 dark:text-white rounded-sm">{segment.text}</mark>
+          : <React.Fragment key={index}>{segment.text}</React.Fragment>
+      ))}
+    </>
+  );
+};
+
+Highlighted.propTypes = {
+  text: PropTypes.string.isRequired
+};
+
+const SearchPalette = ({ onOpenHit }) => {
+  const { api } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [hits, setHits] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+
+  // Ctrl+K / Cmd+K opens the palette from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setOpen(prev => !prev);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      inputRef.current?.focus();
+    } else {
+      setQuery('');
+      setHits([]);
+      setError('');
+    }
+  }, [open]);
+
+  useEffect(() => {
+    const terms = query.trim();
+    if (terms.length < 2) {
+      setHits([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const data = await api.searchTasks(terms);
+        if (!cancelled) {
+          setHits(data);
+          setActiveIndex(0);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Search failed');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query]);
+
+  const openHit = (hit) => {
+    setOpen(false);
+    onOpenHit(hit);
+  };
+
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.min(prev + 1, hits.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && hits[activeIndex]) {
+      openHit(hits[activeIndex]);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        className="p-2 text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+        title="Search all lists (Ctrl+K)"
+      >
+        <Search className="w-5 h-5" />
+      </button>
+
+      {open && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center p-4 pt-24 z-50"
+          onClick={() => setOpen(false)}
+        >
+          <div
+            className="bg-white dark:bg-gray-800 rounded-lg shadow-lg w-full max-w-2xl overflow-hidden"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center gap-3 px-4 border-b dark:border-gray-700">
+              <Search className="w-5 h-5 text-gray-400" />
+              <input
+                ref={inputRef}
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={handleInputKeyDown}
+                placeholder="Search tasks and comments in all your lists..."
+                className="flex-1 py-4 bg-transparent text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none"
+              />
+              {loading && <Loader className="w-4 h-4 animate-spin text-blue-600" />}
+            </div>
+
+            <div className="max-h-96 overflow-y-auto">
+              {error && (
+                <p className="px-4 py-3 text-sm text-red-600 dark:text-red-400">{error}</p>
+              )}
+
+              {!error && query.trim().length >= 2 && !loading && hits.length === 0 && (
+                <p className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">No matching tasks</p>
+              )}
+
+              {hits.map((hit, index) => (
+                <button
+                  key={hit.task_id}
+                  onClick={() => openHit(hit)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`w-full text-left px-4 py-3 border-b last:border-b-0 dark:border-gray-700 ${
+                    index === activeIndex ? 'bg-blue-50 dark:bg-blue-900/30' : ''
+                  }`}
+                >
+                  <div className="flex items-center gap-2">
+                    {hit.parent_task_id && <CornerDownRight className="w-3 h-3 text-gray-400 flex-shrink-0" />}
+                    <span className="font-medium text-gray-900 dark:text-white truncate">
+                      <Highlighted text={hit.title_highlight} />
+                    </span>
+                    {hit.status_name && (
+                      <span
+                        className="text-xs px-2 py-0.5 rounded-full text-white flex-shrink-0"
+                        style={{ backgroundColor: hit.status_color || '#6b7280' }}
+                      >
+                        {cleanDisplayText(hit.status_name)}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">{cleanDisplayText(hit.task_list_name)}</p>
+                  {hit.snippet && (
+                    <p className="text-sm text-gray-600 dark:text-gray-300 mt-1 line-clamp-2">
+                      <Highlighted text={hit.snippet} />
+                    </p>
+                  )}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+SearchPalette.propTypes = {
+  onOpenHit: PropTypes.func.isRequired
+};
+
+export default SearchPalette;
@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Users, Trash2, LogOut, Loader, AlertCircle, UserCircle } from 'lucide-react';
+import { Plus, Users, Trash2, LogOut, Loader, AlertCircle, UserCircle, DoorOpen } from 'lucide-react';
 import { useAuth } from '../../hooks/useAuth';
 import { cleanDisplayText } from '../../utils/validation';
+import { LIST_ROLES } from '../../utils/listRoles';
+import { getInviteLinkParams, clearInviteLinkParams } from '../../utils/inviteLink';
 import DarkModeToggle from './DarkModeToggle';
 import NotificationBell from './NotificationBell';
+import SearchPalette from './SearchPalette';
 
 const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
   const [taskLists, setTaskLists] = useState([]);
@@ -14,6 +17,8 @@ const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [showJoinForm, setShowJoinForm] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
+  const [showLeaveConfirm, setShowLeaveConfirm] = useState(null);
+  const [leaveLoading, setLeaveLoading] = useState(false);
   const [newListName, setNewListName] = useState('');
   const [newListDescription, setNewListDescription] = useState('');
   const [inviteCode, setInviteCode] = useState('');
@@ -33,6 +38,16 @@ const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Invite links open the join form with the code filled in
+  useEffect(() => {
+    const inviteLink = getInviteLinkParams();
+    if (!inviteLink) return;
+
+    clearInviteLinkParams();
+    setInviteCode(inviteLink.code);
+    setShowJoinForm(true);
+  }, []);
+
   useEffect(() => {
     const autoSelectId = sessionStorage.getItem('autoSelectTaskListId');
     if (autoSelectId && taskLists.length > 0) {
@@ -132,6 +147,23 @@ const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
     }
   };
 
+  const handleLeaveList = async (taskListId) => {
+    try {
+      setLeaveLoading(true);
+      setError('');
+
+      await api.leaveTaskList(taskListId);
+
+      setTaskLists(prevLists => prevLists.filter(list => list.id !== taskListId));
+      setShowLeaveConfirm(null);
+    } catch (err) {
+      console.error('Error leaving task list:', err);
+      setError(err.message || 'Failed to leave task list');
+    } finally {
+      setLeaveLoading(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800 flex items-center justify-center">
@@ -155,6 +187,7 @@ const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
           </div>
           
           <div className="flex items-center gap-2">
+            <SearchPalette onOpenHit={(hit) => handleNavigateToTask(hit.task_list_id, hit.task_id)} />
             <DarkModeToggle />
             <NotificationBell onNavigateToTask={handleNavigateToTask} />
             {onOpenProfile && (
@@ -213,6 +246,7 @@ const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {taskLists.map((list) => {
                 const isOwner = user && list.owner_id === user.id;
+                const roleLabel = LIST_ROLES.find(role => role.value === list.user_role)?.label || (isOwner ? 'Owner' : 'Member');
                 
                 return (
                   <div
@@ -228,7 +262,7 @@ const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
                           {cleanDisplayText(list.name)}
                         </h3>
 
-                        {isOwner && (
+                        {isOwner ? (
                           <button
                             onClick={(e) => {
                               e.stopPropagation();
@@ -239,6 +273,18 @@ const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
                           >
                             <Trash2 className="w-4 h-4" />
                           </button>
+                        ) : (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setShowLeaveConfirm(list);
+                              setError('');
+                            }}
+                            className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+                            title="Leave task list"
+                          >
+                            <DoorOpen className="w-4 h-4" />
+                          </button>
                         )}
                       </div>
 
@@ -248,7 +294,7 @@ const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
                             ? 'bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200'
                             : 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'
                         }`}>
-                          {isOwner ? 'Owner' : 'Member'}
+                          {roleLabel}
                         </span>
                         {list.owner_name && (
                           <span className="text-xs text-gray-500 dark:text-gray-400">
@@ -445,6 +491,47 @@ const TaskListSelector = ({ onSelectTaskList, onOpenProfile }) => {
             </div>
           </div>
         )}
+
+        {showLeaveConfirm && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full">
+              <h3 className="text-lg font-semibold text-gray-800 dark:text-white mb-4">Leave Task List</h3>
+
+              {error && (
+                <div className="bg-red-50 dark:bg-red-900/50 border border-red-200 dark:border-red-700 rounded-lg p-3 mb-4">
+                  <div className="flex items-center gap-2">
+                    <AlertCircle className="w-4 h-4 text-red-600 dark:text-red-400" />
+                    <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+                  </div>
+                </div>
+              )}
+
+              <p className="text-gray-600 dark:text-gray-400 text-sm">
+                Leave "<strong>{cleanDisplayText(showLeaveConfirm.name)}</strong>"? Your tasks in it will be left unassigned, and you will need a new invite code to rejoin.
+              </p>
+
+              <div className="flex justify-end gap-2 pt-4">
+                <button
+                  onClick={() => {
+                    setShowLeaveConfirm(null);
+                    setError('');
+                  }}
+                  className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+                  disabled={leaveLoading}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => handleLeaveList(showLeaveConfirm.id)}
+                  disabled={leaveLoading}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+                >
+                  {leaveLoading ? <Loader className="w-4 h-4 animate-spin" /> : 'Leave List'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
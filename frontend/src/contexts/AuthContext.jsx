@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { ApiService } from '../services/ApiService';
 import { isTokenExpired, isTokenExpiringSoon } from '../utils/tokenValidator';
+import { clearInviteLinkParams } from '../utils/inviteLink';
 
 const AuthContext = createContext();
 
@@ -154,23 +155,57 @@ export const AuthProvider = ({ children }) => {
     };
   }, [handleAuthError, validateAndRefreshToken, startTokenValidation]);
 
-  const login = async (email, password) => {
-    if (!api) throw new Error('API service not initialized');
+  // Signing in through an invite link opens the list it joined; a failed
+  // invite keeps the link, so the join form shows what went wrong
+  const openJoinedTaskList = (data) => {
+    if (data.joinedTaskList) {
+      clearInviteLinkParams();
+      sessionStorage.setItem('autoSelectTaskListId', data.joinedTaskList.id);
+    }
+  };
 
-    const data = await api.login(email, password);
+  const startSignedInSession = (data) => {
+    openJoinedTaskList(data);
     setUser(data.user);
     startTokenValidation(api);
     localStorage.removeItem('selectedTaskList');
+  };
+
+  // Resolves with { twoFactorRequired, challengeToken } when the account
+  // needs a second step; pass those to completeTwoFactorLogin
+  const login = async (email, password, inviteCode) => {
+    if (!api) throw new Error('API service not initialized');
+
+    const data = await api.login(email, password, inviteCode);
+    if (!data.twoFactorRequired) {
+      startSignedInSession(data);
+    }
     return data;
   };
 
-  const register = async (email, password, name) => {
+  const completeSsoLogin = async (code, inviteCode) => {
     if (!api) throw new Error('API service not initialized');
 
-    const data = await api.register(email, password, name);
-    setUser(data.user);
-    startTokenValidation(api);
-    localStorage.removeItem('selectedTaskList');
+    const data = await api.completeOidcLogin(code, inviteCode);
+    if (!data.twoFactorRequired) {
+      startSignedInSession(data);
+    }
+    return data;
+  };
+
+  const completeTwoFactorLogin = async (challengeToken, code, inviteCode) => {
+    if (!api) throw new Error('API service not initialized');
+
+    const data = await api.loginTwoFactor(challengeToken, code, inviteCode);
+    startSignedInSession(data);
+    return data;
+  };
+
+  const register = async (email, password, name, inviteCode) => {
+    if (!api) throw new Error('API service not initialized');
+
+    const data = await api.register(email, password, name, inviteCode);
+    startSignedInSession(data);
     return data;
   };
 
@@ -186,6 +221,9 @@ export const AuthProvider = ({ children }) => {
       refreshTimeoutRef.current = null;
     }
 
+    if (reason === 'manual') {
+      api.logout();
+    }
     api.removeTokens();
     setUser(null);
 
@@ -199,6 +237,8 @@ export const AuthProvider = ({ children }) => {
     <AuthContext.Provider value={{
       user,
       login,
+      completeTwoFactorLogin,
+      completeSsoLogin,
       register,
       logout,
       loading,
@@ -70,8 +70,7 @@ export const NotificationProvider = ({ children }) => {
       loadNotifications();
       loadUnreadCount();
 
-      ws.connect();
-      ws.joinUser(user.id);
+      ws.connect(api);
 
       ws.on('newNotification', (notification) => {
         console.log('Received new notification:', notification);
@@ -2,6 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useDarkMode } from '../contexts/DarkModeContext';
 import { getAvatarUrl } from '../utils/gravatar';
+import SessionsSection from '../components/auth/SessionsSection';
+import TwoFactorSection from '../components/auth/TwoFactorSection';
+import AccessTokensSection from '../components/auth/AccessTokensSection';
 import { User, Mail, Lock, Save, Loader, AlertCircle, CheckCircle, Moon, Sun, ArrowLeft } from 'lucide-react';
 
 const Profile = ({ onBack }) => {
@@ -252,6 +255,15 @@ const Profile = ({ onBack }) => {
           </div>
         </div>
 
+        {/* Two-Factor Authentication */}
+        <TwoFactorSection />
+
+        {/* Signed-in Devices */}
+        <SessionsSection />
+
+        {/* Personal Access Tokens */}
+        <AccessTokensSection />
+
         {/* Change Password */}
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border dark:border-gray-700 p-6">
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">Change Password</h2>
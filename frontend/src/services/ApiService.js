@@ -32,6 +32,15 @@ export class ApiService {
 
     this.refreshPromise = (async () => {
       try {
+        // Refresh tokens work once, so if another tab already rotated ours,
+        // use the tokens it stored instead of replaying the old one
+        const storedRefreshToken = localStorage.getItem('refreshToken');
+        if (storedRefreshToken && storedRefreshToken !== this.refreshToken) {
+          this.token = localStorage.getItem('token');
+          this.refreshToken = storedRefreshToken;
+          return this.token;
+        }
+
         const response = await fetch(`${this.baseURL}/auth/refresh`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
@@ -56,6 +65,24 @@ export class ApiService {
     return this.refreshPromise;
   }
 
+  // Ends this device's session on the server; signing out locally doesn't
+  // wait for it or depend on it succeeding
+  async logout() {
+    // Read before any await, since the caller clears the tokens right away
+    const refreshToken = this.refreshToken;
+    if (!refreshToken) return;
+
+    try {
+      await fetch(`${this.baseURL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+  }
+
   handleAuthError(reason = 'invalid') {
     if (this.abortController) {
       this.abortController.abort();
@@ -73,16 +100,20 @@ export class ApiService {
     const url = `${this.baseURL}${endpoint}`;
     this.abortController = new AbortController();
 
+    const { responseType = 'json', ...fetchOptions } = options;
+    // Let the browser set the multipart boundary for uploads
+    const isFormData = fetchOptions.body instanceof FormData;
+
     const config = {
       headers: {
-        'Content-Type': 'application/json',
+        ...(!isFormData && { 'Content-Type': 'application/json' }),
         ...(this.token && { Authorization: `Bearer ${this.token}` }),
       },
       signal: this.abortController.signal,
-      ...options,
+      ...fetchOptions,
     };
 
-    if (config.body && typeof config.body === 'object') {
+    if (config.body && typeof config.body === 'object' && !isFormData) {
       config.body = JSON.stringify(config.body);
     }
 
@@ -105,6 +136,9 @@ export class ApiService {
           config.headers.Authorization = `Bearer ${this.token}`;
           // Retry the original request with new token
           response = await fetch(url, config);
+        } else if (data.insufficientRole) {
+          // The token is fine; the user's role in the list doesn't allow the action
+          throw new Error(data.error);
         } else {
           // Invalid token, not just expired
           this.handleAuthError('forbidden');
@@ -121,10 +155,16 @@ export class ApiService {
           // If JSON parsing fails, use status text
           throw new Error(response.statusText || 'Something went wrong');
         }
-        throw new Error(errorData.error || 'Something went wrong');
+        const requestError = new Error(errorData.error || 'Something went wrong');
+        requestError.status = response.status;
+        requestError.data = errorData;
+        throw requestError;
       }
 
       // Handle successful responses
+      if (responseType === 'blob') {
+        return await response.blob();
+      }
       const data = await response.json();
       return data;
     } catch (error) {
@@ -140,7 +180,11 @@ export class ApiService {
   }
 
   // Auth methods
-  async login(email, password) {
+  // With an inviteCode the server also joins its list and returns
+  // joinedTaskList, or inviteError when the invite can't be used.
+  // Accounts with two-factor authentication get { twoFactorRequired,
+  // challengeToken } instead of tokens; finish with loginTwoFactor
+  async login(email, password, inviteCode) {
     const sanitizedEmail = sanitizeInput(email);
     if (!validateEmail(sanitizedEmail)) {
       throw new Error('Invalid email format');
@@ -148,13 +192,25 @@ export class ApiService {
     
     const data = await this.request('/auth/login', {
       method: 'POST',
-      body: { email: sanitizedEmail, password },
+      body: { email: sanitizedEmail, password, inviteCode },
+    });
+    if (!data.twoFactorRequired) {
+      this.setTokens(data.token, data.refreshToken);
+    }
+    return data;
+  }
+
+  // Code is a six-digit code from the authenticator app or a recovery code
+  async loginTwoFactor(challengeToken, code, inviteCode) {
+    const data = await this.request('/auth/login/2fa', {
+      method: 'POST',
+      body: { challengeToken, code: code.trim(), inviteCode },
     });
     this.setTokens(data.token, data.refreshToken);
     return data;
   }
 
-  async register(email, password, name) {
+  async register(email, password, name, inviteCode) {
     const sanitizedEmail = sanitizeInput(email);
     const sanitizedName = sanitizeInput(name);
     
@@ -178,12 +234,55 @@ export class ApiService {
     
     const data = await this.request('/auth/register', {
       method: 'POST',
-      body: { email: sanitizedEmail, password, name: sanitizedName },
+      body: { email: sanitizedEmail, password, name: sanitizedName, inviteCode },
     });
     this.setTokens(data.token, data.refreshToken);
     return data;
   }
 
+  // Single sign-on
+  async getOidcConfig() {
+    return this.request('/auth/oidc/config');
+  }
+
+  // The browser is sent here, not fetched: it goes on to the identity provider
+  getOidcLoginUrl() {
+    return `${this.baseURL}/auth/oidc/login`;
+  }
+
+  // Like login, may resolve with { twoFactorRequired, challengeToken }
+  async completeOidcLogin(code, inviteCode) {
+    const data = await this.request('/auth/oidc/complete', {
+      method: 'POST',
+      body: { code, inviteCode },
+    });
+    if (!data.twoFactorRequired) {
+      this.setTokens(data.token, data.refreshToken);
+    }
+    return data;
+  }
+
+  // Always succeeds for a well-formed email, so it can't be used to find
+  // out which addresses have accounts
+  async forgotPassword(email) {
+    const sanitizedEmail = sanitizeInput(email);
+    if (!validateEmail(sanitizedEmail)) {
+      throw new Error('Invalid email format');
+    }
+
+    return this.request('/auth/forgot-password', {
+      method: 'POST',
+      body: { email: sanitizedEmail },
+    });
+  }
+
+  async resetPassword(token, password) {
+    return this.request('/auth/reset-password', {
+      method: 'POST',
+      body: { token, password },
+    });
+  }
+
   // Task List methods
   async getTaskLists() {
     return this.request('/task-lists');
@@ -215,13 +314,92 @@ export class ApiService {
     });
   }
 
+  // Invites (admins and the owner)
+  async getInvites(taskListId) {
+    return this.request(`/task-lists/${taskListId}/invites`);
+  }
+
+  // inviteData: { role, expiresInHours, maxUses }; null limits never run out
+  async createInvite(taskListId, inviteData) {
+    return this.request(`/task-lists/${taskListId}/invites`, {
+      method: 'POST',
+      body: inviteData,
+    });
+  }
+
+  async sendEmailInvite(taskListId, email, role) {
+    const sanitizedEmail = sanitizeInput(email);
+    if (!validateEmail(sanitizedEmail)) {
+      throw new Error('Invalid email format');
+    }
+
+    return this.request(`/task-lists/${taskListId}/invites/email`, {
+      method: 'POST',
+      body: { email: sanitizedEmail, role },
+    });
+  }
+
+  async revokeInvite(taskListId, inviteId) {
+    return this.request(`/task-lists/${taskListId}/invites/${inviteId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async rotateInviteCode(taskListId) {
+    return this.request(`/task-lists/${taskListId}/invite-code/rotate`, {
+      method: 'POST',
+    });
+  }
+
   async getTaskListMembers(taskListId) {
     return this.request(`/task-lists/${taskListId}/members`);
   }
 
+  async updateMemberRole(taskListId, userId, role) {
+    return this.request(`/task-lists/${taskListId}/members/${userId}`, {
+      method: 'PUT',
+      body: { role },
+    });
+  }
+
+  // Their tasks go to reassignTo, or are left unassigned without it
+  async removeMember(taskListId, userId, reassignTo) {
+    const query = reassignTo ? `?reassignTo=${reassignTo}` : '';
+    return this.request(`/task-lists/${taskListId}/members/${userId}${query}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async leaveTaskList(taskListId) {
+    return this.request(`/task-lists/${taskListId}/leave`, {
+      method: 'POST',
+    });
+  }
+
+  async transferOwnership(taskListId, userId) {
+    return this.request(`/task-lists/${taskListId}/transfer-ownership`, {
+      method: 'POST',
+      body: { userId },
+    });
+  }
+
   // Task methods
-  async getTasks(taskListId) {
-    return this.request(`/task-lists/${taskListId}/tasks`);
+  // Returns one page: { tasks, nextCursor, totalCount, completedCount }.
+  // Empty params are left out, so callers can pass their filter state as is.
+  async getTasks(taskListId, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query.append(key, value);
+      }
+    });
+
+    const queryString = query.toString();
+    return this.request(`/task-lists/${taskListId}/tasks${queryString ? `?${queryString}` : ''}`);
+  }
+
+  async getTask(taskId) {
+    return this.request(`/tasks/${taskId}`);
   }
 
   async createTask(taskListId, taskData) {
@@ -273,6 +451,310 @@ export class ApiService {
     });
   }
 
+  // Trash
+  async getTaskListTrash(taskListId) {
+    return this.request(`/task-lists/${taskListId}/trash`);
+  }
+
+  async restoreTask(taskId) {
+    return this.request(`/tasks/${taskId}/restore`, {
+      method: 'POST',
+    });
+  }
+
+  // Saved views
+  async getSavedViews(taskListId) {
+    return this.request(`/task-lists/${taskListId}/views`);
+  }
+
+  async getSavedView(viewId) {
+    return this.request(`/views/${viewId}`);
+  }
+
+  async createSavedView(taskListId, view) {
+    return this.request(`/task-lists/${taskListId}/views`, {
+      method: 'POST',
+      body: view,
+    });
+  }
+
+  async updateSavedView(viewId, updates) {
+    return this.request(`/views/${viewId}`, {
+      method: 'PUT',
+      body: updates,
+    });
+  }
+
+  async deleteSavedView(viewId) {
+    return this.request(`/views/${viewId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async setDefaultSavedView(taskListId, viewId) {
+    return this.request(`/task-lists/${taskListId}/views/default`, {
+      method: 'PUT',
+      body: { viewId },
+    });
+  }
+
+  // Search
+  async searchTasks(query) {
+    return this.request(`/search?q=${encodeURIComponent(query)}`);
+  }
+
+  // Subtasks and checklists
+  async getSubtasks(taskId) {
+    return this.request(`/tasks/${taskId}/subtasks`);
+  }
+
+  async createSubtask(taskId, taskData) {
+    const sanitizedName = sanitizeInput(taskData.name);
+
+    if (!validateName(sanitizedName)) {
+      throw new Error('Subtask name contains invalid characters or is too long');
+    }
+
+    return this.request(`/tasks/${taskId}/subtasks`, {
+      method: 'POST',
+      body: { ...taskData, name: sanitizedName },
+    });
+  }
+
+  async getChecklist(taskId) {
+    return this.request(`/tasks/${taskId}/checklist`);
+  }
+
+  async addChecklistItem(taskId, content) {
+    return this.request(`/tasks/${taskId}/checklist`, {
+      method: 'POST',
+      body: { content: sanitizeInput(content) },
+    });
+  }
+
+  async updateChecklistItem(taskId, itemId, updates) {
+    const sanitizedUpdates = { ...updates };
+    if (sanitizedUpdates.content) {
+      sanitizedUpdates.content = sanitizeInput(sanitizedUpdates.content);
+    }
+
+    return this.request(`/tasks/${taskId}/checklist/${itemId}`, {
+      method: 'PUT',
+      body: sanitizedUpdates,
+    });
+  }
+
+  async deleteChecklistItem(taskId, itemId) {
+    return this.request(`/tasks/${taskId}/checklist/${itemId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Task dependencies
+  async getTaskDependencies(taskId) {
+    return this.request(`/tasks/${taskId}/dependencies`);
+  }
+
+  async addTaskDependency(taskId, dependsOnTaskId) {
+    return this.request(`/tasks/${taskId}/dependencies`, {
+      method: 'POST',
+      body: { dependsOnTaskId },
+    });
+  }
+
+  async removeTaskDependency(taskId, dependsOnTaskId) {
+    return this.request(`/tasks/${taskId}/dependencies/${dependsOnTaskId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Task comments
+  async getTaskComments(taskId) {
+    return this.request(`/tasks/${taskId}/comments`);
+  }
+
+  async addTaskComment(taskId, content, parentCommentId = null) {
+    return this.request(`/tasks/${taskId}/comments`, {
+      method: 'POST',
+      body: { content, parentCommentId },
+    });
+  }
+
+  async updateTaskComment(taskId, commentId, content) {
+    return this.request(`/tasks/${taskId}/comments/${commentId}`, {
+      method: 'PUT',
+      body: { content },
+    });
+  }
+
+  async deleteTaskComment(taskId, commentId) {
+    return this.request(`/tasks/${taskId}/comments/${commentId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Task history
+  async getTaskHistory(taskId) {
+    return this.request(`/tasks/${taskId}/history`);
+  }
+
+  // Task attachments
+  async getTaskAttachments(taskId) {
+    return this.request(`/tasks/${taskId}/attachments`);
+  }
+
+  async uploadTaskAttachment(taskId, file) {
+    const formData = new FormData();
+    formData.append('file', file);
+    return this.request(`/tasks/${taskId}/attachments`, {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
+  async downloadTaskAttachment(taskId, attachmentId) {
+    return this.request(`/tasks/${taskId}/attachments/${attachmentId}/download`, {
+      responseType: 'blob',
+    });
+  }
+
+  async deleteTaskAttachment(taskId, attachmentId) {
+    return this.request(`/tasks/${taskId}/attachments/${attachmentId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Recurring tasks
+  async getTaskRecurrence(taskId) {
+    return this.request(`/tasks/${taskId}/recurrence`);
+  }
+
+  async setTaskRecurrence(taskId, recurrence) {
+    return this.request(`/tasks/${taskId}/recurrence`, {
+      method: 'PUT',
+      body: recurrence,
+    });
+  }
+
+  async deleteTaskRecurrence(taskId) {
+    return this.request(`/tasks/${taskId}/recurrence`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Task status workflow
+  async getTaskStatuses(taskListId) {
+    return this.request(`/task-lists/${taskListId}/statuses`);
+  }
+
+  async createTaskStatus(taskListId, statusData) {
+    const sanitizedName = sanitizeInput(statusData.name);
+
+    if (!validateName(sanitizedName)) {
+      throw new Error('Status name contains invalid characters or is too long');
+    }
+
+    return this.request(`/task-lists/${taskListId}/statuses`, {
+      method: 'POST',
+      body: { ...statusData, name: sanitizedName },
+    });
+  }
+
+  async updateTaskStatus(statusId, updates) {
+    const sanitizedUpdates = { ...updates };
+    if (sanitizedUpdates.name) {
+      sanitizedUpdates.name = sanitizeInput(sanitizedUpdates.name);
+      if (!validateName(sanitizedUpdates.name)) {
+        throw new Error('Status name contains invalid characters or is too long');
+      }
+    }
+
+    return this.request(`/task-statuses/${statusId}`, {
+      method: 'PUT',
+      body: sanitizedUpdates,
+    });
+  }
+
+  async reorderTaskStatuses(taskListId, statusIds) {
+    return this.request(`/task-lists/${taskListId}/statuses/reorder`, {
+      method: 'PUT',
+      body: { statusIds },
+    });
+  }
+
+  async deleteTaskStatus(statusId, replacementId) {
+    const query = replacementId ? `?replacementId=${replacementId}` : '';
+    return this.request(`/task-statuses/${statusId}${query}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Labels (names are escaped by the server)
+  async getLabels(taskListId) {
+    return this.request(`/task-lists/${taskListId}/labels`);
+  }
+
+  async createLabel(taskListId, labelData) {
+    if (!validateName(labelData.name)) {
+      throw new Error('Label name contains invalid characters or is too long');
+    }
+
+    return this.request(`/task-lists/${taskListId}/labels`, {
+      method: 'POST',
+      body: labelData,
+    });
+  }
+
+  async updateLabel(labelId, updates) {
+    if (updates.name !== undefined && !validateName(updates.name)) {
+      throw new Error('Label name contains invalid characters or is too long');
+    }
+
+    return this.request(`/labels/${labelId}`, {
+      method: 'PUT',
+      body: updates,
+    });
+  }
+
+  async deleteLabel(labelId) {
+    return this.request(`/labels/${labelId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Custom fields (names are escaped by the server)
+  async getCustomFields(taskListId) {
+    return this.request(`/task-lists/${taskListId}/custom-fields`);
+  }
+
+  async createCustomField(taskListId, fieldData) {
+    if (!validateName(fieldData.name)) {
+      throw new Error('Field name contains invalid characters or is too long');
+    }
+
+    return this.request(`/task-lists/${taskListId}/custom-fields`, {
+      method: 'POST',
+      body: fieldData,
+    });
+  }
+
+  async updateCustomField(fieldId, updates) {
+    if (updates.name !== undefined && !validateName(updates.name)) {
+      throw new Error('Field name contains invalid characters or is too long');
+    }
+
+    return this.request(`/custom-fields/${fieldId}`, {
+      method: 'PUT',
+      body: updates,
+    });
+  }
+
+  async deleteCustomField(fieldId) {
+    return this.request(`/custom-fields/${fieldId}`, {
+      method: 'DELETE',
+    });
+  }
+
   // Projects and Requesters
   async getProjects(taskListId) {
     return this.request(`/task-lists/${taskListId}/projects`);
@@ -434,4 +916,66 @@ export class ApiService {
       body: JSON.stringify({ currentPassword, newPassword }),
     });
   }
+
+  // Two-factor authentication
+  async getTwoFactorStatus() {
+    return this.request('/user/2fa');
+  }
+
+  async setupTwoFactor() {
+    return this.request('/user/2fa/setup', {
+      method: 'POST',
+    });
+  }
+
+  async enableTwoFactor(code) {
+    return this.request('/user/2fa/enable', {
+      method: 'POST',
+      body: { code: code.trim() },
+    });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return this.request('/user/2fa/recovery-codes', {
+      method: 'POST',
+      body: { code: code.trim() },
+    });
+  }
+
+  async disableTwoFactor(password, code) {
+    return this.request('/user/2fa/disable', {
+      method: 'POST',
+      body: { password, code: code.trim() },
+    });
+  }
+
+  // Devices the user is signed in on; the one making the request has current: true
+  async getSessions() {
+    return this.request('/user/sessions');
+  }
+
+  async revokeSession(sessionId) {
+    return this.request(`/user/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Personal access tokens, plus the scopes a token can be given
+  async getAccessTokens() {
+    return this.request('/user/tokens');
+  }
+
+  // The response holds the token's value, which is never returned again
+  async createAccessToken({ name, scopes, expiresInDays }) {
+    return this.request('/user/tokens', {
+      method: 'POST',
+      body: { name, scopes, expiresInDays },
+    });
+  }
+
+  async revokeAccessToken(tokenId) {
+    return this.request(`/user/tokens/${tokenId}`, {
+      method: 'DELETE',
+    });
+  }
 }
\ No newline at end of file
@@ -8,17 +8,25 @@ export class WebSocketService {
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
     this.reconnectTimer = null;
-    this.userRooms = new Set();
     this.taskListRooms = new Set();
     this.manualDisconnect = false;
+    this.api = null;
   }
 
-  connect() {
+  // The server only accepts signed-in sockets, so the ApiService whose access
+  // token authenticates them is kept for reconnecting
+  connect(api) {
+    if (api) {
+      this.api = api;
+    }
+
     if (typeof window.io !== 'undefined') {
       this.manualDisconnect = false;
       this.socket = window.io(API_BASE_URL, {
         reconnection: false,
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        // Read on every attempt, so a reconnect sends the latest token
+        auth: (callback) => callback({ token: this.api?.token })
       });
 
       this.socket.on('connect', () => {
@@ -26,9 +34,7 @@ export class WebSocketService {
         this.reconnectAttempts = 0;
         this.reconnectDelay = 1000;
 
-        this.userRooms.forEach(userId => {
-          this.socket.emit('joinUser', userId);
-        });
+        // The server puts the socket in the user's own room; list rooms are rejoined
         this.taskListRooms.forEach(taskListId => {
           this.socket.emit('joinTaskList', taskListId);
         });
@@ -44,9 +50,22 @@ export class WebSocketService {
         }
       });
 
-      this.socket.on('connect_error', (error) => {
+      this.socket.on('connect_error', async (error) => {
         console.error('WebSocket connection error:', error);
-        this.attemptReconnect();
+
+        // The access token expired while disconnected; refresh it before retrying
+        if (error.data?.needsRefresh && this.api) {
+          try {
+            await this.api.refreshAccessToken();
+          } catch {
+            // Refreshing failed and signed the user out
+            return;
+          }
+        }
+
+        if (!this.manualDisconnect) {
+          this.attemptReconnect();
+        }
       });
 
       this.listeners.forEach((callbacks, event) => {
@@ -111,18 +130,10 @@ export class WebSocketService {
     }
 
     // Clear room tracking
-    this.userRooms.clear();
     this.taskListRooms.clear();
     this.reconnectAttempts = 0;
   }
 
-  joinUser(userId) {
-    this.userRooms.add(userId); // Track room
-    if (this.socket) {
-      this.socket.emit('joinUser', userId);
-    }
-  }
-
   joinTaskList(taskListId) {
     this.taskListRooms.add(taskListId); // Track room
     if (this.socket) {
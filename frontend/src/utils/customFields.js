@@ -0,0 +1,30 @@
+import { cleanDisplayText } from './validation';
+
+export const CUSTOM_FIELD_TYPE_OPTIONS = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'single_select', label: 'Single select' },
+  { value: 'multi_select', label: 'Multi-select' },
+  { value: 'checkbox', label: 'Checkbox' },
+  { value: 'url', label: 'URL' }
+];
+
+export const CUSTOM_FIELD_SELECT_TYPES = ['single_select', 'multi_select'];
+
+// Multi-selects have no natural order, so they can't be sorted by
+export const isSortableCustomField = (field) => field.field_type !== 'multi_select';
+
+// True for values the server treats as "not set"
+export const isEmptyCustomFieldValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// A task's values keyed by field ID, with stored (escaped) text decoded for editing
+export const getEditableCustomFieldValues = (fields, values = {}) => Object.fromEntries(
+  fields
+    .filter(field => !isEmptyCustomFieldValue(values[field.id]))
+    .map(field => [
+      field.id,
+      field.field_type === 'text' ? cleanDisplayText(values[field.id]) : values[field.id]
+    ])
+);
@@ -0,0 +1,38 @@
+// Invite links look like ?invite=<code>, with &email=<address> when the
+// invite was sent by email
+
+export const getInviteLinkParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get('invite');
+  return code ? { code: code.toUpperCase(), email: params.get('email') || '' } : null;
+};
+
+export const clearInviteLinkParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('invite');
+  params.delete('email');
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
+
+// Single sign-on leaves the app, so the invite the user signed in with waits
+// in this tab's session storage. Only the login page puts it there: a link
+// straight to the SSO endpoint can't make someone join a list.
+const SSO_INVITE_KEY = 'ssoInviteCode';
+
+export const rememberSsoInvite = (code) => {
+  if (code) {
+    sessionStorage.setItem(SSO_INVITE_KEY, code);
+  } else {
+    sessionStorage.removeItem(SSO_INVITE_KEY);
+  }
+};
+
+export const getSsoInvite = () => {
+  const code = sessionStorage.getItem(SSO_INVITE_KEY);
+  return code ? { code, email: '' } : null;
+};
+
+export const clearSsoInvite = () => {
+  sessionStorage.removeItem(SSO_INVITE_KEY);
+};
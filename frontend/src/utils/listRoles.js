@@ -0,0 +1,48 @@
+// Mirrors the server's permission matrix (backend/services/listRole.service.js)
+export const LIST_ROLES = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'member', label: 'Member' },
+  { value: 'admin', label: 'Admin' },
+  { value: 'owner', label: 'Owner' }
+];
+
+// Minimum role needed for each action in a task list
+export const LIST_PERMISSIONS = {
+  view: 'viewer',
+  editTasks: 'member',
+  addReferenceData: 'member',
+  deleteAnyTask: 'admin',
+  deleteReferenceData: 'admin',
+  manageCustomFields: 'owner',
+  manageMembers: 'admin',
+  manageAdmins: 'owner',
+  transferOwnership: 'owner'
+};
+
+const roleRank = (role) => LIST_ROLES.findIndex(r => r.value === role);
+
+export const hasListRole = (role, minimumRole) =>
+  roleRank(role) !== -1 && roleRank(role) >= roleRank(minimumRole);
+
+// Members delete their own tasks; admins and the owner delete any
+export const canDeleteTask = (role, task, userId) =>
+  hasListRole(role, LIST_PERMISSIONS.deleteAnyTask) ||
+  (hasListRole(role, LIST_PERMISSIONS.editTasks) && task.created_by === userId);
+
+// Nobody changes the owner's role; only the owner appoints or demotes admins
+export const canAssignListRole = (actorRole, currentRole, newRole) => {
+  if (currentRole === 'owner' || newRole === 'owner') return false;
+
+  const required = currentRole === 'admin' || newRole === 'admin'
+    ? LIST_PERMISSIONS.manageAdmins
+    : LIST_PERMISSIONS.manageMembers;
+
+  return hasListRole(actorRole, required);
+};
+
+// The owner can't be removed; only the owner removes admins
+export const canRemoveListMember = (actorRole, targetRole) => {
+  if (targetRole === 'owner') return false;
+
+  return hasListRole(actorRole, targetRole === 'admin' ? LIST_PERMISSIONS.manageAdmins : LIST_PERMISSIONS.manageMembers);
+};
@@ -0,0 +1,12 @@
+// Password reset emails link to ?resetToken=<token>
+
+export const getPasswordResetToken = () => {
+  return new URLSearchParams(window.location.search).get('resetToken');
+};
+
+export const clearPasswordResetToken = () => {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('resetToken');
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
@@ -0,0 +1,62 @@
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day', plural: 'days' },
+  { value: 'weekly', label: 'Weekly', unit: 'week', plural: 'weeks' },
+  { value: 'monthly', label: 'Monthly', unit: 'month', plural: 'months' }
+];
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Form state for "does not repeat"
+export const EMPTY_RECURRENCE = {
+  frequency: '',
+  interval: 1,
+  weekdays: [],
+  ends: 'never',
+  endDate: '',
+  count: ''
+};
+
+export const fromRecurrenceRule = (rule) => {
+  if (!rule) return EMPTY_RECURRENCE;
+
+  return {
+    frequency: rule.frequency,
+    interval: rule.interval_count,
+    weekdays: rule.weekdays || [],
+    ends: rule.end_date ? 'on' : rule.max_occurrences ? 'after' : 'never',
+    endDate: rule.end_date || '',
+    count: rule.max_occurrences || ''
+  };
+};
+
+// Request body for the API, or null when the task does not repeat
+export const toRecurrencePayload = (recurrence) => {
+  if (!recurrence.frequency) return null;
+
+  return {
+    frequency: recurrence.frequency,
+    interval: parseInt(recurrence.interval) || 1,
+    weekdays: recurrence.frequency === 'weekly' ? recurrence.weekdays : [],
+    endDate: recurrence.ends === 'on' && recurrence.endDate ? recurrence.endDate : null,
+    count: recurrence.ends === 'after' && recurrence.count ? parseInt(recurrence.count) : null,
+    // Weekdays and days of the month are meant on this browser's calendar
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  };
+};
+
+export const describeRecurrence = (recurrence) => {
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.value === recurrence.frequency);
+  if (!frequency) return 'Does not repeat';
+
+  const interval = parseInt(recurrence.interval) || 1;
+  let description = interval === 1
+    ? `Every ${frequency.unit}`
+    : `Every ${interval} ${frequency.plural}`;
+
+  if (recurrence.frequency === 'weekly' && recurrence.weekdays.length > 0) {
+    const days = [...recurrence.weekdays].sort((a, b) => a - b).map(day => WEEKDAYS[day]);
+    description += ` on ${days.join(', ')}`;
+  }
+
+  return description;
+};
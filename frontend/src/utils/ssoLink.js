@@ -0,0 +1,17 @@
+// After single sign-on the backend sends the browser back with ?sso=<code>,
+// a one-time code to exchange for tokens, or ?ssoError=<message>
+
+export const getSsoLinkParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get('sso');
+  const error = params.get('ssoError');
+  return code || error ? { code, error } : null;
+};
+
+export const clearSsoLinkParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('sso');
+  params.delete('ssoError');
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
@@ -0,0 +1,231 @@
+import { isTaskCompleted } from './taskStatus';
+import { sanitizeInput } from './validation';
+import { isSortableCustomField } from './customFields';
+
+export const DEFAULT_TASK_FILTERS = {
+  search: '',
+  requester: 'All',
+  project: 'All',
+  assignedTo: 'All',
+  priority: 'All',
+  status: 'All',
+  labelIds: [],
+  labelMode: 'any',
+  customFields: {},
+  dueFrom: '',
+  dueTo: '',
+  sortBy: 'id',
+  sortDirection: 'desc'
+};
+
+const PRIORITY_ORDER = { urgent: 4, high: 3, medium: 2, low: 1 };
+
+// Date inputs give local calendar days; the range covers the whole of both days
+const startOfDay = (day) => (day ? new Date(`${day}T00:00:00`) : null);
+const endOfDay = (day) => (day ? new Date(`${day}T23:59:59.999`) : null);
+
+// Custom field filters keyed by field ID, with unset ('') ones left out
+const activeCustomFieldFilters = (filters) =>
+  Object.entries(filters.customFields).filter(([, value]) => value !== '');
+
+const findIdByName = (options, name) => {
+  if (name === 'All') return undefined;
+  const option = options.find(o => o.name === name);
+  return option ? option.id : undefined;
+};
+
+// Translate the filter bar state into query parameters for api.getTasks.
+// The comboboxes select by name, so names are resolved to IDs here.
+export const buildTaskQuery = (filters, { members, projects, requesters }) => ({
+  ...Object.fromEntries(activeCustomFieldFilters(filters).map(([fieldId, value]) => [`cf${fieldId}`, value])),
+  search: filters.search.trim(),
+  assignedTo: findIdByName(members, filters.assignedTo),
+  projectId: findIdByName(projects, filters.project),
+  requesterId: findIdByName(requesters, filters.requester),
+  priority: filters.priority === 'All' ? undefined : filters.priority,
+  statusId: filters.status === 'All' ? undefined : filters.status,
+  labelIds: filters.labelIds.length > 0 ? filters.labelIds.join(',') : undefined,
+  labelMode: filters.labelIds.length > 0 ? filters.labelMode : undefined,
+  dueFrom: filters.dueFrom ? startOfDay(filters.dueFrom).toISOString() : undefined,
+  dueTo: filters.dueTo ? endOfDay(filters.dueTo).toISOString() : undefined,
+  sortBy: filters.sortBy,
+  sortDirection: filters.sortDirection
+});
+
+const findNameById = (options, id) => {
+  const option = options.find(o => o.id === id);
+  return option ? option.name : 'All';
+};
+
+// Saved views store IDs rather than names, so a view keeps working after a
+// member, project or requester is renamed
+export const filtersToView = (filters, { members, projects, requesters }) => ({
+  search: filters.search.trim(),
+  assignedTo: findIdByName(members, filters.assignedTo) ?? null,
+  projectId: findIdByName(projects, filters.project) ?? null,
+  requesterId: findIdByName(requesters, filters.requester) ?? null,
+  priority: filters.priority === 'All' ? null : filters.priority,
+  statusId: filters.status === 'All' ? null : parseInt(filters.status),
+  labelIds: filters.labelIds,
+  labelMode: filters.labelMode,
+  customFields: Object.fromEntries(activeCustomFieldFilters(filters)),
+  dueFrom: filters.dueFrom || null,
+  dueTo: filters.dueTo || null,
+  sortBy: filters.sortBy,
+  sortDirection: filters.sortDirection
+});
+
+// Anything the view points at that no longer exists falls back to 'All'
+export const viewToFilters = (viewFilters, { members, projects, requesters, statuses, labels, customFields = [] }) => ({
+  ...DEFAULT_TASK_FILTERS,
+  search: viewFilters.search || '',
+  assignedTo: viewFilters.assignedTo ? findNameById(members, viewFilters.assignedTo) : 'All',
+  project: viewFilters.projectId ? findNameById(projects, viewFilters.projectId) : 'All',
+  requester: viewFilters.requesterId ? findNameById(requesters, viewFilters.requesterId) : 'All',
+  priority: viewFilters.priority || 'All',
+  status: statuses.some(s => s.id === viewFilters.statusId) ? String(viewFilters.statusId) : 'All',
+  labelIds: (viewFilters.labelIds || []).filter(id => labels.some(label => label.id === id)),
+  labelMode: viewFilters.labelMode || DEFAULT_TASK_FILTERS.labelMode,
+  customFields: Object.fromEntries(
+    Object.entries(viewFilters.customFields || {})
+      .filter(([fieldId]) => customFields.some(field => field.id === parseInt(fieldId)))
+      .map(([fieldId, value]) => [fieldId, String(value)])
+  ),
+  dueFrom: viewFilters.dueFrom || '',
+  dueTo: viewFilters.dueTo || '',
+  sortBy: isCustomFieldSort(viewFilters.sortBy) && !findSortCustomField(customFields, viewFilters.sortBy)
+    ? DEFAULT_TASK_FILTERS.sortBy
+    : viewFilters.sortBy || DEFAULT_TASK_FILTERS.sortBy,
+  sortDirection: viewFilters.sortDirection || DEFAULT_TASK_FILTERS.sortDirection
+});
+
+const isCustomFieldSort = (sortBy) => /^cf\d+$/.test(sortBy || '');
+
+const findSortCustomField = (customFields, sortBy) =>
+  customFields.find(field => `cf${field.id}` === sortBy && isSortableCustomField(field));
+
+const customFieldMatches = (field, value, filter) => {
+  switch (field.field_type) {
+    case 'text':
+    case 'url': {
+      // Stored text is escaped, so the term is escaped the same way
+      const term = field.field_type === 'text' ? sanitizeInput(filter) : filter;
+      return typeof value === 'string' && value.toLowerCase().includes(term.toLowerCase());
+    }
+    case 'number':
+      return value === parseFloat(filter);
+    case 'multi_select':
+      return Array.isArray(value) && value.includes(filter);
+    case 'checkbox':
+      // An unset checkbox counts as unchecked
+      return (value === true) === (filter === 'true');
+    default:
+      return value === filter;
+  }
+};
+
+// Mirrors the server-side filters, so tasks arriving over the socket can be
+// placed without refetching
+export const taskMatchesFilters = (task, filters, customFields = []) => {
+  const search = sanitizeInput(filters.search).toLowerCase();
+  const dueDate = task.due_date ? new Date(task.due_date) : null;
+  const taskLabelIds = (task.labels || []).map(label => label.id);
+  const hasLabel = (labelId) => taskLabelIds.includes(labelId);
+
+  return (
+    (search === '' || (task.name || '').toLowerCase().includes(search)) &&
+    (filters.requester === 'All' || task.requester_name === filters.requester) &&
+    (filters.project === 'All' || task.project_name === filters.project) &&
+    (filters.assignedTo === 'All' || task.assigned_to_name === filters.assignedTo) &&
+    (filters.priority === 'All' || task.priority === filters.priority) &&
+    (filters.status === 'All' || task.status_id === parseInt(filters.status)) &&
+    (filters.labelIds.length === 0 ||
+      (filters.labelMode === 'all' ? filters.labelIds.every(hasLabel) : filters.labelIds.some(hasLabel))) &&
+    (!filters.dueFrom || (dueDate && dueDate >= startOfDay(filters.dueFrom))) &&
+    (!filters.dueTo || (dueDate && dueDate <= endOfDay(filters.dueTo))) &&
+    activeCustomFieldFilters(filters).every(([fieldId, filter]) => {
+      const field = customFields.find(f => f.id === parseInt(fieldId));
+      return !field || customFieldMatches(field, (task.custom_fields || {})[fieldId], filter);
+    })
+  );
+};
+
+// Unset values sort like the server's: lowest, or empty text
+const getCustomFieldSortValue = (task, field) => {
+  const value = (task.custom_fields || {})[field.id];
+
+  switch (field.field_type) {
+    case 'number':
+      return typeof value === 'number' ? value : -Infinity;
+    case 'date':
+      return value ? new Date(`${value}T00:00:00`).getTime() : -Infinity;
+    case 'checkbox':
+      return value === true ? 1 : 0;
+    default:
+      return typeof value === 'string' ? value : '';
+  }
+};
+
+const getSortValue = (task, sortBy, customFields) => {
+  const customField = findSortCustomField(customFields, sortBy);
+  if (customField) {
+    return getCustomFieldSortValue(task, customField);
+  }
+
+  switch (sortBy) {
+    case 'name':
+      return task.name || '';
+    case 'priority':
+      return PRIORITY_ORDER[task.priority] || 0;
+    case 'requester':
+      return task.requester_name || '';
+    case 'project':
+      return task.project_name || '';
+    case 'assignedTo':
+      return task.assigned_to_name || '';
+    case 'dueDate':
+      return task.due_date ? new Date(task.due_date).getTime() : -Infinity;
+    case 'reminder':
+      return task.next_reminder_datetime ? new Date(task.next_reminder_datetime).getTime() : Infinity;
+    case 'createdAt':
+      return task.created_at ? new Date(task.created_at).getTime() : -Infinity;
+    default:
+      return task.id;
+  }
+};
+
+// Same order as the server: open tasks first, then the selected field, then ID
+export const compareTasks = (a, b, filters, customFields = []) => {
+  if (isTaskCompleted(a) !== isTaskCompleted(b)) {
+    return isTaskCompleted(a) ? 1 : -1;
+  }
+
+  const direction = filters.sortDirection === 'asc' ? 1 : -1;
+  const aValue = getSortValue(a, filters.sortBy, customFields);
+  const bValue = getSortValue(b, filters.sortBy, customFields);
+
+  let comparison;
+  if (typeof aValue === 'string') {
+    comparison = aValue.localeCompare(bValue);
+  } else {
+    comparison = aValue === bValue ? 0 : (aValue < bValue ? -1 : 1);
+  }
+
+  return (comparison || a.id - b.id) * direction;
+};
+
+// Insert, move or drop a changed task within the loaded pages. A task that
+// sorts after the last loaded one is left for a later page to bring in.
+export const placeTask = (tasks, task, filters, hasMore, customFields = []) => {
+  const others = tasks.filter(t => t.id !== task.id);
+
+  if (!taskMatchesFilters(task, filters, customFields)) {
+    return others;
+  }
+
+  if (hasMore && others.length > 0 && compareTasks(task, others[others.length - 1], filters, customFields) > 0) {
+    return others;
+  }
+
+  return [...others, task].sort((a, b) => compareTasks(a, b, filters, customFields));
+};
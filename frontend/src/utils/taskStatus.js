@@ -0,0 +1,20 @@
+export const STATUS_CATEGORIES = [
+  { value: 'todo', label: 'To Do' },
+  { value: 'active', label: 'Active' },
+  { value: 'done', label: 'Done' }
+];
+
+export const isTaskCompleted = (task) => task?.status_category === 'done';
+
+export const getFirstStatusInCategory = (statuses, category) => {
+  return statuses.find(status => status.category === category) || null;
+};
+
+// Open tasks move to the first done status; done tasks reopen into the first todo status
+export const getToggledStatusId = (task, statuses) => {
+  const target = isTaskCompleted(task)
+    ? getFirstStatusInCategory(statuses, 'todo') || statuses.find(status => status.category !== 'done')
+    : getFirstStatusInCategory(statuses, 'done');
+
+  return target ? target.id : null;
+};